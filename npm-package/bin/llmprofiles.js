@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+/**
+ * llmprofiles command line entry point
+ *
+ * Usage: llmprofiles <validate|build|list|fields|example> [options]
+ * Run `llmprofiles --help` for the full list of options.
+ */
+
+const { run } = require('../lib/cli');
+
+// Stop quietly when the output is piped into a command that exits early (e.g. `head`)
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(process.exitCode);
+});
+
+process.exitCode = run(process.argv.slice(2));
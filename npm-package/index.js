@@ -49,22 +49,42 @@
  */
 
 const profiles = require('./profiles/index.json');
-const { ProfileValidator } = require('./lib/validator');
+const { ProfileValidator, SCHEMA_SOURCES, generateStandaloneValidators } = require('./lib/validator');
+const { ValidatorCache, defaultValidatorCache } = require('./lib/validator-cache');
+const { PageSchemaRegistry, defaultSchemaRegistry } = require('./lib/schema-loader');
+const { ShaclValidator, defaultShaclValidator } = require('./lib/shacl');
+const { HtmlExtractor, defaultHtmlExtractor, EXTRACTION_SOURCES } = require('./lib/html-extractor');
+const { resolveProfileType, getSchemaTypeName, detectProfileType, PROFILE_ALIASES, SCHEMA_SUBTYPES } = require('./lib/profile-types');
 const builders = require('./lib/builder');
-const { MODES, ModeConfig } = require('./lib/modes');
+const { MODES, MODE_FLAGS, ModeConfig, registerMode, unregisterMode, getAvailableModes } = require('./lib/modes');
 const { InputSanitizer, defaultSanitizer } = require('./lib/sanitizer');
+const { parseDuration, formatDuration, normalizeDuration, addDurations, normalizeDateTime, checkTiming } = require('./lib/datetime');
+const { parseFaq, cleanAnswerHtml, questionAnchor, ANSWER_HTML_TAGS, FAQ_COLUMNS } = require('./lib/faq-import');
 
 // Import additional builders
 const { BookBuilder } = require('./lib/builders/book-builder');
 const { CourseBuilder } = require('./lib/builders/course-builder');
 const { DatasetBuilder } = require('./lib/builders/dataset-builder');
 const { HowToBuilder } = require('./lib/builders/howto-builder');
-const { RecipeBuilder } = require('./lib/builders/recipe-builder');
+const { RecipeBuilder, NUTRITION_UNITS, parseIngredient } = require('./lib/builders/recipe-builder');
+const { SALARY_UNITS, parseLocation } = require('./lib/builders/jobposting-builder');
+const { DAYS_OF_WEEK, parseOpeningHours, formatOpeningHours, isOpenAt } = require('./lib/builders/localbusiness-builder');
+const { EventSeriesBuilder, EVENT_STATUSES, ATTENDANCE_MODES, expandSchedule } = require('./lib/builders/event-builder');
 const { VideoObjectBuilder } = require('./lib/builders/videoobject-builder');
 const { FAQPageBuilder } = require('./lib/builders/faqpage-builder');
 const { QAPageBuilder } = require('./lib/builders/qapage-builder');
 const { SoftwareApplicationBuilder } = require('./lib/builders/softwareapplication-builder');
 const { ReviewBuilder } = require('./lib/builders/review-builder');
+const { ITEM_AVAILABILITY, OFFER_ITEM_CONDITIONS } = require('./lib/builders/product-builder');
+const { ProductGroupBuilder, VARIANT_DIMENSIONS } = require('./lib/builders/productgroup-builder');
+const { GraphBuilder, SHARED_ENTITY_PROPERTIES } = require('./lib/builders/graph-builder');
+const { BusinessChainBuilder, BRANCH_COLUMNS } = require('./lib/builders/businesschain-builder');
+const { BreadcrumbListBuilder } = require('./lib/builders/breadcrumblist-builder');
+const { WebPageBuilder } = require('./lib/builders/webpage-builder');
+const { WebSiteBuilder } = require('./lib/builders/website-builder');
+const { EntityBuilder, normalizeSameAs } = require('./lib/builders/entity-builder');
+const { PersonBuilder } = require('./lib/builders/person-builder');
+const { OrganizationBuilder } = require('./lib/builders/organization-builder');
 const { 
   FIELD_IMPORTANCE, 
   FIELD_CATEGORY, 
@@ -82,7 +102,8 @@ const {
  * including required fields, recommended fields, optional fields, and
  * metadata about Google Rich Results and LLM optimization.
  * 
- * @param {string} type - Profile type (e.g., 'Article', 'JobPosting', 'Book')
+ * @param {string} type - Profile type (e.g., 'Article', 'JobPosting', 'Book'). Schema.org
+ *   type names, slugs, aliases and profile URLs are accepted, case-insensitively
  * @returns {Object|null} Profile definition object or null if not found
  * 
  * @example
@@ -96,11 +117,19 @@ const {
  *   console.log('Profile not found');
  * }
  * 
+ * @example
+ * // All of these return the ProductOffer profile
+ * getProfile('product-offer');
+ * getProfile('Product');
+ * getProfile('https://llmprofiles.org/profiles/business/product-offer/v1/index.jsonld');
+ * 
  * @see {@link listProfiles} Get all available profile types
  * @see {@link getProfilesByCategory} Get profiles by category
+ * @see {@link resolveProfileType} Resolve a profile name to its key
  */
 function getProfile(type) {
-  return profiles[type] || null;
+  const key = resolveProfileType(type);
+  return key ? profiles[key] : null;
 }
 
 /**
@@ -173,6 +202,8 @@ function getProfilesByCategory(category) {
  * 
  * @param {Object} data - The JSON-LD data to validate
  * @param {string} profileType - Profile type to validate against (e.g., 'Article', 'JobPosting')
+ * @param {Object} [options={}] - Validator options
+ * @param {string} [options.schemaSource='index'] - 'page' validates against the full page.schema.json
  * @returns {Object} Validation result object with the following properties:
  *   - `valid` {boolean} - Whether the data is valid according to the profile
  *   - `errors` {Array<Object>} - Array of validation errors with detailed information
@@ -202,14 +233,129 @@ function getProfilesByCategory(category) {
  * console.log('Google Rich Results compliant:', result.googleRichResults.compliant);
  * console.log('Coverage:', result.googleRichResults.coverage + '%');
  * 
+ * @example
+ * // Validate nested objects (offers, brand, ...) against the full page schema
+ * const result = validateStructuredData(productData, 'ProductOffer', { schemaSource: 'page' });
+ * 
  * @see {@link ProfileValidator} For more advanced validation options
  * @see {@link validate} Alias for this function
  */
-function validateStructuredData(data, profileType) {
-  const validator = new ProfileValidator();
+function validateStructuredData(data, profileType, options = {}) {
+  const validator = new ProfileValidator(true, options);
   return validator.validate(data, profileType);
 }
 
+/**
+ * Validate JSON-LD against a profile's SHACL shapes
+ * 
+ * Evaluates the `sh:shapesGraph` published in the profile's `index.jsonld`
+ * (`sh:targetClass`, `sh:minCount`, `sh:node`, ...) against the submitted data.
+ * The result uses the same format as {@link validateStructuredData}.
+ * 
+ * @param {Object|Array} data - JSON-LD data (a single node, an array or an `@graph` document)
+ * @param {string} profileType - Profile type whose shapes to evaluate (e.g., 'ProductOffer')
+ * @returns {Object} Validation result with `valid`, `conforms`, `errors` and `warnings`
+ * 
+ * @example
+ * const result = validateShapes(productData, 'ProductOffer');
+ * result.errors.forEach(e => console.log(e.constraint, e.path, e.message));
+ * 
+ * @see {@link ShaclValidator} For custom shapes graphs
+ */
+function validateShapes(data, profileType) {
+  return defaultShaclValidator.validate(data, profileType);
+}
+
+/**
+ * Validate every node of a JSON-LD document without naming a profile
+ * 
+ * Walks arrays and `@graph`s, detects each node's profile from its
+ * `additionalType`/`schemaVersion` profile URL, its `additionalProperty`
+ * named `profile`, or its `@type`, and validates it against that profile.
+ * Nodes that match no profile are listed as unmatched.
+ * 
+ * @param {Object|Array} document - JSON-LD document (single node, array or `@graph`)
+ * @param {Object} [options={}] - Validator options (see {@link ProfileValidator})
+ * @returns {Object} Document report with `valid`, `errors`, `summary` and per-node `nodes`
+ * 
+ * @example
+ * const report = validateDocument(pageJsonLd);
+ * console.log(`${report.summary.valid}/${report.summary.validated} nodes valid`);
+ * report.nodes
+ *   .filter(node => node.valid === false)
+ *   .forEach(node => console.log(node.path, node.profileType, node.errors));
+ * 
+ * @see {@link validateStructuredData} Validate a single node against a known profile
+ */
+function validateDocument(document, options = {}) {
+  const validator = new ProfileValidator(true, options);
+  return validator.validateDocument(document);
+}
+
+/**
+ * Validate a JSONL stream record by record
+ * 
+ * Reads the input incrementally and yields one result per non-empty line, so
+ * arbitrarily large catalogues can be validated with bounded memory. Compiled
+ * validators are cached, so only the first record of each profile pays for
+ * schema compilation.
+ * 
+ * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>|string} input - Readable stream,
+ *   iterable of text chunks, or path to a JSONL file
+ * @param {string} [profileType] - Profile to validate every record against (detected per node when omitted)
+ * @param {Object} [options={}] - Validator options (see {@link ProfileValidator})
+ * @returns {AsyncGenerator<Object>} Validation results, each with its 1-based `line` number
+ * 
+ * @example
+ * const summary = { valid: 0, invalid: 0 };
+ * for await (const result of validateStream('products.jsonl', 'Product')) {
+ *   summary[result.valid ? 'valid' : 'invalid']++;
+ * }
+ * 
+ * @see {@link ProfileValidator#validateStream}
+ */
+function validateStream(input, profileType, options = {}) {
+  const validator = new ProfileValidator(true, options);
+  return validator.validateStream(input, profileType);
+}
+
+/**
+ * Extract and validate the structured data of an HTML page
+ * 
+ * Collects every `<script type="application/ld+json">` block, Microdata item
+ * and RDFa Lite resource, normalizes them to JSON-LD and validates each one
+ * with {@link validateDocument}. JSON-LD parse errors are reported with line
+ * and column positions, and `<link rel="profile">` tags are checked against
+ * the value used by the Standards Header mode.
+ * 
+ * @param {string} html - HTML source
+ * @param {Object} [options={}] - Validation options
+ * @param {string} [options.mode] - Expected output mode (warns when its rel="profile" link is missing)
+ * @param {boolean} [options.sanitize=true] - Whether to sanitize entities before validation
+ * @returns {Object} Page report with `valid`, `entities`, `errors`, `warnings`, `profileLinks` and `summary`
+ * 
+ * @example
+ * const report = validateHtml(renderedHtml, { mode: MODES.STANDARDS_HEADER });
+ * report.errors.forEach(e => console.log(`line ${e.line}, column ${e.column}: ${e.message}`));
+ * report.entities.forEach(e => console.log(e.source, e.validation.summary));
+ * 
+ * @see {@link HtmlExtractor} For extraction without validation and local files
+ */
+function validateHtml(html, options = {}) {
+  return defaultHtmlExtractor.validate(html, options);
+}
+
+/**
+ * Extract and validate the structured data of a local HTML file
+ * 
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object} [options={}] - Validation options (see {@link validateHtml})
+ * @returns {Object} Page report with `file`
+ */
+function validateHtmlFile(filePath, options = {}) {
+  return defaultHtmlExtractor.validateFile(filePath, options);
+}
+
 /**
  * Simplified builder factory function
  * 
@@ -221,14 +367,16 @@ function validateStructuredData(data, profileType) {
  * @param {string} profileType - Profile type name (case-insensitive)
  *   Supported types: 'Article', 'JobPosting', 'LocalBusiness', 'Product', 'Event',
  *   'Book', 'Course', 'Dataset', 'HowTo', 'Recipe', 'VideoObject', 'FAQPage',
- *   'QAPage', 'SoftwareApplication', 'Review'
+ *   'QAPage', 'SoftwareApplication', 'Review', 'ProductGroup', 'BreadcrumbList',
+ *   'WebPage', 'WebSite', plus 'Person' and 'Organization', which return entity
+ *   builders (PersonBuilder, OrganizationBuilder) without a profile or output mode
  * @param {Object} [options={}] - Configuration options
  * @param {string} [options.mode=MODES.STRICT_SEO] - Output mode
  *   - 'strict-seo': Standard SEO-optimized output (default)
  *   - 'split-channels': Separate SEO and LLM blocks
  *   - 'standards-header': Include profile metadata in headers
  * @param {boolean} [options.sanitize=true] - Whether to sanitize input data
- * @returns {BaseProfileBuilder} Builder instance for the specified profile type
+ * @returns {BaseProfileBuilder|EntityBuilder} Builder instance for the specified profile type
  * 
  * @throws {Error} When profileType is not supported
  * 
@@ -251,40 +399,82 @@ function validateStructuredData(data, profileType) {
  * // Case-insensitive profile type
  * const bookBuilder = createBuilder('book'); // Works the same as 'Book'
  * const productBuilder = createBuilder('PRODUCT'); // Works the same as 'Product'
+ * const offerBuilder = createBuilder('product-offer'); // Profile slugs and URLs work too
  * 
  * @see {@link MODES} Available output modes
  * @see {@link BaseProfileBuilder} Base builder class
  */
 function createBuilder(profileType, options = {}) {
   const { mode = MODES.STRICT_SEO, sanitize = true } = options;
-  const normalize = (s) => String(s || '').replace(/[-_\s]/g, '').toLowerCase();
-  const key = normalize(profileType);
 
+  // Persons and organizations have no profile or output mode (see EntityBuilder)
+  const entity = typeof profileType === 'string' ? profileType.trim().toLowerCase() : null;
+  if (entity === 'person') {
+    return new PersonBuilder(sanitize);
+  }
+  if (entity === 'organization') {
+    return new OrganizationBuilder('Organization', sanitize);
+  }
+
+  const key = resolveProfileType(profileType);
+
+  // Keyed by profile key (see profiles/index.json)
   const map = {
-    article: builders.ArticleBuilder,
-    jobposting: builders.JobPostingBuilder,
-    localbusiness: builders.LocalBusinessBuilder,
-    product: builders.ProductBuilder,
-    event: builders.EventBuilder,
-    book: builders.BookBuilder,
-    course: builders.CourseBuilder,
-    dataset: builders.DatasetBuilder,
-    howto: builders.HowToBuilder,
-    recipe: builders.RecipeBuilder,
-    videoobject: builders.VideoObjectBuilder,
-    faqpage: builders.FAQPageBuilder,
-    qapage: builders.QAPageBuilder,
-    softwareapplication: builders.SoftwareApplicationBuilder,
-    review: builders.ReviewBuilder
+    Article: builders.ArticleBuilder,
+    Jobposting: builders.JobPostingBuilder,
+    Localbusiness: builders.LocalBusinessBuilder,
+    ProductGroup: ProductGroupBuilder,
+    ProductOffer: builders.ProductBuilder,
+    Event: builders.EventBuilder,
+    Book: BookBuilder,
+    Course: CourseBuilder,
+    Dataset: DatasetBuilder,
+    Howto: HowToBuilder,
+    Recipe: RecipeBuilder,
+    Videoobject: VideoObjectBuilder,
+    Breadcrumblist: BreadcrumbListBuilder,
+    Webpage: WebPageBuilder,
+    Website: WebSiteBuilder,
+    Faqpage: FAQPageBuilder,
+    Qapage: QAPageBuilder,
+    Softwareapplication: SoftwareApplicationBuilder,
+    Review: ReviewBuilder
   };
 
-  const Ctor = map[key];
+  const Ctor = key ? map[key] : null;
   if (!Ctor) {
     throw new Error(`Unknown builder for type: ${profileType}`);
   }
   return new Ctor(mode, sanitize);
 }
 
+/**
+ * Build structured data from a plain object, such as a record from a CMS
+ *
+ * Shorthand for `createBuilder(profileType, options).fromObject(record, options.mapping, options).build(options.mode, options)`.
+ * Use createBuilder() and fromObject() directly to read the import report.
+ *
+ * @param {string} profileType - Profile type name, slug or URL (see {@link createBuilder})
+ * @param {Object} record - Source object; keys are routed to the builder methods of the same name
+ * @param {Object} [options={}] - createBuilder(), fromObject() and build() options
+ * @param {Object<string, string|Function|null>} [options.mapping] - Source key to builder method or property name
+ * @param {boolean} [options.strict=false] - Throw when keys are unknown or rejected
+ * @returns {Object|Object[]} The structured data object(s) based on mode
+ * @throws {Error} When the type is not supported, required fields are missing, or in strict mode a key is unknown or rejected
+ *
+ * @example
+ * const jsonLd = buildFromObject('Review', {
+ *   rating: 4,
+ *   author: 'Jane Doe',
+ *   itemReviewed: 'Wireless Headphones'
+ * }, { mapping: { rating: 'reviewRating' } });
+ */
+function buildFromObject(profileType, record, options = {}) {
+  return createBuilder(profileType, options)
+    .fromObject(record, options.mapping, options)
+    .build(options.mode, options);
+}
+
 /**
  * Create a minimal example for a profile type
  * 
@@ -325,13 +515,13 @@ function createBuilder(profileType, options = {}) {
  * @see {@link MODES} Available output modes
  */
 function createMinimalExample(profileType, mode = MODES.STRICT_SEO) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   if (!profile) return null;
   
   const modeConfig = new ModeConfig(mode);
   const example = {
     "@context": "https://schema.org",
-    "@type": profileType
+    "@type": getSchemaTypeName(profileType)
   };
   
   // Add mode-specific properties
@@ -345,6 +535,9 @@ function createMinimalExample(profileType, mode = MODES.STRICT_SEO) {
     if (modeConfig.usesIdentifier()) {
       example.identifier = profile.profileUrl;
     }
+    if (modeConfig.usesConformsTo()) {
+      example.conformsTo = profile.profileUrl;
+    }
     if (modeConfig.usesAdditionalProperty()) {
       example.additionalProperty = {
         "@type": "PropertyValue",
@@ -354,9 +547,10 @@ function createMinimalExample(profileType, mode = MODES.STRICT_SEO) {
     }
   }
   
-  // Add required fields with placeholder values
+  // Add required fields with placeholder values (profile properties depend on the mode)
+  const modeFields = ['additionalType', 'schemaVersion', 'identifier', 'conformsTo', 'additionalProperty'];
   Object.keys(profile.required).forEach(field => {
-    if (field !== '@context' && field !== '@type') {
+    if (field !== '@context' && field !== '@type' && !modeFields.includes(field)) {
       const fieldDef = profile.required[field];
       example[field] = getPlaceholderValue(field, fieldDef);
     }
@@ -421,7 +615,7 @@ function getPlaceholderValue(fieldName, fieldDef) {
  * @see {@link validateStructuredData} Validate against Google Rich Results requirements
  */
 function getGoogleRichResultsFields(profileType) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   return profile ? profile.googleRichResults || [] : null;
 }
 
@@ -450,7 +644,7 @@ function getGoogleRichResultsFields(profileType) {
  * @see {@link validateStructuredData} Validate LLM optimization score
  */
 function getLLMOptimizedFields(profileType) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   return profile ? profile.llmOptimized || [] : null;
 }
 
@@ -479,7 +673,7 @@ function getLLMOptimizedFields(profileType) {
  * @see {@link getProfile} Get complete profile definition
  */
 function getSchemaOrgUrl(profileType) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   return profile ? profile.schemaType : null;
 }
 
@@ -515,6 +709,60 @@ module.exports = {
   SoftwareApplicationBuilder,
   /** @type {typeof ReviewBuilder} Review structured data builder */
   ReviewBuilder,
+  /** @type {typeof ProductGroupBuilder} ProductGroup (product variants) structured data builder */
+  ProductGroupBuilder,
+  /** @type {typeof EventSeriesBuilder} EventSeries (recurring events, festivals) structured data builder */
+  EventSeriesBuilder,
+  /** @type {typeof BreadcrumbListBuilder} BreadcrumbList (breadcrumb trail) structured data builder */
+  BreadcrumbListBuilder,
+  /** @type {typeof WebPageBuilder} WebPage structured data builder */
+  WebPageBuilder,
+  /** @type {typeof WebSiteBuilder} WebSite (with site search) structured data builder */
+  WebSiteBuilder,
+  /** @type {typeof PersonBuilder} Person entity builder for authors, creators and performers */
+  PersonBuilder,
+  /** @type {typeof OrganizationBuilder} Organization entity builder for publishers, employers and providers */
+  OrganizationBuilder,
+  /** @type {typeof EntityBuilder} Base class of PersonBuilder and OrganizationBuilder */
+  EntityBuilder,
+  /** @type {Function} Normalizes Wikidata, ORCID and LinkedIn sameAs links to canonical URLs */
+  normalizeSameAs,
+  /** @type {typeof GraphBuilder} Composes builders into one @graph document with shared entities */
+  GraphBuilder,
+  /** @type {string[]} Properties whose entities GraphBuilder moves to shared graph nodes */
+  SHARED_ENTITY_PROPERTIES,
+  /** @type {typeof BusinessChainBuilder} Generates one LocalBusiness per branch of a chain from a branch table */
+  BusinessChainBuilder,
+  /** @type {Object<string, string>} Branch table columns BusinessChainBuilder recognizes, with the properties they hold */
+  BRANCH_COLUMNS,
+  /** @type {string[]} Schema.org ItemAvailability members accepted by ProductBuilder */
+  ITEM_AVAILABILITY,
+  /** @type {string[]} Schema.org OfferItemCondition members accepted by ProductBuilder */
+  OFFER_ITEM_CONDITIONS,
+  /** @type {string[]} Product properties accepted as ProductGroup variesBy dimensions */
+  VARIANT_DIMENSIONS,
+  /** @type {Object<string, string>} Units of RecipeBuilder nutrition values, by NutritionInformation property */
+  NUTRITION_UNITS,
+  /** @type {Function} Parses an ingredient line into quantity, unit, item and note */
+  parseIngredient,
+  /** @type {string[]} Salary units accepted by JobPostingBuilder */
+  SALARY_UNITS,
+  /** @type {Function} Parses a location such as 'Austin, TX' into PostalAddress parts */
+  parseLocation,
+  /** @type {string[]} Schema.org days of the week used in opening hours */
+  DAYS_OF_WEEK,
+  /** @type {Function} Parses 'Mo-Fr 09:00-17:00' opening hours into OpeningHoursSpecification objects */
+  parseOpeningHours,
+  /** @type {Function} Formats OpeningHoursSpecification objects as compact opening hours */
+  formatOpeningHours,
+  /** @type {Function} Checks whether opening hours include a moment in a time zone */
+  isOpenAt,
+  /** @type {string[]} Schema.org event statuses accepted by EventBuilder */
+  EVENT_STATUSES,
+  /** @type {string[]} Schema.org event attendance modes accepted by EventBuilder */
+  ATTENDANCE_MODES,
+  /** @type {Function} Expands a schema.org Schedule into the event occurrences within a date window */
+  expandSchedule,
   
   // Utility classes
   /** @type {typeof ProfileValidator} Profile validation utility */
@@ -523,6 +771,26 @@ module.exports = {
   InputSanitizer,
   /** @type {InputSanitizer} Default sanitizer instance */
   defaultSanitizer,
+  /** @type {typeof PageSchemaRegistry} Page schema loader */
+  PageSchemaRegistry,
+  /** @type {PageSchemaRegistry} Default page schema registry instance */
+  defaultSchemaRegistry,
+  /** @type {Object} Schema sources accepted by ProfileValidator */
+  SCHEMA_SOURCES,
+  /** @type {typeof ValidatorCache} Cache of compiled profile validators */
+  ValidatorCache,
+  /** @type {ValidatorCache} Default validator cache shared by ProfileValidator instances */
+  defaultValidatorCache,
+  /** @type {typeof ShaclValidator} SHACL shape validator */
+  ShaclValidator,
+  /** @type {ShaclValidator} Default SHACL validator instance */
+  defaultShaclValidator,
+  /** @type {typeof HtmlExtractor} HTML structured data extractor */
+  HtmlExtractor,
+  /** @type {HtmlExtractor} Default HTML extractor instance */
+  defaultHtmlExtractor,
+  /** @type {Object} Structured data sources recognized in HTML */
+  EXTRACTION_SOURCES,
   
   // Field metadata utilities
   /** @type {Object} Field importance level constants */
@@ -541,12 +809,54 @@ module.exports = {
   // Helper functions
   /** @type {Function} Get a specific profile definition */
   getProfile,
+  /** @type {Function} Resolve a profile name, slug, alias or URL to its profile key */
+  resolveProfileType,
+  /** @type {Function} Detect the profile a JSON-LD node declares or matches */
+  detectProfileType,
+  /** @type {Object<string, string>} Alternative profile names accepted by resolveProfileType */
+  PROFILE_ALIASES,
+  /** @type {Object<string, string[]>} Schema.org subtypes that Builder.from() loads into each builder */
+  SCHEMA_SUBTYPES,
+  /** @type {Function} Parse an ISO 8601 or human-readable duration into seconds */
+  parseDuration,
+  /** @type {Function} Format seconds as an ISO 8601 duration */
+  formatDuration,
+  /** @type {Function} Normalize a duration to canonical ISO 8601 ('1h 30m' → 'PT1H30M') */
+  normalizeDuration,
+  /** @type {Function} Add durations together */
+  addDurations,
+  /** @type {Function} Normalize a Date, timestamp or date string to ISO 8601 */
+  normalizeDateTime,
+  /** @type {Function} Find durations and dates that contradict each other */
+  checkTiming,
+  /** @type {Function} Parse FAQ questions and answers from Markdown, HTML <details> blocks or CSV */
+  parseFaq,
+  /** @type {Function} Keep only the answer markup Google allows and list what was removed */
+  cleanAnswerHtml,
+  /** @type {Function} Turn a question into the anchor of its @id */
+  questionAnchor,
+  /** @type {string[]} HTML elements Google allows in FAQ and Q&A answers */
+  ANSWER_HTML_TAGS,
+  /** @type {Object<string, string>} CSV columns parseFaq recognizes, with the fields they hold */
+  FAQ_COLUMNS,
   /** @type {Function} List all available profile types */
   listProfiles,
   /** @type {Function} List profiles by category */
   getProfilesByCategory,
   /** @type {Function} Validate structured data against a profile */
   validateStructuredData,
+  /** @type {Function} Validate JSON-LD against a profile's SHACL shapes */
+  validateShapes,
+  /** @type {Function} Detect and validate the profile of every node in a document */
+  validateDocument,
+  /** @type {Function} Validate JSONL records from a stream with bounded memory */
+  validateStream,
+  /** @type {Function} Generate standalone validator code for build-time precompilation */
+  generateStandaloneValidators,
+  /** @type {Function} Extract and validate structured data from HTML */
+  validateHtml,
+  /** @type {Function} Extract and validate structured data from a local HTML file */
+  validateHtmlFile,
   /** @type {Function} Create a minimal example for a profile type */
   createMinimalExample,
   /** @type {Function} Get fields required for Google Rich Results */
@@ -558,6 +868,8 @@ module.exports = {
   // Simplified API
   /** @type {Function} Simplified builder factory function */
   createBuilder,
+  /** @type {Function} Build structured data from a plain object */
+  buildFromObject,
   /** @type {Function} Alias for validateStructuredData */
   validate: validateStructuredData,
   
@@ -570,6 +882,12 @@ module.exports = {
   getHTMLRelProfile: (mode) => new ModeConfig(mode).getRelProfileValue(),
   /** @type {Function} Get HTTP Link header value */
   getHTTPLinkHeader: (mode) => new ModeConfig(mode).getLinkHeaderValue(),
+  /** @type {Function} Register a custom output mode */
+  registerMode,
+  /** @type {Function} Remove a custom output mode */
+  unregisterMode,
+  /** @type {Function} List built-in and custom mode names */
+  getAvailableModes,
   
   // Enhanced field metadata and suggestions
   /** @type {Function} Get enhanced field suggestions with detailed metadata */
@@ -591,6 +909,8 @@ module.exports = {
   // Mode constants and classes
   /** @type {Object} Available output modes */
   MODES,
+  /** @type {Object} Flags a custom mode configuration can set */
+  MODE_FLAGS,
   /** @type {typeof ModeConfig} Mode configuration class */
   ModeConfig
 };
@@ -51,21 +51,40 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { ProfileValidator } from './lib/validator.mjs';
+import { ProfileValidator, SCHEMA_SOURCES, generateStandaloneValidators } from './lib/validator.mjs';
+import { ValidatorCache, defaultValidatorCache } from './lib/validator-cache.mjs';
+import { PageSchemaRegistry, defaultSchemaRegistry } from './lib/schema-loader.mjs';
+import { ShaclValidator, defaultShaclValidator } from './lib/shacl.mjs';
+import { HtmlExtractor, defaultHtmlExtractor, EXTRACTION_SOURCES } from './lib/html-extractor.mjs';
+import { resolveProfileType, getSchemaTypeName, detectProfileType, PROFILE_ALIASES, SCHEMA_SUBTYPES } from './lib/profile-types.mjs';
 import builders from './lib/builder.mjs';
-import { MODES, ModeConfig } from './lib/modes.mjs';
+import { MODES, MODE_FLAGS, ModeConfig, registerMode, unregisterMode, getAvailableModes } from './lib/modes.mjs';
 import { InputSanitizer, defaultSanitizer } from './lib/sanitizer.mjs';
 
 // Import additional builders
 import { BookBuilder } from './lib/builders/book-builder.mjs';
+import { CourseBuilder } from './lib/builders/course-builder.mjs';
 import { DatasetBuilder } from './lib/builders/dataset-builder.mjs';
 import { HowToBuilder } from './lib/builders/howto-builder.mjs';
-import { RecipeBuilder } from './lib/builders/recipe-builder.mjs';
+import { RecipeBuilder, NUTRITION_UNITS, parseIngredient } from './lib/builders/recipe-builder.mjs';
+import { SALARY_UNITS, parseLocation } from './lib/builders/jobposting-builder.mjs';
+import { DAYS_OF_WEEK, parseOpeningHours, formatOpeningHours, isOpenAt } from './lib/builders/localbusiness-builder.mjs';
+import { EventSeriesBuilder, EVENT_STATUSES, ATTENDANCE_MODES, expandSchedule } from './lib/builders/event-builder.mjs';
 import { VideoObjectBuilder } from './lib/builders/videoobject-builder.mjs';
 import { FAQPageBuilder } from './lib/builders/faqpage-builder.mjs';
 import { QAPageBuilder } from './lib/builders/qapage-builder.mjs';
 import { SoftwareApplicationBuilder } from './lib/builders/softwareapplication-builder.mjs';
 import { ReviewBuilder } from './lib/builders/review-builder.mjs';
+import { ITEM_AVAILABILITY, OFFER_ITEM_CONDITIONS } from './lib/builders/product-builder.mjs';
+import { ProductGroupBuilder, VARIANT_DIMENSIONS } from './lib/builders/productgroup-builder.mjs';
+import { GraphBuilder, SHARED_ENTITY_PROPERTIES } from './lib/builders/graph-builder.mjs';
+import { BusinessChainBuilder, BRANCH_COLUMNS } from './lib/builders/businesschain-builder.mjs';
+import { BreadcrumbListBuilder } from './lib/builders/breadcrumblist-builder.mjs';
+import { WebPageBuilder } from './lib/builders/webpage-builder.mjs';
+import { WebSiteBuilder } from './lib/builders/website-builder.mjs';
+import { EntityBuilder, normalizeSameAs } from './lib/builders/entity-builder.mjs';
+import { PersonBuilder } from './lib/builders/person-builder.mjs';
+import { OrganizationBuilder } from './lib/builders/organization-builder.mjs';
 import { 
   FIELD_IMPORTANCE, 
   FIELD_CATEGORY, 
@@ -82,11 +101,13 @@ const profiles = JSON.parse(readFileSync(join(__dirname, 'profiles/index.json'),
 
 /**
  * Get a specific profile definition
- * @param {string} type - Profile type (e.g., 'Article', 'JobPosting')
+ * @param {string} type - Profile type (e.g., 'Article', 'JobPosting'); Schema.org type
+ *   names, slugs, aliases and profile URLs are accepted, case-insensitively
  * @returns {Object|null} Profile definition or null if not found
  */
 export function getProfile(type) {
-  return profiles[type] || null;
+  const key = resolveProfileType(type);
+  return key ? profiles[key] : null;
 }
 
 /**
@@ -112,61 +133,141 @@ export function getProfilesByCategory(category) {
  * Validate structured data against a profile
  * @param {Object} data - The JSON-LD data to validate
  * @param {string} profileType - Profile type to validate against
+ * @param {Object} [options] - Validator options (e.g., { schemaSource: 'page' })
  * @returns {Object} Validation result with valid, errors, and warnings
  */
-export function validateStructuredData(data, profileType) {
-  const validator = new ProfileValidator();
+export function validateStructuredData(data, profileType, options = {}) {
+  const validator = new ProfileValidator(true, options);
   return validator.validate(data, profileType);
 }
 
+/**
+ * Validate JSON-LD against a profile's SHACL shapes
+ * @param {Object|Array} data - JSON-LD data to validate
+ * @param {string} profileType - Profile type whose shapes to evaluate
+ * @returns {Object} Validation result with valid, conforms, errors, and warnings
+ */
+export function validateShapes(data, profileType) {
+  return defaultShaclValidator.validate(data, profileType);
+}
+
+/**
+ * Validate every node of a JSON-LD document, detecting each node's profile
+ * @param {Object|Array} document - JSON-LD document (single node, array or @graph)
+ * @param {Object} [options={}] - Validator options
+ * @returns {Object} Document report with valid, errors, summary, and per-node results
+ */
+export function validateDocument(document, options = {}) {
+  const validator = new ProfileValidator(true, options);
+  return validator.validateDocument(document);
+}
+
+/**
+ * Validate JSONL records from a stream with bounded memory
+ * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>|string} input - Readable stream, iterable of text chunks, or file path
+ * @param {string} [profileType] - Profile for every record (detected per node when omitted)
+ * @param {Object} [options={}] - Validator options
+ * @returns {AsyncGenerator<Object>} Validation results with the 1-based `line` number
+ */
+export function validateStream(input, profileType, options = {}) {
+  const validator = new ProfileValidator(true, options);
+  return validator.validateStream(input, profileType);
+}
+
+/**
+ * Extract and validate the structured data (JSON-LD, Microdata, RDFa Lite) of an HTML page
+ * @param {string} html - HTML source
+ * @param {Object} [options={}] - Validation options (mode, sanitize)
+ * @returns {Object} Page report with valid, entities, errors, warnings, profileLinks, and summary
+ */
+export function validateHtml(html, options = {}) {
+  return defaultHtmlExtractor.validate(html, options);
+}
+
+/**
+ * Extract and validate the structured data of a local HTML file
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object} [options={}] - Validation options (mode, sanitize)
+ * @returns {Object} Page report with file
+ */
+export function validateHtmlFile(filePath, options = {}) {
+  return defaultHtmlExtractor.validateFile(filePath, options);
+}
+
 /**
  * Simplified builder factory
- * @param {string} profileType - e.g., 'Product', 'Article', 'JobPosting'
+ * @param {string} profileType - e.g., 'Product', 'Article', 'JobPosting', or 'Person' and 'Organization' for entity builders
  * @param {{ mode?: string, sanitize?: boolean }} [options]
  */
 export function createBuilder(profileType, options = {}) {
   const { mode = MODES.STRICT_SEO, sanitize = true } = options;
-  const normalize = (s) => String(s || '').replace(/[-_\s]/g, '').toLowerCase();
-  const key = normalize(profileType);
 
+  // Persons and organizations have no profile or output mode (see EntityBuilder)
+  const entity = typeof profileType === 'string' ? profileType.trim().toLowerCase() : null;
+  if (entity === 'person') {
+    return new PersonBuilder(sanitize);
+  }
+  if (entity === 'organization') {
+    return new OrganizationBuilder('Organization', sanitize);
+  }
+
+  const key = resolveProfileType(profileType);
+
+  // Keyed by profile key (see profiles/index.json)
   const map = {
-    article: builders.ArticleBuilder,
-    jobposting: builders.JobPostingBuilder,
-    localbusiness: builders.LocalBusinessBuilder,
-    product: builders.ProductBuilder,
-    event: builders.EventBuilder,
-    book: builders.BookBuilder,
-    course: builders.CourseBuilder,
-    dataset: builders.DatasetBuilder,
-    howto: builders.HowToBuilder,
-    recipe: builders.RecipeBuilder,
-    videoobject: builders.VideoObjectBuilder,
-    faqpage: builders.FAQPageBuilder,
-    qapage: builders.QAPageBuilder,
-    softwareapplication: builders.SoftwareApplicationBuilder,
-    review: builders.ReviewBuilder
+    Article: builders.ArticleBuilder,
+    Jobposting: builders.JobPostingBuilder,
+    Localbusiness: builders.LocalBusinessBuilder,
+    ProductGroup: ProductGroupBuilder,
+    ProductOffer: builders.ProductBuilder,
+    Event: builders.EventBuilder,
+    Book: BookBuilder,
+    Course: CourseBuilder,
+    Dataset: DatasetBuilder,
+    Howto: HowToBuilder,
+    Recipe: RecipeBuilder,
+    Videoobject: VideoObjectBuilder,
+    Breadcrumblist: BreadcrumbListBuilder,
+    Webpage: WebPageBuilder,
+    Website: WebSiteBuilder,
+    Faqpage: FAQPageBuilder,
+    Qapage: QAPageBuilder,
+    Softwareapplication: SoftwareApplicationBuilder,
+    Review: ReviewBuilder
   };
 
-  const Ctor = map[key];
+  const Ctor = key ? map[key] : null;
   if (!Ctor) {
     throw new Error(`Unknown builder for type: ${profileType}`);
   }
   return new Ctor(mode, sanitize);
 }
 
+/**
+ * Build structured data from a plain object via createBuilder() and fromObject()
+ * @param {string} profileType - Profile type
+ * @param {Object} record - Source object
+ * @param {{ mode?: string, sanitize?: boolean, mapping?: Object, strict?: boolean, validate?: boolean, throwOnError?: boolean }} [options]
+ */
+export function buildFromObject(profileType, record, options = {}) {
+  return createBuilder(profileType, options)
+    .fromObject(record, options.mapping, options)
+    .build(options.mode, options);
+}
+
 /**
  * Create a minimal example for a profile type
  * @param {string} profileType - Profile type
  * @returns {Object|null} Minimal example or null if profile not found
  */
 export function createMinimalExample(profileType, mode = MODES.STRICT_SEO) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   if (!profile) return null;
   
   const modeConfig = new ModeConfig(mode);
   const example = {
     "@context": "https://schema.org",
-    "@type": profileType
+    "@type": getSchemaTypeName(profileType)
   };
   
   // Add mode-specific properties
@@ -180,6 +281,9 @@ export function createMinimalExample(profileType, mode = MODES.STRICT_SEO) {
     if (modeConfig.usesIdentifier()) {
       example.identifier = profile.profileUrl;
     }
+    if (modeConfig.usesConformsTo()) {
+      example.conformsTo = profile.profileUrl;
+    }
     if (modeConfig.usesAdditionalProperty()) {
       example.additionalProperty = {
         "@type": "PropertyValue",
@@ -189,9 +293,10 @@ export function createMinimalExample(profileType, mode = MODES.STRICT_SEO) {
     }
   }
   
-  // Add required fields with placeholder values
+  // Add required fields with placeholder values (profile properties depend on the mode)
+  const modeFields = ['additionalType', 'schemaVersion', 'identifier', 'conformsTo', 'additionalProperty'];
   Object.keys(profile.required).forEach(field => {
-    if (field !== '@context' && field !== '@type') {
+    if (field !== '@context' && field !== '@type' && !modeFields.includes(field)) {
       const fieldDef = profile.required[field];
       example[field] = getPlaceholderValue(field, fieldDef);
     }
@@ -229,7 +334,7 @@ function getPlaceholderValue(fieldName, fieldDef) {
  * @returns {string[]|null} Array of field names or null if profile not found
  */
 export function getGoogleRichResultsFields(profileType) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   return profile ? profile.googleRichResults || [] : null;
 }
 
@@ -239,7 +344,7 @@ export function getGoogleRichResultsFields(profileType) {
  * @returns {string[]|null} Array of field names or null if profile not found
  */
 export function getLLMOptimizedFields(profileType) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   return profile ? profile.llmOptimized || [] : null;
 }
 
@@ -249,7 +354,7 @@ export function getLLMOptimizedFields(profileType) {
  * @returns {string|null} Schema.org URL or null if profile not found
  */
 export function getSchemaOrgUrl(profileType) {
-  const profile = profiles[profileType];
+  const profile = getProfile(profileType);
   return profile ? profile.schemaType : null;
 }
 
@@ -264,10 +369,15 @@ export const {
 } = builders;
 
 // Export additional builders
-export { BookBuilder, DatasetBuilder, HowToBuilder, RecipeBuilder, VideoObjectBuilder, FAQPageBuilder, QAPageBuilder, SoftwareApplicationBuilder, ReviewBuilder };
+export { BookBuilder, CourseBuilder, DatasetBuilder, HowToBuilder, RecipeBuilder, VideoObjectBuilder, FAQPageBuilder, QAPageBuilder, SoftwareApplicationBuilder, ReviewBuilder, ProductGroupBuilder, EventSeriesBuilder, BreadcrumbListBuilder, WebPageBuilder, WebSiteBuilder };
+export { ITEM_AVAILABILITY, OFFER_ITEM_CONDITIONS, VARIANT_DIMENSIONS, NUTRITION_UNITS, SALARY_UNITS, DAYS_OF_WEEK, EVENT_STATUSES, ATTENDANCE_MODES };
+export { parseIngredient, parseLocation, parseOpeningHours, formatOpeningHours, isOpenAt, expandSchedule };
+export { PersonBuilder, OrganizationBuilder, EntityBuilder, normalizeSameAs };
+export { GraphBuilder, SHARED_ENTITY_PROPERTIES };
+export { BusinessChainBuilder, BRANCH_COLUMNS };
 
 // Re-export utility classes
-export { ProfileValidator, InputSanitizer, defaultSanitizer };
+export { ProfileValidator, InputSanitizer, defaultSanitizer, PageSchemaRegistry, defaultSchemaRegistry, SCHEMA_SOURCES, ValidatorCache, defaultValidatorCache, generateStandaloneValidators, ShaclValidator, defaultShaclValidator, HtmlExtractor, defaultHtmlExtractor, EXTRACTION_SOURCES };
 
 // Re-export field metadata utilities
 export { 
@@ -279,8 +389,17 @@ export {
   getCompletionHints 
 };
 
+// Re-export profile type resolution
+export { resolveProfileType, detectProfileType, PROFILE_ALIASES, SCHEMA_SUBTYPES };
+
+// Re-export duration and date helpers
+export { parseDuration, formatDuration, normalizeDuration, addDurations, normalizeDateTime, checkTiming } from './lib/datetime.mjs';
+
+// Re-export FAQ import helpers
+export { parseFaq, cleanAnswerHtml, questionAnchor, ANSWER_HTML_TAGS, FAQ_COLUMNS } from './lib/faq-import.mjs';
+
 // Re-export mode-related exports
-export { MODES, ModeConfig };
+export { MODES, MODE_FLAGS, ModeConfig, registerMode, unregisterMode, getAvailableModes };
 
 // Mode-specific functions
 export const createMinimalExampleWithMode = createMinimalExample;
@@ -301,6 +420,7 @@ export { articleProfile } from './profiles/article.mjs';
 export { jobpostingProfile } from './profiles/jobposting.mjs';
 export { localbusinessProfile } from './profiles/localbusiness.mjs';
 export { productofferProfile } from './profiles/productoffer.mjs';
+export { productgroupProfile } from './profiles/productgroup.mjs';
 export { reviewProfile } from './profiles/review.mjs';
 export { bookProfile } from './profiles/book.mjs';
 export { courseProfile } from './profiles/course.mjs';
@@ -308,6 +428,9 @@ export { datasetProfile } from './profiles/dataset.mjs';
 export { howtoProfile } from './profiles/howto.mjs';
 export { recipeProfile } from './profiles/recipe.mjs';
 export { videoobjectProfile } from './profiles/videoobject.mjs';
+export { breadcrumblistProfile } from './profiles/breadcrumblist.mjs';
+export { webpageProfile } from './profiles/webpage.mjs';
+export { websiteProfile } from './profiles/website.mjs';
 export { eventProfile } from './profiles/event.mjs';
 export { faqpageProfile } from './profiles/faqpage.mjs';
 export { qapageProfile } from './profiles/qapage.mjs';
@@ -173,7 +173,7 @@ class ArticleBuilder extends BaseProfileBuilder {
    * or a complete Person/Organization object. If a URL is provided with a
    * string name, it will create a Person object automatically.
    * 
-   * @param {string|Object} author - Author name or Person/Organization object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person/Organization object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {ArticleBuilder} This builder for chaining
    * 
@@ -203,6 +203,9 @@ class ArticleBuilder extends BaseProfileBuilder {
    * });
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -251,7 +254,7 @@ class ArticleBuilder extends BaseProfileBuilder {
    */
   datePublished(date) {
     if (this.sanitizeInputs) {
-      this.data.datePublished = this.sanitizer.sanitizeDate(date);
+      this.setDate('datePublished', date);
     } else {
       this.data.datePublished = date instanceof Date ? date.toISOString() : date;
     }
@@ -265,7 +268,7 @@ class ArticleBuilder extends BaseProfileBuilder {
    */
   dateModified(date) {
     if (this.sanitizeInputs) {
-      this.data.dateModified = this.sanitizer.sanitizeDate(date);
+      this.setDate('dateModified', date);
     } else {
       this.data.dateModified = date instanceof Date ? date.toISOString() : date;
     }
@@ -310,7 +313,7 @@ class ArticleBuilder extends BaseProfileBuilder {
    * or a complete Organization object. If URLs are provided with a string name,
    * it will create an Organization object automatically.
    * 
-   * @param {string|Object} publisher - Publisher name or Organization object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
    * @param {string} [url] - Publisher URL (if publisher is string)
    * @param {string} [logoUrl] - Publisher logo URL
    * @param {number} [logoWidth] - Logo width in pixels
@@ -347,6 +350,9 @@ class ArticleBuilder extends BaseProfileBuilder {
    *   .author('Tech Writer');
    */
   publisher(publisher, url = null, logoUrl = null, logoWidth = null, logoHeight = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
     if (typeof publisher === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -128,11 +128,14 @@ export class ArticleBuilder extends BaseProfileBuilder {
 
   /**
    * Set author
-   * @param {string|Object} author - Author name or Person/Organization object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person/Organization object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {ArticleBuilder} This builder for chaining
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -158,7 +161,7 @@ export class ArticleBuilder extends BaseProfileBuilder {
    */
   datePublished(date) {
     if (this.sanitizeInputs) {
-      this.data.datePublished = this.sanitizer.sanitizeDate(date);
+      this.setDate('datePublished', date);
     } else {
       this.data.datePublished = date instanceof Date ? date.toISOString() : date;
     }
@@ -172,7 +175,7 @@ export class ArticleBuilder extends BaseProfileBuilder {
    */
   dateModified(date) {
     if (this.sanitizeInputs) {
-      this.data.dateModified = this.sanitizer.sanitizeDate(date);
+      this.setDate('dateModified', date);
     } else {
       this.data.dateModified = date instanceof Date ? date.toISOString() : date;
     }
@@ -212,7 +215,7 @@ export class ArticleBuilder extends BaseProfileBuilder {
 
   /**
    * Set publisher
-   * @param {string|Object} publisher - Publisher name or Organization object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
    * @param {string} [url] - Publisher URL (if publisher is string)
    * @param {string} [logoUrl] - Publisher logo URL
    * @param {number} [logoWidth] - Logo width
@@ -220,6 +223,9 @@ export class ArticleBuilder extends BaseProfileBuilder {
    * @returns {ArticleBuilder} This builder for chaining
    */
   publisher(publisher, url = null, logoUrl = null, logoWidth = null, logoHeight = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
     if (typeof publisher === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -13,54 +13,221 @@ import {
   getEnhancedFieldSuggestions,
   FIELD_IMPORTANCE 
 } from '../field-metadata.mjs';
+import { resolveProfileType, getSchemaTypeName, SCHEMA_SUBTYPES } from '../profile-types.mjs';
+import { normalizeDuration, normalizeDateTime, checkTiming } from '../datetime.mjs';
+import { EntityBuilder } from './entity-builder.mjs';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+/**
+ * Builder methods that never receive fromObject() values
+ * @private
+ */
+const NON_SETTER_METHODS = /^(build|fromObject|importValue|addProperty|isValid|load|restoreState)$|^(get|set|create|update|check|validate|build|apply|add)[A-Z]/;
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const profiles = JSON.parse(readFileSync(join(__dirname, '../../profiles/index.json'), 'utf8'));
 
 // Re-export MODES for use in other builder files
 export { MODES };
 
+/**
+ * Check whether the second fromObject() argument is `{ mapping, strict }` options
+ *
+ * Mapping values are never booleans or objects, so a mapping is not mistaken
+ * for options.
+ * @private
+ */
+function isImportOptions(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    ((value.mapping !== null && typeof value.mapping === 'object') || typeof value.strict === 'boolean');
+}
+
+/**
+ * Check whether a data value is the one a mode injected (and not user data)
+ * @private
+ */
+function isModeValue(value, modeValue) {
+  return JSON.stringify(value) === JSON.stringify(modeValue);
+}
+
+/**
+ * Matches llmprofiles profile URLs, as injected by every mode and version
+ * @private
+ */
+const PROFILE_URL_PATTERN = /^https?:\/\/(www\.)?llmprofiles\.org\/profiles\//;
+
+/**
+ * Find the node of a type, or else of a Schema.org subtype, in a JSON-LD node, array or `@graph` document
+ * @private
+ */
+function findNode(container, type) {
+  if (!container || typeof container !== 'object') {
+    return null;
+  }
+  const nodes = Array.isArray(container) ? container : (Array.isArray(container['@graph']) ? container['@graph'] : [container]);
+  const hasType = types => candidate => candidate && typeof candidate === 'object' &&
+    [].concat(candidate['@type']).some(candidateType => types.includes(candidateType));
+  const node = nodes.find(hasType([type])) || nodes.find(hasType(SCHEMA_SUBTYPES[type] || []));
+  if (!node) {
+    return null;
+  }
+
+  const byId = new Map(nodes.filter(candidate => candidate && typeof candidate['@id'] === 'string').map(candidate => [candidate['@id'], candidate]));
+  const resolve = value => {
+    const isReference = value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value['@id'] === 'string';
+    return isReference && byId.has(value['@id']) && byId.get(value['@id']) !== node ? byId.get(value['@id']) : value;
+  };
+  const resolved = {};
+  Object.keys(node).forEach(key => {
+    resolved[key] = Array.isArray(node[key]) ? node[key].map(resolve) : resolve(node[key]);
+  });
+  return JSON.parse(JSON.stringify(resolved));
+}
+
+/**
+ * Put back date-only values that sanitizing expanded to a date-time
+ * @private
+ */
+function keepDateOnly(original, sanitized) {
+  if (typeof original === 'string' && typeof sanitized === 'string') {
+    return /^\d{4}-\d{2}-\d{2}$/.test(original.trim()) && sanitized.startsWith(`${original.trim()}T`) ? original.trim() : sanitized;
+  }
+  if (!original || !sanitized || typeof original !== 'object' || typeof sanitized !== 'object' ||
+    Array.isArray(original) !== Array.isArray(sanitized) || (Array.isArray(original) && original.length !== sanitized.length)) {
+    return sanitized;
+  }
+  const kept = Array.isArray(sanitized) ? [] : {};
+  Object.keys(sanitized).forEach(key => {
+    kept[key] = keepDateOnly(original[key], sanitized[key]);
+  });
+  return kept;
+}
+
+/**
+ * Remove the profile properties a mode injected from a loaded node
+ * @private
+ */
+function stripProfileProperties(node) {
+  const isProfileUrl = value => typeof value === 'string' && PROFILE_URL_PATTERN.test(value);
+  const isProfileValue = value => value && value['@type'] === 'PropertyValue' && value.name === 'profile' && isProfileUrl(value.value);
+
+  ['additionalType', 'schemaVersion', 'identifier', 'conformsTo', 'additionalProperty'].forEach(key => {
+    if (node[key] === undefined) {
+      return;
+    }
+    const kept = [].concat(node[key]).filter(value => !isProfileUrl(value) && !isProfileValue(value));
+    if (kept.length === 0) {
+      delete node[key];
+    } else {
+      node[key] = Array.isArray(node[key]) ? kept : kept[0];
+    }
+  });
+  return node;
+}
+
 export class BaseProfileBuilder {
   constructor(profileType, category, mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     this.data = {
       "@context": "https://schema.org",
-      "@type": profileType
+      "@type": getSchemaTypeName(profileType) || profileType
     };
     this.profileType = profileType;
     this.category = category;
     this.modeConfig = new ModeConfig(mode);
     this.sanitizeInputs = sanitizeInputs;
     this.sanitizer = defaultSanitizer;
+    // Argument names of methods that take scalars, for unpacking fromObject() values
+    this.objectArguments = {};
+    // Duration inputs setDuration() could not read, reported by validateInline()
+    this.invalidDurations = {};
     
     // Add mode-specific properties
     this.applyModeProperties();
   }
 
+  /**
+   * Get the published profile URL for this builder's profile
+   * @returns {string} Profile URL (e.g., 'https://llmprofiles.org/profiles/business/product-offer/v1/index.jsonld')
+   */
+  getProfileUrl() {
+    const profile = profiles[resolveProfileType(this.profileType)];
+    if (profile && profile.profileUrl) {
+      return profile.profileUrl;
+    }
+    return `https://llmprofiles.org/profiles/${this.category}/${this.profileType.toLowerCase()}/v1/index.jsonld`;
+  }
+
+  /**
+   * Get the profile properties a mode adds to the data
+   * @param {ModeConfig} [modeConfig] - Mode configuration (defaults to the builder's mode)
+   * @returns {Object} Properties by name
+   * @private
+   */
+  getModeProperties(modeConfig = this.modeConfig) {
+    const properties = {};
+    if (!this.category || !this.profileType) {
+      return properties;
+    }
+
+    const profileUrl = this.getProfileUrl();
+    if (modeConfig.usesAdditionalType()) {
+      properties.additionalType = profileUrl;
+    }
+    if (modeConfig.usesSchemaVersion()) {
+      properties.schemaVersion = profileUrl;
+    }
+    if (modeConfig.usesIdentifier()) {
+      properties.identifier = profileUrl;
+    }
+    if (modeConfig.usesConformsTo()) {
+      properties.conformsTo = profileUrl;
+    }
+    if (modeConfig.usesAdditionalProperty()) {
+      properties.additionalProperty = {
+        "@type": "PropertyValue",
+        "name": "profile",
+        "value": profileUrl
+      };
+    }
+    return properties;
+  }
+
   /**
    * Apply mode-specific properties
    * @private
    */
   applyModeProperties() {
-    if (this.category && this.profileType) {
-      const profileUrl = `https://llmprofiles.org/profiles/${this.category}/${this.profileType.toLowerCase()}/v1/index.jsonld`;
-      
-      if (this.modeConfig.usesAdditionalType()) {
-        this.data.additionalType = profileUrl;
-      }
-      
-      if (this.modeConfig.usesSchemaVersion()) {
-        this.data.schemaVersion = profileUrl;
-      }
-      
-      if (this.modeConfig.usesIdentifier()) {
-        this.data.identifier = profileUrl;
+    Object.assign(this.data, this.getModeProperties());
+  }
+
+  /**
+   * Get the builder data with the profile properties of another mode
+   * @private
+   */
+  getDataForMode(modeConfig) {
+    if (modeConfig.mode === this.modeConfig.mode) {
+      return this.data;
+    }
+
+    const injected = this.getModeProperties();
+    const properties = this.getModeProperties(modeConfig);
+    const data = {};
+    Object.keys(this.data).forEach(key => {
+      if (!isModeValue(this.data[key], injected[key])) {
+        data[key] = this.data[key];
+      } else if (key in properties) {
+        data[key] = properties[key];
       }
-      
-      if (this.modeConfig.usesAdditionalProperty()) {
-        this.data.additionalProperty = {
-          "@type": "PropertyValue",
-          "name": "profile",
-          "value": profileUrl
-        };
+    });
+    Object.keys(properties).forEach(key => {
+      if (!(key in data)) {
+        data[key] = properties[key];
       }
-    }
+    });
+    return data;
   }
 
   /**
@@ -90,41 +257,41 @@ export class BaseProfileBuilder {
       }
     }
     
-    if (mode && mode !== this.modeConfig.mode) {
-      // Rebuild with new mode
-      const newBuilder = new this.constructor(this.profileType, this.category, mode, this.sanitizeInputs);
-      // Copy all properties except the mode-specific ones
-      Object.keys(this.data).forEach(key => {
-        if (!['additionalType', 'schemaVersion', 'identifier', 'additionalProperty'].includes(key)) {
-          newBuilder.data[key] = this.data[key];
-        }
-      });
-      return newBuilder.build(null, options);
+    const modeConfig = mode ? new ModeConfig(mode) : this.modeConfig;
+    const data = this.getDataForMode(modeConfig);
+    if (modeConfig.separatesLLMBlock()) {
+      return this.buildSplitChannels(data, modeConfig);
     }
 
-    if (this.modeConfig.separatesLLMBlock()) {
-      return this.buildSplitChannels();
-    }
-
-    return { ...this.data };
+    return { ...data };
   }
 
   /**
    * Build split channels output
    * @private
    */
-  buildSplitChannels() {
-    const seoData = { ...this.data };
-    const llmData = { ...this.data };
+  buildSplitChannels(data = this.data, modeConfig = this.modeConfig) {
+    const seoData = { ...data };
+    const llmData = { ...data };
+
+    // Drop the profile properties from the LLM block if the mode asks for it
+    if (!modeConfig.includesLLMProfileTriples()) {
+      const injected = this.getModeProperties(modeConfig);
+      Object.keys(injected).forEach(key => {
+        if (isModeValue(llmData[key], injected[key])) {
+          delete llmData[key];
+        }
+      });
+    }
 
     // Add LLM-specific metadata
-    if (this.modeConfig.includesProfileMetadata()) {
+    if (modeConfig.includesProfileMetadata()) {
       llmData['@context'] = [
         "https://schema.org",
         {
           "llmprofiles": "https://llmprofiles.org/vocab#",
           "profile": {
-            "@id": `https://llmprofiles.org/profiles/${this.category}/${this.profileType.toLowerCase()}/v1`,
+            "@id": this.getProfileUrl().replace(/\/index\.jsonld$/, ''),
             "version": "1.0.0",
             "category": this.category,
             "optimizedFor": ["google-rich-results", "llm-processing"]
@@ -146,12 +313,81 @@ export class BaseProfileBuilder {
    * @returns {BaseProfileBuilder} This builder instance
    */
   addProperty(property, value) {
+    if (this.setAgent(property, value)) {
+      return this;
+    }
     if (this.sanitizeInputs && typeof value === 'string') {
       value = this.sanitizer.sanitizeString(value);
     }
     this.data[property] = value;
     return this;
   }
+  /**
+   * Set a duration property, normalized to ISO 8601
+   * @private
+   */
+  setDuration(property, duration) {
+    const normalized = normalizeDuration(duration);
+    delete this.invalidDurations[property];
+    if (normalized) {
+      this.data[property] = normalized;
+    } else if (duration !== null && duration !== undefined) {
+      this.invalidDurations[property] = duration;
+      if (!this.sanitizeInputs) {
+        this.data[property] = duration;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set a date property, normalized to ISO 8601
+   * @private
+   */
+  setDateTime(property, date, options = {}) {
+    const normalized = normalizeDateTime(date, options);
+    if (normalized) {
+      this.data[property] = normalized;
+    } else if (!this.sanitizeInputs && date !== null && date !== undefined) {
+      this.data[property] = date instanceof Date ? date.toISOString() : date;
+    }
+    return this;
+  }
+
+  /**
+   * Set a date property through the sanitizer
+   *
+   * Date-only strings are kept as written instead of becoming midnight UTC.
+   *
+   * @param {string} property - Property name
+   * @param {string|Date} date - Date
+   * @returns {BaseProfileBuilder} This builder for chaining
+   * @private
+   */
+  setDate(property, date) {
+    this.data[property] = keepDateOnly(date, this.sanitizer.sanitizeDate(date));
+    return this;
+  }
+  /**
+   * Set an agent property (author, publisher, organizer...) from a builder
+   *
+   * PersonBuilder, OrganizationBuilder and profile builders are nested as
+   * nodes; anything else is left to the calling setter.
+   *
+   * @param {string} property - Property name
+   * @param {*} agent - Value passed to the setter
+   * @returns {boolean} Whether the value was a builder and has been set
+   * @private
+   */
+  setAgent(property, agent) {
+    if (agent instanceof EntityBuilder || agent instanceof BaseProfileBuilder) {
+      this.data[property] = agent.getNode();
+      return true;
+    }
+    return false;
+  }
+
+
 
   /**
    * Set the URL property
@@ -225,6 +461,207 @@ export class BaseProfileBuilder {
     return this.modeConfig.getLinkHeaderValue();
   }
 
+  /**
+   * Get the builder's data as a node for nesting in another builder's output,
+   * without `@context` and the profile properties the mode adds
+   * @returns {Object} Copy of the data
+   */
+  getNode() {
+    const injected = this.getModeProperties();
+    const node = {};
+    Object.keys(this.data).forEach(key => {
+      if (key !== '@context' && !isModeValue(this.data[key], injected[key])) {
+        node[key] = JSON.parse(JSON.stringify(this.data[key]));
+      }
+    });
+    return node;
+  }
+
+  /**
+   * Fill the builder from a plain object, such as a record from a CMS
+   *
+   * Keys are routed to the builder method of the same name, or set with
+   * addProperty() when the profile defines them; see `importReport`.
+   *
+   * @param {Object} record - Source object
+   * @param {Object<string, string|Function|null>} [mapping={}] - Maps a source key to a builder
+   *   method or property name, to a function `(builder, value, record)` that applies the value,
+   *   or to null to skip the key. `{ mapping, strict }` options are accepted here too.
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.strict=false] - Throw when keys are unknown or rejected
+   * @returns {BaseProfileBuilder} This builder for chaining
+   * @throws {Error} In strict mode, when a key is unknown or its value is rejected
+   */
+  fromObject(record, mapping = {}, options = {}) {
+    if (isImportOptions(mapping)) {
+      options = mapping;
+      mapping = options.mapping || {};
+    }
+    const { strict = false } = options;
+    const report = { applied: [], unknown: [], rejected: [] };
+    this.importReport = report;
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return this;
+    }
+
+    const fields = this.getAllFieldsMetadata();
+    const profileFields = new Set([...fields.required, ...fields.recommended, ...fields.optional].map(field => field.name));
+
+    Object.keys(record).forEach(key => {
+      const value = record[key];
+      const target = Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : key;
+      if (target === null || value === null || value === undefined || key === '@context') {
+        return;
+      }
+
+      const before = JSON.stringify(this.data);
+      try {
+        if (typeof target === 'function') {
+          target(this, value, record);
+        } else if (!this.importValue(String(target), value, profileFields)) {
+          report.unknown.push(key);
+          return;
+        }
+      } catch (error) {
+        report.rejected.push({ field: key, message: error.message });
+        return;
+      }
+
+      // Values sanitized to null are left out, like invalid input elsewhere
+      if (typeof target !== 'function' && this.data[target] === null) {
+        delete this.data[target];
+      }
+      if (JSON.stringify(this.data) === before && typeof target !== 'function' && target !== '@type') {
+        report.rejected.push({ field: key, message: `Invalid value for ${target}` });
+      } else {
+        report.applied.push(key);
+      }
+    });
+
+    if (strict && (report.unknown.length > 0 || report.rejected.length > 0)) {
+      const problems = [
+        ...report.unknown.map(key => `${key}: unknown field`),
+        ...report.rejected.map(item => `${item.field}: ${item.message}`)
+      ];
+      throw new Error(`Cannot import ${this.data['@type']}: ${problems.join('; ')}`);
+    }
+    return this;
+  }
+
+  /**
+   * Apply one value of fromObject() through its builder method or addProperty()
+   * @returns {boolean} False when the property is unknown
+   * @private
+   */
+  importValue(property, value, profileFields) {
+    if (property === '@type') {
+      if (![].concat(value).includes(this.data['@type'])) {
+        throw new Error(`@type ${value} does not match ${this.data['@type']}`);
+      }
+      return true;
+    }
+    if (property === '@id') {
+      if (typeof value === 'string' && value.trim()) {
+        this.data['@id'] = value.trim();
+      }
+      return true;
+    }
+
+    if (typeof this[property] === 'function' && !(property in Object.prototype) && !NON_SETTER_METHODS.test(property)) {
+      // Methods taking scalar arguments get them unpacked from an object value
+      const argumentNames = this.objectArguments[property];
+      if (argumentNames && value && typeof value === 'object' && !Array.isArray(value)) {
+        this[property](...argumentNames.map(name => value[name]));
+      } else {
+        this[property](value);
+      }
+      return true;
+    }
+
+    if (profileFields.has(property)) {
+      this.addProperty(property, this.sanitizeInputs && typeof value === 'object'
+        ? this.sanitizer.sanitizeStructuredData(value, value['@type'])
+        : value);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Load existing JSON-LD into a new builder for editing
+   *
+   * Accepts a node, JSON string, array, `@graph` document or split-channel
+   * `{ seo, llm }` pair. Nodes of a Schema.org subtype (`NewsArticle`) keep
+   * their `@type` and date-only values stay date-only. Mode-injected profile
+   * properties are dropped.
+   *
+   * @param {Object|string} jsonld - JSON-LD to load
+   * @param {Object} [options={}] - Builder options
+   * @param {string} [options.mode] - Output mode (defaults to split-channels for `{ seo, llm }` pairs, otherwise strict-seo)
+   * @param {boolean} [options.sanitize=true] - Whether to sanitize the loaded data
+   * @returns {BaseProfileBuilder} Builder holding the node's properties
+   * @throws {Error} When the JSON cannot be parsed or holds no node of the builder's type
+   */
+  static from(jsonld, options = {}) {
+    let input = jsonld;
+    if (typeof input === 'string') {
+      try {
+        input = JSON.parse(input);
+      } catch (error) {
+        throw new Error(`Cannot parse JSON-LD: ${error.message}`);
+      }
+    }
+
+    const split = Boolean(input) && typeof input === 'object' && !Array.isArray(input) &&
+      input.seo !== undefined && input.llm !== undefined && input['@type'] === undefined;
+    const { mode = split ? MODES.SPLIT_CHANNELS : MODES.STRICT_SEO, sanitize = true } = options;
+    const builder = new this(mode, sanitize);
+    const type = builder.data['@type'];
+
+    const node = findNode(split ? input.seo : input, type);
+    if (!node) {
+      throw new Error(`No ${type} node found in the JSON-LD`);
+    }
+    if (split) {
+      // The LLM block may carry properties the SEO block leaves out
+      const llmNode = findNode(input.llm, type) || {};
+      Object.keys(llmNode).forEach(key => {
+        if (node[key] === undefined && key !== '@context') {
+          node[key] = llmNode[key];
+        }
+      });
+    }
+
+    builder.load(stripProfileProperties(node));
+    return builder;
+  }
+
+  /**
+   * Replace the builder data with a loaded node
+   * @private
+   */
+  load(node) {
+    const { '@context': context, '@type': type, ...rest } = node;
+    // Dates are loaded as written, so a date-only datePublished stays date-only
+    const properties = this.sanitizeInputs ? keepDateOnly(rest, this.sanitizer.sanitizeStructuredData(rest, this.profileType)) : rest;
+    Object.keys(properties).forEach(key => {
+      if (properties[key] !== null && properties[key] !== undefined) {
+        this.data[key] = properties[key];
+      }
+    });
+    // Keep subtypes and additional types such as 'NewsArticle' or ['Article', 'NewsArticle']
+    if (Array.isArray(type) || (typeof type === 'string' && type)) {
+      this.data['@type'] = type;
+    }
+    this.restoreState();
+  }
+
+  /**
+   * Rebuild state kept outside `data` after loading JSON-LD
+   * @private
+   */
+  restoreState() {}
+
   // ===== ENHANCED FIELD DISCOVERY AND AUTCOMPLETE METHODS =====
 
   /**
@@ -423,6 +860,20 @@ export class BaseProfileBuilder {
       });
     }
 
+    // Add warnings for durations that could not be read, and durations and dates that contradict each other
+    const unreadable = Object.keys(this.invalidDurations).map(property => ({
+      field: property,
+      message: `${property} (${JSON.stringify(this.invalidDurations[property])}) is not a duration`
+    }));
+    [...unreadable, ...checkTiming(this.data)].forEach(issue => {
+      validation.warnings.push({
+        field: issue.field,
+        message: issue.message,
+        action: 'Check the durations and dates',
+        severity: 'warning'
+      });
+    });
+
     // Add suggestions for optional fields
     if (suggestions.optional && suggestions.optional.length > 0) {
       validation.suggestions = suggestions.optional.slice(0, 5).map(field => ({
@@ -97,6 +97,9 @@ class BookBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('Book', 'content', mode, sanitizeInputs);
+    this.objectArguments = {
+      aggregateRating: ['ratingValue', 'reviewCount', 'bestRating', 'worstRating']
+    };
   }
 
   /**
@@ -106,7 +109,7 @@ class BookBuilder extends BaseProfileBuilder {
    * or a complete Person object. If a URL is provided with a string name,
    * it will create a Person object automatically.
    * 
-   * @param {string|Object} author - Author name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {BookBuilder} This builder for chaining
    * 
@@ -128,6 +131,9 @@ class BookBuilder extends BaseProfileBuilder {
    * });
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -248,11 +254,14 @@ class BookBuilder extends BaseProfileBuilder {
 
   /**
    * Set publisher
-   * @param {string|Object} publisher - Publisher name or Organization object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
    * @param {string} [url] - Publisher URL (if publisher is string)
    * @returns {BookBuilder} This builder for chaining
    */
   publisher(publisher, url = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
     if (typeof publisher === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -533,12 +542,15 @@ class BookBuilder extends BaseProfileBuilder {
 
   /**
    * Set copyright holder
-   * @param {string|Object} holder - Copyright holder name or Person/Organization object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} holder - Copyright holder name or Person/Organization object
    * @param {string} [url] - Holder URL (if holder is string)
    * @param {string} [type] - Holder type: 'Person' or 'Organization' (default: 'Organization')
    * @returns {BookBuilder} This builder for chaining
    */
   copyrightHolder(holder, url = null, type = 'Organization') {
+    if (this.setAgent('copyrightHolder', holder)) {
+      return this;
+    }
     if (typeof holder === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(holder) : holder;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
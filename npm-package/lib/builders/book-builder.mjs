@@ -97,15 +97,21 @@ export class BookBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('Book', 'content', mode, sanitizeInputs);
+    this.objectArguments = {
+      aggregateRating: ['ratingValue', 'reviewCount', 'bestRating', 'worstRating']
+    };
   }
 
   /**
    * Set author
-   * @param {string|Object} author - Author name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {BookBuilder} This builder for chaining
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -210,11 +216,14 @@ export class BookBuilder extends BaseProfileBuilder {
 
   /**
    * Set publisher
-   * @param {string|Object} publisher - Publisher name or Organization object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
    * @param {string} [url] - Publisher URL (if publisher is string)
    * @returns {BookBuilder} This builder for chaining
    */
   publisher(publisher, url = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
     if (typeof publisher === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
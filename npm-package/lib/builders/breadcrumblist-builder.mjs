@@ -0,0 +1,224 @@
+/**
+ * @fileoverview BreadcrumbListBuilder class for creating BreadcrumbList structured data objects
+ *
+ * This module provides a specialized builder for breadcrumb trails. Items are
+ * added in order from the site root to the current page; each becomes a
+ * ListItem whose `position` is numbered automatically, and relative item URLs
+ * are resolved against the first absolute one.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * import { BreadcrumbListBuilder } from './breadcrumblist-builder.mjs';
+ *
+ * const breadcrumb = new BreadcrumbListBuilder()
+ *   .addItem('Home', 'https://example.com/')
+ *   .addItem('Shoes', '/shoes')
+ *   .addItem('Trail Runner X')
+ *   .build();
+ * // itemListElement: [
+ * //   { "@type": "ListItem", "position": 1, "name": "Home", "item": "https://example.com/" },
+ * //   { "@type": "ListItem", "position": 2, "name": "Shoes", "item": "https://example.com/shoes" },
+ * //   { "@type": "ListItem", "position": 3, "name": "Trail Runner X" }
+ * // ]
+ */
+
+import { BaseProfileBuilder, MODES } from './base-builder.mjs';
+
+/**
+ * Get the URL of a ListItem's `item` (a URL or a Thing with `@id` or `url`)
+ * @private
+ */
+function getItemUrl(item) {
+  if (typeof item === 'string') {
+    return item;
+  }
+  if (item && typeof item === 'object') {
+    return item['@id'] || item.url || null;
+  }
+  return null;
+}
+
+/**
+ * BreadcrumbListBuilder class for creating BreadcrumbList structured data objects
+ *
+ * Can be passed to the `breadcrumb()` method of the WebPage, FAQPage and
+ * QAPage builders.
+ *
+ * @class BreadcrumbListBuilder
+ * @extends BaseProfileBuilder
+ * @example
+ * const breadcrumb = new BreadcrumbListBuilder()
+ *   .itemListElement([
+ *     { name: 'Docs', url: 'https://example.com/docs' },
+ *     { name: 'Guides', url: 'https://example.com/docs/guides' }
+ *   ]);
+ * const page = new WebPageBuilder().breadcrumb(breadcrumb);
+ */
+export class BreadcrumbListBuilder extends BaseProfileBuilder {
+  /**
+   * Create a new BreadcrumbListBuilder instance
+   *
+   * @param {string} [mode='strict-seo'] - The output mode
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
+    super('Breadcrumblist', 'content', mode, sanitizeInputs);
+    this.items = [];
+  }
+
+  /**
+   * Add the next item of the trail
+   *
+   * The item gets the next `position`. The URL may be relative to the first
+   * item's URL; the last item (the current page) may leave it out.
+   *
+   * @param {string|Object} name - Item name, or `{ name, url }` / ListItem object
+   * @param {string} [url] - Item URL
+   * @returns {BreadcrumbListBuilder} This builder for chaining
+   *
+   * @example
+   * breadcrumb.addItem('Home', 'https://example.com/').addItem('Shoes', '/shoes');
+   * breadcrumb.addItem({ name: 'Trail Runner X', url: '/shoes/trail-runner-x' });
+   */
+  addItem(name, url = null) {
+    const item = this.createItem(name, url);
+    if (item) {
+      this.items.push(item);
+      this.updateItems();
+    }
+    return this;
+  }
+
+  /**
+   * Set all items of the trail, replacing any added before
+   *
+   * Items are numbered in the order given; `position` values of ListItem
+   * objects are ignored.
+   *
+   * @param {Array<Object|Array>} items - `{ name, url }` objects, ListItem objects or `[name, url]` pairs
+   * @returns {BreadcrumbListBuilder} This builder for chaining
+   */
+  itemListElement(items) {
+    if (Array.isArray(items)) {
+      this.items = items
+        .map(item => (Array.isArray(item) ? this.createItem(item[0], item[1]) : this.createItem(item)))
+        .filter(Boolean);
+      this.updateItems();
+    }
+    return this;
+  }
+
+  /**
+   * Validate current state, warning about trails with a single item and
+   * items other than the last without a URL
+   * @returns {Object} Validation results (see BaseProfileBuilder#validateInline)
+   */
+  validateInline() {
+    const validation = super.validateInline();
+    if (this.items.length === 1) {
+      validation.warnings.push({
+        field: 'itemListElement',
+        message: 'A breadcrumb trail with a single item is not shown in search results',
+        action: 'Add the pages above the current one, starting from the site root',
+        severity: 'warning'
+      });
+    }
+    this.items.slice(0, -1).forEach((item, index) => {
+      if (!getItemUrl(item.item)) {
+        validation.errors.push({
+          field: 'itemListElement',
+          message: `Breadcrumb item ${index + 1} ("${item.name}") has no URL; only the last item may leave it out`,
+          action: 'Add the URL of the page the item links to',
+          severity: 'error'
+        });
+      }
+    });
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Create a ListItem from a name and URL or an object
+   * @private
+   */
+  createItem(name, url = null) {
+    let itemName = name;
+    let itemUrl = url;
+    if (name && typeof name === 'object') {
+      itemName = name.name;
+      itemUrl = name.item !== undefined ? name.item : name.url;
+    }
+    if (typeof itemName !== 'string' || !itemName.trim()) {
+      return null;
+    }
+
+    const item = {
+      "@type": "ListItem",
+      "name": this.sanitizeInputs ? this.sanitizer.sanitizeString(itemName) : itemName
+    };
+    if (!item.name) {
+      return null;
+    }
+
+    if (typeof itemUrl === 'string' && itemUrl.trim()) {
+      const resolved = this.resolveUrl(itemUrl.trim());
+      const sanitized = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(resolved) : resolved;
+      if (sanitized) {
+        item.item = sanitized;
+      }
+    } else if (itemUrl && typeof itemUrl === 'object' && !Array.isArray(itemUrl)) {
+      item.item = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(itemUrl, itemUrl['@type'] || 'Thing') : itemUrl;
+    }
+    return item;
+  }
+
+  /**
+   * Resolve a relative URL against the first absolute item URL
+   * @private
+   */
+  resolveUrl(url) {
+    const base = this.items.map(item => getItemUrl(item.item)).find(Boolean);
+    if (!base) {
+      return url;
+    }
+    try {
+      return new URL(url, base).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Write the items to the data, numbering their positions
+   * @private
+   */
+  updateItems() {
+    this.data.itemListElement = this.items.map((item, index) => {
+      const { '@type': type, name, ...rest } = item;
+      return { "@type": "ListItem", "position": index + 1, name, ...rest };
+    });
+  }
+
+  /**
+   * Rebuild the item list from loaded itemListElement nodes, in position order
+   * @private
+   */
+  restoreState() {
+    this.items = [].concat(this.data.itemListElement || [])
+      .filter(item => item && typeof item === 'object')
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => (Number(a.item.position) || a.index + 1) - (Number(b.item.position) || b.index + 1))
+      .map(({ item }) => {
+        const { position, ...rest } = item;
+        return rest;
+      });
+    if (this.items.length > 0) {
+      this.updateItems();
+    }
+  }
+}
+
+export default BreadcrumbListBuilder;
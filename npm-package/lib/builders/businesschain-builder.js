@@ -0,0 +1,501 @@
+/**
+ * @fileoverview BusinessChainBuilder class for generating the LocalBusiness nodes of a chain
+ *
+ * A LocalBusiness describes one storefront. Chains and franchises have many
+ * that share their brand data (logo, price range, payment methods) and each
+ * have their own address, coordinates, hours and telephone. The
+ * BusinessChainBuilder combines the organization, a template with the shared
+ * properties and a branch table (CSV or JSON) into one LocalBusinessBuilder
+ * per branch. Every branch links to the organization with
+ * `parentOrganization` and `branchOf`, can carry `department` sub-entities
+ * (pharmacy, service desk) and is checked together with the others for
+ * duplicate branch codes, coordinates and telephone numbers.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { BusinessChainBuilder } = require('./businesschain-builder');
+ *
+ * const chain = new BusinessChainBuilder({ baseUrl: 'https://megamart.example/stores' })
+ *   .organization(new OrganizationBuilder().name('MegaMart').url('https://megamart.example/'))
+ *   .template({ priceRange: '$$', openingHours: 'Mo-Sa 08:00-21:00' })
+ *   .department('pharmacy', { "@type": "Pharmacy", name: 'MegaMart Pharmacy', openingHours: 'Mo-Fr 09:00-19:00' })
+ *   .branches(fs.readFileSync('branches.csv', 'utf8'));
+ *
+ * chain.validate();             // { valid, branches: 400, errors: [...], warnings: [...] }
+ * const stores = chain.build(); // one LocalBusiness per branch
+ */
+
+const { BaseProfileBuilder, MODES } = require('./base-builder');
+const { EntityBuilder } = require('./entity-builder');
+const { LocalBusinessBuilder } = require('./localbusiness-builder');
+const { parseLocation } = require('./jobposting-builder');
+const { slugify, parseCsv } = require('../text-utils');
+
+/**
+ * Branch table columns and the properties they hold, keyed by the column
+ * name in lower case without spaces or punctuation
+ *
+ * Other columns are passed to the LocalBusinessBuilder method they name, in
+ * any case ('Name', 'URL', 'Price Range', 'openingHoursSpecification'...).
+ *
+ * @constant {Object<string, string>} BRANCH_COLUMNS
+ */
+const BRANCH_COLUMNS = {
+  id: 'branchCode',
+  branchcode: 'branchCode',
+  storeid: 'branchCode',
+  storenumber: 'branchCode',
+  street: 'streetAddress',
+  streetaddress: 'streetAddress',
+  city: 'addressLocality',
+  locality: 'addressLocality',
+  addresslocality: 'addressLocality',
+  state: 'addressRegion',
+  province: 'addressRegion',
+  region: 'addressRegion',
+  addressregion: 'addressRegion',
+  zip: 'postalCode',
+  zipcode: 'postalCode',
+  postcode: 'postalCode',
+  postalcode: 'postalCode',
+  country: 'addressCountry',
+  addresscountry: 'addressCountry',
+  lat: 'latitude',
+  latitude: 'latitude',
+  lng: 'longitude',
+  lon: 'longitude',
+  longitude: 'longitude',
+  phone: 'telephone',
+  telephone: 'telephone',
+  hours: 'openingHours',
+  openinghours: 'openingHours',
+  departments: 'departments'
+};
+
+/**
+ * PostalAddress properties, in address order
+ * @private
+ */
+const ADDRESS_PARTS = ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry'];
+
+/**
+ * Get the BRANCH_COLUMNS key of a column name ('Store ID' → 'storeid')
+ * @private
+ */
+function columnKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Get the property a column holds: a BRANCH_COLUMNS property, or the
+ * LocalBusinessBuilder method the column names in any case ('Price Range' → 'priceRange')
+ * @private
+ */
+function columnProperty(name) {
+  const key = columnKey(name);
+  if (BRANCH_COLUMNS[key]) {
+    return BRANCH_COLUMNS[key];
+  }
+  let prototype = LocalBusinessBuilder.prototype;
+  while (prototype && prototype !== Object.prototype) {
+    const method = Object.getOwnPropertyNames(prototype).find(candidate =>
+      candidate.toLowerCase() === key && typeof prototype[candidate] === 'function' && candidate !== 'constructor');
+    if (method) {
+      return method;
+    }
+    prototype = Object.getPrototypeOf(prototype);
+  }
+  return name;
+}
+
+/**
+ * Read a branch table given as CSV, a JSON string or an array of objects
+ * @private
+ */
+function toRows(table) {
+  if (typeof table === 'string') {
+    const text = table.replace(/^\uFEFF/, '').trim();
+    if (!text.startsWith('[') && !text.startsWith('{')) {
+      return text === '' ? [] : parseCsv(text);
+    }
+    try {
+      return toRows(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`Cannot parse branch table: ${error.message}`);
+    }
+  }
+  return (Array.isArray(table) ? table : [table])
+    .filter(row => row && typeof row === 'object' && !Array.isArray(row));
+}
+
+/**
+ * Split a branch row into LocalBusiness properties, the departments the
+ * branch has and their per-branch properties
+ * @private
+ */
+function readRow(row, departmentKeys) {
+  const properties = {};
+  const address = {};
+  const overrides = {};
+  const issues = [];
+  let selected = null;
+
+  Object.keys(row).forEach(column => {
+    const value = typeof row[column] === 'string' ? row[column].trim() : row[column];
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+
+    // 'pharmacy.phone' columns hold properties of a department
+    const dot = column.indexOf('.');
+    if (dot > 0 && departmentKeys.includes(column.slice(0, dot))) {
+      const key = column.slice(0, dot);
+      const property = column.slice(dot + 1);
+      overrides[key] = { ...overrides[key], [columnProperty(property)]: value };
+      return;
+    }
+
+    const property = columnProperty(column);
+    if (ADDRESS_PARTS.includes(property)) {
+      address[property] = String(value);
+    } else if (property === 'departments') {
+      if (typeof value === 'string') {
+        selected = value.split(/[;,|]/).map(key => key.trim());
+      } else if (Array.isArray(value)) {
+        selected = value.map(key => String(key).trim());
+      } else if (typeof value === 'object') {
+        selected = Object.keys(value);
+        selected.forEach(key => {
+          if (value[key] && typeof value[key] === 'object') {
+            overrides[key] = { ...overrides[key], ...value[key] };
+          }
+        });
+      }
+    } else {
+      properties[property] = value;
+    }
+  });
+
+  // A one-line address ('1 Main St, Springfield, IL 62701') fills the parts not given
+  if (typeof properties.address === 'string') {
+    const parsed = parseLocation(properties.address) || {};
+    Object.keys(parsed).forEach(part => {
+      if (address[part] === undefined) {
+        address[part] = parsed[part];
+      }
+    });
+    delete properties.address;
+  }
+  if (Object.keys(address).length > 0) {
+    const given = properties.address && typeof properties.address === 'object' ? properties.address : {};
+    properties.address = { "@type": "PostalAddress", ...given, ...address };
+  }
+
+  if (properties.latitude !== undefined || properties.longitude !== undefined) {
+    const latitude = Number(properties.latitude);
+    const longitude = Number(properties.longitude);
+    if (properties.latitude !== undefined && properties.longitude !== undefined && isFinite(latitude) && isFinite(longitude) &&
+      Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      properties.geo = { latitude, longitude };
+    } else {
+      issues.push({ field: 'geo', message: `Invalid coordinates: ${properties.latitude}, ${properties.longitude}` });
+    }
+    delete properties.latitude;
+    delete properties.longitude;
+  }
+
+  return { properties, overrides, selected, issues };
+}
+
+/**
+ * BusinessChainBuilder class for generating one LocalBusiness per branch of a chain
+ *
+ * Branch properties are applied on top of the template, so a branch can
+ * override shared values such as opening hours. Branches without a name take
+ * the organization's name. With a `baseUrl`, branches get an `@id` made
+ * from their branch code (or name and city) and the organization gets
+ * `#organization`.
+ *
+ * @class BusinessChainBuilder
+ * @example
+ * const chain = new BusinessChainBuilder()
+ *   .organization('Corner Coffee')
+ *   .template({ priceRange: '$', servesCuisine: 'Coffee' })
+ *   .branches([
+ *     { id: '1', address: '1 Main St, Springfield, IL 62701', phone: '+1-555-0101', lat: 39.80, lng: -89.64, hours: 'Mo-Fr 07:00-18:00' },
+ *     { id: '2', address: '9 Oak Ave, Peoria, IL 61602', phone: '+1-555-0102', lat: 40.69, lng: -89.59, hours: 'Mo-Su 07:00-20:00' }
+ *   ]);
+ * const stores = chain.build();
+ */
+class BusinessChainBuilder {
+  /**
+   * Create a new BusinessChainBuilder instance
+   *
+   * @param {Object} [options={}] - Chain options
+   * @param {string} [options.baseUrl=''] - URL of the store locator; generated `@id`s are fragments of it
+   * @param {string} [options.mode=MODES.STRICT_SEO] - Output mode of the branches
+   * @param {boolean} [options.sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(options = {}) {
+    const { baseUrl = '', mode = MODES.STRICT_SEO, sanitizeInputs = true } = options;
+    this.baseUrl = typeof baseUrl === 'string' ? baseUrl.replace(/#.*$/, '') : '';
+    this.mode = mode;
+    this.sanitizeInputs = sanitizeInputs;
+    this.parent = null;
+    this.shared = {};
+    this.departments = [];
+    this.rows = [];
+  }
+
+  /**
+   * Set the organization the branches belong to
+   *
+   * Branches link to it with its type, `@id`, name and URL; publish the full
+   * organization once, for example on the home page.
+   *
+   * @param {OrganizationBuilder|Object|string} organization - OrganizationBuilder, Organization object or name
+   * @returns {BusinessChainBuilder} This builder for chaining
+   */
+  organization(organization) {
+    let node = null;
+    if (organization instanceof EntityBuilder || organization instanceof BaseProfileBuilder) {
+      node = organization.getNode();
+    } else if (typeof organization === 'string' && organization.trim() !== '') {
+      node = { "@type": "Organization", "name": organization.trim() };
+    } else if (organization && typeof organization === 'object' && !Array.isArray(organization)) {
+      node = { "@type": "Organization", ...organization };
+    }
+    if (node && (node.name || node['@id'])) {
+      if (!node['@id'] && this.baseUrl) {
+        node['@id'] = `${this.baseUrl}#organization`;
+      }
+      this.parent = node;
+    }
+    return this;
+  }
+
+  /**
+   * Set the properties every branch shares
+   *
+   * Keys are applied like {@link BaseProfileBuilder#fromObject} applies them,
+   * through the LocalBusinessBuilder method of the same name.
+   *
+   * @param {Object|LocalBusinessBuilder} template - Shared LocalBusiness properties
+   * @returns {BusinessChainBuilder} This builder for chaining
+   */
+  template(template) {
+    if (template instanceof BaseProfileBuilder) {
+      const { '@type': type, ...properties } = template.getNode();
+      this.shared = properties;
+    } else if (template && typeof template === 'object' && !Array.isArray(template)) {
+      this.shared = { ...template };
+    }
+    return this;
+  }
+
+  /**
+   * Declare a department that branches have
+   *
+   * Every branch gets the department unless its `departments` column lists
+   * the departments it has. Columns named '<key>.<property>' ('pharmacy.phone',
+   * 'pharmacy.hours') give the department's properties at that branch.
+   *
+   * @param {string} key - Department key used in the branch table (e.g., 'pharmacy')
+   * @param {Object|LocalBusinessBuilder} properties - Department properties, with at least a name
+   * @returns {BusinessChainBuilder} This builder for chaining
+   *
+   * @example
+   * chain.department('pharmacy', { "@type": "Pharmacy", name: 'MegaMart Pharmacy', openingHours: 'Mo-Fr 09:00-19:00' });
+   */
+  department(key, properties) {
+    const node = properties instanceof BaseProfileBuilder ? properties.getNode() : properties;
+    if (typeof key !== 'string' || key.trim() === '' || !node || typeof node !== 'object' || Array.isArray(node)) {
+      return this;
+    }
+    this.departments = this.departments
+      .filter(department => department.key !== key.trim())
+      .concat({ key: key.trim(), properties: { ...node } });
+    return this;
+  }
+
+  /**
+   * Set the branch table, replacing earlier branches
+   *
+   * CSV needs a header row. Columns are matched with BRANCH_COLUMNS ('city',
+   * 'zip', 'lat', 'phone', 'hours'...); an 'address' column may hold the
+   * whole address on one line.
+   *
+   * @param {string|Object[]} table - CSV text, JSON text or an array of branch objects
+   * @returns {BusinessChainBuilder} This builder for chaining
+   * @throws {Error} When a JSON table cannot be parsed
+   */
+  branches(table) {
+    this.rows = toRows(table);
+    return this;
+  }
+
+  /**
+   * Add one branch
+   * @param {Object} branch - Branch object with the columns of a branch table
+   * @returns {BusinessChainBuilder} This builder for chaining
+   */
+  addBranch(branch) {
+    this.rows.push(...toRows(branch));
+    return this;
+  }
+
+  /**
+   * Create a LocalBusinessBuilder for every branch
+   *
+   * Builders are created anew on every call, so changes to them do not
+   * carry over to later calls.
+   *
+   * @returns {LocalBusinessBuilder[]} One builder per branch, in table order
+   */
+  getBranches() {
+    return this.createBranches().map(branch => branch.builder);
+  }
+
+  /**
+   * Validate the whole set of branches
+   *
+   * Errors are the missing required fields of each branch and branch codes
+   * or `@id`s used twice, as are identical coordinates: two storefronts
+   * cannot share them, so they usually come from geocoding a city instead of
+   * the street address. A shared telephone number is a warning, since chains
+   * often route branches to one line; numbers are compared on their digits.
+   * Columns that match no property and values the builder rejected are
+   * warnings too.
+   *
+   * @returns {{valid: boolean, branches: number, errors: Object[], warnings: Object[]}} Validation
+   *   results; fields are prefixed with the branch ('branches[3].telephone')
+   */
+  validate() {
+    const branches = this.createBranches();
+    const errors = [];
+    const warnings = [];
+    const issue = (index, field, message, action, severity) => ({
+      field: `branches[${index}].${field}`,
+      message,
+      action,
+      severity
+    });
+
+    branches.forEach(({ builder, issues }, index) => {
+      builder.validateInline().errors.forEach(error => {
+        errors.push({ ...error, field: `branches[${index}].${error.field}` });
+      });
+      issues.forEach(problem => {
+        warnings.push(issue(index, problem.field, problem.message, 'Check the branch table', 'warning'));
+      });
+      builder.importReport.unknown.forEach(column => {
+        warnings.push(issue(index, column, `Unknown column ${column}`, 'Rename the column or map it to a LocalBusiness property', 'warning'));
+      });
+      builder.importReport.rejected.forEach(rejected => {
+        warnings.push(issue(index, rejected.field, rejected.message, 'Check the branch table', 'warning'));
+      });
+    });
+
+    const duplicates = (property, keyOf, describe, list, action, severity) => {
+      const seen = new Map();
+      branches.forEach(({ builder }, index) => {
+        const value = builder.data[property];
+        const key = value === undefined ? null : keyOf(value);
+        if (key === null || key === '') {
+          return;
+        }
+        if (seen.has(key)) {
+          list.push(issue(index, property, `${describe(value)} is also used by branches[${seen.get(key)}]`, action, severity));
+        } else {
+          seen.set(key, index);
+        }
+      });
+    };
+    const geoKey = geo => (isFinite(geo.latitude) && isFinite(geo.longitude)
+      ? `${Number(geo.latitude).toFixed(5)},${Number(geo.longitude).toFixed(5)}`
+      : null);
+    const digits = telephone => String(telephone).replace(/\D/g, '');
+    duplicates('branchCode', String, code => `Branch code ${code}`, errors, 'Give every branch its own code', 'error');
+    duplicates('@id', String, id => `@id ${id}`, errors, 'Give every branch its own @id', 'error');
+    duplicates('geo', geoKey, geo => `Location ${geo.latitude}, ${geo.longitude}`, errors, 'Geocode the street address of the branch', 'error');
+    duplicates('telephone', digits, telephone => `Telephone ${telephone}`, warnings, 'Give the direct number of the branch', 'warning');
+
+    return { valid: errors.length === 0, branches: branches.length, errors, warnings };
+  }
+
+  /**
+   * Build every branch
+   *
+   * @param {Object} [options={}] - Build options
+   * @param {boolean} [options.validate=true] - Whether to validate the set first (see validate())
+   * @param {boolean} [options.throwOnError=true] - Whether to throw when the set has errors, or warn
+   * @returns {Object[]} One LocalBusiness per branch, in table order (`{ seo, llm }` pairs in split-channels mode)
+   * @throws {Error} When validation finds errors and throwOnError is true
+   */
+  build(options = {}) {
+    const { validate = true, throwOnError = true } = options;
+    if (validate) {
+      const validation = this.validate();
+      if (!validation.valid) {
+        const shown = validation.errors.slice(0, 5).map(error => `${error.field}: ${error.message}`);
+        const more = validation.errors.length > shown.length ? ` (and ${validation.errors.length - shown.length} more)` : '';
+        const errorMessage = `Invalid branches: ${shown.join('; ')}${more}. Use validate() for detailed validation results.`;
+        if (throwOnError) {
+          throw new Error(errorMessage);
+        }
+        console.warn(`Warning: ${errorMessage}`);
+      }
+    }
+    return this.getBranches().map(builder => builder.build(null, { ...options, validate: false }));
+  }
+
+  /**
+   * Create the builder of every branch with the problems found reading its row
+   * @private
+   */
+  createBranches() {
+    const usedIds = new Set();
+    const keys = this.departments.map(department => department.key);
+    return this.rows.map(row => {
+      const { properties, overrides, selected, issues } = readRow(row, keys);
+      const builder = new LocalBusinessBuilder(this.mode, this.sanitizeInputs).fromObject(this.shared);
+      builder.fromObject(properties);
+
+      if (!builder.data.name && this.parent && this.parent.name) {
+        builder.name(this.parent.name);
+      }
+      if (this.parent) {
+        const link = {};
+        ['@type', '@id', 'name', 'url'].forEach(property => {
+          if (this.parent[property] !== undefined) {
+            link[property] = this.parent[property];
+          }
+        });
+        builder.parentOrganization(link).branchOf(link);
+      }
+      this.departments
+        .filter(department => !selected || selected.includes(department.key))
+        .forEach(department => builder.addDepartment({ ...department.properties, ...overrides[department.key] }));
+
+      if (!builder.data['@id'] && this.baseUrl) {
+        const address = builder.data.address || {};
+        const name = slugify(builder.data.branchCode || `${builder.data.name || ''} ${address.addressLocality || ''}`) || 'branch';
+        let id = `${this.baseUrl}#branch-${name}`;
+        for (let n = 2; usedIds.has(id); n++) {
+          id = `${this.baseUrl}#branch-${name}-${n}`;
+        }
+        builder.data['@id'] = id;
+      }
+      usedIds.add(builder.data['@id']);
+      return { builder, issues };
+    });
+  }
+}
+
+module.exports = {
+  BusinessChainBuilder,
+  BRANCH_COLUMNS
+};
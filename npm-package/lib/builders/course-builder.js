@@ -59,6 +59,7 @@
  */
 
 const { BaseProfileBuilder, MODES } = require('./base-builder');
+const { normalizeDateTime } = require('../datetime');
 
 /**
  * CourseBuilder class for creating Course structured data objects
@@ -107,11 +108,14 @@ class CourseBuilder extends BaseProfileBuilder {
 
   /**
    * Set course provider
-   * @param {string|Object} provider - Provider name or Organization object
+   * @param {OrganizationBuilder|string|Object} provider - Provider name or Organization object
    * @param {string} [url] - Provider URL (if provider is string)
    * @returns {CourseBuilder} This builder for chaining
    */
   provider(provider, url = null) {
+    if (this.setAgent('provider', provider)) {
+      return this;
+    }
     if (typeof provider === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(provider) : provider;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -132,11 +136,14 @@ class CourseBuilder extends BaseProfileBuilder {
 
   /**
    * Set instructor
-   * @param {string|Object} instructor - Instructor name or Person object
+   * @param {PersonBuilder|string|Object} instructor - Instructor name or Person object
    * @param {string} [url] - Instructor URL (if instructor is string)
    * @returns {CourseBuilder} This builder for chaining
    */
   instructor(instructor, url = null) {
+    if (this.setAgent('instructor', instructor)) {
+      return this;
+    }
     if (typeof instructor === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(instructor) : instructor;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -199,16 +206,11 @@ class CourseBuilder extends BaseProfileBuilder {
 
   /**
    * Set time required
-   * @param {string} time - Time required (e.g., 'P40H' for 40 hours)
+   * @param {string|number|Object} time - Time required (e.g., 'PT40H', '40 hours', { hours: 40 })
    * @returns {CourseBuilder} This builder for chaining
    */
   timeRequired(time) {
-    if (this.sanitizeInputs) {
-      this.data.timeRequired = this.sanitizer.sanitizeString(time);
-    } else {
-      this.data.timeRequired = time;
-    }
-    return this;
+    return this.setDuration('timeRequired', time);
   }
 
   /**
@@ -387,8 +389,8 @@ class CourseBuilder extends BaseProfileBuilder {
   /**
    * Add course instance
    * @param {string} mode - Course mode
-   * @param {string} startDate - Start date
-   * @param {string} [endDate] - End date
+   * @param {string|Date} startDate - Start date
+   * @param {string|Date} [endDate] - End date
    * @param {string|Object} [location] - Location
    * @returns {CourseBuilder} This builder for chaining
    */
@@ -397,14 +399,18 @@ class CourseBuilder extends BaseProfileBuilder {
       this.data.hasCourseInstance = [];
     }
 
+    // Dates that do not parse are dropped, or kept as given without sanitization
+    const date = value => normalizeDateTime(value) || (this.sanitizeInputs ? null : value);
     const instance = {
       "@type": "CourseInstance",
-      "courseMode": this.sanitizeInputs ? this.sanitizer.sanitizeString(mode) : mode,
-      "startDate": this.sanitizeInputs ? this.sanitizer.sanitizeString(startDate) : startDate
+      "courseMode": this.sanitizeInputs ? this.sanitizer.sanitizeString(mode) : mode
     };
 
-    if (endDate) {
-      instance.endDate = this.sanitizeInputs ? this.sanitizer.sanitizeString(endDate) : endDate;
+    if (date(startDate)) {
+      instance.startDate = date(startDate);
+    }
+    if (endDate && date(endDate)) {
+      instance.endDate = date(endDate);
     }
 
     if (location) {
@@ -107,11 +107,14 @@ export class CourseBuilder extends BaseProfileBuilder {
 
   /**
    * Set course provider
-   * @param {string|Object} provider - Provider name or Organization object
+   * @param {OrganizationBuilder|string|Object} provider - Provider name or Organization object
    * @param {string} [url] - Provider URL (if provider is string)
    * @returns {CourseBuilder} This builder for chaining
    */
   provider(provider, url = null) {
+    if (this.setAgent('provider', provider)) {
+      return this;
+    }
     if (typeof provider === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(provider) : provider;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -133,11 +136,14 @@ export class CourseBuilder extends BaseProfileBuilder {
 
   /**
    * Set instructor
-   * @param {string|Object} instructor - Instructor name or Person object
+   * @param {PersonBuilder|string|Object} instructor - Instructor name or Person object
    * @param {string} [url] - Instructor URL (if instructor is string)
    * @returns {CourseBuilder} This builder for chaining
    */
   instructor(instructor, url = null) {
+    if (this.setAgent('instructor', instructor)) {
+      return this;
+    }
     if (typeof instructor === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(instructor) : instructor;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -201,16 +207,11 @@ export class CourseBuilder extends BaseProfileBuilder {
 
   /**
    * Set time required
-   * @param {string} time - Time required (e.g., 'P40H' for 40 hours)
+   * @param {string|number|Object} time - Time required (e.g., 'PT40H', '40 hours', { hours: 40 })
    * @returns {CourseBuilder} This builder for chaining
    */
   timeRequired(time) {
-    if (this.sanitizeInputs) {
-      this.data.timeRequired = this.sanitizer.sanitizeString(time);
-    } else {
-      this.data.timeRequired = time;
-    }
-    return this;
+    return this.setDuration('timeRequired', time);
   }
 
   /**
@@ -262,5 +263,3 @@ export class CourseBuilder extends BaseProfileBuilder {
     return this;
   }
 }
-
-export { CourseBuilder };
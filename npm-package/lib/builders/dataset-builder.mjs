@@ -118,11 +118,14 @@ export class DatasetBuilder extends BaseProfileBuilder {
 
   /**
    * Set dataset creator
-   * @param {string|Object|Array} creator - Creator name, Person object, or array of creators
+   * @param {PersonBuilder|OrganizationBuilder|string|Object|Array} creator - Creator name, Person object, or array of creators
    * @param {string} [url] - Creator URL (if creator is string)
    * @returns {DatasetBuilder} This builder for chaining
    */
   creator(creator, url = null) {
+    if (this.setAgent('creator', creator)) {
+      return this;
+    }
     if (typeof creator === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(creator) : creator;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -147,6 +150,34 @@ export class DatasetBuilder extends BaseProfileBuilder {
     return this;
   }
 
+  /**
+   * Set publisher
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
+   * @param {string} [url] - Publisher URL (if publisher is string)
+   * @returns {DatasetBuilder} This builder for chaining
+   */
+  publisher(publisher, url = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
+    if (typeof publisher === 'string') {
+      const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
+      const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+      this.data.publisher = {
+        "@type": "Organization",
+        "name": sanitizedName
+      };
+      if (sanitizedUrl) this.data.publisher.url = sanitizedUrl;
+    } else if (publisher && typeof publisher === 'object') {
+      if (this.sanitizeInputs) {
+        this.data.publisher = this.sanitizer.sanitizeStructuredData(publisher, publisher['@type'] || 'Organization');
+      } else {
+        this.data.publisher = publisher;
+      }
+    }
+    return this;
+  }
+
   /**
    * Set publication date
    * @param {string|Date} date - Publication date
@@ -0,0 +1,532 @@
+/**
+ * @fileoverview EntityBuilder base class for Person and Organization entities
+ *
+ * Persons and organizations appear inside other nodes (as authors, publishers,
+ * hiring organizations, organizers or providers) rather than as pages of
+ * their own, so they have no profile and no output mode. An EntityBuilder
+ * builds one such node, with the identity properties that let search engines
+ * and LLMs tell entities of the same name apart: a stable `@id` and `sameAs`
+ * links to Wikidata, LinkedIn, ORCID and other authority records.
+ *
+ * Every profile builder setter that takes a person or organization accepts an
+ * EntityBuilder and nests its node.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { PersonBuilder } = require('./person-builder');
+ *
+ * const author = new PersonBuilder()
+ *   .id('https://example.com/#jane-doe')
+ *   .name('Jane Doe')
+ *   .sameAs('Q42', '0000-0002-1825-0097', 'https://www.linkedin.com/in/janedoe');
+ * articleBuilder.author(author);
+ */
+
+const { defaultSanitizer } = require('../sanitizer');
+
+/**
+ * Entity builder methods that never receive fromObject() values
+ * @private
+ */
+const ENTITY_NON_SETTERS = /^(build|fromObject|validateInline|addProperty|getNode)$|^(set|create)[A-Z]/;
+
+/**
+ * Check an ORCID iD checksum (ISO 7064 MOD 11-2)
+ * @private
+ */
+function isValidOrcid(orcid) {
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (let i = 0; i < 15; i++) {
+    total = (total + Number(digits[i])) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  return digits[15].toUpperCase() === (result === 10 ? 'X' : String(result));
+}
+
+/**
+ * Normalize a `sameAs` link to the canonical URL of its authority record
+ *
+ * Wikidata items ('Q42', 'wikidata:Q42', any wikidata.org item URL) become
+ * 'https://www.wikidata.org/wiki/Q42'; ORCID iDs ('0000-0002-1825-0097',
+ * 'orcid:…', orcid.org URLs) become 'https://orcid.org/0000-0002-1825-0097'
+ * and are checked against their checksum; LinkedIn profile and company URLs
+ * lose tracking parameters and trailing slashes. Other URLs are returned as
+ * given.
+ *
+ * @param {string} value - Identifier or URL
+ * @returns {string|null} Canonical URL, or null if the value is not a valid identifier or URL
+ *
+ * @example
+ * normalizeSameAs('Q42');                                       // 'https://www.wikidata.org/wiki/Q42'
+ * normalizeSameAs('https://linkedin.com/in/janedoe/?trk=abc');  // 'https://www.linkedin.com/in/janedoe'
+ */
+function normalizeSameAs(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const text = value.trim();
+
+  const wikidata = text.match(/^(?:wikidata:)?(Q[1-9]\d*)$/i) ||
+    text.match(/^(?:https?:\/\/)?(?:www\.|m\.)?wikidata\.org\/(?:wiki|entity)\/(Q[1-9]\d*)\/?$/i);
+  if (wikidata) {
+    return `https://www.wikidata.org/wiki/${wikidata[1].toUpperCase()}`;
+  }
+
+  const orcid = text.match(/^(?:orcid:)?(\d{4}-\d{4}-\d{4}-\d{3}[\dX])$/i) ||
+    text.match(/^(?:https?:\/\/)?(?:www\.)?orcid\.org\/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])\/?$/i);
+  if (orcid) {
+    return isValidOrcid(orcid[1]) ? `https://orcid.org/${orcid[1].toUpperCase()}` : null;
+  }
+
+  const url = defaultSanitizer.sanitizeUrl(text);
+  if (!url) {
+    return null;
+  }
+  const linkedin = url.match(/^https?:\/\/(?:[a-z]{2,3}\.|www\.)?linkedin\.com\/(in|company|school)\/([^/?#]+)/i);
+  if (linkedin) {
+    return `https://www.linkedin.com/${linkedin[1].toLowerCase()}/${linkedin[2]}`;
+  }
+  return url;
+}
+
+/**
+ * EntityBuilder class, the base of PersonBuilder and OrganizationBuilder
+ *
+ * @class EntityBuilder
+ */
+class EntityBuilder {
+  /**
+   * Create a new EntityBuilder instance
+   *
+   * @param {string} type - Schema.org type of the entity
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(type, sanitizeInputs = true) {
+    this.data = {
+      "@context": "https://schema.org",
+      "@type": type
+    };
+    this.sanitizeInputs = sanitizeInputs;
+    this.sanitizer = defaultSanitizer;
+  }
+
+  /**
+   * Set the `@id` other nodes refer to the entity by
+   *
+   * Use the same `@id` wherever the entity appears so that every mention
+   * resolves to one entity.
+   *
+   * @param {string} id - Absolute URL or fragment ('#jane-doe')
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  id(id) {
+    if (typeof id !== 'string' || !id.trim()) {
+      return this;
+    }
+    let value = id.trim();
+    if (this.sanitizeInputs) {
+      value = value.startsWith('#') ? this.sanitizer.sanitizeString(value) : this.sanitizer.sanitizeUrl(value);
+    }
+    if (value) {
+      this.data['@id'] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Set the name
+   * @param {string} name - Name
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  name(name) {
+    return this.setText('name', name);
+  }
+
+  /**
+   * Set other names the entity is known by
+   * @param {string|string[]} alternateName - Alternate name or names
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  alternateName(alternateName) {
+    const names = [].concat(alternateName)
+      .filter(name => typeof name === 'string' && name.trim())
+      .map(name => (this.sanitizeInputs ? this.sanitizer.sanitizeString(name) : name))
+      .filter(Boolean);
+    if (names.length > 0) {
+      this.data.alternateName = names.length === 1 ? names[0] : names;
+    }
+    return this;
+  }
+
+  /**
+   * Set the description
+   * @param {string} description - Description
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  description(description) {
+    return this.setText('description', description);
+  }
+
+  /**
+   * Set the URL of the entity's own page
+   * @param {string} url - URL
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  url(url) {
+    const sanitized = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+    if (sanitized) {
+      this.data.url = sanitized;
+    }
+    return this;
+  }
+
+  /**
+   * Set an image of the entity
+   * @param {string|Object} image - Image URL or ImageObject
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  image(image) {
+    const node = this.createImage(image);
+    if (node) {
+      this.data.image = node;
+    }
+    return this;
+  }
+
+  /**
+   * Add links to records of the same entity elsewhere
+   *
+   * Wikidata items, ORCID iDs and LinkedIn URLs are normalized (see
+   * {@link normalizeSameAs}); invalid values are ignored and duplicates are
+   * added once.
+   *
+   * @param {...(string|string[])} links - URLs or identifiers such as 'Q42' and '0000-0002-1825-0097'
+   * @returns {EntityBuilder} This builder for chaining
+   *
+   * @example
+   * person.sameAs('Q42', 'https://www.linkedin.com/in/janedoe');
+   */
+  sameAs(...links) {
+    const values = links.flat()
+      .map(link => (this.sanitizeInputs ? normalizeSameAs(link) : link))
+      .filter(link => typeof link === 'string' && link);
+    const merged = [...new Set([...[].concat(this.data.sameAs || []), ...values])];
+    if (merged.length > 0) {
+      this.data.sameAs = merged.length === 1 ? merged[0] : merged;
+    }
+    return this;
+  }
+
+  /**
+   * Add topics the entity is known for
+   *
+   * Topics are names, or `{ name, sameAs }` objects linking the topic to its
+   * Wikidata item so that it is not confused with another of the same name.
+   *
+   * @param {...(string|Object|Array)} topics - Topic names, Thing objects or `{ name, sameAs }` objects
+   * @returns {EntityBuilder} This builder for chaining
+   *
+   * @example
+   * person.knowsAbout('JSON-LD', { name: 'Python', sameAs: 'Q28865' });
+   * // knowsAbout: ['JSON-LD', { "@type": "Thing", "name": "Python", "sameAs": "https://www.wikidata.org/wiki/Q28865" }]
+   */
+  knowsAbout(...topics) {
+    const values = topics.flat().map(topic => this.createTopic(topic)).filter(Boolean);
+    const existing = [].concat(this.data.knowsAbout || []);
+    values.forEach(value => {
+      if (!existing.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+        existing.push(value);
+      }
+    });
+    if (existing.length > 0) {
+      this.data.knowsAbout = existing.length === 1 ? existing[0] : existing;
+    }
+    return this;
+  }
+
+  /**
+   * Set the postal address
+   * @param {string|Object} address - Address text or PostalAddress object
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  address(address) {
+    if (typeof address === 'string') {
+      return this.setText('address', address);
+    }
+    if (address && typeof address === 'object' && !Array.isArray(address)) {
+      const node = { "@type": "PostalAddress", ...address };
+      this.data.address = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, 'PostalAddress') : node;
+    }
+    return this;
+  }
+
+  /**
+   * Set the email address
+   * @param {string} email - Email address
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  email(email) {
+    const sanitized = this.sanitizeInputs ? this.sanitizer.sanitizeEmail(email) : email;
+    if (sanitized) {
+      this.data.email = sanitized;
+    }
+    return this;
+  }
+
+  /**
+   * Set the telephone number
+   * @param {string} telephone - Telephone number
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  telephone(telephone) {
+    const sanitized = this.sanitizeInputs ? this.sanitizer.sanitizePhone(telephone) : telephone;
+    if (sanitized) {
+      this.data.telephone = sanitized;
+    }
+    return this;
+  }
+
+  /**
+   * Add a contact point, such as customer service or sales
+   *
+   * @param {string|Object} contactType - Contact type ('customer service'), or a ContactPoint object
+   * @param {Object} [details={}] - `telephone`, `email`, `url`, `areaServed`, `availableLanguage`, `contactOption`, `hoursAvailable`
+   * @returns {EntityBuilder} This builder for chaining
+   *
+   * @example
+   * organization.contactPoint('customer service', { telephone: '+1-555-0100', availableLanguage: ['en', 'es'] });
+   */
+  contactPoint(contactType, details = {}) {
+    const source = contactType && typeof contactType === 'object'
+      ? contactType
+      : { ...(details && typeof details === 'object' ? details : {}), contactType };
+    if (typeof source.contactType !== 'string' || !source.contactType.trim()) {
+      return this;
+    }
+
+    const { '@type': type, ...rest } = source;
+    let point = { "@type": "ContactPoint", ...rest };
+    if (this.sanitizeInputs) {
+      point = this.sanitizer.sanitizeStructuredData(point, 'ContactPoint');
+      if (point.telephone !== undefined) point.telephone = this.sanitizer.sanitizePhone(point.telephone);
+      if (point.email !== undefined) point.email = this.sanitizer.sanitizeEmail(point.email);
+      Object.keys(point).forEach(key => point[key] === null && delete point[key]);
+    }
+    if (!point.telephone && !point.email && !point.url) {
+      return this;
+    }
+
+    this.data.contactPoint = [].concat(this.data.contactPoint || [], point);
+    if (this.data.contactPoint.length === 1) {
+      this.data.contactPoint = this.data.contactPoint[0];
+    }
+    return this;
+  }
+
+  /**
+   * Add any custom property
+   * @param {string} property - Property name
+   * @param {*} value - Property value
+   * @returns {EntityBuilder} This builder for chaining
+   */
+  addProperty(property, value) {
+    if (value instanceof EntityBuilder) {
+      this.data[property] = value.getNode();
+    } else if (this.sanitizeInputs && typeof value === 'string') {
+      this.data[property] = this.sanitizer.sanitizeString(value);
+    } else {
+      this.data[property] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Fill the builder from a plain object, as BaseProfileBuilder#fromObject does
+   *
+   * Each key is routed to the setter of the same name. Entities have no
+   * profile to check other keys against, so those are set with addProperty().
+   * What happened to each key is stored in `importReport`; `unknown` is
+   * always empty.
+   *
+   * @param {Object} record - Source object
+   * @param {Object<string, string|Function|null>} [mapping={}] - Maps a source key to a setter or
+   *   property name, to a function `(builder, value, record)` that applies the value, or to null to skip the key
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.strict=false] - Throw when a value is rejected
+   * @returns {EntityBuilder} This builder for chaining
+   * @throws {Error} In strict mode, when a value is rejected
+   *
+   * @example
+   * createBuilder('Organization').fromObject({ title: 'Acme', url: 'https://acme.example' }, { title: 'name' });
+   */
+  fromObject(record, mapping = {}, options = {}) {
+    const { strict = false } = options || {};
+    const report = { applied: [], unknown: [], rejected: [] };
+    this.importReport = report;
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return this;
+    }
+
+    Object.keys(record).forEach(key => {
+      const value = record[key];
+      const target = mapping && Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : key;
+      if (target === null || value === null || value === undefined || key === '@context' || target === '@type') {
+        return;
+      }
+
+      const before = JSON.stringify(this.data);
+      try {
+        if (typeof target === 'function') {
+          target(this, value, record);
+        } else if (target === '@id') {
+          this.id(value);
+        } else if (typeof this[target] === 'function' && !(target in Object.prototype) && !ENTITY_NON_SETTERS.test(target)) {
+          this[target](value);
+        } else {
+          this.addProperty(String(target), value);
+        }
+      } catch (error) {
+        report.rejected.push({ field: key, message: error.message });
+        return;
+      }
+
+      if (JSON.stringify(this.data) === before && typeof target !== 'function') {
+        report.rejected.push({ field: key, message: `Invalid value for ${target}` });
+      } else {
+        report.applied.push(key);
+      }
+    });
+
+    if (strict && report.rejected.length > 0) {
+      const problems = report.rejected.map(item => `${item.field}: ${item.message}`);
+      throw new Error(`Cannot import ${this.data['@type']}: ${problems.join('; ')}`);
+    }
+    return this;
+  }
+
+  /**
+   * Check the entity before build(), in the shape of BaseProfileBuilder#validateInline
+   *
+   * The only required field of an entity is its name.
+   *
+   * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} Validation results
+   */
+  validateInline() {
+    const valid = typeof this.data.name === 'string' && this.data.name.length > 0;
+    return {
+      valid,
+      errors: valid ? [] : [{ field: 'name', message: `A ${this.data['@type']} needs a name`, severity: 'error' }],
+      warnings: []
+    };
+  }
+
+  /**
+   * Get the entity as a node for nesting in another node, without `@context`
+   * @returns {Object} Copy of the data
+   */
+  getNode() {
+    const { '@context': context, ...node } = JSON.parse(JSON.stringify(this.data));
+    return node;
+  }
+
+  /**
+   * Build the entity as a standalone JSON-LD object
+   * @returns {Object} JSON-LD object with `@context`
+   * @throws {Error} When the entity has no name
+   */
+  build() {
+    if (typeof this.data.name !== 'string' || !this.data.name) {
+      throw new Error(`Missing required fields: name (${this.data['@type']})`);
+    }
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  /**
+   * Set a text property, ignoring empty values
+   * @private
+   */
+  setText(property, value) {
+    if (typeof value === 'string' && value.trim()) {
+      const text = this.sanitizeInputs ? this.sanitizer.sanitizeString(value) : value;
+      if (text) {
+        this.data[property] = text;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Create a nested entity node from a builder, an object or a name
+   * @private
+   */
+  createEntity(entity, type) {
+    if (entity instanceof EntityBuilder) {
+      return entity.getNode();
+    }
+    if (typeof entity === 'string') {
+      const name = this.sanitizeInputs ? this.sanitizer.sanitizeString(entity) : entity.trim();
+      return name ? { "@type": type, "name": name } : null;
+    }
+    if (entity && typeof entity === 'object' && !Array.isArray(entity)) {
+      const node = { "@type": type, ...entity };
+      return this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, node['@type']) : node;
+    }
+    return null;
+  }
+
+  /**
+   * Create an ImageObject from a URL or object
+   * @private
+   */
+  createImage(image, width = null, height = null) {
+    let node = null;
+    if (typeof image === 'string') {
+      const url = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(image) : image;
+      node = url ? { "@type": "ImageObject", "url": url } : null;
+    } else if (image && typeof image === 'object' && !Array.isArray(image)) {
+      node = { "@type": "ImageObject", ...image };
+      node = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, 'ImageObject') : node;
+    }
+    if (node) {
+      [['width', width], ['height', height]].forEach(([property, value]) => {
+        const size = Number(value);
+        if (value !== null && Number.isInteger(size) && size > 0) {
+          node[property] = size;
+        }
+      });
+    }
+    return node;
+  }
+
+  /**
+   * Create a knowsAbout topic from a name or object
+   * @private
+   */
+  createTopic(topic) {
+    if (typeof topic === 'string') {
+      return (this.sanitizeInputs ? this.sanitizer.sanitizeString(topic) : topic.trim()) || null;
+    }
+    if (!topic || typeof topic !== 'object' || Array.isArray(topic)) {
+      return null;
+    }
+    const node = { "@type": "Thing", ...topic };
+    if (node.sameAs !== undefined && this.sanitizeInputs) {
+      const links = [].concat(node.sameAs).map(normalizeSameAs).filter(Boolean);
+      if (links.length > 0) {
+        node.sameAs = links.length === 1 ? links[0] : links;
+      } else {
+        delete node.sameAs;
+      }
+    }
+    return this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, node['@type']) : node;
+  }
+}
+
+module.exports = {
+  EntityBuilder,
+  normalizeSameAs
+};
@@ -55,20 +55,362 @@
  *   .build();
  * 
  * @example
- * // Virtual event
+ * // Virtual event (eventAttendanceMode is inferred from the locations)
  * const event = new EventBuilder()
  *   .name('Online JavaScript Meetup')
  *   .description('Monthly JavaScript meetup with guest speakers')
  *   .startDate('2024-02-20T19:00:00Z')
  *   .endDate('2024-02-20T21:00:00Z')
- *   .location('Online')
+ *   .virtualLocation('https://meet.example.com/js')
  *   .organizer('JS Community')
- *   .eventStatus('https://schema.org/EventScheduled')
- *   .eventAttendanceMode('https://schema.org/OnlineEventAttendanceMode')
+ *   .eventStatus('EventScheduled')
+ *   .build();
+ *
+ * @example
+ * // Weekly series, expanded into dated sub-events
+ * const series = new EventSeriesBuilder()
+ *   .name('Tuesday Yoga')
+ *   .startDate('2024-09-03')
+ *   .location('Studio 5', '5 Park Lane, London')
+ *   .eventSchedule({
+ *     repeatFrequency: 'weekly',
+ *     byDay: 'Tuesday',
+ *     startDate: '2024-09-03',
+ *     endDate: '2024-12-17',
+ *     startTime: '18:30',
+ *     endTime: '19:30',
+ *     exceptDate: '2024-10-29',
+ *     scheduleTimezone: 'Europe/London'
+ *   })
+ *   .addScheduledEvents('2024-09-01', '2024-09-30')
  *   .build();
  */
 
 import { BaseProfileBuilder, MODES } from './base-builder.mjs';
+import { EntityBuilder } from './entity-builder.mjs';
+import { DAYS_OF_WEEK } from './localbusiness-builder.mjs';
+import { normalizeDateTime, normalizeDuration, parseDuration } from '../datetime.mjs';
+
+/**
+ * Event statuses, as schema.org EventStatusType names
+ *
+ * @constant {string[]} EVENT_STATUSES
+ */
+export const EVENT_STATUSES = ['EventScheduled', 'EventCancelled', 'EventPostponed', 'EventRescheduled', 'EventMovedOnline'];
+
+/**
+ * Attendance modes, as schema.org EventAttendanceModeEnumeration names
+ *
+ * @constant {string[]} ATTENDANCE_MODES
+ */
+export const ATTENDANCE_MODES = ['OfflineEventAttendanceMode', 'OnlineEventAttendanceMode', 'MixedEventAttendanceMode'];
+
+/**
+ * Words accepted for a schedule's `repeatFrequency`, with their ISO 8601 durations
+ * @private
+ */
+const REPEAT_FREQUENCIES = {
+  daily: 'P1D',
+  weekly: 'P1W',
+  biweekly: 'P2W',
+  fortnightly: 'P2W',
+  monthly: 'P1M',
+  yearly: 'P1Y',
+  annually: 'P1Y'
+};
+
+const DAY_MILLISECONDS = 86400000;
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Strip the schema.org prefix from an enumeration value
+ * @private
+ */
+function enumName(value) {
+  return String(value).trim().replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, '');
+}
+
+/**
+ * Parse a repeat frequency ('weekly', 'P2W') into a count and a unit (D, W, M or Y)
+ * @private
+ */
+function parseFrequency(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = REPEAT_FREQUENCIES[value.trim().toLowerCase()] || value.trim().toUpperCase();
+  const match = text.match(/^P(\d+)([DWMY])$/);
+  return match && Number(match[1]) > 0 ? { count: Number(match[1]), unit: match[2] } : null;
+}
+
+/**
+ * Index in DAYS_OF_WEEK of a day name, two-letter code or schema.org day URL
+ * @private
+ */
+function dayIndex(day) {
+  const name = typeof day === 'string' ? enumName(day).toLowerCase() : '';
+  return name.length < 2 ? -1 : DAYS_OF_WEEK.findIndex(full => full.toLowerCase().startsWith(name));
+}
+
+/**
+ * Normalize '18:30' or '18:30:00' to 'HH:MM'
+ * @private
+ */
+function toTime(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  return match && Number(match[1]) < 24 && Number(match[2]) < 60 ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Check that a time zone is known
+ * @private
+ */
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone !== '';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Days since 1970-01-01 of a 'YYYY-MM-DD' date
+ * @private
+ */
+function dayNumber(date) {
+  return Math.floor(Date.parse(`${date.slice(0, 10)}T00:00:00Z`) / DAY_MILLISECONDS);
+}
+
+/**
+ * 'YYYY-MM-DD' date of a day number
+ * @private
+ */
+function dateOf(day) {
+  return new Date(day * DAY_MILLISECONDS).toISOString().slice(0, 10);
+}
+
+/**
+ * Calendar date of a window bound, in the schedule's time zone for Date objects
+ * @private
+ */
+function toLocalDate(input, timeZone) {
+  const date = normalizeDateTime(input, { timeZone: timeZone || 'UTC' });
+  return date ? date.slice(0, 10) : null;
+}
+
+/**
+ * Shift an ISO date or date-time, keeping its form and UTC offset
+ * @private
+ */
+function shiftDateTime(text, milliseconds) {
+  const match = typeof text === 'string' && text.match(LOCAL_DATE_TIME);
+  if (!match) {
+    return null;
+  }
+  const [, date, time, zone = ''] = match;
+  const shifted = new Date(Date.parse(`${date}T${time || '00:00'}Z`) + milliseconds).toISOString();
+  return time ? `${shifted.slice(0, time.length === 5 ? 16 : 19)}${zone}` : shifted.slice(0, 10);
+}
+
+/**
+ * Date-time of a local date and time, with the UTC offset the time zone has then
+ * @private
+ */
+function zonedDateTime(date, time, timeZone, zone) {
+  if (!timeZone) {
+    return `${date}T${time}:00${zone}`;
+  }
+  const wall = Date.parse(`${date}T${time}:00Z`);
+  let instant = wall;
+  // Two passes settle the offset around daylight saving changes
+  for (let pass = 0; pass < 2; pass++) {
+    const local = normalizeDateTime(new Date(instant), { timeZone });
+    instant = wall - (Date.parse(`${local.slice(0, 19)}Z`) - instant);
+  }
+  return normalizeDateTime(new Date(instant), { timeZone });
+}
+
+/**
+ * Attendance mode the locations imply: offline for places, online for virtual locations, mixed for both
+ * @private
+ */
+function attendanceModeOf(locations) {
+  const virtual = locations.some(location => location['@type'] === 'VirtualLocation');
+  const physical = locations.some(location => location['@type'] !== 'VirtualLocation');
+  return virtual && physical ? 'MixedEventAttendanceMode' : virtual ? 'OnlineEventAttendanceMode' : 'OfflineEventAttendanceMode';
+}
+
+/**
+ * Build a schema.org Schedule from loose values; null without a valid repeatFrequency
+ * @private
+ */
+function createSchedule(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return null;
+  }
+  const frequency = parseFrequency(input.repeatFrequency);
+  if (!frequency) {
+    return null;
+  }
+  const schedule = { "@type": "Schedule", "repeatFrequency": `P${frequency.count}${frequency.unit}` };
+  const list = value => [].concat(value === undefined || value === null ? [] : value)
+    .reduce((items, item) => items.concat(typeof item === 'string' ? item.split(',') : item), []);
+  const numbers = (value, max) => list(value).map(Number).filter(number => Number.isInteger(number) && number >= 1 && number <= max);
+
+  const days = list(input.byDay).map(dayIndex).filter(day => day >= 0);
+  if (days.length > 0) {
+    schedule.byDay = DAYS_OF_WEEK.filter((day, index) => days.includes(index));
+  }
+  const monthDays = numbers(input.byMonthDay, 31);
+  if (monthDays.length > 0) {
+    schedule.byMonthDay = monthDays;
+  }
+  const months = numbers(input.byMonth, 12);
+  if (months.length > 0) {
+    schedule.byMonth = months;
+  }
+  ['startDate', 'endDate'].forEach(property => {
+    const date = normalizeDateTime(input[property]);
+    if (date) {
+      schedule[property] = date;
+    }
+  });
+  ['startTime', 'endTime'].forEach(property => {
+    const time = toTime(input[property]);
+    if (time) {
+      schedule[property] = time;
+    }
+  });
+  const duration = normalizeDuration(input.duration);
+  if (duration) {
+    schedule.duration = duration;
+  }
+  const count = Number(input.repeatCount);
+  if (Number.isInteger(count) && count > 0) {
+    schedule.repeatCount = count;
+  }
+  const except = list(input.exceptDate).map(date => normalizeDateTime(date)).filter(Boolean);
+  if (except.length > 0) {
+    schedule.exceptDate = except;
+  }
+  if (isTimeZone(input.scheduleTimezone)) {
+    schedule.scheduleTimezone = input.scheduleTimezone;
+  }
+  return schedule;
+}
+
+/**
+ * Expand a schedule into the occurrences that start within a date window
+ *
+ * Occurrences are counted from the schedule's `startDate` (or the window
+ * start), stop at its `endDate` or after `repeatCount`, and follow
+ * `repeatFrequency` ('P1D', 'P2W', 'P1M', 'P1Y') restricted by `byDay`,
+ * `byMonthDay` and `byMonth`. Without `byDay` or `byMonthDay` an
+ * occurrence falls on the weekday (weekly) or day of the month
+ * (monthly, yearly) of the first one. Dates listed in `exceptDate` are
+ * skipped. Times are local to `scheduleTimezone` and written with the
+ * offset in effect on the day; without a time zone, the offset of the
+ * schedule's `startDate` is used. Occurrences end at `endTime` (the next
+ * day when it is not after `startTime`) or after `duration`.
+ *
+ * @param {Object} schedule - schema.org Schedule (loose values are accepted, as in EventBuilder#eventSchedule)
+ * @param {string|Date} from - First day of the window
+ * @param {string|Date} to - Last day of the window, inclusive
+ * @param {Object} [options={}] - Expansion options
+ * @param {number} [options.limit=500] - Maximum number of occurrences returned
+ * @returns {Array<{startDate: string, endDate?: string}>} Occurrences in date order
+ *
+ * @example
+ * expandSchedule({ repeatFrequency: 'P1W', byDay: ['Tuesday', 'Thursday'], startTime: '18:30', duration: 'PT1H',
+ *   scheduleTimezone: 'Europe/London' }, '2024-10-22', '2024-10-31');
+ * // [{ startDate: '2024-10-22T18:30:00+01:00', endDate: '2024-10-22T19:30:00+01:00' },
+ * //  { startDate: '2024-10-24T18:30:00+01:00', ... }, { startDate: '2024-10-29T18:30:00+00:00', ... }, ...]
+ */
+export function expandSchedule(schedule, from, to, options = {}) {
+  const { limit = 500 } = options;
+  const spec = createSchedule(schedule);
+  if (!spec) {
+    return [];
+  }
+  const timeZone = spec.scheduleTimezone || null;
+  const windowStart = toLocalDate(from, timeZone);
+  const windowEnd = toLocalDate(to, timeZone);
+  if (!windowStart || !windowEnd) {
+    return [];
+  }
+
+  const { count, unit } = parseFrequency(spec.repeatFrequency);
+  const first = spec.startDate ? dayNumber(spec.startDate) : dayNumber(windowStart);
+  const last = Math.min(dayNumber(windowEnd), spec.endDate ? dayNumber(spec.endDate) : Infinity);
+  const weekday = day => (((day + 3) % 7) + 7) % 7;
+  const parts = day => dateOf(day).split('-').map(Number);
+  const [firstYear, firstMonth, firstDate] = parts(first);
+  const days = spec.byDay ? spec.byDay.map(dayIndex) : null;
+
+  // The time and offset of a startDate with a time ('2024-09-03T18:30:00+01:00')
+  const start = (spec.startDate || '').match(LOCAL_DATE_TIME) || [];
+  const startTime = spec.startTime || (start[2] ? start[2].slice(0, 5) : null);
+  const zone = start[3] || '';
+  const exceptDays = new Set((spec.exceptDate || []).filter(date => date.length === 10));
+  const exceptTimes = new Set((spec.exceptDate || []).filter(date => date.length > 10).map(Date.parse));
+
+  const matches = day => {
+    const [year, month, date] = parts(day);
+    const onDay = days ? days.includes(weekday(day)) : true;
+    switch (unit) {
+      case 'D':
+        return (day - first) % count === 0 && onDay &&
+          (!spec.byMonthDay || spec.byMonthDay.includes(date)) && (!spec.byMonth || spec.byMonth.includes(month));
+      case 'W':
+        return Math.floor((day - (first - weekday(first))) / 7) % count === 0 &&
+          (days ? onDay : weekday(day) === weekday(first));
+      case 'M':
+        return ((year - firstYear) * 12 + month - firstMonth) % count === 0 &&
+          (!spec.byMonth || spec.byMonth.includes(month)) &&
+          (spec.byMonthDay ? spec.byMonthDay.includes(date) : days ? onDay : date === firstDate);
+      default:
+        return (year - firstYear) % count === 0 &&
+          (spec.byMonth ? spec.byMonth.includes(month) : month === firstMonth) &&
+          (spec.byMonthDay ? spec.byMonthDay.includes(date) : days ? onDay : date === firstDate);
+    }
+  };
+
+  const occurrences = [];
+  let seen = 0;
+  for (let day = first; day <= last && occurrences.length < limit; day++) {
+    if (!matches(day)) {
+      continue;
+    }
+    seen++;
+    if (spec.repeatCount && seen > spec.repeatCount) {
+      break;
+    }
+    const date = dateOf(day);
+    if (day < dayNumber(windowStart) || exceptDays.has(date)) {
+      continue;
+    }
+    if (!startTime) {
+      occurrences.push({ startDate: date });
+      continue;
+    }
+
+    const occurrence = { startDate: zonedDateTime(date, startTime, timeZone, zone) };
+    if (exceptTimes.has(Date.parse(occurrence.startDate))) {
+      continue;
+    }
+    if (spec.endTime) {
+      occurrence.endDate = zonedDateTime(spec.endTime > startTime ? date : dateOf(day + 1), spec.endTime, timeZone, zone);
+    } else if (spec.duration) {
+      const milliseconds = parseDuration(spec.duration) * 1000;
+      occurrence.endDate = timeZone
+        ? normalizeDateTime(new Date(Date.parse(occurrence.startDate) + milliseconds), { timeZone })
+        : shiftDateTime(occurrence.startDate, milliseconds);
+    }
+    occurrences.push(occurrence);
+  }
+  return occurrences;
+}
 
 /**
  * EventBuilder class for creating Event structured data objects
@@ -114,6 +456,8 @@ export class EventBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('Event', 'interaction', mode, sanitizeInputs);
+    // eventAttendanceMode follows the locations until it is set explicitly
+    this.attendanceModeGiven = false;
   }
 
   /**
@@ -146,76 +490,74 @@ export class EventBuilder extends BaseProfileBuilder {
 
   /**
    * Set start date
-   * @param {string|Date} date - Start date (ISO 8601 format)
+   * @param {string|Date|number} date - Start date (ISO 8601 format)
+   * @param {string} [timeZone] - IANA time zone for Date input (e.g., 'Europe/Paris')
    * @returns {EventBuilder} This builder for chaining
    */
-  startDate(date) {
-    if (this.sanitizeInputs) {
-      this.data.startDate = this.sanitizer.sanitizeDate(date);
-    } else {
-      this.data.startDate = date instanceof Date ? date.toISOString() : date;
-    }
-    return this;
+  startDate(date, timeZone = null) {
+    return this.setDateTime('startDate', date, { timeZone });
   }
 
   /**
    * Set end date
-   * @param {string|Date} date - End date (ISO 8601 format)
+   * @param {string|Date|number} date - End date (ISO 8601 format)
+   * @param {string} [timeZone] - IANA time zone for Date input (e.g., 'Europe/Paris')
    * @returns {EventBuilder} This builder for chaining
    */
-  endDate(date) {
-    if (this.sanitizeInputs) {
-      this.data.endDate = this.sanitizer.sanitizeDate(date);
-    } else {
-      this.data.endDate = date instanceof Date ? date.toISOString() : date;
-    }
-    return this;
+  endDate(date, timeZone = null) {
+    return this.setDateTime('endDate', date, { timeZone });
   }
 
   /**
    * Set event location
-   * @param {string|Object} location - Location string or Place object
+   *
+   * Replaces the physical location and keeps a virtual one, so a hybrid
+   * event lists both. An array sets every location at once.
+   *
+   * @param {string|Object|Array} location - Location string, Place or VirtualLocation object, or an array of them
    * @param {string} [address] - Address (if location is string)
    * @param {number} [latitude] - Latitude (if location is string)
    * @param {number} [longitude] - Longitude (if location is string)
    * @returns {EventBuilder} This builder for chaining
    */
   location(location, address = null, latitude = null, longitude = null) {
-    if (typeof location === 'string') {
-      const sanitizedLocation = this.sanitizeInputs ? this.sanitizer.sanitizeString(location) : location;
-      const sanitizedAddress = this.sanitizeInputs ? this.sanitizer.sanitizeString(address) : address;
-      
-      this.data.location = {
-        "@type": "Place",
-        "name": sanitizedLocation
-      };
-      
-      if (address) {
-        this.data.location.address = {
-          "@type": "PostalAddress",
-          "streetAddress": sanitizedAddress
-        };
-      }
-      
-      if (latitude && longitude) {
-        this.data.location.geo = {
-          "@type": "GeoCoordinates",
-          "latitude": latitude,
-          "longitude": longitude
-        };
-      }
-    } else if (location && typeof location === 'object') {
-      if (this.sanitizeInputs) {
-        this.data.location = this.sanitizer.sanitizeStructuredData(location, location['@type'] || 'Place');
-      } else {
-        this.data.location = location;
+    if (Array.isArray(location)) {
+      const places = location.map(item => this.createLocation(item)).filter(Boolean);
+      if (places.length > 0) {
+        this.setLocations(places);
       }
+      return this;
+    }
+
+    const place = typeof location === 'string' ? this.createLocation(location) : null;
+    if (place && address) {
+      place.address = {
+        "@type": "PostalAddress",
+        "streetAddress": this.sanitizeInputs ? this.sanitizer.sanitizeString(address) : address
+      };
+    }
+    if (place && latitude && longitude) {
+      place.geo = {
+        "@type": "GeoCoordinates",
+        "latitude": latitude,
+        "longitude": longitude
+      };
+    }
+
+    const created = place || this.createLocation(location);
+    if (created) {
+      const virtual = created['@type'] === 'VirtualLocation';
+      this.setLocations([created, ...this.getLocations().filter(item => (item['@type'] === 'VirtualLocation') !== virtual)]);
     }
     return this;
   }
 
   /**
    * Set virtual location for online events
+   *
+   * Replaces the virtual location and keeps a physical one, so a hybrid
+   * event lists both.
+   *
    * @param {string} url - Virtual event URL
    * @param {string} [name] - Virtual location name
    * @returns {EventBuilder} This builder for chaining
@@ -223,27 +565,34 @@ export class EventBuilder extends BaseProfileBuilder {
   virtualLocation(url, name = null) {
     const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
     const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(name) : name;
-    
-    this.data.location = {
+    if (!sanitizedUrl) {
+      return this;
+    }
+
+    const location = {
       "@type": "VirtualLocation",
       "url": sanitizedUrl
     };
     
     if (name) {
-      this.data.location.name = sanitizedName;
+      location.name = sanitizedName;
     }
     
+    this.setLocations([...this.getLocations().filter(item => item['@type'] !== 'VirtualLocation'), location]);
     return this;
   }
 
   /**
    * Set event organizer
-   * @param {string|Object} organizer - Organizer name or Organization/Person object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} organizer - Organizer name or Organization/Person object
    * @param {string} [url] - Organizer URL (if organizer is string)
    * @param {string} [email] - Organizer email (if organizer is string)
    * @returns {EventBuilder} This builder for chaining
    */
   organizer(organizer, url = null, email = null) {
+    if (this.setAgent('organizer', organizer)) {
+      return this;
+    }
     if (typeof organizer === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(organizer) : organizer;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -268,12 +617,15 @@ export class EventBuilder extends BaseProfileBuilder {
 
   /**
    * Set event performer
-   * @param {string|Object} performer - Performer name or Person/PerformingGroup object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} performer - Performer name or Person/PerformingGroup object
    * @param {string} [url] - Performer URL (if performer is string)
    * @param {string} [type] - Performer type (Person or PerformingGroup)
    * @returns {EventBuilder} This builder for chaining
    */
   performer(performer, url = null, type = 'Person') {
+    if (this.setAgent('performer', performer)) {
+      return this;
+    }
     if (typeof performer === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(performer) : performer;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -296,13 +648,15 @@ export class EventBuilder extends BaseProfileBuilder {
 
   /**
    * Add multiple performers
-   * @param {Array} performers - Array of performer objects or strings
+   * @param {Array} performers - Array of PersonBuilders, OrganizationBuilders, performer objects or strings
    * @returns {EventBuilder} This builder for chaining
    */
   performers(performers) {
     if (Array.isArray(performers)) {
       this.data.performer = performers.map(performer => {
-        if (typeof performer === 'string') {
+        if (performer instanceof EntityBuilder) {
+          return performer.getNode();
+        } else if (typeof performer === 'string') {
           return {
             "@type": "Person",
             "name": this.sanitizeInputs ? this.sanitizer.sanitizeString(performer) : performer
@@ -349,12 +703,14 @@ export class EventBuilder extends BaseProfileBuilder {
 
   /**
    * Set event status
-   * @param {string} status - Event status (EventScheduled, EventCancelled, EventPostponed, EventRescheduled)
+   *
+   * A rescheduled event also needs its original date; see reschedule().
+   *
+   * @param {string} status - Event status (EventScheduled, EventCancelled, EventPostponed, EventRescheduled, EventMovedOnline)
    * @returns {EventBuilder} This builder for chaining
    */
   eventStatus(status) {
-    const validStatuses = ['EventScheduled', 'EventCancelled', 'EventPostponed', 'EventRescheduled'];
-    if (validStatuses.includes(status)) {
+    if (EVENT_STATUSES.includes(status)) {
       this.data.eventStatus = `https://schema.org/${status}`;
     } else {
       this.data.eventStatus = status;
@@ -364,19 +720,280 @@ export class EventBuilder extends BaseProfileBuilder {
 
   /**
    * Set event attendance mode
+   *
+   * Without this, the mode follows the locations: a Place makes the event
+   * offline, a VirtualLocation online and both mixed.
+   *
    * @param {string} mode - Attendance mode (OfflineEventAttendanceMode, OnlineEventAttendanceMode, MixedEventAttendanceMode)
    * @returns {EventBuilder} This builder for chaining
    */
   eventAttendanceMode(mode) {
-    const validModes = ['OfflineEventAttendanceMode', 'OnlineEventAttendanceMode', 'MixedEventAttendanceMode'];
-    if (validModes.includes(mode)) {
+    if (ATTENDANCE_MODES.includes(mode)) {
       this.data.eventAttendanceMode = `https://schema.org/${mode}`;
     } else {
       this.data.eventAttendanceMode = mode;
     }
+    this.attendanceModeGiven = true;
+    return this;
+  }
+
+  /**
+   * Reschedule the event
+   *
+   * Moves the current start date to `previousStartDate`, sets the new dates
+   * and marks the event EventRescheduled. Without a new end date, the end
+   * moves with the start so the event keeps its length.
+   *
+   * @param {string|Date|number} startDate - New start date
+   * @param {string|Date|number} [endDate] - New end date
+   * @param {string} [timeZone] - IANA time zone for Date input (e.g., 'Europe/Paris')
+   * @returns {EventBuilder} This builder for chaining
+   *
+   * @example
+   * event.startDate('2024-06-15T19:00:00-04:00').endDate('2024-06-15T22:00:00-04:00')
+   *   .reschedule('2024-06-22T19:00:00-04:00');
+   * // startDate '2024-06-22T19:00:00-04:00', endDate '2024-06-22T22:00:00-04:00',
+   * // previousStartDate '2024-06-15T19:00:00-04:00', eventStatus 'https://schema.org/EventRescheduled'
+   */
+  reschedule(startDate, endDate = null, timeZone = null) {
+    const start = normalizeDateTime(startDate, { timeZone });
+    const previous = this.data.startDate;
+    if (!start || start === previous) {
+      return this;
+    }
+
+    if (previous) {
+      const earlier = [].concat(this.data.previousStartDate || []).filter(date => date !== previous);
+      this.data.previousStartDate = earlier.length > 0 ? [...earlier, previous] : previous;
+    }
+    const end = normalizeDateTime(endDate, { timeZone });
+    if (end) {
+      this.data.endDate = end;
+    } else if (previous && this.data.endDate) {
+      const length = Date.parse(this.data.endDate) - Date.parse(previous);
+      const moved = isNaN(length) ? null : shiftDateTime(start, length);
+      if (moved) {
+        this.data.endDate = moved;
+      } else {
+        delete this.data.endDate;
+      }
+    }
+    this.data.startDate = start;
+    this.data.eventStatus = 'https://schema.org/EventRescheduled';
+    return this;
+  }
+
+  /**
+   * Set the start dates the event had before it was rescheduled
+   * @param {string|Date|Array} dates - Original start date, or several for an event moved more than once
+   * @returns {EventBuilder} This builder for chaining
+   */
+  previousStartDate(dates) {
+    const normalized = [].concat(dates).map(date => normalizeDateTime(date)).filter(Boolean);
+    if (normalized.length > 0) {
+      this.data.previousStartDate = normalized.length === 1 ? normalized[0] : normalized;
+    }
+    return this;
+  }
+
+  /**
+   * Set the recurring schedule of the event
+   *
+   * Frequencies may be ISO 8601 durations ('P1W', 'P2W', 'P1M') or words
+   * ('daily', 'weekly', 'biweekly', 'monthly', 'yearly'); days may be names,
+   * two-letter codes or schema.org URLs. Schedules without a valid
+   * repeatFrequency are ignored.
+   *
+   * @param {Object|Array<Object>} schedule - Schedule, or several for events held on different patterns
+   * @returns {EventBuilder} This builder for chaining
+   *
+   * @example
+   * event.eventSchedule({ repeatFrequency: 'monthly', byMonthDay: 1, startTime: '19:00', duration: '2h',
+   *   scheduleTimezone: 'America/Chicago' });
+   */
+  eventSchedule(schedule) {
+    const schedules = [].concat(schedule).map(createSchedule).filter(Boolean);
+    if (schedules.length > 0) {
+      this.data.eventSchedule = schedules.length === 1 ? schedules[0] : schedules;
+    }
+    return this;
+  }
+
+  /**
+   * Get the occurrences of the event's schedules within a date window
+   *
+   * @param {string|Date} from - First day of the window
+   * @param {string|Date} to - Last day of the window, inclusive
+   * @param {Object} [options={}] - Expansion options (see expandSchedule)
+   * @returns {Array<{startDate: string, endDate?: string}>} Occurrences of every schedule, in date order
+   */
+  getOccurrences(from, to, options = {}) {
+    const { limit = 500 } = options;
+    return [].concat(this.data.eventSchedule || [])
+      .reduce((occurrences, schedule) => occurrences.concat(expandSchedule(schedule, from, to, options)), [])
+      .sort((a, b) => Date.parse(a.startDate) - Date.parse(b.startDate))
+      .slice(0, limit);
+  }
+
+  /**
+   * Set the events that are part of this one
+   * @param {Array<EventBuilder|Object>} events - Sub-events, replacing any set before
+   * @returns {EventBuilder} This builder for chaining
+   */
+  subEvent(events) {
+    delete this.data.subEvent;
+    [].concat(events || []).forEach(event => this.addSubEvent(event));
+    return this;
+  }
+
+  /**
+   * Add an event that is part of this one, such as one session of a series
+   *
+   * Objects are read like fromObject() records. Sub-events need a start
+   * date; one with the same start date as an earlier sub-event replaces it.
+   *
+   * @param {EventBuilder|Object} event - Sub-event
+   * @returns {EventBuilder} This builder for chaining
+   */
+  addSubEvent(event) {
+    let node = null;
+    if (event instanceof BaseProfileBuilder) {
+      node = event.getNode();
+    } else if (event && typeof event === 'object' && !Array.isArray(event)) {
+      const { '@type': type, ...properties } = event;
+      node = new EventBuilder(this.modeConfig.mode, this.sanitizeInputs).fromObject(properties).getNode();
+      if (typeof type === 'string' && /^[A-Z][A-Za-z]*$/.test(type)) {
+        node['@type'] = type;
+      }
+    }
+    if (!node || !node.startDate) {
+      return this;
+    }
+
+    const events = [].concat(this.data.subEvent || []);
+    const index = events.findIndex(existing => existing.startDate === node.startDate);
+    if (index >= 0) {
+      events[index] = node;
+    } else {
+      events.push(node);
+    }
+    this.data.subEvent = events.length === 1 ? events[0] : events;
+    return this;
+  }
+
+  /**
+   * Add a sub-event for every occurrence of the schedules within a date window
+   *
+   * Each sub-event takes the name, location, attendance mode and organizer
+   * of this event. Running it again over the same window updates the
+   * sub-events instead of adding them twice.
+   *
+   * @param {string|Date} from - First day of the window
+   * @param {string|Date} to - Last day of the window, inclusive
+   * @param {Object} [options={}] - Expansion options (see expandSchedule)
+   * @returns {EventBuilder} This builder for chaining
+   */
+  addScheduledEvents(from, to, options = {}) {
+    this.getOccurrences(from, to, options).forEach(occurrence => {
+      const event = { "@type": "Event" };
+      ['name', 'location', 'eventAttendanceMode', 'organizer'].forEach(property => {
+        if (this.data[property] !== undefined) {
+          event[property] = this.data[property];
+        }
+      });
+      this.addSubEvent({ ...event, ...occurrence });
+    });
     return this;
   }
 
+  /**
+   * Check the status, attendance mode, schedules and sub-events
+   *
+   * Errors: an unknown eventStatus or eventAttendanceMode, a rescheduled
+   * event without previousStartDate or whose startDate is still the
+   * original one, an event moved online without a VirtualLocation and a
+   * schedule without a valid repeatFrequency. Warnings: previousStartDate
+   * on an event that is not rescheduled, an attendance mode the locations
+   * do not match and sub-events outside the dates of this event.
+   *
+   * @returns {Array<{field: string, message: string, severity: string}>} Issues found
+   */
+  checkEvent() {
+    const data = this.data;
+    const issues = [];
+    const add = (severity, field, message) => issues.push({ field, message, severity });
+    const status = data.eventStatus === undefined ? null : enumName(data.eventStatus);
+    const previous = [].concat(data.previousStartDate || []);
+    const locations = this.getLocations();
+    const virtual = locations.some(location => location['@type'] === 'VirtualLocation');
+
+    if (status !== null && !EVENT_STATUSES.includes(status)) {
+      add('error', 'eventStatus', `eventStatus must be one of ${EVENT_STATUSES.join(', ')}`);
+    }
+    if (status === 'EventRescheduled' && previous.length === 0) {
+      add('error', 'previousStartDate', 'A rescheduled event must give its original start date in previousStartDate');
+    }
+    if (status === 'EventRescheduled' && previous.some(date => Date.parse(date) === Date.parse(data.startDate))) {
+      add('error', 'startDate', 'startDate must be the new date of a rescheduled event, not the one in previousStartDate');
+    }
+    if (status !== 'EventRescheduled' && previous.length > 0) {
+      add('warning', 'previousStartDate', 'previousStartDate is only used for events with eventStatus EventRescheduled');
+    }
+    if (status === 'EventMovedOnline' && !virtual) {
+      add('error', 'location', 'An event moved online needs a VirtualLocation');
+    }
+
+    if (data.eventAttendanceMode !== undefined) {
+      const mode = enumName(data.eventAttendanceMode);
+      const expected = attendanceModeOf(locations);
+      if (!ATTENDANCE_MODES.includes(mode)) {
+        add('error', 'eventAttendanceMode', `eventAttendanceMode must be one of ${ATTENDANCE_MODES.join(', ')}`);
+      } else if (locations.length > 0 && mode !== expected) {
+        add('warning', 'eventAttendanceMode', `eventAttendanceMode is ${mode} but the locations make it ${expected}`);
+      }
+    }
+
+    [].concat(data.eventSchedule || []).forEach((schedule, index) => {
+      const path = Array.isArray(data.eventSchedule) ? `eventSchedule[${index}]` : 'eventSchedule';
+      if (!schedule || !parseFrequency(schedule.repeatFrequency)) {
+        add('error', `${path}.repeatFrequency`, 'Give how often the event repeats as an ISO 8601 duration, such as P1W');
+      }
+    });
+
+    // Calendar dates ('2024-08-30') are compared with the local date of the sub-event
+    const compare = (date, bound) => (bound.length === 10
+      ? date.slice(0, 10).localeCompare(bound)
+      : Math.sign(Date.parse(date) - Date.parse(bound)));
+    [].concat(data.subEvent || []).forEach((event, index) => {
+      const path = Array.isArray(data.subEvent) ? `subEvent[${index}]` : 'subEvent';
+      const date = event && typeof event.startDate === 'string' ? event.startDate : null;
+      if (date && ((typeof data.startDate === 'string' && compare(date, data.startDate) < 0) ||
+          (typeof data.endDate === 'string' && compare(date, data.endDate) > 0))) {
+        add('warning', `${path}.startDate`, `The sub-event starts outside the dates of the event (${event.startDate})`);
+      }
+    });
+    return issues;
+  }
+
+  /**
+   * Validate the builder, including event status and schedule checks (see checkEvent())
+   *
+   * @returns {Object} Validation results (see BaseProfileBuilder#validateInline)
+   */
+  validateInline() {
+    const validation = super.validateInline();
+    this.checkEvent().forEach(issue => {
+      (issue.severity === 'error' ? validation.errors : validation.warnings).push({
+        field: issue.field,
+        message: issue.message,
+        action: 'See Google\'s event structured data guidelines',
+        severity: issue.severity
+      });
+    });
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
   /**
    * Set maximum attendee capacity
    * @param {number} capacity - Maximum number of attendees
@@ -436,12 +1053,11 @@ export class EventBuilder extends BaseProfileBuilder {
 
   /**
    * Set event duration
-   * @param {string} duration - Duration in ISO 8601 format (e.g., "PT2H30M")
+   * @param {string|number|Object} duration - Duration (e.g., 'PT2H30M', '2h 30m', { hours: 2, minutes: 30 })
    * @returns {EventBuilder} This builder for chaining
    */
   duration(duration) {
-    this.data.duration = duration;
-    return this;
+    return this.setDuration('duration', duration);
   }
 
   /**
@@ -493,4 +1109,82 @@ export class EventBuilder extends BaseProfileBuilder {
     }
     return this;
   }
+
+  /**
+   * Get the locations as a list
+   * @private
+   */
+  getLocations() {
+    return [].concat(this.data.location || []).filter(location => location && typeof location === 'object');
+  }
+
+  /**
+   * Store the locations (one as an object, several as an array) and update the attendance mode
+   * @private
+   */
+  setLocations(locations) {
+    this.data.location = locations.length === 1 ? locations[0] : locations;
+    if (!this.attendanceModeGiven) {
+      this.data.eventAttendanceMode = `https://schema.org/${attendanceModeOf(locations)}`;
+    }
+  }
+
+  /**
+   * Treat a loaded eventAttendanceMode as explicit unless the locations imply it
+   * @private
+   */
+  restoreState() {
+    const mode = this.data.eventAttendanceMode;
+    this.attendanceModeGiven = mode !== undefined && enumName(mode) !== attendanceModeOf(this.getLocations());
+  }
+
+  /**
+   * Create a Place from a name, or a Place or VirtualLocation from an object
+   * @private
+   */
+  createLocation(location) {
+    if (typeof location === 'string') {
+      const name = this.sanitizeInputs ? this.sanitizer.sanitizeString(location) : location;
+      return name ? { "@type": "Place", "name": name } : null;
+    }
+    if (location && typeof location === 'object' && !Array.isArray(location)) {
+      const type = location['@type'] || (location.url && !location.address ? 'VirtualLocation' : 'Place');
+      const node = { ...location, "@type": type };
+      return this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, type) : node;
+    }
+    return null;
+  }
 }
+
+/**
+ * EventSeriesBuilder class for creating EventSeries structured data objects
+ *
+ * An event series is a set of events held under one name, such as a
+ * festival or a weekly class. It takes every EventBuilder method; give the
+ * sessions with addSubEvent() or describe them with eventSchedule() and
+ * expand them into sub-events with addScheduledEvents().
+ *
+ * @class EventSeriesBuilder
+ * @extends EventBuilder
+ * @example
+ * const series = new EventSeriesBuilder()
+ *   .name('Summer Jazz Nights')
+ *   .startDate('2024-07-05')
+ *   .endDate('2024-08-30')
+ *   .location('Riverside Park')
+ *   .addSubEvent(new EventBuilder().name('Opening Night').startDate('2024-07-05T20:00:00-04:00').location('Riverside Park'))
+ *   .build();
+ */
+export class EventSeriesBuilder extends EventBuilder {
+  /**
+   * Create a new EventSeriesBuilder instance
+   *
+   * @param {string} [mode=MODES.STRICT_SEO] - The output mode
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
+    super(mode, sanitizeInputs);
+    this.data['@type'] = 'EventSeries';
+  }
+}
+
@@ -57,6 +57,7 @@
  */
 
 import { BaseProfileBuilder, MODES } from './base-builder.mjs';
+import { parseFaq, questionAnchor, cleanAnswerHtml } from '../faq-import.mjs';
 
 /**
  * FAQPageBuilder class for creating FAQPage structured data objects
@@ -212,6 +213,75 @@ export class FAQPageBuilder extends BaseProfileBuilder {
     return this;
   }
 
+  /**
+   * Import questions from Markdown, HTML `<details>` blocks or a CSV table
+   *
+   * The source is read with parseFaq() and each question is appended to
+   * mainEntity with an `@id` made of the page URL and the question's anchor.
+   * Unlike addQuestion(), which strips all markup, answers keep the HTML
+   * Google allows (links, lists, headings, paragraphs, emphasis). Answer
+   * blocks separated by a horizontal rule are joined into one answer.
+   *
+   * What happened is stored in `importReport`: `applied` lists the anchors
+   * added, `unknown` the CSV columns that were ignored, `rejected` the
+   * questions left out (repeated, already on the page or without an answer)
+   * and `warnings` the answers whose markup was removed.
+   *
+   * @param {string|Array} source - Markdown, HTML or CSV text, or an array of row objects
+   * @param {Object} [options={}] - parseFaq() options (`format`, `level`), plus:
+   * @param {string} [options.baseUrl] - URL the `@id`s start with; defaults to the page url
+   * @returns {FAQPageBuilder} This builder for chaining
+   *
+   * @example
+   * const faqPage = new FAQPageBuilder()
+   *   .url('https://example.com/faq')
+   *   .importQuestions(fs.readFileSync('faq.md', 'utf8'));
+   * faqPage.importReport.rejected; // [{ field: 'questions[4]', message: 'Duplicate question ...' }]
+   */
+  importQuestions(source, options = {}) {
+    const { questions, issues, unknown } = parseFaq(source, options);
+    const report = { applied: [], unknown, rejected: [], warnings: [] };
+    this.importReport = report;
+    issues
+      .filter(issue => !unknown.includes(issue.field))
+      .forEach(({ field, message, severity }) => (severity === 'error' ? report.rejected : report.warnings).push({ field, message }));
+
+    const base = String(options.baseUrl || this.data.url || '').split('#')[0];
+    const entities = [].concat(this.data.mainEntity || []);
+    const sameQuestion = name => questionAnchor(name) || String(name).toLowerCase().trim();
+    const existing = new Set(entities.map(entity => sameQuestion(entity && entity.name)));
+    const ids = new Set(entities.map(entity => entity && entity['@id']));
+
+    questions.forEach(({ question, anchor, answers, index }) => {
+      if (existing.has(sameQuestion(question))) {
+        report.rejected.push({ field: `questions[${index}]`, message: `Question "${question}" is already on the page` });
+        return;
+      }
+      let id = `${base}#${anchor}`;
+      for (let n = 2; ids.has(id); n++) {
+        id = `${base}#${anchor}-${n}`;
+      }
+      ids.add(id);
+
+      const text = answers.map(answer => answer.text).join('');
+      entities.push({
+        "@type": "Question",
+        "@id": id,
+        "name": this.sanitizeInputs ? this.sanitizer.sanitizeString(question) : question,
+        "acceptedAnswer": {
+          "@type": "Answer",
+          "text": this.sanitizeInputs ? cleanAnswerHtml(this.sanitizer.sanitizeString(text, { allowHtml: true })).html : text
+        }
+      });
+      report.applied.push(id.slice(id.indexOf('#') + 1));
+    });
+
+    if (entities.length > 0) {
+      this.data.mainEntity = entities;
+    }
+    return this;
+  }
+
   /**
    * Add a question with multiple accepted answers
    * @param {string} question - Question text
@@ -286,6 +356,83 @@ export class FAQPageBuilder extends BaseProfileBuilder {
     this.data.mainEntity.push(questionObj);
     return this;
   }
+
+  /**
+   * Set author
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person/Organization object
+   * @param {string} [url] - Author URL (if author is string)
+   * @returns {FAQPageBuilder} This builder for chaining
+   */
+  author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
+    if (typeof author === 'string') {
+      const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
+      const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+      this.data.author = url ? {
+        "@type": "Person",
+        "name": sanitizedName,
+        "url": sanitizedUrl
+      } : sanitizedName;
+    } else if (author && typeof author === 'object') {
+      if (this.sanitizeInputs) {
+        this.data.author = this.sanitizer.sanitizeStructuredData(author, author['@type'] || 'Person');
+      } else {
+        this.data.author = author;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set publisher
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
+   * @param {string} [url] - Publisher URL (if publisher is string)
+   * @param {string} [logoUrl] - Publisher logo URL
+   * @returns {FAQPageBuilder} This builder for chaining
+   */
+  publisher(publisher, url = null, logoUrl = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
+    if (typeof publisher === 'string') {
+      this.data.publisher = {
+        "@type": "Organization",
+        "name": publisher
+      };
+      if (url) this.data.publisher.url = url;
+      if (logoUrl) {
+        this.data.publisher.logo = {
+          "@type": "ImageObject",
+          "url": logoUrl
+        };
+      }
+    } else if (publisher && typeof publisher === 'object') {
+      if (this.sanitizeInputs) {
+        this.data.publisher = this.sanitizer.sanitizeStructuredData(publisher, 'Organization');
+      } else {
+        this.data.publisher = publisher;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set breadcrumb navigation
+   * @param {BreadcrumbListBuilder|Object} breadcrumb - BreadcrumbListBuilder or BreadcrumbList object
+   * @returns {FAQPageBuilder} This builder for chaining
+   */
+  breadcrumb(breadcrumb) {
+    if (breadcrumb instanceof BaseProfileBuilder) {
+      this.data.breadcrumb = breadcrumb.getNode();
+    } else if (breadcrumb && typeof breadcrumb === 'object') {
+      this.data.breadcrumb = this.sanitizeInputs
+        ? this.sanitizer.sanitizeStructuredData(breadcrumb, 'BreadcrumbList')
+        : breadcrumb;
+    }
+    return this;
+  }
 }
 
 export default FAQPageBuilder; 
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview GraphBuilder class for composing several nodes into one @graph document
+ *
+ * Each profile builder produces a standalone node, so an Organization that
+ * publishes an Article and sells a Product is repeated inline in both. The
+ * GraphBuilder collects builders (or ready-made JSON-LD nodes), gives every
+ * node a stable `@id`, moves shared entities such as publishers, authors,
+ * brands and organizers into a single node each and replaces the inline
+ * copies with `{"@id": ...}` references.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { GraphBuilder } = require('./graph-builder');
+ *
+ * const graph = new GraphBuilder({ baseUrl: 'https://example.com/news/launch' })
+ *   .add(articleBuilder)
+ *   .add(faqBuilder, '#faq')
+ *   .build();
+ * // {
+ * //   "@context": "https://schema.org",
+ * //   "@graph": [
+ * //     { "@id": "https://example.com/news/launch#article", "@type": "Article", "publisher": { "@id": "https://example.com/news/launch#organization-news-corp" }, ... },
+ * //     { "@id": "https://example.com/news/launch#faq", "@type": "FAQPage", ... },
+ * //     { "@id": "https://example.com/news/launch#organization-news-corp", "@type": "Organization", "name": "News Corp" }
+ * //   ]
+ * // }
+ */
+
+const { BaseProfileBuilder } = require('./base-builder');
+const { EntityBuilder } = require('./entity-builder');
+const { slugify } = require('../text-utils');
+
+/**
+ * Properties whose entities are shared between nodes and moved to their own graph node
+ *
+ * @constant {string[]} SHARED_ENTITY_PROPERTIES
+ */
+const SHARED_ENTITY_PROPERTIES = [
+  'publisher',
+  'author',
+  'brand',
+  'organizer',
+  'hiringOrganization',
+  'provider',
+  'creator',
+  'manufacturer',
+  'seller'
+];
+
+/**
+ * Compare URLs without a trailing slash
+ * @private
+ */
+function normalizeUrl(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+/**
+ * Get the first `@type` of a node
+ * @private
+ */
+function getType(node) {
+  return [].concat(node['@type'] || 'Thing')[0];
+}
+
+/**
+ * Get the `sameAs` links of a node
+ * @private
+ */
+function getSameAs(node) {
+  return [].concat(node.sameAs || []).filter(link => typeof link === 'string');
+}
+
+/**
+ * Check whether a value is an entity that can become a graph node
+ * @private
+ */
+function isEntity(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    value['@type'] !== undefined && (value['@id'] !== undefined || typeof value.name === 'string');
+}
+
+/**
+ * GraphBuilder class for composing nodes into a single `@graph` document
+ *
+ * Nodes keep the output mode of their builder unless the GraphBuilder is
+ * given a mode. When any node is built in a mode that separates the LLM block
+ * (split-channels), the result holds a `seo` and an `llm` graph.
+ *
+ * @class GraphBuilder
+ * @example
+ * const graph = new GraphBuilder({ baseUrl: 'https://example.com/shop/headphones' });
+ * graph.add(productBuilder).add(reviewBuilder);
+ * reviewBuilder.addProperty('itemReviewed', graph.ref(productBuilder));
+ * const document = graph.build();
+ */
+class GraphBuilder {
+  /**
+   * Create a new GraphBuilder instance
+   *
+   * @param {Object} [options={}] - Graph options
+   * @param {string} [options.baseUrl=''] - URL of the page the graph describes; generated `@id`s are fragments of it
+   * @param {string} [options.mode=null] - Output mode for every node (defaults to each builder's own mode)
+   */
+  constructor(options = {}) {
+    const { baseUrl = '', mode = null } = options;
+    this.baseUrl = typeof baseUrl === 'string' ? baseUrl.replace(/#.*$/, '') : '';
+    this.mode = mode;
+    this.entries = [];
+    this.usedIds = new Set();
+  }
+
+  /**
+   * Add a builder or JSON-LD node to the graph
+   *
+   * The node keeps its own `@id`; otherwise it gets `id`, or a fragment
+   * derived from its type ('#article', '#article-2').
+   *
+   * @param {BaseProfileBuilder|EntityBuilder|Object} item - Profile builder, PersonBuilder, OrganizationBuilder or JSON-LD node with an `@type`
+   * @param {string} [id] - `@id` for the node; fragments ('#faq') are resolved against the base URL
+   * @returns {GraphBuilder} This builder for chaining
+   */
+  add(item, id = null) {
+    const isBuilder = item instanceof BaseProfileBuilder || item instanceof EntityBuilder;
+    if (!isBuilder && !(item && typeof item === 'object' && !Array.isArray(item) && item['@type'])) {
+      return this;
+    }
+    if (this.entries.some(entry => entry.item === item)) {
+      return this;
+    }
+
+    const data = isBuilder ? item.data : item;
+    const nodeId = (typeof id === 'string' && id.trim() ? this.resolveId(id.trim()) : null) ||
+      (typeof data['@id'] === 'string' ? data['@id'] : null) ||
+      this.createId(slugify(getType(data)) || 'node');
+    this.usedIds.add(nodeId);
+    this.entries.push({ item, id: nodeId });
+    return this;
+  }
+
+  /**
+   * Get the `@id` a builder or node was given in this graph
+   * @param {BaseProfileBuilder|Object} item - Item passed to add()
+   * @returns {string|null} The node's `@id`, or null if the item was not added
+   */
+  idOf(item) {
+    const entry = this.entries.find(candidate => candidate.item === item);
+    return entry ? entry.id : null;
+  }
+
+  /**
+   * Get a reference to a node of the graph, for linking nodes together
+   *
+   * @param {BaseProfileBuilder|Object|string} item - Item passed to add(), or an `@id`
+   * @returns {Object|null} `{"@id": ...}` reference, or null if the item was not added
+   *
+   * @example
+   * webPageBuilder.addProperty('mainEntity', graph.ref(articleBuilder));
+   */
+  ref(item) {
+    const id = typeof item === 'string' ? this.resolveId(item) : this.idOf(item);
+    return id ? { "@id": id } : null;
+  }
+
+  /**
+   * Build the `@graph` document
+   *
+   * @param {Object} [options={}] - Build options, passed to each builder's build()
+   * @param {boolean} [options.validate=true] - Whether builders validate required fields
+   * @param {boolean} [options.throwOnError=true] - Whether builders throw for missing required fields
+   * @returns {Object} `{ "@context", "@graph" }` document, or `{ seo, llm }` documents for split-channel nodes
+   * @throws {Error} When a builder is missing required fields and throwOnError is true
+   */
+  build(options = {}) {
+    const outputs = this.entries.map(entry => {
+      // Copied, since split-channel LLM blocks share nested objects with the builder
+      let output = entry.item;
+      if (entry.item instanceof BaseProfileBuilder) {
+        output = entry.item.build(this.mode, options);
+      } else if (entry.item instanceof EntityBuilder) {
+        output = entry.item.getNode();
+      }
+      output = JSON.parse(JSON.stringify(output));
+      const split = output && output.seo !== undefined && output.llm !== undefined && output['@type'] === undefined;
+      return {
+        id: entry.id,
+        seo: split ? output.seo : output,
+        llm: split ? output.llm : null
+      };
+    });
+
+    // Entities get the same @id in the SEO and LLM graphs
+    const known = [];
+    const usedIds = new Set(this.usedIds);
+    const seo = this.createGraph(outputs.map(output => ({ id: output.id, node: output.seo })), { known, usedIds });
+    const llmOutputs = outputs.filter(output => output.llm);
+    if (llmOutputs.length === 0) {
+      return seo;
+    }
+
+    const llm = this.createGraph(llmOutputs.map(output => ({ id: output.id, node: output.llm })), { known, usedIds });
+    llm['@context'] = llmOutputs[0].llm['@context'];
+    return { seo, llm };
+  }
+
+  /**
+   * Create one graph document from built nodes
+   * @private
+   */
+  createGraph(items, ids) {
+    const state = { ...ids, entities: [] };
+    const referenced = new Set();
+    const nodes = items.map(({ id, node }) => {
+      const { '@context': context, '@id': ownId, ...rest } = node;
+      return { "@id": id, ...rest };
+    });
+
+    // Top-level nodes are entities too, so a publisher can point at an added Organization
+    nodes.forEach(node => state.entities.push({ key: this.getEntityKey(node), node }));
+    nodes.forEach(node => this.replaceEntities(node, state, referenced));
+
+    const graphIds = new Set(nodes.map(node => node['@id']));
+    const entityNodes = state.entities
+      .filter(entity => referenced.has(entity.node['@id']) && !graphIds.has(entity.node['@id']))
+      .map(entity => entity.node);
+    return {
+      "@context": "https://schema.org",
+      "@graph": [...nodes, ...entityNodes]
+    };
+  }
+
+  /**
+   * Replace shared entities nested in a node with references
+   * @private
+   */
+  replaceEntities(node, state, referenced, seen = new Set()) {
+    if (!node || typeof node !== 'object' || seen.has(node)) {
+      return;
+    }
+    seen.add(node);
+
+    Object.keys(node).forEach(key => {
+      const value = node[key];
+      const shared = SHARED_ENTITY_PROPERTIES.includes(key);
+      if (Array.isArray(value)) {
+        node[key] = value.map(item => (shared && isEntity(item) ? this.toReference(item, state, referenced, seen) : item));
+        node[key].forEach(item => this.replaceEntities(item, state, referenced, seen));
+      } else if (shared && isEntity(value)) {
+        node[key] = this.toReference(value, state, referenced, seen);
+      } else if (value && typeof value === 'object') {
+        this.replaceEntities(value, state, referenced, seen);
+      }
+    });
+  }
+
+  /**
+   * Register an entity and return a reference to it
+   * @private
+   */
+  toReference(entity, state, referenced, seen) {
+    const node = this.findEntity(entity, state);
+    referenced.add(node['@id']);
+    this.replaceEntities(node, state, referenced, seen);
+    return { "@id": node['@id'] };
+  }
+
+  /**
+   * Find the registered entity matching an entity, registering it if new
+   *
+   * Entities match on `@id`, on a shared `sameAs` link, or on type and name
+   * when their URLs do not differ and their `sameAs` links do not point at
+   * different records. Properties missing from the registered node are
+   * copied over.
+   * @private
+   */
+  findEntity(entity, state) {
+    const key = this.getEntityKey(entity);
+    const match = state.entities.find(candidate => this.matchesEntity(entity, key, candidate));
+
+    if (match) {
+      Object.keys(entity).forEach(property => {
+        if (match.node[property] === undefined && property !== '@context') {
+          match.node[property] = JSON.parse(JSON.stringify(entity[property]));
+        }
+      });
+      return match.node;
+    }
+
+    // An entity of an earlier graph keeps its @id, matched on its merged properties
+    const { '@context': context, ...rest } = entity;
+    let id = entity['@id'];
+    if (typeof id !== 'string') {
+      const known = state.known.find(candidate => this.matchesEntity(entity, key, candidate));
+      id = known ? known.node['@id'] : this.createId(`${slugify(getType(entity))}-${slugify(entity.name) || 'entity'}`, state.usedIds);
+    }
+    state.usedIds.add(id);
+    const node = { "@id": id, ...JSON.parse(JSON.stringify(rest)) };
+    state.entities.push({ key, node });
+    state.known.push({ key, node });
+    return node;
+  }
+
+  /**
+   * Check whether an entity matches a registered entity
+   * @private
+   */
+  matchesEntity(entity, key, candidate) {
+    if (entity['@id'] !== undefined) {
+      return candidate.node['@id'] === entity['@id'];
+    }
+    const links = getSameAs(entity);
+    const candidateLinks = getSameAs(candidate.node);
+    if (links.length > 0 && candidateLinks.length > 0) {
+      return links.some(link => candidateLinks.includes(link));
+    }
+    return key !== null && candidate.key === key &&
+      (!candidate.node.url || !entity.url || normalizeUrl(candidate.node.url) === normalizeUrl(entity.url));
+  }
+
+  /**
+   * Get the type and name an entity is matched on
+   * @private
+   */
+  getEntityKey(entity) {
+    return typeof entity.name === 'string' && entity.name.trim()
+      ? `${getType(entity)}|${entity.name.trim().toLowerCase()}`
+      : null;
+  }
+
+  /**
+   * Resolve an `@id` fragment against the base URL
+   * @private
+   */
+  resolveId(id) {
+    return id.startsWith('#') ? `${this.baseUrl}${id}` : id;
+  }
+
+  /**
+   * Create an unused `@id` from a fragment name
+   * @private
+   */
+  createId(name, usedIds = this.usedIds) {
+    let id = this.resolveId(`#${name}`);
+    for (let n = 2; usedIds.has(id); n++) {
+      id = this.resolveId(`#${name}-${n}`);
+    }
+    return id;
+  }
+}
+
+module.exports = {
+  GraphBuilder,
+  SHARED_ENTITY_PROPERTIES
+};
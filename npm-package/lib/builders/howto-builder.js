@@ -28,36 +28,125 @@
  *   .description('Create a beautiful birdhouse for your garden')
  *   .author('Woodworking Pro')
  *   .totalTime('PT2H30M')
- *   .addTool('Hammer', 'https://example.com/hammer')
- *   .addTool('Saw', 'https://example.com/saw')
- *   .addSupply('Wood planks', '2x4 pine boards')
- *   .addSupply('Nails', '1-inch wood screws')
- *   .addStep('Cut wood', 'Cut planks to required dimensions')
- *   .addStep('Assemble base', 'Attach base pieces with screws')
- *   .addStep('Add roof', 'Install roof pieces and secure')
+ *   .addTool('Hammer', { url: 'https://example.com/hammer' })
+ *   .addTool('Saw')
+ *   .addSupply('Pine boards', { requiredQuantity: 4 })
+ *   .addSupply('Wood screws', { requiredQuantity: 24 })
+ *   .addStep({ text: 'Cut planks to required dimensions', tools: ['Saw'], supplies: ['Pine boards'] })
+ *   .addStep({ text: 'Attach base pieces with screws', tools: ['Hammer'], supplies: [{ name: 'Wood screws', requiredQuantity: 8 }] })
  *   .build();
  * 
  * @example
- * // How-to with detailed steps and images
+ * // How-to with sections, directions, tips and video clips
  * const howto = new HowToBuilder()
  *   .name('How to Change a Tire')
  *   .description('Step-by-step guide to safely changing a flat tire')
  *   .author('Auto Mechanic')
  *   .totalTime('PT30M')
- *   .addStep({
+ *   .addSection('Prepare', [{
  *     name: 'Park safely',
  *     text: 'Pull over to a safe location and engage parking brake',
  *     image: 'https://example.com/park-safely.jpg'
- *   })
- *   .addStep({
+ *   }])
+ *   .addSection('Change the tire', [{
  *     name: 'Remove lug nuts',
- *     text: 'Loosen lug nuts with tire iron before jacking up car',
- *     image: 'https://example.com/lug-nuts.jpg'
- *   })
+ *     directions: ['Loosen each lug nut half a turn', 'Jack up the car'],
+ *     tips: ['Loosen the nuts before the wheel is off the ground'],
+ *     video: { url: 'https://example.com/tire.mp4', startOffset: '1:05', endOffset: '2:30' }
+ *   }])
  *   .build();
  */
 
 const { BaseProfileBuilder, MODES } = require('./base-builder');
+const { parseDuration, normalizeDuration } = require('../datetime');
+
+/**
+ * Difficulty levels of the profile's output schema
+ * @private
+ */
+const DIFFICULTY_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+
+/**
+ * Everyday difficulty names and the output schema levels they export as
+ * @private
+ */
+const DIFFICULTY_ALIASES = {
+  easy: 'Beginner',
+  medium: 'Intermediate',
+  moderate: 'Intermediate',
+  hard: 'Advanced',
+  'very hard': 'Expert'
+};
+
+/**
+ * Units of the human-readable times in exported content, largest first
+ * @private
+ */
+const TIME_UNITS = [['hour', 3600], ['minute', 60], ['second', 1]];
+
+/**
+ * HowToStep properties handled by the step builder itself
+ * @private
+ */
+const STEP_PROPERTIES = [
+  '@type', '@id', 'name', 'text', 'url', 'image', 'position', 'timeRequired', 'video',
+  'itemListElement', 'directions', 'tips', 'tool', 'tools', 'supply', 'supplies'
+];
+
+/**
+ * Get the name of a tool, supply or prerequisite given as text or an object
+ * @private
+ */
+function nameOf(item) {
+  if (typeof item === 'string') {
+    return item;
+  }
+  return item && typeof item === 'object' && typeof item.name === 'string' ? item.name : null;
+}
+
+/**
+ * Check whether an item has the given name, ignoring case
+ * @private
+ */
+function sameName(item, name) {
+  const itemName = nameOf(item);
+  return itemName !== null && typeof name === 'string' && itemName.toLowerCase() === name.toLowerCase();
+}
+
+/**
+ * Parse a clip offset in seconds from seconds, 'mm:ss', 'hh:mm:ss' or a duration
+ * @private
+ */
+function toOffset(value) {
+  const clock = typeof value === 'string' ? value.trim().match(/^(?:(\d+):)?(\d+):([0-5]\d)$/) : null;
+  if (clock) {
+    const [, hours, minutes, seconds] = clock;
+    if (hours !== undefined && Number(minutes) >= 60) {
+      return null;
+    }
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+  return parseDuration(value);
+}
+
+/**
+ * Format a duration as text, such as '1 hour 30 minutes'
+ * @private
+ */
+function formatTime(duration) {
+  const seconds = parseDuration(duration);
+  if (seconds === null) {
+    return null;
+  }
+  let rest = Math.round(seconds);
+  const parts = [];
+  TIME_UNITS.forEach(([unit, size]) => {
+    const amount = Math.floor(rest / size);
+    rest -= amount * size;
+    if (amount > 0) parts.push(`${amount} ${unit}${amount === 1 ? '' : 's'}`);
+  });
+  return parts.length > 0 ? parts.join(' ') : '0 seconds';
+}
 
 /**
  * HowToBuilder class for creating HowTo structured data objects
@@ -106,11 +195,14 @@ class HowToBuilder extends BaseProfileBuilder {
 
   /**
    * Set author
-   * @param {string|Object} author - Author name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {HowToBuilder} This builder for chaining
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -158,17 +250,12 @@ class HowToBuilder extends BaseProfileBuilder {
   }
 
   /**
-   * Set total time required
-   * @param {string} time - ISO 8601 duration (e.g., 'PT30M' for 30 minutes)
+   * Set total time
+   * @param {string|number|Object} time - Total time (e.g., 'PT30M', '30 minutes', { minutes: 30 })
    * @returns {HowToBuilder} This builder for chaining
    */
   totalTime(time) {
-    if (this.sanitizeInputs) {
-      this.data.totalTime = this.sanitizer.sanitizeString(time);
-    } else {
-      this.data.totalTime = time;
-    }
-    return this;
+    return this.setDuration('totalTime', time);
   }
 
   /**
@@ -196,7 +283,8 @@ class HowToBuilder extends BaseProfileBuilder {
 
   /**
    * Set difficulty level
-   * @param {string} difficulty - Difficulty level (e.g., 'Easy', 'Medium', 'Hard')
+   * @param {string} difficulty - Difficulty level ('Beginner', 'Intermediate', 'Advanced', 'Expert'); 'Easy',
+   *   'Medium', 'Hard' and 'Very hard' are kept as written and exported by buildOutput() as the matching level
    * @returns {HowToBuilder} This builder for chaining
    */
   difficulty(difficulty) {
@@ -226,36 +314,74 @@ class HowToBuilder extends BaseProfileBuilder {
 
   /**
    * Set tools required
-   * @param {Array} tools - Array of tools required
+   *
+   * Replaces the tools with HowToTool items (see {@link HowToBuilder#addTool}).
+   *
+   * @param {Array<string|Object>} tools - Tool names or HowToTool objects
    * @returns {HowToBuilder} This builder for chaining
    */
   tool(tools) {
     if (Array.isArray(tools)) {
-      if (this.sanitizeInputs) {
-        this.data.tool = tools.map(t => this.sanitizer.sanitizeString(t));
-      } else {
-        this.data.tool = tools;
-      }
+      delete this.data.tool;
+      tools.forEach(tool => this.addTool(tool));
     }
     return this;
   }
 
   /**
    * Set supplies required
-   * @param {Array} supplies - Array of supplies required
+   *
+   * Replaces the supplies with HowToSupply items (see {@link HowToBuilder#addSupply}).
+   *
+   * @param {Array<string|Object>} supplies - Supply names or HowToSupply objects
    * @returns {HowToBuilder} This builder for chaining
    */
   supply(supplies) {
     if (Array.isArray(supplies)) {
-      if (this.sanitizeInputs) {
-        this.data.supply = supplies.map(s => this.sanitizer.sanitizeString(s));
-      } else {
-        this.data.supply = supplies;
-      }
+      delete this.data.supply;
+      supplies.forEach(supply => this.addSupply(supply));
     }
     return this;
   }
 
+  /**
+   * Add a tool used in the how-to
+   *
+   * Steps refer to tools by name; a tool with the name of an earlier one
+   * replaces it.
+   *
+   * @param {string|Object} tool - Tool name or HowToTool object
+   * @param {Object} [options={}] - Tool details
+   * @param {number|string|Object} [options.requiredQuantity] - Quantity needed, as a number, text or QuantitativeValue
+   * @param {string} [options.id] - Node identifier, copied to the steps that use the tool
+   * @param {string} [options.url] - Tool URL
+   * @param {string|Object} [options.image] - Tool image URL or ImageObject
+   * @returns {HowToBuilder} This builder for chaining
+   *
+   * @example
+   * howto.addTool('Screwdriver', { requiredQuantity: 1, id: 'https://example.com/shelf#screwdriver' });
+   */
+  addTool(tool, options = {}) {
+    return this.addItem('tool', this.createItem('HowToTool', tool, options));
+  }
+
+  /**
+   * Add a supply consumed by the how-to
+   *
+   * Steps refer to supplies by name; a supply with the name of an earlier one
+   * replaces it.
+   *
+   * @param {string|Object} supply - Supply name or HowToSupply object
+   * @param {Object} [options={}] - Supply details (see {@link HowToBuilder#addTool})
+   * @returns {HowToBuilder} This builder for chaining
+   *
+   * @example
+   * howto.addSupply('Wood screws', { requiredQuantity: { value: 24, unitText: 'pieces' } });
+   */
+  addSupply(supply, options = {}) {
+    return this.addItem('supply', this.createItem('HowToSupply', supply, options));
+  }
+
   /**
    * Set keywords
    * @param {string|Array} keywords - Keywords string or array
@@ -279,62 +405,117 @@ class HowToBuilder extends BaseProfileBuilder {
 
   /**
    * Set steps
-   * @param {Array} steps - Array of HowToStep objects
+   *
+   * Replaces the steps. Items are step texts, HowToStep objects (see
+   * {@link HowToBuilder#addStep}) or HowToSection objects whose
+   * `itemListElement` (or `steps`) holds the section's steps.
+   *
+   * @param {Array<string|Object>} steps - Steps and sections
    * @returns {HowToBuilder} This builder for chaining
    */
   step(steps) {
     if (Array.isArray(steps)) {
-      if (this.sanitizeInputs) {
-        this.data.step = steps.map(step => this.sanitizer.sanitizeStructuredData(step, 'HowToStep'));
-      } else {
-        this.data.step = steps;
-      }
+      delete this.data.step;
+      steps.forEach(step => {
+        if (step && step['@type'] === 'HowToSection') {
+          this.addSection(step.name, step.itemListElement || step.steps || [], step);
+        } else {
+          this.addStep(step);
+        }
+      });
     }
     return this;
   }
 
   /**
    * Add a single step
+   *
+   * A step object can carry, next to `text`, `name`, `url`, `image` and
+   * `position`:
+   * - `directions` and `tips`: texts that become the step's `itemListElement`
+   *   HowToDirection and HowToTip items (a step needs `text` or these)
+   * - `tools` and `supplies`: names or objects with `requiredQuantity` of the
+   *   tools and supplies the step uses; declared ones lend their `@id`
+   * - `video`: the part of the how-to video showing the step, as a Clip with
+   *   `startOffset` and `endOffset` in seconds or as 'mm:ss'
+   * - `timeRequired`: time the step takes
+   *
    * @param {string|Object} step - Step text or HowToStep object
    * @param {string} [name] - Step name (if step is string)
    * @param {string} [url] - Step URL (if step is string)
    * @param {string} [image] - Step image URL (if step is string)
    * @param {number} [position] - Step position (if step is string)
    * @returns {HowToBuilder} This builder for chaining
+   *
+   * @example
+   * howto.addStep({
+   *   name: 'Drill pilot holes',
+   *   directions: ['Mark the holes 2 cm from the edge', 'Drill 3 mm deep'],
+   *   tips: ['Tape the drill bit to see the depth'],
+   *   tools: ['Drill'],
+   *   supplies: [{ name: 'Masking tape', requiredQuantity: '10 cm' }],
+   *   video: { url: 'https://example.com/shelf.mp4', startOffset: '0:45', endOffset: '1:30' }
+   * });
    */
   addStep(step, name = null, url = null, image = null, position = null) {
-    if (!this.data.step) {
-      this.data.step = [];
+    const node = typeof step === 'string'
+      ? this.createStep({ text: step, name, url, image, position })
+      : this.createStep(step);
+    if (node) {
+      this.data.step = [...(Array.isArray(this.data.step) ? this.data.step : []), node];
     }
+    return this;
+  }
 
-    if (typeof step === 'string') {
-      const stepObj = {
-        "@type": "HowToStep",
-        "text": step
-      };
-      if (name) stepObj.name = name;
-      if (url) stepObj.url = url;
-      if (image) stepObj.image = image;
-      if (position) stepObj.position = position;
-      
-      if (this.sanitizeInputs) {
-        stepObj.text = this.sanitizer.sanitizeString(stepObj.text);
-        if (stepObj.name) stepObj.name = this.sanitizer.sanitizeString(stepObj.name);
-        if (stepObj.url) stepObj.url = this.sanitizer.sanitizeUrl(stepObj.url);
-        if (stepObj.image) stepObj.image = this.sanitizer.sanitizeUrl(stepObj.image);
-      }
-      
-      this.data.step.push(stepObj);
-    } else if (step && typeof step === 'object') {
-      if (this.sanitizeInputs) {
-        this.data.step.push(this.sanitizer.sanitizeStructuredData(step, 'HowToStep'));
-      } else {
-        this.data.step.push(step);
-      }
+  /**
+   * Add a group of steps, such as 'Prepare the wall'
+   *
+   * @param {string} name - Section name
+   * @param {Array<string|Object>} steps - Step texts or HowToStep objects (see {@link HowToBuilder#addStep})
+   * @param {Object} [properties={}] - Other HowToSection properties, such as `image`
+   * @returns {HowToBuilder} This builder for chaining
+   */
+  addSection(name, steps, properties = {}) {
+    const title = this.cleanText(name);
+    const items = (Array.isArray(steps) ? steps : []).map(step => this.createStep(step)).filter(Boolean);
+    if (!title || items.length === 0) {
+      return this;
     }
+
+    const { '@type': type, itemListElement, steps: ignored, ...rest } = properties && typeof properties === 'object' ? properties : {};
+    const extra = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(rest, 'HowToSection') : rest;
+    const section = { "@type": "HowToSection", ...extra, "name": title, "itemListElement": items };
+    this.data.step = [...(Array.isArray(this.data.step) ? this.data.step : []), section];
     return this;
   }
 
+  /**
+   * Check that the steps only use declared tools and supplies
+   *
+   * A step's tool or supply is declared when the how-to lists one with the
+   * same `@id` or name.
+   *
+   * @returns {Array<{field: string, message: string}>} Steps using undeclared tools or supplies
+   */
+  checkSteps() {
+    const issues = [];
+    const labels = { tool: 'Tool', supply: 'Supply' };
+    this.getSteps().forEach(({ step, path }) => {
+      Object.keys(labels).forEach(property => {
+        [].concat(step[property] || []).forEach((reference, index) => {
+          if (!this.isDeclared(property, reference)) {
+            const label = nameOf(reference) || (reference && reference['@id']);
+            issues.push({
+              field: `${path}.${property}[${index}]`,
+              message: `${labels[property]} "${label}" is used by a step but not listed in the how-to's ${property}`
+            });
+          }
+        });
+      });
+    });
+    return issues;
+  }
+
   /**
    * Set video
    * @param {string|Object} video - Video URL or VideoObject
@@ -428,6 +609,322 @@ class HowToBuilder extends BaseProfileBuilder {
     }
     return this;
   }
+
+  /**
+   * Validate the builder, including the tools and supplies of the steps
+   * @returns {Object} Validation results (see BaseProfileBuilder#validateInline)
+   */
+  validateInline() {
+    const validation = super.validateInline();
+    this.checkSteps().forEach(issue => {
+      validation.warnings.push({
+        field: issue.field,
+        message: issue.message,
+        action: 'Add it with addTool() or addSupply()',
+        severity: 'warning'
+      });
+    });
+    return validation;
+  }
+
+  /**
+   * Export the how-to in the shape of the profile's output schema
+   *
+   * The result matches `profiles/content/howto/v1/output.schema.json`: plain
+   * text values, times such as '1 hour 30 minutes', the steps of all sections
+   * numbered in order and the tips of all steps collected in `tips`.
+   *
+   * @param {Object} [options={}] - Export options
+   * @param {string|Date} [options.extractedAt] - Extraction time (defaults to now)
+   * @returns {Object} Extracted content with `howto` and `metadata`
+   */
+  buildOutput(options = {}) {
+    const data = this.data;
+    const text = value => (typeof value === 'string' && value.trim() ? value : null);
+    const names = items => (Array.isArray(items) ? items.map(nameOf).filter(text) : []);
+    const howto = {};
+
+    if (text(data.name)) howto.name = data.name;
+    if (text(data.description)) howto.description = data.description;
+    const author = text(nameOf(data.author));
+    if (author) howto.author = author;
+    const totalTime = formatTime(data.totalTime);
+    if (totalTime) howto.totalTime = totalTime;
+    const cost = data.estimatedCost && typeof data.estimatedCost === 'object'
+      ? [data.estimatedCost.value, data.estimatedCost.currency].filter(part => part !== undefined && part !== null).join(' ')
+      : data.estimatedCost;
+    if (text(cost)) howto.estimatedCost = cost;
+    const difficulty = DIFFICULTY_LEVELS.find(level => sameName(level, data.difficulty)) ||
+      (text(data.difficulty) && DIFFICULTY_ALIASES[data.difficulty.trim().toLowerCase().replace(/\s+/g, ' ')]);
+    if (difficulty) howto.difficulty = difficulty;
+
+    const lists = { prerequisites: names(data.prerequisites), tools: names(data.tool), supplies: names(data.supply) };
+    Object.entries(lists).forEach(([field, values]) => {
+      if (values.length > 0) howto[field] = values;
+    });
+
+    const tips = [];
+    howto.steps = [];
+    this.getSteps().forEach(({ step }) => {
+      const node = typeof step === 'string' ? { text: step } : step;
+      const elements = Array.isArray(node.itemListElement) ? node.itemListElement : [];
+      elements.filter(item => item && item['@type'] === 'HowToTip' && text(item.text)).forEach(item => tips.push(item.text));
+      const directions = elements.filter(item => item && item['@type'] !== 'HowToTip' && text(item.text)).map(item => item.text);
+      const stepText = text(node.text) || directions.join(' ');
+      if (!stepText) {
+        return;
+      }
+      const entry = { step: howto.steps.length + 1 };
+      if (text(node.name)) entry.name = node.name;
+      entry.text = stepText;
+      const image = node.image && typeof node.image === 'object' ? node.image.url : node.image;
+      if (text(image)) entry.image = image;
+      const time = formatTime(node.timeRequired);
+      if (time) entry.time = time;
+      howto.steps.push(entry);
+    });
+    if (tips.length > 0) howto.tips = tips;
+
+    const tags = typeof data.keywords === 'string' ? data.keywords.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+    if (tags.length > 0) howto.tags = tags;
+
+    const extractedAt = new Date(options.extractedAt || Date.now());
+    const metadata = { extractedAt: (isNaN(extractedAt.getTime()) ? new Date() : extractedAt).toISOString() };
+    if (text(data.url)) metadata.sourceUrl = data.url;
+    metadata.profileVersion = 'howto.v1';
+    return { howto, metadata };
+  }
+
+  /**
+   * List the steps with their paths, looking into sections
+   * @private
+   */
+  getSteps() {
+    const steps = [];
+    (Array.isArray(this.data.step) ? this.data.step : []).forEach((item, index) => {
+      if (item && item['@type'] === 'HowToSection' && Array.isArray(item.itemListElement)) {
+        item.itemListElement.forEach((step, position) => {
+          steps.push({ step, path: `step[${index}].itemListElement[${position}]` });
+        });
+      } else if (item) {
+        steps.push({ step: item, path: `step[${index}]` });
+      }
+    });
+    return steps;
+  }
+
+  /**
+   * Check whether the how-to lists a tool or supply used by a step
+   * @private
+   */
+  isDeclared(property, reference) {
+    const declared = Array.isArray(this.data[property]) ? this.data[property] : [];
+    const id = reference && typeof reference === 'object' ? reference['@id'] : null;
+    return declared.some(item => (id && item && item['@id'] === id) || sameName(item, nameOf(reference)));
+  }
+
+  /**
+   * Add a tool or supply, replacing one with the same name
+   * @private
+   */
+  addItem(property, node) {
+    if (node) {
+      const items = Array.isArray(this.data[property]) ? [...this.data[property]] : [];
+      const index = items.findIndex(item => sameName(item, node.name));
+      if (index === -1) {
+        items.push(node);
+      } else {
+        items[index] = node;
+      }
+      this.data[property] = items;
+    }
+    return this;
+  }
+
+  /**
+   * Create a HowToTool or HowToSupply from a name or an object
+   * @private
+   */
+  createItem(type, item, options = {}) {
+    const source = typeof item === 'string' ? { name: item } : item;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      return null;
+    }
+    const settings = { ...source, ...(options && typeof options === 'object' ? options : {}) };
+    const name = this.cleanText(settings.name);
+    if (!name) {
+      return null;
+    }
+
+    const node = { "@type": type };
+    const id = this.cleanUrl(settings.id || settings['@id']);
+    if (id) node['@id'] = id;
+    node.name = name;
+    const quantity = this.createQuantity(settings.requiredQuantity);
+    if (quantity !== null) node.requiredQuantity = quantity;
+    const url = this.cleanUrl(settings.url);
+    if (url) node.url = url;
+    const image = this.createImage(settings.image);
+    if (image) node.image = image;
+    return node;
+  }
+
+  /**
+   * Create the tool or supply a step uses, with the `@id` of the declared one
+   * @private
+   */
+  createReference(type, property, item) {
+    const node = this.createItem(type, item);
+    if (!node || node['@id']) {
+      return node;
+    }
+    const declared = (Array.isArray(this.data[property]) ? this.data[property] : []).find(entry => sameName(entry, node.name));
+    if (!declared || !declared['@id']) {
+      return node;
+    }
+    const { '@type': ignored, ...rest } = node;
+    return { "@type": type, "@id": declared['@id'], ...rest };
+  }
+
+  /**
+   * Create a required quantity from a number, text or QuantitativeValue
+   * @private
+   */
+  createQuantity(quantity) {
+    if (typeof quantity === 'number') {
+      return Number.isFinite(quantity) && quantity > 0 ? quantity : null;
+    }
+    if (quantity && typeof quantity === 'object' && typeof quantity.value === 'number' && quantity.value > 0) {
+      const node = { "@type": "QuantitativeValue", "value": quantity.value };
+      const unit = this.cleanText(quantity.unitText);
+      if (unit) node.unitText = unit;
+      return node;
+    }
+    return this.cleanText(quantity);
+  }
+
+  /**
+   * Create a HowToStep from an object
+   * @private
+   */
+  createStep(step) {
+    const source = typeof step === 'string' ? { text: step } : step;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      return null;
+    }
+
+    const rest = Object.fromEntries(Object.entries(source).filter(([key]) => !STEP_PROPERTIES.includes(key)));
+    const node = { "@type": "HowToStep", ...(this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(rest, 'HowToStep') : rest) };
+    const id = this.cleanUrl(source['@id']);
+    if (id) node['@id'] = id;
+    const name = this.cleanText(source.name);
+    if (name) node.name = name;
+    const text = this.cleanText(source.text);
+    if (text) node.text = text;
+    const url = this.cleanUrl(source.url);
+    if (url) node.url = url;
+    const image = this.createImage(source.image);
+    if (image) node.image = image;
+    if (Number.isInteger(source.position) && source.position > 0) node.position = source.position;
+    const time = normalizeDuration(source.timeRequired);
+    if (time) node.timeRequired = time;
+    const video = this.createClip(source.video, name);
+    if (video) node.video = video;
+
+    const elements = [
+      ...[].concat(source.itemListElement || []).map(item => this.createListItem(item, 'HowToDirection')),
+      ...[].concat(source.directions || []).map(item => this.createListItem(item, 'HowToDirection')),
+      ...[].concat(source.tips || []).map(item => this.createListItem(item, 'HowToTip'))
+    ].filter(Boolean);
+    if (elements.length > 0) node.itemListElement = elements;
+
+    const tools = [].concat(source.tools || source.tool || []).map(item => this.createReference('HowToTool', 'tool', item)).filter(Boolean);
+    if (tools.length > 0) node.tool = tools;
+    const supplies = [].concat(source.supplies || source.supply || []).map(item => this.createReference('HowToSupply', 'supply', item)).filter(Boolean);
+    if (supplies.length > 0) node.supply = supplies;
+
+    return node.text || node.itemListElement ? node : null;
+  }
+
+  /**
+   * Create a HowToDirection or HowToTip from text or an object
+   * @private
+   */
+  createListItem(item, type) {
+    const source = typeof item === 'string' ? { text: item } : item;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      return null;
+    }
+    const text = this.cleanText(source.text);
+    if (!text) {
+      return null;
+    }
+    const itemType = source['@type'] === 'HowToTip' || source['@type'] === 'HowToDirection' ? source['@type'] : type;
+    return { "@type": itemType, "text": text };
+  }
+
+  /**
+   * Create the Clip of a step from a video part with start and end offsets
+   * @private
+   */
+  createClip(video, name = null) {
+    if (!video || typeof video !== 'object' || Array.isArray(video)) {
+      return null;
+    }
+    const start = toOffset(video.startOffset);
+    const end = video.endOffset === undefined ? null : toOffset(video.endOffset);
+    if (start === null || (video.endOffset !== undefined && (end === null || end <= start))) {
+      return null;
+    }
+
+    const clip = { "@type": "Clip" };
+    const clipName = this.cleanText(video.name) || name;
+    if (clipName) clip.name = clipName;
+    const url = this.cleanUrl(video.url);
+    if (url) clip.url = url;
+    clip.startOffset = start;
+    if (end !== null) clip.endOffset = end;
+    return clip;
+  }
+
+  /**
+   * Create an image from a URL or an ImageObject
+   * @private
+   */
+  createImage(image) {
+    if (image && typeof image === 'object' && !Array.isArray(image)) {
+      const url = this.cleanUrl(image.url);
+      if (!url) {
+        return null;
+      }
+      const node = { "@type": "ImageObject", ...image, "url": url };
+      return this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, 'ImageObject') : node;
+    }
+    return this.cleanUrl(image);
+  }
+
+  /**
+   * Sanitize text (or trim it when sanitization is off); empty text becomes null
+   * @private
+   */
+  cleanText(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return null;
+    }
+    const text = this.sanitizeInputs ? this.sanitizer.sanitizeString(value) : String(value).trim();
+    return text || null;
+  }
+
+  /**
+   * Sanitize a URL (or trim it when sanitization is off); invalid URLs become null
+   * @private
+   */
+  cleanUrl(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+    return (this.sanitizeInputs ? this.sanitizer.sanitizeUrl(value) : value.trim()) || null;
+  }
 }
 
 module.exports = { HowToBuilder, MODES };
@@ -62,6 +62,166 @@
 
 import { BaseProfileBuilder, MODES } from './base-builder.mjs';
 
+/**
+ * Units of a salary's `unitText`, as Google accepts them
+ *
+ * @constant {string[]} SALARY_UNITS
+ */
+export const SALARY_UNITS = ['HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR'];
+
+/**
+ * Salary unit spellings and their SALARY_UNITS value
+ * @private
+ */
+const SALARY_UNIT_ALIASES = {
+  hour: 'HOUR', hourly: 'HOUR', hr: 'HOUR',
+  day: 'DAY', daily: 'DAY',
+  week: 'WEEK', weekly: 'WEEK', wk: 'WEEK',
+  month: 'MONTH', monthly: 'MONTH', mo: 'MONTH',
+  year: 'YEAR', yearly: 'YEAR', annual: 'YEAR', annually: 'YEAR', annum: 'YEAR', yr: 'YEAR'
+};
+
+/**
+ * Region codes that tell the country of a 'City, ST' location
+ * @private
+ */
+const REGION_COUNTRIES = {
+  US: [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+    'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+    'ND', 'OH', 'OK', 'OR', 'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+  ],
+  CA: ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT']
+};
+
+/**
+ * Location texts that stand for a remote job
+ * @private
+ */
+const REMOTE_LOCATION = /^(remote|anywhere|work from home|wfh|telecommute)$/i;
+
+/**
+ * Read a region code with an optional postal code, such as 'TX 78701'
+ * @private
+ */
+function matchRegion(text) {
+  const match = text.match(/^([A-Z]{2})(?:\s+(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z] ?\d[A-Z]\d))?$/);
+  const country = match && Object.keys(REGION_COUNTRIES).find(code => REGION_COUNTRIES[code].includes(match[1]));
+  if (!country) {
+    return null;
+  }
+  const region = { addressRegion: match[1], addressCountry: country };
+  if (match[2]) region.postalCode = match[2];
+  return region;
+}
+
+/**
+ * Parse a location such as 'Austin, TX' or 'Toronto, Ontario, Canada' into address parts
+ *
+ * The last part is the country unless it is a US state or Canadian province
+ * code (with an optional postal code), which also gives the country, so
+ * 'Dover, DE' is in Delaware and 'Berlin, Germany' needs the country name.
+ * Before the country come the region, the locality and the street address.
+ * Two-letter country codes are uppercased.
+ *
+ * @param {string} text - Location text
+ * @returns {Object|null} `streetAddress`, `addressLocality`, `addressRegion`,
+ *   `postalCode` and `addressCountry`, as far as given, or null for empty text
+ *
+ * @example
+ * parseLocation('Austin, TX 78701');
+ * // { addressLocality: 'Austin', addressRegion: 'TX', postalCode: '78701', addressCountry: 'US' }
+ * parseLocation('Toronto, Ontario, ca');
+ * // { addressLocality: 'Toronto', addressRegion: 'Ontario', addressCountry: 'CA' }
+ */
+export function parseLocation(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    return null;
+  }
+
+  let country = null;
+  let region = parts.length > 1 ? matchRegion(parts[parts.length - 1]) : null;
+  if (!region && parts.length > 1) {
+    const last = parts.pop();
+    country = /^[a-z]{2}$/i.test(last) ? last.toUpperCase() : last;
+    if (parts.length > 1) {
+      region = matchRegion(parts[parts.length - 1]) || { addressRegion: parts[parts.length - 1] };
+    }
+  }
+  if (region) {
+    parts.pop();
+  }
+
+  const address = {};
+  const locality = parts.pop();
+  if (parts.length > 0) address.streetAddress = parts.join(', ');
+  if (locality) address.addressLocality = locality;
+  if (region) address.addressRegion = region.addressRegion;
+  if (region && region.postalCode) address.postalCode = region.postalCode;
+  if (country || (region && region.addressCountry)) address.addressCountry = country || region.addressCountry;
+  return address;
+}
+
+/**
+ * Read a salary amount such as 85000, '$85,000', '85k' or '1.2m'
+ * @private
+ */
+function toAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.replace(/,(?=\d{3}\b)/g, '').match(/^\D*?(\d+(?:\.\d+)?)\s*([km])?(?![a-z])/i);
+  if (!match) {
+    return null;
+  }
+  const factor = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(Number(match[1]) * factor * 100) / 100;
+}
+
+/**
+ * Read a salary range such as '$80k - $120k' or '80,000 to 120,000'
+ * @private
+ */
+function toRange(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const parts = value.split(/\s*(?:-|–|—|\bto\b)\s*/i);
+  if (parts.length !== 2) {
+    return null;
+  }
+  const [min, max] = parts.map(toAmount);
+  return min !== null && max !== null ? { min, max } : null;
+}
+
+/**
+ * Normalize a salary unit such as 'per hour' or 'annual' to SALARY_UNITS
+ * @private
+ */
+function toSalaryUnit(unit) {
+  if (typeof unit !== 'string') {
+    return null;
+  }
+  const key = unit.trim().toLowerCase().replace(/^(per|an?|every)\s+/, '');
+  return SALARY_UNITS.includes(key.toUpperCase()) ? key.toUpperCase() : SALARY_UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Read the last moment of a date ('2025-02-15' lasts the whole day)
+ * @private
+ */
+function endOf(date) {
+  const time = Date.parse(date);
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? time + 86400000 - 1 : time;
+}
+
 /**
  * JobPostingBuilder class for creating JobPosting structured data objects
  * 
@@ -152,12 +312,15 @@ export class JobPostingBuilder extends BaseProfileBuilder {
 
   /**
    * Set hiring organization
-   * @param {string|Object} organization - Organization name or object
+   * @param {OrganizationBuilder|string|Object} organization - Organization name or object
    * @param {string} [url] - Organization URL (if organization is string)
    * @param {string} [logo] - Organization logo URL (if organization is string)
    * @returns {JobPostingBuilder} This builder for chaining
    */
   hiringOrganization(organization, url = null, logo = null) {
+    if (this.setAgent('hiringOrganization', organization)) {
+      return this;
+    }
     if (typeof organization === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(organization) : organization;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -182,50 +345,90 @@ export class JobPostingBuilder extends BaseProfileBuilder {
 
   /**
    * Set job location
-   * @param {string|Object} location - Location string or Place object
+   *
+   * A location text is parsed into address parts (see {@link parseLocation});
+   * with locality, region or country arguments it is the street address
+   * instead. An array sets several locations. 'Remote' makes the job remote
+   * (see {@link JobPostingBuilder#remote}), with the country argument as the
+   * country applicants must live in.
+   *
+   * @param {string|Object|Array<string|Object>} location - Location text, Place object or an array of them
    * @param {string} [locality] - City/locality (if location is string)
    * @param {string} [region] - State/region (if location is string)
    * @param {string} [country] - Country (if location is string)
    * @returns {JobPostingBuilder} This builder for chaining
+   *
+   * @example
+   * jobBuilder.jobLocation(['San Francisco, CA', 'Toronto, ON', 'Berlin, Germany']);
+   * // [{ "@type": "Place", "address": { "@type": "PostalAddress", "addressLocality": "San Francisco",
+   * //    "addressRegion": "CA", "addressCountry": "US" } }, …]
    */
   jobLocation(location, locality = null, region = null, country = null) {
-    if (typeof location === 'string') {
-      const sanitizedLocation = this.sanitizeInputs ? this.sanitizer.sanitizeString(location) : location;
-      const sanitizedLocality = this.sanitizeInputs ? this.sanitizer.sanitizeString(locality) : locality;
-      const sanitizedRegion = this.sanitizeInputs ? this.sanitizer.sanitizeString(region) : region;
-      const sanitizedCountry = this.sanitizeInputs ? this.sanitizer.sanitizeString(country) : country;
-      
-      this.data.jobLocation = {
-        "@type": "Place",
-        "address": {
-          "@type": "PostalAddress",
-          "streetAddress": sanitizedLocation
-        }
-      };
-      
-      if (sanitizedLocality) this.data.jobLocation.address.addressLocality = sanitizedLocality;
-      if (sanitizedRegion) this.data.jobLocation.address.addressRegion = sanitizedRegion;
-      if (sanitizedCountry) this.data.jobLocation.address.addressCountry = sanitizedCountry;
-    } else if (location && typeof location === 'object') {
-      if (this.sanitizeInputs) {
-        this.data.jobLocation = this.sanitizer.sanitizeStructuredData(location, 'Place');
-      } else {
-        this.data.jobLocation = location;
+    if (typeof location === 'string' && (locality || region || country)) {
+      if (REMOTE_LOCATION.test(location.trim())) {
+        return country ? this.remote(country) : this.remote();
       }
+      const address = { streetAddress: location, addressLocality: locality, addressRegion: region, addressCountry: country };
+      Object.keys(address).forEach(key => {
+        if (!address[key]) delete address[key];
+      });
+      location = { "@type": "Place", "address": address };
+    }
+
+    const locations = Array.isArray(location) ? location : [location];
+    const places = locations.map(item => this.createPlace(item)).filter(Boolean);
+    if (places.length > 0 || Array.isArray(location)) {
+      this.setList('jobLocation', places);
+    }
+    return this;
+  }
+
+  /**
+   * Add a job location to the ones already set
+   * @param {string|Object} location - Location text or Place object (see {@link JobPostingBuilder#jobLocation})
+   * @returns {JobPostingBuilder} This builder for chaining
+   */
+  addJobLocation(location) {
+    const place = this.createPlace(location);
+    if (place) {
+      this.setList('jobLocation', [...[].concat(this.data.jobLocation || []), place]);
     }
     return this;
   }
 
   /**
    * Set job location type for remote positions
+   *
+   * Google only accepts "TELECOMMUTE" ('remote' is read as such); other
+   * values are ignored. Remote jobs need applicantLocationRequirements.
+   *
    * @param {string} locationType - Location type (e.g., "TELECOMMUTE")
    * @returns {JobPostingBuilder} This builder for chaining
    */
   jobLocationType(locationType) {
-    if (this.sanitizeInputs) {
-      this.data.jobLocationType = this.sanitizer.sanitizeString(locationType);
-    } else {
-      this.data.jobLocationType = locationType;
+    if (typeof locationType === 'string' && /^(telecommute|remote)$/i.test(locationType.trim())) {
+      this.data.jobLocationType = 'TELECOMMUTE';
+    }
+    return this;
+  }
+
+  /**
+   * Make the job remote for applicants in the given countries
+   *
+   * Sets jobLocationType to TELECOMMUTE and, when countries are given,
+   * applicantLocationRequirements. A job with a jobLocation as well is a
+   * hybrid job.
+   *
+   * @param {...(string|Object|Array)} countries - Country names or Country/State objects
+   * @returns {JobPostingBuilder} This builder for chaining
+   *
+   * @example
+   * jobBuilder.remote('US', 'Canada');
+   */
+  remote(...countries) {
+    this.data.jobLocationType = 'TELECOMMUTE';
+    if (countries.flat().length > 0) {
+      this.applicantLocationRequirements(...countries);
     }
     return this;
   }
@@ -260,58 +463,124 @@ export class JobPostingBuilder extends BaseProfileBuilder {
 
   /**
    * Set base salary
-   * @param {string|number|Object} salary - Salary amount or MonetaryAmount object
-   * @param {string} [currency] - Currency code (if salary is number/string)
+   *
+   * Amounts can be numbers or texts such as '$85,000' or '85k', and a text
+   * range such as '$80k - $120k' sets minValue and maxValue. Objects, either a
+   * MonetaryAmount or a flat `{ value, minValue, maxValue, currency, unitText }`,
+   * are read the same way. The unit must be one of SALARY_UNITS (spellings such
+   * as 'per hour' or 'annual' are read as such) and the currency an ISO 4217
+   * code; otherwise the salary is ignored. Without a currency the salary uses
+   * salaryCurrency, also when that is set later, and USD when there is none.
+   *
+   * @param {string|number|Object} salary - Salary amount, range text or MonetaryAmount object
+   * @param {string} [currency] - Currency code (defaults to salaryCurrency, then USD)
    * @param {string} [unit] - Unit text (HOUR, DAY, WEEK, MONTH, YEAR)
-   * @param {number} [minValue] - Minimum salary value
-   * @param {number} [maxValue] - Maximum salary value
+   * @param {number|string} [minValue] - Minimum salary value
+   * @param {number|string} [maxValue] - Maximum salary value
    * @returns {JobPostingBuilder} This builder for chaining
    */
-  baseSalary(salary, currency = 'USD', unit = 'YEAR', minValue = null, maxValue = null) {
+  baseSalary(salary, currency = null, unit = 'YEAR', minValue = null, maxValue = null) {
+    let node = null;
+    let code = currency;
     if (typeof salary === 'number' || typeof salary === 'string') {
-      const sanitizedCurrency = this.sanitizeInputs ? this.sanitizer.sanitizeString(currency) : currency;
-      const sanitizedUnit = this.sanitizeInputs ? this.sanitizer.sanitizeString(unit) : unit;
-      
-      this.data.baseSalary = {
-        "@type": "MonetaryAmount",
-        "currency": sanitizedCurrency,
-        "value": {
-          "@type": "QuantitativeValue",
-          "value": typeof salary === 'string' ? parseFloat(salary) : salary,
-          "unitText": sanitizedUnit
-        }
-      };
-      
-      if (minValue !== null) this.data.baseSalary.value.minValue = minValue;
-      if (maxValue !== null) this.data.baseSalary.value.maxValue = maxValue;
-    } else if (salary && typeof salary === 'object') {
-      if (this.sanitizeInputs) {
-        this.data.baseSalary = this.sanitizer.sanitizeStructuredData(salary, 'MonetaryAmount');
-      } else {
-        this.data.baseSalary = salary;
+      const range = toRange(salary);
+      node = range
+        ? this.createSalary({ minValue: range.min, maxValue: range.max }, unit, code || this.data.salaryCurrency || 'USD')
+        : this.createSalary({ value: salary, minValue, maxValue }, unit, code || this.data.salaryCurrency || 'USD');
+    } else if (salary && typeof salary === 'object' && !Array.isArray(salary)) {
+      const quantity = salary.value && typeof salary.value === 'object' ? salary.value : salary;
+      code = salary.currency || currency;
+      node = this.createSalary(
+        { value: quantity.value, minValue: quantity.minValue, maxValue: quantity.maxValue },
+        quantity.unitText || salary.unitText || salary.unit || unit,
+        code || this.data.salaryCurrency || 'USD'
+      );
+    }
+    if (node) {
+      this.data.baseSalary = node;
+      this.salaryCurrencyGiven = Boolean(code);
+    }
+    return this;
+  }
+
+  /**
+   * Set salary currency
+   * @param {string} currency - Salary currency (ISO 4217 code)
+   * @returns {JobPostingBuilder} This builder for chaining
+   */
+  salaryCurrency(currency) {
+    if (typeof currency === 'string' && /^[a-z]{3}$/i.test(currency.trim())) {
+      this.data.salaryCurrency = currency.trim().toUpperCase();
+      // A salary set without its own currency follows salaryCurrency
+      if (this.data.baseSalary && this.data.baseSalary.currency && !this.salaryCurrencyGiven) {
+        this.data.baseSalary.currency = this.data.salaryCurrency;
       }
     }
     return this;
   }
 
+  /**
+   * Set salary range
+   *
+   * Amounts are read as with {@link JobPostingBuilder#baseSalary}; reversed
+   * bounds are swapped and equal ones become a single value.
+   *
+   * @param {number|string} minValue - Minimum salary
+   * @param {number|string} maxValue - Maximum salary
+   * @param {string} [unit] - Salary unit
+   * @returns {JobPostingBuilder} This builder for chaining
+   */
+  salaryRange(minValue, maxValue, unit = 'YEAR') {
+    const node = this.createSalary({ minValue, maxValue }, unit, this.data.salaryCurrency || 'USD');
+    if (node) {
+      this.data.baseSalary = node;
+      this.salaryCurrencyGiven = false;
+    }
+    return this;
+  }
+
+  /**
+   * Set salary minimum value
+   * @param {number|string} value - Minimum salary
+   * @returns {JobPostingBuilder} This builder for chaining
+   */
+  salaryMinValue(value) {
+    return this.setSalaryBound('minValue', value);
+  }
+
+  /**
+   * Set salary maximum value
+   * @param {number|string} value - Maximum salary
+   * @returns {JobPostingBuilder} This builder for chaining
+   */
+  salaryMaxValue(value) {
+    return this.setSalaryBound('maxValue', value);
+  }
+
+
   /**
    * Set applicant location requirements
-   * @param {string|Object} requirements - Country name or Country object
+   *
+   * The countries (or states) applicants of a remote job must live in.
+   * Replaces earlier requirements.
+   *
+   * @param {...(string|Object|Array)} requirements - Country names or Country/State objects
    * @returns {JobPostingBuilder} This builder for chaining
    */
-  applicantLocationRequirements(requirements) {
-    if (typeof requirements === 'string') {
-      const sanitizedRequirements = this.sanitizeInputs ? this.sanitizer.sanitizeString(requirements) : requirements;
-      this.data.applicantLocationRequirements = {
-        "@type": "Country",
-        "name": sanitizedRequirements
-      };
-    } else if (requirements && typeof requirements === 'object') {
-      if (this.sanitizeInputs) {
-        this.data.applicantLocationRequirements = this.sanitizer.sanitizeStructuredData(requirements, 'Country');
-      } else {
-        this.data.applicantLocationRequirements = requirements;
+  applicantLocationRequirements(...requirements) {
+    const areas = requirements.flat().map(requirement => {
+      if (typeof requirement === 'string') {
+        const name = this.sanitizeInputs ? this.sanitizer.sanitizeString(requirement) : requirement.trim();
+        return name ? { "@type": "Country", "name": name } : null;
+      }
+      if (requirement && typeof requirement === 'object' && typeof requirement.name === 'string') {
+        const area = { "@type": "Country", ...requirement };
+        return this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(area, area['@type']) : area;
       }
+      return null;
+    }).filter(Boolean);
+    if (areas.length > 0) {
+      this.setList('applicantLocationRequirements', areas);
     }
     return this;
   }
@@ -539,6 +808,232 @@ export class JobPostingBuilder extends BaseProfileBuilder {
     this.data.jobImmediateStart = Boolean(immediateStart);
     return this;
   }
+
+  /**
+   * Set the employer's identifier of the job, such as a requisition number
+   *
+   * Google reads the identifier as a PropertyValue naming the organization
+   * that issued it; the name defaults to the hiring organization's.
+   *
+   * @param {string|number|Object} identifier - Identifier value or PropertyValue object
+   * @param {string} [name] - Issuer name (if identifier is a value)
+   * @returns {JobPostingBuilder} This builder for chaining
+   *
+   * @example
+   * jobBuilder.hiringOrganization('Tech Corp').identifier('REQ-1234');
+   * // { "@type": "PropertyValue", "name": "Tech Corp", "value": "REQ-1234" }
+   */
+  identifier(identifier, name = null) {
+    const source = typeof identifier === 'string' || typeof identifier === 'number'
+      ? { name, value: String(identifier) }
+      : identifier;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      return this;
+    }
+
+    const node = { "@type": "PropertyValue", ...source };
+    const issuer = source.name || (this.data.hiringOrganization && this.data.hiringOrganization.name);
+    if (issuer) {
+      node.name = issuer;
+    } else {
+      delete node.name;
+    }
+    const sanitized = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, 'PropertyValue') : node;
+    if (sanitized.value !== undefined && sanitized.value !== null && sanitized.value !== '') {
+      this.data.identifier = sanitized;
+    }
+    return this;
+  }
+
+  /**
+   * Check the posting against Google's job posting requirements
+   *
+   * Errors: validThrough before datePosted, an expired posting, a
+   * jobLocationType other than TELECOMMUTE, a remote job without
+   * applicantLocationRequirements and a salary with an unknown unitText or a
+   * minValue above its maxValue. Warnings: datePosted in the future,
+   * applicantLocationRequirements on a job that is not remote, locations
+   * without a country, a currency that is not an ISO 4217 code and an
+   * identifier that is not a PropertyValue.
+   *
+   * @param {Date} [now=new Date()] - Time to check expiry against
+   * @returns {Array<{field: string, message: string, severity: string}>} Issues found
+   */
+  checkPosting(now = new Date()) {
+    const data = this.data;
+    const issues = [];
+    const add = (severity, field, message) => issues.push({ field, message, severity });
+    const remote = data.jobLocationType === 'TELECOMMUTE';
+
+    if (typeof data.datePosted === 'string' && typeof data.validThrough === 'string' &&
+        endOf(data.validThrough) < Date.parse(data.datePosted)) {
+      add('error', 'validThrough', `validThrough (${data.validThrough}) is before datePosted (${data.datePosted})`);
+    }
+    if (typeof data.validThrough === 'string' && endOf(data.validThrough) < now.getTime()) {
+      add('error', 'validThrough', `The job posting expired on ${data.validThrough}`);
+    }
+    if (typeof data.datePosted === 'string' && Date.parse(data.datePosted) > now.getTime()) {
+      add('warning', 'datePosted', `datePosted (${data.datePosted}) is in the future`);
+    }
+
+    if (data.jobLocationType !== undefined && !remote) {
+      add('error', 'jobLocationType', `jobLocationType must be TELECOMMUTE, not ${JSON.stringify(data.jobLocationType)}`);
+    }
+    if (remote && !data.applicantLocationRequirements) {
+      add('error', 'applicantLocationRequirements', 'Remote jobs must name the countries or states applicants can live in');
+    }
+    if (!remote && data.applicantLocationRequirements) {
+      add('warning', 'applicantLocationRequirements', 'applicantLocationRequirements is only used for remote jobs (jobLocationType TELECOMMUTE)');
+    }
+    [].concat(data.jobLocation || []).forEach((place, index) => {
+      const path = Array.isArray(data.jobLocation) ? `jobLocation[${index}]` : 'jobLocation';
+      const address = place && typeof place === 'object' ? place.address : null;
+      if (!address || typeof address !== 'object' || !address.addressCountry) {
+        add('warning', `${path}.address.addressCountry`, 'Give the country of every job location');
+      }
+    });
+
+    const salary = data.baseSalary && typeof data.baseSalary === 'object' ? data.baseSalary : null;
+    const quantity = salary && salary.value && typeof salary.value === 'object' ? salary.value : null;
+    if (quantity && !SALARY_UNITS.includes(quantity.unitText)) {
+      add('error', 'baseSalary.value.unitText', `unitText must be one of ${SALARY_UNITS.join(', ')}`);
+    }
+    if (quantity && typeof quantity.minValue === 'number' && typeof quantity.maxValue === 'number' &&
+        quantity.minValue > quantity.maxValue) {
+      add('error', 'baseSalary.value.minValue', `minValue (${quantity.minValue}) is above maxValue (${quantity.maxValue})`);
+    }
+    if (salary && !/^[A-Z]{3}$/.test(salary.currency)) {
+      add('warning', 'baseSalary.currency', 'currency must be an ISO 4217 code, such as USD');
+    }
+
+    const identifier = data.identifier;
+    if (identifier !== undefined && identifier !== this.getModeProperties().identifier &&
+        !(identifier && identifier['@type'] === 'PropertyValue')) {
+      add('warning', 'identifier', 'Give the identifier as a PropertyValue with the issuer name and the value');
+    }
+    return issues;
+  }
+
+  /**
+   * Validate the builder, including Google's job posting requirements
+   *
+   * Remote jobs do not need a jobLocation.
+   *
+   * @returns {Object} Validation results (see BaseProfileBuilder#validateInline)
+   */
+  validateInline() {
+    const validation = super.validateInline();
+    if (this.data.jobLocationType === 'TELECOMMUTE') {
+      validation.errors = validation.errors.filter(error => error.field !== 'jobLocation');
+    }
+    this.checkPosting().forEach(issue => {
+      (issue.severity === 'error' ? validation.errors : validation.warnings).push({
+        field: issue.field,
+        message: issue.message,
+        action: 'See Google\'s job posting structured data guidelines',
+        severity: issue.severity
+      });
+    });
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Treat the currency of a loaded salary as given, so salaryCurrency() leaves it alone
+   * @private
+   */
+  restoreState() {
+    this.salaryCurrencyGiven = Boolean(this.data.baseSalary && this.data.baseSalary.currency);
+  }
+
+  /**
+   * Create a Place from a location text or object; 'Remote' makes the job remote instead
+   * @private
+   */
+  createPlace(location) {
+    if (typeof location === 'string') {
+      const text = this.sanitizeInputs ? this.sanitizer.sanitizeString(location) : location.trim();
+      const [first, ...countries] = (text || '').split(',').map(part => part.trim());
+      if (REMOTE_LOCATION.test(first)) {
+        this.remote(...countries.filter(Boolean));
+        return null;
+      }
+      const address = parseLocation(text);
+      return address ? { "@type": "Place", "address": { "@type": "PostalAddress", ...address } } : null;
+    }
+    if (location && typeof location === 'object' && !Array.isArray(location)) {
+      const place = { "@type": "Place", ...location };
+      return this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(place, 'Place') : place;
+    }
+    return null;
+  }
+
+  /**
+   * Create a MonetaryAmount salary, or null when an amount, the unit or the currency is invalid
+   * @private
+   */
+  createSalary(amounts, unit, currency) {
+    const unitText = toSalaryUnit(unit);
+    const code = typeof currency === 'string' && /^[a-z]{3}$/i.test(currency.trim()) ? currency.trim().toUpperCase() : null;
+    let value = toAmount(amounts.value);
+    let min = toAmount(amounts.minValue);
+    let max = toAmount(amounts.maxValue);
+    if (min !== null && max !== null && min > max) {
+      [min, max] = [max, min];
+    }
+    if (value === null && min !== null && min === max) {
+      value = min;
+      min = null;
+      max = null;
+    }
+    if (!unitText || !code || (value === null && min === null && max === null)) {
+      return null;
+    }
+
+    const quantity = { "@type": "QuantitativeValue" };
+    if (value !== null) quantity.value = value;
+    if (min !== null) quantity.minValue = min;
+    if (max !== null) quantity.maxValue = max;
+    quantity.unitText = unitText;
+    return { "@type": "MonetaryAmount", "currency": code, "value": quantity };
+  }
+
+  /**
+   * Set the minValue or maxValue of the salary, starting a yearly salary if needed
+   * @private
+   */
+  setSalaryBound(bound, value) {
+    const amount = toAmount(value);
+    if (amount === null) {
+      return this;
+    }
+    const salary = this.data.baseSalary;
+    if (!salary || !salary.value || typeof salary.value !== 'object') {
+      this.salaryCurrencyGiven = false;
+      this.data.baseSalary = {
+        "@type": "MonetaryAmount",
+        "currency": this.data.salaryCurrency || 'USD',
+        "value": {
+          "@type": "QuantitativeValue",
+          "unitText": "YEAR"
+        }
+      };
+    }
+    this.data.baseSalary.value[bound] = amount;
+    return this;
+  }
+
+  /**
+   * Set a property to one node or, for several, an array of them
+   * @private
+   */
+  setList(property, nodes) {
+    if (nodes.length === 0) {
+      delete this.data[property];
+    } else {
+      this.data[property] = nodes.length === 1 ? nodes[0] : nodes;
+    }
+  }
 }
 
 export default JobPostingBuilder;
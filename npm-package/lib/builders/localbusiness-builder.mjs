@@ -58,6 +58,287 @@
  */
 
 import { BaseProfileBuilder, MODES } from './base-builder.mjs';
+import { normalizeDateTime } from '../datetime.mjs';
+
+/**
+ * Schema.org days of the week, in `dayOfWeek` order
+ *
+ * @constant {string[]} DAYS_OF_WEEK
+ */
+export const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Two-letter day codes of the compact `openingHours` syntax
+ * @private
+ */
+const DAY_CODES = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+/**
+ * One `openingHours` entry: optional days followed by one or more time windows
+ * @private
+ */
+const HOURS_ENTRY = /([a-z]{2,9}\.?(?:\s*[-–,]\s*[a-z]{2,9}\.?)*)?\s*(\d{1,2}(?::\d{2})?\s*[-–]\s*\d{1,2}(?::\d{2})?(?:\s*,\s*\d{1,2}(?::\d{2})?\s*[-–]\s*\d{1,2}(?::\d{2})?)*)/gi;
+
+/**
+ * Index of a day name, code or schema.org day URL in DAYS_OF_WEEK
+ * @private
+ */
+function dayIndex(day) {
+  if (typeof day !== 'string') {
+    return -1;
+  }
+  const name = day.trim().replace(/^.*\//, '').replace(/\.$/, '').toLowerCase();
+  if (name.length < 2) {
+    return -1;
+  }
+  return DAYS_OF_WEEK.findIndex(full => full.toLowerCase().startsWith(name));
+}
+
+/**
+ * Expand 'Mo-Fr', 'Mo,We,Fr' or 'Fr-Mo' into day indexes
+ * @private
+ */
+function parseDays(text) {
+  const days = [];
+  for (const part of text.split(',')) {
+    const [first, last = first] = part.split(/[-–]/).map(dayIndex);
+    if (first < 0 || last < 0) {
+      return null;
+    }
+    for (let day = first; ; day = (day + 1) % 7) {
+      if (!days.includes(day)) {
+        days.push(day);
+      }
+      if (day === last) {
+        break;
+      }
+    }
+  }
+  return days.sort((a, b) => a - b);
+}
+
+/**
+ * Normalize '9', '9:00' or '09:00:00' to 'HH:MM'
+ * @private
+ */
+function toTime(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?$/);
+  if (!match || Number(match[1]) > 24 || Number(match[2] || 0) > 59 || (match[1] === '24' && Number(match[2] || 0) > 0)) {
+    return null;
+  }
+  return `${match[1].padStart(2, '0')}:${match[2] || '00'}`;
+}
+
+/**
+ * Minutes since midnight, with a closing '23:59' or '24:00' counting as the end of the day
+ * @private
+ */
+function toMinutes(time, closing = false) {
+  const minutes = Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  return closing && minutes >= 1439 ? 1440 : minutes;
+}
+
+/**
+ * Build an OpeningHoursSpecification from loose values
+ *
+ * Specifications with `validFrom` or `validThrough` and no times are closures.
+ * @private
+ */
+function createHoursSpecification(input) {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+  const validFrom = input.validFrom ? normalizeDateTime(input.validFrom, { dateOnly: true }) : null;
+  const validThrough = input.validThrough ? normalizeDateTime(input.validThrough, { dateOnly: true }) : null;
+  const special = Boolean(validFrom || validThrough);
+  const closed = special && input.opens === undefined && input.closes === undefined;
+  const opens = closed ? '00:00' : toTime(input.opens);
+  let closes = closed ? '00:00' : toTime(input.closes);
+  if (!opens || !closes || opens === '24:00' || (input.validFrom && !validFrom) || (input.validThrough && !validThrough)) {
+    return null;
+  }
+  if (closes === '24:00') {
+    closes = '23:59';
+  }
+
+  const specification = { "@type": "OpeningHoursSpecification" };
+  if (input.dayOfWeek !== undefined) {
+    const values = Array.isArray(input.dayOfWeek) ? input.dayOfWeek : [input.dayOfWeek];
+    const days = [];
+    for (const value of values) {
+      const parsed = typeof value === 'string' && !value.includes('/') ? parseDays(value) : [dayIndex(value)];
+      if (!parsed || parsed.includes(-1)) {
+        return null;
+      }
+      parsed.forEach(day => { if (!days.includes(day)) days.push(day); });
+    }
+    specification.dayOfWeek = days.sort((a, b) => a - b).map(day => DAYS_OF_WEEK[day]);
+  } else if (!special) {
+    return null;
+  }
+  specification.opens = opens;
+  specification.closes = closes;
+  if (validFrom) specification.validFrom = validFrom;
+  if (validThrough) specification.validThrough = validThrough;
+  return specification;
+}
+
+/**
+ * Parse the compact `openingHours` syntax into OpeningHoursSpecification objects
+ *
+ * Entries are separated by commas, semicolons or line breaks. Days may be
+ * codes or names, as ranges ('Mo-Fr', 'Fr-Mo' wraps around the week) or
+ * lists ('Mo,We,Fr'); an entry without days applies to the whole week. One
+ * entry may list several windows ('Mo-Fr 09:00-12:00,13:00-17:00') and a
+ * window may run past midnight ('Fr-Sa 18:00-02:00'). Entries that do not
+ * parse are skipped.
+ *
+ * @param {string|string[]} hours - Opening hours such as 'Mo-Fr 09:00-17:00, Sa 10:00-14:00'
+ * @returns {Object[]} OpeningHoursSpecification objects, one per entry and window
+ *
+ * @example
+ * parseOpeningHours('Mo-Fr 09:00-17:00, Sa 10:00-14:00');
+ * // [{ "@type": "OpeningHoursSpecification", dayOfWeek: ['Monday', ..., 'Friday'], opens: '09:00', closes: '17:00' },
+ * //  { "@type": "OpeningHoursSpecification", dayOfWeek: ['Saturday'], opens: '10:00', closes: '14:00' }]
+ */
+export function parseOpeningHours(hours) {
+  if (Array.isArray(hours)) {
+    return hours.flatMap(entry => parseOpeningHours(entry));
+  }
+  if (typeof hours !== 'string') {
+    return [];
+  }
+
+  const specifications = [];
+  for (const [, days, windows] of hours.matchAll(HOURS_ENTRY)) {
+    const dayOfWeek = days ? parseDays(days.replace(/\s+/g, '')) : [0, 1, 2, 3, 4, 5, 6];
+    if (!dayOfWeek) {
+      continue;
+    }
+    windows.split(',').forEach(window => {
+      const [opens, closes] = window.split(/[-–]/);
+      const specification = createHoursSpecification({ dayOfWeek: dayOfWeek.map(day => DAYS_OF_WEEK[day]), opens, closes });
+      if (specification) {
+        specifications.push(specification);
+      }
+    });
+  }
+  return specifications;
+}
+
+/**
+ * Format OpeningHoursSpecification objects in the compact `openingHours` syntax
+ *
+ * Days that share a window are merged into one entry. Specifications with
+ * `validFrom` or `validThrough` cannot be expressed in this syntax and are
+ * left out.
+ *
+ * @param {Object[]} specifications - OpeningHoursSpecification objects
+ * @returns {string[]} Entries such as 'Mo-Fr 09:00-17:00', ordered by first day and opening time
+ *
+ * @example
+ * formatOpeningHours(parseOpeningHours('Monday-Friday 9:00-17:00; Sat 10-14'));
+ * // ['Mo-Fr 09:00-17:00', 'Sa 10:00-14:00']
+ */
+export function formatOpeningHours(specifications) {
+  const windows = new Map();
+  (Array.isArray(specifications) ? specifications : [specifications]).forEach(input => {
+    const specification = createHoursSpecification(input);
+    if (!specification || specification.validFrom || specification.validThrough || !specification.dayOfWeek) {
+      return;
+    }
+    const window = `${specification.opens}-${specification.closes}`;
+    const days = windows.get(window) || new Set();
+    specification.dayOfWeek.forEach(day => days.add(DAYS_OF_WEEK.indexOf(day)));
+    windows.set(window, days);
+  });
+
+  return Array.from(windows, ([window, days]) => {
+    const sorted = Array.from(days).sort((a, b) => a - b);
+    const runs = [];
+    sorted.forEach(day => {
+      const run = runs[runs.length - 1];
+      if (run && run[run.length - 1] === day - 1) {
+        run.push(day);
+      } else {
+        runs.push([day]);
+      }
+    });
+    const text = runs.map(run => (run.length > 2
+      ? `${DAY_CODES[run[0]]}-${DAY_CODES[run[run.length - 1]]}`
+      : run.map(day => DAY_CODES[day]).join(','))).join(',');
+    return { first: sorted[0], window, text: `${text} ${window}` };
+  })
+    .sort((a, b) => a.first - b.first || a.window.localeCompare(b.window))
+    .map(entry => entry.text);
+}
+
+/**
+ * Opening windows of a calendar date in minutes since midnight
+ *
+ * Specifications with `validFrom`/`validThrough` that cover the date and its
+ * day of the week replace the regular hours for that date.
+ * @private
+ */
+function windowsOn(specifications, date) {
+  const weekday = DAYS_OF_WEEK[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+  const onDay = specification => !specification.dayOfWeek || specification.dayOfWeek.includes(weekday);
+  const special = specifications.filter(specification => (specification.validFrom || specification.validThrough)
+    && (!specification.validFrom || specification.validFrom <= date)
+    && (!specification.validThrough || date <= specification.validThrough)
+    && onDay(specification));
+  const applicable = special.length > 0
+    ? special
+    : specifications.filter(specification => !specification.validFrom && !specification.validThrough && onDay(specification));
+
+  return applicable
+    .filter(specification => specification.opens !== '00:00' || specification.closes !== '00:00')
+    .map(specification => [toMinutes(specification.opens), toMinutes(specification.closes, true)]);
+}
+
+/**
+ * Check whether opening hours include a moment
+ *
+ * The moment is read as local time in `timeZone`. Windows that close at or
+ * before they open run past midnight into the next day, and specifications
+ * with `validFrom`/`validThrough` override the regular hours of the dates
+ * they cover; opening and closing at '00:00' closes the business all day.
+ *
+ * @param {Object[]|string|string[]} hours - OpeningHoursSpecification objects and/or compact `openingHours` entries
+ * @param {Date|string|number} [date=new Date()] - Moment to check
+ * @param {string} [timeZone] - IANA time zone of the business (defaults to the system time zone)
+ * @returns {boolean|null} Whether the business is open, or null if there are no hours or the date or time zone is invalid
+ *
+ * @example
+ * isOpenAt('Mo-Fr 09:00-17:00', new Date('2024-06-14T13:30:00Z'), 'Europe/Paris'); // true (15:30 on a Friday)
+ * isOpenAt('Fr-Sa 18:00-02:00', '2024-06-16T01:00:00+02:00', 'Europe/Paris');        // true (Saturday night)
+ */
+export function isOpenAt(hours, date = new Date(), timeZone = null) {
+  const specifications = (Array.isArray(hours) ? hours : [hours]).flatMap(entry => (typeof entry === 'string'
+    ? parseOpeningHours(entry)
+    : [createHoursSpecification(entry)].filter(Boolean)));
+  if (specifications.length === 0) {
+    return null;
+  }
+
+  const moment = date instanceof Date ? date : new Date(date);
+  if (isNaN(moment.getTime())) {
+    return null;
+  }
+  const local = normalizeDateTime(moment, { timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone });
+  if (!local) {
+    return null;
+  }
+  const day = local.slice(0, 10);
+  const minutes = toMinutes(local.slice(11, 16));
+  const previous = new Date(Date.parse(`${day}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+
+  return windowsOn(specifications, previous).some(([opens, closes]) => closes <= opens && minutes < closes)
+    || windowsOn(specifications, day).some(([opens, closes]) => (closes > opens
+      ? minutes >= opens && minutes < closes
+      : minutes >= opens));
+}
+
 
 /**
  * LocalBusinessBuilder class for creating LocalBusiness structured data objects
@@ -102,6 +383,9 @@ export class LocalBusinessBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('LocalBusiness', 'business', mode, sanitizeInputs);
+    this.objectArguments = {
+      geo: ['latitude', 'longitude']
+    };
   }
 
   /**
@@ -153,6 +437,12 @@ export class LocalBusinessBuilder extends BaseProfileBuilder {
         "postalCode": this.sanitizeInputs ? this.sanitizer.sanitizeString(postalCode) : postalCode,
         "addressCountry": this.sanitizeInputs ? this.sanitizer.sanitizeString(country) : country
       };
+    } else if (typeof address === 'string') {
+      // A single string is the street address
+      this.data.address = {
+        "@type": "PostalAddress",
+        "streetAddress": this.sanitizeInputs ? this.sanitizer.sanitizeString(address) : address
+      };
     } else if (address && typeof address === 'object') {
       // Handle complete address object
       if (this.sanitizeInputs) {
@@ -223,63 +513,137 @@ export class LocalBusinessBuilder extends BaseProfileBuilder {
 
   /**
    * Set opening hours specification
-   * @param {Array} hours - Array of OpeningHoursSpecification objects
+   *
+   * Accepts OpeningHoursSpecification objects and compact `openingHours`
+   * entries (see {@link parseOpeningHours}). Days are normalized to schema.org
+   * names and times to 'HH:MM'; entries that do not parse are ignored.
+   *
+   * @param {Array|Object|string} hours - OpeningHoursSpecification objects or entries such as 'Mo-Fr 09:00-17:00'
    * @returns {LocalBusinessBuilder} This builder for chaining
+   *
+   * @example
+   * builder.openingHoursSpecification([
+   *   { dayOfWeek: ['Monday', 'Tuesday'], opens: '09:00', closes: '17:00' },
+   *   'Fr-Sa 18:00-02:00'
+   * ]);
    */
   openingHoursSpecification(hours) {
-    if (Array.isArray(hours)) {
-      if (this.sanitizeInputs) {
-        this.data.openingHoursSpecification = hours.map(h => this.sanitizer.sanitizeStructuredData(h, 'OpeningHoursSpecification'));
-      } else {
-        this.data.openingHoursSpecification = hours;
-      }
+    const specifications = (Array.isArray(hours) ? hours : [hours]).flatMap(entry => (typeof entry === 'string'
+      ? parseOpeningHours(entry)
+      : [createHoursSpecification(entry)].filter(Boolean)));
+    if (specifications.length > 0 || Array.isArray(hours)) {
+      this.data.openingHoursSpecification = specifications;
     }
     return this;
   }
 
   /**
    * Add opening hours for specific days
-   * @param {string|Array} days - Day(s) of week
+   * @param {string|Array} days - Day(s) of week, as names, codes or ranges ('Mo-Fr')
    * @param {string} opens - Opening time (HH:MM format)
-   * @param {string} closes - Closing time (HH:MM format)
+   * @param {string} closes - Closing time (HH:MM format); an earlier time than `opens` runs past midnight
    * @returns {LocalBusinessBuilder} This builder for chaining
    */
   addOpeningHours(days, opens, closes) {
-    if (!this.data.openingHoursSpecification) {
-      this.data.openingHoursSpecification = [];
+    const hoursObj = createHoursSpecification({ dayOfWeek: days, opens, closes });
+    if (hoursObj) {
+      if (!this.data.openingHoursSpecification) {
+        this.data.openingHoursSpecification = [];
+      }
+      this.data.openingHoursSpecification.push(hoursObj);
     }
+    return this;
+  }
 
-    const hoursObj = {
-      "@type": "OpeningHoursSpecification",
-      "dayOfWeek": Array.isArray(days) ? days : [days],
-      "opens": opens,
-      "closes": closes
-    };
-
-    if (this.sanitizeInputs) {
-      hoursObj.dayOfWeek = hoursObj.dayOfWeek.map(d => this.sanitizer.sanitizeString(d));
-      hoursObj.opens = this.sanitizer.sanitizeString(opens);
-      hoursObj.closes = this.sanitizer.sanitizeString(closes);
+  /**
+   * Add hours that replace the regular hours between two dates
+   *
+   * For holidays and seasons. Without `hours` the business is closed on
+   * those dates, marked up as opening and closing at '00:00'.
+   *
+   * @param {string|Date} validFrom - First date
+   * @param {string|Date} [validThrough=validFrom] - Last date
+   * @param {string|string[]|Object} [hours] - Hours on those dates, such as '10:00-14:00' or 'Sa-Su 10:00-16:00'
+   * @returns {LocalBusinessBuilder} This builder for chaining
+   *
+   * @example
+   * builder.addSpecialHours('2024-07-01', '2024-08-31', 'Mo-Fr 08:00-14:00');
+   */
+  addSpecialHours(validFrom, validThrough = validFrom, hours = null) {
+    const from = normalizeDateTime(validFrom, { dateOnly: true });
+    const through = normalizeDateTime(validThrough || validFrom, { dateOnly: true });
+    if (!from || !through || through < from) {
+      return this;
     }
 
-    this.data.openingHoursSpecification.push(hoursObj);
+    const specifications = hours === null || hours === undefined || hours === ''
+      ? [createHoursSpecification({ validFrom: from, validThrough: through })]
+      : (Array.isArray(hours) ? hours : [hours]).flatMap(entry => (typeof entry === 'string'
+        ? parseOpeningHours(entry)
+        : [createHoursSpecification(entry)].filter(Boolean)))
+        .map(specification => ({ ...specification, validFrom: from, validThrough: through }));
+    if (specifications.length > 0) {
+      this.data.openingHoursSpecification = (this.data.openingHoursSpecification || []).concat(specifications);
+    }
     return this;
   }
 
   /**
-   * Set simple opening hours string
-   * @param {string} hours - Opening hours description
+   * Close the business on a date or between two dates
+   * @param {string|Date} validFrom - First closed date
+   * @param {string|Date} [validThrough=validFrom] - Last closed date
+   * @returns {LocalBusinessBuilder} This builder for chaining
+   *
+   * @example
+   * builder.addClosure('2024-12-25').addClosure('2024-12-31', '2025-01-01');
+   */
+  addClosure(validFrom, validThrough = validFrom) {
+    return this.addSpecialHours(validFrom, validThrough);
+  }
+
+  /**
+   * Set opening hours in the compact syntax
+   *
+   * Entries that parse are rewritten in canonical form, one string per
+   * window ('Mo-Fr 09:00-17:00'); other text is kept as given.
+   *
+   * @param {string|string[]} hours - Opening hours such as 'Mo-Fr 09:00-17:00, Sa 10:00-14:00'
    * @returns {LocalBusinessBuilder} This builder for chaining
    */
   openingHours(hours) {
-    if (this.sanitizeInputs) {
-      this.data.openingHours = this.sanitizer.sanitizeString(hours);
-    } else {
-      this.data.openingHours = hours;
+    const entries = (Array.isArray(hours) ? hours : [hours]).filter(entry => typeof entry === 'string' && entry.trim() !== '');
+    if (entries.length === 0) {
+      return this;
     }
+    const formatted = formatOpeningHours(parseOpeningHours(entries));
+    const values = formatted.length > 0
+      ? formatted
+      : entries.map(entry => (this.sanitizeInputs ? this.sanitizer.sanitizeString(entry) : entry));
+    this.data.openingHours = values.length === 1 ? values[0] : values;
     return this;
   }
 
+  /**
+   * Check whether the business is open at a moment
+   *
+   * Uses `openingHoursSpecification`, with `openingHours` as the regular
+   * hours when no specification gives them. See {@link isOpenAt}.
+   *
+   * @param {Date|string|number} [date=new Date()] - Moment to check
+   * @param {string} [timeZone] - IANA time zone of the business (defaults to the system time zone)
+   * @returns {boolean|null} Whether the business is open, or null if no hours are set
+   *
+   * @example
+   * const open = builder.openingHours('Mo-Fr 09:00-17:00').addClosure('2024-12-25')
+   *   .isOpenAt(new Date('2024-12-25T15:00:00Z'), 'America/New_York'); // false
+   */
+  isOpenAt(date = new Date(), timeZone = null) {
+    const specifications = this.data.openingHoursSpecification || [];
+    const regular = specifications.some(specification => !specification.validFrom && !specification.validThrough);
+    const hours = regular || !this.data.openingHours ? specifications : specifications.concat(this.data.openingHours);
+    return isOpenAt(hours, date, timeZone);
+  }
+
   /**
    * Set price range
    * @param {string} priceRange - Price range (e.g., "$$", "$$$")
@@ -690,6 +1054,87 @@ export class LocalBusinessBuilder extends BaseProfileBuilder {
     return this;
   }
 
+  /**
+   * Set the branch code that identifies this location within its chain
+   * @param {string|number} code - Branch or store number (e.g., "3047")
+   * @returns {LocalBusinessBuilder} This builder for chaining
+   */
+  branchCode(code) {
+    if (typeof code === 'number' || (typeof code === 'string' && code.trim() !== '')) {
+      this.data.branchCode = this.sanitizeInputs ? this.sanitizer.sanitizeString(String(code).trim()) : String(code);
+    }
+    return this;
+  }
+
+  /**
+   * Set the organization that owns this location
+   * @param {OrganizationBuilder|Object|string} organization - OrganizationBuilder, Organization object or name
+   * @returns {LocalBusinessBuilder} This builder for chaining
+   */
+  parentOrganization(organization) {
+    return this.setOrganization('parentOrganization', organization);
+  }
+
+  /**
+   * Set the chain this location is a branch of
+   * @param {OrganizationBuilder|Object|string} organization - OrganizationBuilder, Organization object or name
+   * @returns {LocalBusinessBuilder} This builder for chaining
+   */
+  branchOf(organization) {
+    return this.setOrganization('branchOf', organization);
+  }
+
+  /**
+   * Set the departments of this location, replacing earlier ones
+   * @param {Array|Object|LocalBusinessBuilder} departments - Departments (see {@link LocalBusinessBuilder#addDepartment})
+   * @returns {LocalBusinessBuilder} This builder for chaining
+   */
+  department(departments) {
+    delete this.data.department;
+    (Array.isArray(departments) ? departments : [departments]).forEach(department => this.addDepartment(department));
+    return this;
+  }
+
+  /**
+   * Add a department, such as the pharmacy of a supermarket
+   *
+   * Objects are read like {@link BaseProfileBuilder#fromObject} reads a
+   * LocalBusiness, so `openingHours`, `telephone` and the other properties are
+   * normalized; `@type` may be any LocalBusiness type ('Pharmacy'). A
+   * department with the name of an earlier one replaces it.
+   *
+   * @param {Object|LocalBusinessBuilder} department - Department with at least a name
+   * @returns {LocalBusinessBuilder} This builder for chaining
+   *
+   * @example
+   * builder.addDepartment({ "@type": "Pharmacy", name: 'Pharmacy', telephone: '+1-555-0101', openingHours: 'Mo-Fr 09:00-19:00' });
+   */
+  addDepartment(department) {
+    let node = null;
+    if (department instanceof BaseProfileBuilder) {
+      node = department.getNode();
+    } else if (department && typeof department === 'object' && !Array.isArray(department)) {
+      const { '@type': type, ...properties } = department;
+      node = new LocalBusinessBuilder(this.modeConfig.mode, this.sanitizeInputs).fromObject(properties).getNode();
+      if (typeof type === 'string' && /^[A-Z][A-Za-z]*$/.test(type)) {
+        node['@type'] = type;
+      }
+    }
+    if (!node || typeof node.name !== 'string' || node.name.trim() === '') {
+      return this;
+    }
+
+    const departments = [].concat(this.data.department || []);
+    const index = departments.findIndex(existing => existing.name === node.name);
+    if (index >= 0) {
+      departments[index] = node;
+    } else {
+      departments.push(node);
+    }
+    this.data.department = departments.length === 1 ? departments[0] : departments;
+    return this;
+  }
+
   /**
    * Set business identification numbers
    * @param {Object} identifiers - Object with identification numbers
@@ -704,6 +1149,26 @@ export class LocalBusinessBuilder extends BaseProfileBuilder {
     if (identifiers.leiCode) this.data.leiCode = identifiers.leiCode;
     return this;
   }
+
+  /**
+   * Set an organization property from a builder, object or name
+   * @private
+   */
+  setOrganization(property, organization) {
+    if (this.setAgent(property, organization)) {
+      return this;
+    }
+    if (typeof organization === 'string' && organization.trim() !== '') {
+      this.data[property] = {
+        "@type": "Organization",
+        "name": this.sanitizeInputs ? this.sanitizer.sanitizeString(organization.trim()) : organization
+      };
+    } else if (organization && typeof organization === 'object' && !Array.isArray(organization)) {
+      const node = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(organization, 'Organization') : organization;
+      this.data[property] = { "@type": "Organization", ...node };
+    }
+    return this;
+  }
 }
 
 export default LocalBusinessBuilder;
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview OrganizationBuilder class for creating Organization entities
+ *
+ * This module provides a builder for organizations mentioned as publishers,
+ * employers, organizers or providers: their logo with its size, contact
+ * points, address, founders and the identity links (`sameAs`) that tell an
+ * organization apart from others of the same name.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * import { OrganizationBuilder } from './organization-builder.mjs';
+ *
+ * const publisher = new OrganizationBuilder()
+ *   .id('https://example.com/#organization')
+ *   .name('Example News')
+ *   .url('https://example.com/')
+ *   .logo('https://example.com/logo.png', 600, 60)
+ *   .sameAs('Q1234567', 'https://www.linkedin.com/company/example-news')
+ *   .contactPoint('customer service', { telephone: '+1-555-0100' });
+ *
+ * articleBuilder.publisher(publisher);
+ * jobPostingBuilder.hiringOrganization(publisher);
+ */
+
+import { EntityBuilder } from './entity-builder.mjs';
+
+/**
+ * OrganizationBuilder class for creating Organization entities
+ *
+ * @class OrganizationBuilder
+ * @extends EntityBuilder
+ * @example
+ * // A more specific type
+ * const school = new OrganizationBuilder('EducationalOrganization').name('Example University');
+ */
+export class OrganizationBuilder extends EntityBuilder {
+  /**
+   * Create a new OrganizationBuilder instance
+   *
+   * @param {string} [type='Organization'] - Organization type, such as 'Corporation' or 'NewsMediaOrganization'
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(type = 'Organization', sanitizeInputs = true) {
+    super(typeof type === 'string' && /^[A-Z][A-Za-z]*$/.test(type) ? type : 'Organization', sanitizeInputs);
+  }
+
+  /**
+   * Set the registered legal name
+   * @param {string} legalName - Legal name
+   * @returns {OrganizationBuilder} This builder for chaining
+   */
+  legalName(legalName) {
+    return this.setText('legalName', legalName);
+  }
+
+  /**
+   * Set the logo
+   *
+   * Google requires logos of at least 112x112 pixels; give the size so that
+   * it can be checked without fetching the image.
+   *
+   * @param {string|Object} logo - Logo URL or ImageObject
+   * @param {number} [width] - Width in pixels
+   * @param {number} [height] - Height in pixels
+   * @returns {OrganizationBuilder} This builder for chaining
+   */
+  logo(logo, width = null, height = null) {
+    const node = this.createImage(logo, width, height);
+    if (node) {
+      this.data.logo = node;
+    }
+    return this;
+  }
+
+  /**
+   * Add a founder
+   * @param {PersonBuilder|Object|string} founder - PersonBuilder, Person object or name
+   * @returns {OrganizationBuilder} This builder for chaining
+   */
+  founder(founder) {
+    const node = this.createEntity(founder, 'Person');
+    if (node) {
+      const founders = [].concat(this.data.founder || [], node);
+      this.data.founder = founders.length === 1 ? founders[0] : founders;
+    }
+    return this;
+  }
+
+  /**
+   * Set the founding date
+   * @param {string|Date} date - Founding date or year
+   * @returns {OrganizationBuilder} This builder for chaining
+   */
+  foundingDate(date) {
+    if (/^\d{4}$/.test(String(date))) {
+      this.data.foundingDate = String(date);
+    } else {
+      const sanitized = this.sanitizeInputs ? this.sanitizer.sanitizeDate(date) : date;
+      if (sanitized) {
+        this.data.foundingDate = sanitized;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set the parent organization
+   * @param {OrganizationBuilder|Object|string} organization - OrganizationBuilder, Organization object or name
+   * @returns {OrganizationBuilder} This builder for chaining
+   */
+  parentOrganization(organization) {
+    const node = this.createEntity(organization, 'Organization');
+    if (node) {
+      this.data.parentOrganization = node;
+    }
+    return this;
+  }
+}
+
+export default OrganizationBuilder;
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview PersonBuilder class for creating Person entities
+ *
+ * This module provides a builder for people mentioned as authors, creators or
+ * performers, with the identity links (`sameAs`), topics (`knowsAbout`) and
+ * affiliations that tell a person apart from others of the same name.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { PersonBuilder } = require('./person-builder');
+ *
+ * const author = new PersonBuilder()
+ *   .id('https://example.com/team/jane-doe#person')
+ *   .name('Jane Doe')
+ *   .jobTitle('Research Engineer')
+ *   .worksFor(organizationBuilder)
+ *   .sameAs('0000-0002-1825-0097', 'https://www.linkedin.com/in/janedoe')
+ *   .knowsAbout('Structured data', { name: 'Semantic Web', sameAs: 'Q54837' });
+ *
+ * articleBuilder.author(author);
+ */
+
+const { EntityBuilder } = require('./entity-builder');
+
+/**
+ * PersonBuilder class for creating Person entities
+ *
+ * @class PersonBuilder
+ * @extends EntityBuilder
+ */
+class PersonBuilder extends EntityBuilder {
+  /**
+   * Create a new PersonBuilder instance
+   *
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(sanitizeInputs = true) {
+    super('Person', sanitizeInputs);
+  }
+
+  /**
+   * Set the given (first) name
+   * @param {string} givenName - Given name
+   * @returns {PersonBuilder} This builder for chaining
+   */
+  givenName(givenName) {
+    return this.setText('givenName', givenName);
+  }
+
+  /**
+   * Set the family (last) name
+   * @param {string} familyName - Family name
+   * @returns {PersonBuilder} This builder for chaining
+   */
+  familyName(familyName) {
+    return this.setText('familyName', familyName);
+  }
+
+  /**
+   * Set the job title
+   * @param {string} jobTitle - Job title
+   * @returns {PersonBuilder} This builder for chaining
+   */
+  jobTitle(jobTitle) {
+    return this.setText('jobTitle', jobTitle);
+  }
+
+  /**
+   * Set the organization the person works for
+   * @param {OrganizationBuilder|Object|string} organization - OrganizationBuilder, Organization object or name
+   * @returns {PersonBuilder} This builder for chaining
+   */
+  worksFor(organization) {
+    return this.setOrganization('worksFor', organization);
+  }
+
+  /**
+   * Set an organization the person is affiliated with, such as a university
+   * @param {OrganizationBuilder|Object|string} organization - OrganizationBuilder, Organization object or name
+   * @returns {PersonBuilder} This builder for chaining
+   */
+  affiliation(organization) {
+    return this.setOrganization('affiliation', organization);
+  }
+
+  /**
+   * Set a school or university the person attended
+   * @param {OrganizationBuilder|Object|string} organization - OrganizationBuilder, Organization object or name
+   * @returns {PersonBuilder} This builder for chaining
+   */
+  alumniOf(organization) {
+    return this.setOrganization('alumniOf', organization);
+  }
+
+  /**
+   * Set an organization property from a builder, object or name
+   * @private
+   */
+  setOrganization(property, organization) {
+    const node = this.createEntity(organization, 'Organization');
+    if (node) {
+      this.data[property] = node;
+    }
+    return this;
+  }
+}
+
+module.exports = {
+  PersonBuilder
+};
@@ -70,10 +70,83 @@
  *   })
  *   .aggregateRating(4.7, 850)
  *   .build();
+ * 
+ * @example
+ * // Merchant listing with several sellers (emitted as an AggregateOffer)
+ * const product = new ProductBuilder()
+ *   .name('Gaming Laptop')
+ *   .addOffer(null, '1499.99', 'USD', 'InStock', 'New')
+ *   .addOffer(null, '1299.00', 'USD', 'InStock', 'Refurbished')
+ *   .shippingDetails({ rate: '0', currency: 'USD', country: 'US', handlingTime: [0, 1], transitTime: [2, 5] })
+ *   .hasMerchantReturnPolicy({ country: 'US', days: 30, method: 'ReturnByMail', fees: 'FreeReturn' })
+ *   .priceValidUntil('2025-12-31')
+ *   .build();
  */
 
 import { BaseProfileBuilder, MODES } from './base-builder.mjs';
 
+/**
+ * Schema.org ItemAvailability members
+ * 
+ * @constant {string[]} ITEM_AVAILABILITY
+ */
+export const ITEM_AVAILABILITY = [
+  'BackOrder', 'Discontinued', 'InStock', 'InStoreOnly', 'LimitedAvailability', 'MadeToOrder',
+  'OnlineOnly', 'OutOfStock', 'PreOrder', 'PreSale', 'Reserved', 'SoldOut'
+];
+
+/**
+ * Schema.org OfferItemCondition members
+ * 
+ * @constant {string[]} OFFER_ITEM_CONDITIONS
+ */
+export const OFFER_ITEM_CONDITIONS = ['NewCondition', 'UsedCondition', 'RefurbishedCondition', 'DamagedCondition'];
+
+/**
+ * Schema.org enumerations used by merchant return policies
+ * @private
+ */
+const RETURN_POLICY_ENUMS = {
+  returnPolicyCategory: [
+    'MerchantReturnFiniteReturnWindow', 'MerchantReturnNotPermitted',
+    'MerchantReturnUnlimitedWindow', 'MerchantReturnUnspecified'
+  ],
+  returnMethod: ['ReturnAtKiosk', 'ReturnByMail', 'ReturnInStore'],
+  returnFees: [
+    'FreeReturn', 'OriginalShippingFees', 'RestockingFees',
+    'ReturnFeesCustomerResponsibility', 'ReturnShippingFees'
+  ]
+};
+
+/**
+ * Offer properties that can be set for all offers at once
+ * @private
+ */
+const SHARED_OFFER_PROPERTIES = ['shippingDetails', 'hasMerchantReturnPolicy', 'priceSpecification', 'priceValidUntil'];
+
+/**
+ * Normalize a Schema.org enumeration member to its full IRI
+ * 
+ * @param {string} value - Value to normalize (e.g. 'InStock', 'in stock', 'schema:InStock')
+ * @param {string[]} members - Enumeration members
+ * @param {string} [suffix] - Suffix the short form may leave out (e.g. 'Condition' for 'New')
+ * @returns {string} Full IRI such as 'https://schema.org/InStock'
+ */
+export function normalizeSchemaEnum(value, members, suffix = '') {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const key = value.trim()
+    .replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, '')
+    .replace(/[\s_-]+/g, '')
+    .toLowerCase();
+  const member = members.find(name => {
+    const lower = name.toLowerCase();
+    return lower === key || (suffix && lower === key + suffix.toLowerCase());
+  });
+  return member ? `https://schema.org/${member}` : value;
+}
+
 /**
  * ProductBuilder class for creating Product structured data objects
  * 
@@ -117,6 +190,29 @@ export class ProductBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('Product', 'business', mode, sanitizeInputs);
+    this.objectArguments = {
+      weight: ['value', 'unitText']
+    };
+    this.offerList = [];
+    this.offerDefaults = {};
+  }
+
+  /**
+   * Normalize an availability shorthand to its Schema.org IRI
+   * @param {string} availability - e.g. 'InStock', 'out of stock' or 'https://schema.org/PreOrder'
+   * @returns {string} Full IRI, or the value unchanged if it is not an ItemAvailability member
+   */
+  static normalizeAvailability(availability) {
+    return normalizeSchemaEnum(availability, ITEM_AVAILABILITY);
+  }
+
+  /**
+   * Normalize an item condition shorthand to its Schema.org IRI
+   * @param {string} condition - e.g. 'New', 'refurbished' or 'UsedCondition'
+   * @returns {string} Full IRI, or the value unchanged if it is not an OfferItemCondition member
+   */
+  static normalizeItemCondition(condition) {
+    return normalizeSchemaEnum(condition, OFFER_ITEM_CONDITIONS, 'Condition');
   }
 
   /**
@@ -188,12 +284,15 @@ export class ProductBuilder extends BaseProfileBuilder {
 
   /**
    * Set product brand
-   * @param {string|Object} brand - Brand name or Brand object
+   * @param {OrganizationBuilder|string|Object} brand - Brand name, Brand object or OrganizationBuilder
    * @param {string} [logoUrl] - Brand logo URL (if brand is string)
    * @param {string} [brandUrl] - Brand website URL (if brand is string)
    * @returns {ProductBuilder} This builder for chaining
    */
   brand(brand, logoUrl = null, brandUrl = null) {
+    if (this.setAgent('brand', brand)) {
+      return this;
+    }
     if (typeof brand === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(brand) : brand;
       const sanitizedLogoUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(logoUrl) : logoUrl;
@@ -217,30 +316,323 @@ export class ProductBuilder extends BaseProfileBuilder {
     return this;
   }
 
+  /**
+   * Set product manufacturer
+   * @param {OrganizationBuilder|string|Object} manufacturer - Manufacturer name, Organization object or OrganizationBuilder
+   * @param {string} [url] - Manufacturer URL (if manufacturer is string)
+   * @returns {ProductBuilder} This builder for chaining
+   */
+  manufacturer(manufacturer, url = null) {
+    if (this.setAgent('manufacturer', manufacturer)) {
+      return this;
+    }
+    if (typeof manufacturer === 'string') {
+      const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(manufacturer) : manufacturer;
+      const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+      this.data.manufacturer = {
+        "@type": "Organization",
+        "name": sanitizedName
+      };
+      if (sanitizedUrl) this.data.manufacturer.url = sanitizedUrl;
+    } else if (manufacturer && typeof manufacturer === 'object') {
+      this.data.manufacturer = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(manufacturer, 'Organization') : manufacturer;
+    }
+    return this;
+  }
+
   /**
    * Set product offers
-   * @param {Object} offer - Offer object with price, currency, and availability
+   * 
+   * Replaces any offers added before. Availability and item condition
+   * shorthands are normalized to Schema.org IRIs.
+   * 
+   * @param {Object|string|number} offer - Offer object, or the price when called as `offers(price, currency, availability)`
    * @param {string} [price] - Product price (if offer is not provided)
    * @param {string} [currency] - Price currency (if offer is not provided)
    * @param {string} [availability] - Product availability (if offer is not provided)
    * @returns {ProductBuilder} This builder for chaining
    */
   offers(offer, price = null, currency = null, availability = null) {
+    const created = this.createOffer(offer, price, currency, availability);
+    if (created) {
+      this.offerList = [created];
+      this.updateOffers();
+    }
+    return this;
+  }
+
+  /**
+   * Add an offer to the product
+   * 
+   * A single offer is emitted as an `Offer`; several offers are wrapped in an
+   * `AggregateOffer` whose `lowPrice`, `highPrice` and `offerCount` are derived
+   * from the offers (prices are compared within the first offer's currency).
+   * 
+   * @param {Object|string|number} [offer] - Offer object, or the price when called as `addOffer(price, currency, ...)`
+   * @param {string} [price] - Offer price (if offer is not provided)
+   * @param {string} [currency] - Price currency (if offer is not provided)
+   * @param {string} [availability] - Availability, e.g. 'InStock' (if offer is not provided)
+   * @param {string} [itemCondition] - Item condition, e.g. 'New' or 'Refurbished' (if offer is not provided)
+   * @returns {ProductBuilder} This builder for chaining
+   */
+  addOffer(offer, price = null, currency = null, availability = null, itemCondition = null) {
+    const created = this.createOffer(offer, price, currency, availability, itemCondition);
+    if (created) {
+      this.offerList.push(created);
+      this.updateOffers();
+    }
+    return this;
+  }
+
+  /**
+   * Set shipping details on the offers
+   * 
+   * Accepts `OfferShippingDetails` objects or a shorthand
+   * `{ rate, currency, country, handlingTime: [min, max], transitTime: [min, max] }`
+   * (times in days).
+   * 
+   * @param {Object|Object[]} details - Shipping details
+   * @param {number} [offerIndex] - Offer to set them on (all offers, including ones added later, by default)
+   * @returns {ProductBuilder} This builder for chaining
+   */
+  shippingDetails(details, offerIndex = null) {
+    const list = (Array.isArray(details) ? details : [details]).filter(d => d && typeof d === 'object');
+    if (list.length > 0) {
+      const normalized = list.map(d => this.createShippingDetails(d));
+      this.setOfferProperty('shippingDetails', normalized.length === 1 ? normalized[0] : normalized, offerIndex);
+    }
+    return this;
+  }
+
+  /**
+   * Set the merchant return policy of the offers
+   * 
+   * Accepts a `MerchantReturnPolicy` object; `country`, `days`, `category`,
+   * `method` and `fees` are accepted as shorthands and enumeration values such
+   * as 'ReturnByMail' or 'FreeReturn' are normalized to Schema.org IRIs.
+   * 
+   * @param {Object} policy - Return policy
+   * @param {number} [offerIndex] - Offer to set it on (all offers by default)
+   * @returns {ProductBuilder} This builder for chaining
+   */
+  hasMerchantReturnPolicy(policy, offerIndex = null) {
+    if (policy && typeof policy === 'object') {
+      this.setOfferProperty('hasMerchantReturnPolicy', this.createReturnPolicy(policy), offerIndex);
+    }
+    return this;
+  }
+
+  /**
+   * Set the price specification of the offers
+   * @param {Object|Object[]} specification - PriceSpecification (`@type` defaults to UnitPriceSpecification)
+   * @param {number} [offerIndex] - Offer to set it on (all offers by default)
+   * @returns {ProductBuilder} This builder for chaining
+   */
+  priceSpecification(specification, offerIndex = null) {
+    const list = (Array.isArray(specification) ? specification : [specification]).filter(s => s && typeof s === 'object');
+    if (list.length > 0) {
+      const normalized = list.map(spec => {
+        const result = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(spec, 'UnitPriceSpecification') : { ...spec };
+        return { "@type": "UnitPriceSpecification", ...result };
+      });
+      this.setOfferProperty('priceSpecification', normalized.length === 1 ? normalized[0] : normalized, offerIndex);
+    }
+    return this;
+  }
+
+  /**
+   * Set the date after which the offer prices are no longer valid
+   * @param {string|Date} date - Date (emitted as YYYY-MM-DD)
+   * @param {number} [offerIndex] - Offer to set it on (all offers by default)
+   * @returns {ProductBuilder} This builder for chaining
+   */
+  priceValidUntil(date, offerIndex = null) {
+    let value = date instanceof Date ? date.toISOString() : date;
+    if (this.sanitizeInputs && value) {
+      value = this.sanitizer.sanitizeDate(value);
+    }
+    if (typeof value === 'string' && value) {
+      this.setOfferProperty('priceValidUntil', value.substring(0, 10), offerIndex);
+    }
+    return this;
+  }
+
+  /**
+   * Create an offer from an object or positional values
+   * @private
+   */
+  createOffer(offer, price = null, currency = null, availability = null, itemCondition = null) {
+    if (offer !== null && offer !== undefined && typeof offer !== 'object') {
+      // Shorthand without the offer argument: (price, currency, availability, itemCondition)
+      return this.createOffer(null, offer, price, currency, availability);
+    }
+
+    let created = null;
     if (offer && typeof offer === 'object') {
-      this.data.offers = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(offer, 'Offer') : offer;
-    } else if (price && currency && availability) {
-      const sanitizedPrice = this.sanitizeInputs ? this.sanitizer.sanitizeString(price) : price;
-      const sanitizedCurrency = this.sanitizeInputs ? this.sanitizer.sanitizeString(currency) : currency;
-      const sanitizedAvailability = this.sanitizeInputs ? this.sanitizer.sanitizeString(availability) : availability;
-      
-      this.data.offers = {
+      const result = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(offer, 'Offer') : { ...offer };
+      created = { "@type": "Offer", ...result };
+    } else if (price !== null && price !== undefined && currency) {
+      created = {
         "@type": "Offer",
-        "price": sanitizedPrice,
-        "priceCurrency": sanitizedCurrency,
-        "availability": sanitizedAvailability
+        "price": this.sanitizeInputs ? this.sanitizer.sanitizeString(price) : price,
+        "priceCurrency": this.sanitizeInputs ? this.sanitizer.sanitizeString(currency) : currency
       };
+      if (availability) {
+        created.availability = this.sanitizeInputs ? this.sanitizer.sanitizeString(availability) : availability;
+      }
+      if (itemCondition) {
+        created.itemCondition = this.sanitizeInputs ? this.sanitizer.sanitizeString(itemCondition) : itemCondition;
+      }
     }
-    return this;
+
+    if (created) {
+      if (created.availability) {
+        created.availability = ProductBuilder.normalizeAvailability(created.availability);
+      }
+      if (created.itemCondition) {
+        created.itemCondition = ProductBuilder.normalizeItemCondition(created.itemCondition);
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Create OfferShippingDetails from an object or shorthand
+   * @private
+   */
+  createShippingDetails(details) {
+    if (details['@type'] || details.shippingRate) {
+      const result = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(details, 'OfferShippingDetails') : { ...details };
+      return { "@type": "OfferShippingDetails", ...result };
+    }
+
+    const text = value => (this.sanitizeInputs ? this.sanitizer.sanitizeString(value) : value);
+    const shipping = { "@type": "OfferShippingDetails" };
+    if (details.rate !== undefined && details.rate !== null) {
+      shipping.shippingRate = {
+        "@type": "MonetaryAmount",
+        "value": String(details.rate),
+        "currency": text(details.currency)
+      };
+    }
+    if (details.country) {
+      const countries = [].concat(details.country).map(text);
+      shipping.shippingDestination = {
+        "@type": "DefinedRegion",
+        "addressCountry": countries.length === 1 ? countries[0] : countries
+      };
+    }
+
+    const days = range => ({ "@type": "QuantitativeValue", "minValue": range[0], "maxValue": range[1], "unitCode": "DAY" });
+    if (Array.isArray(details.handlingTime) || Array.isArray(details.transitTime)) {
+      shipping.deliveryTime = { "@type": "ShippingDeliveryTime" };
+      if (Array.isArray(details.handlingTime)) shipping.deliveryTime.handlingTime = days(details.handlingTime);
+      if (Array.isArray(details.transitTime)) shipping.deliveryTime.transitTime = days(details.transitTime);
+    }
+    if (details.doesNotShip !== undefined) {
+      shipping.doesNotShip = Boolean(details.doesNotShip);
+    }
+    return shipping;
+  }
+
+  /**
+   * Create a MerchantReturnPolicy from an object or shorthand
+   * @private
+   */
+  createReturnPolicy(policy) {
+    const { country, days, category, method, fees, ...rest } = policy;
+    const result = {
+      "@type": "MerchantReturnPolicy",
+      ...(this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(rest, 'MerchantReturnPolicy') : rest)
+    };
+
+    if (country) result.applicableCountry = this.sanitizeInputs ? this.sanitizer.sanitizeString(country) : country;
+    if (days !== undefined) result.merchantReturnDays = days;
+    if (category) result.returnPolicyCategory = category;
+    if (method) result.returnMethod = method;
+    if (fees) result.returnFees = fees;
+    if (result.merchantReturnDays !== undefined && !result.returnPolicyCategory) {
+      result.returnPolicyCategory = 'MerchantReturnFiniteReturnWindow';
+    }
+
+    Object.keys(RETURN_POLICY_ENUMS).forEach(property => {
+      if (result[property]) {
+        result[property] = normalizeSchemaEnum(result[property], RETURN_POLICY_ENUMS[property]);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Set a property on one offer, or on all offers when no index is given
+   * @private
+   */
+  setOfferProperty(property, value, offerIndex) {
+    if (offerIndex === null || offerIndex === undefined) {
+      this.offerDefaults[property] = value;
+    } else if (this.offerList[offerIndex]) {
+      this.offerList[offerIndex][property] = value;
+    }
+    this.updateOffers();
+  }
+
+  /**
+   * Rebuild the offer list from loaded offers, so addOffer() extends them
+   * @private
+   */
+  restoreState() {
+    const offers = this.data.offers;
+    if (Array.isArray(offers)) {
+      this.offerList = offers.filter(offer => offer && typeof offer === 'object');
+    } else if (offers && typeof offers === 'object') {
+      this.offerList = offers['@type'] === 'AggregateOffer' && Array.isArray(offers.offers) ? [...offers.offers] : [offers];
+    }
+  }
+
+  /**
+   * Write the offer list to the data as an Offer or AggregateOffer
+   * @private
+   */
+  updateOffers() {
+    if (this.offerList.length === 0) {
+      return;
+    }
+
+    const offers = this.offerList.map(offer => {
+      const result = { ...offer };
+      SHARED_OFFER_PROPERTIES.forEach(property => {
+        if (this.offerDefaults[property] !== undefined && result[property] === undefined && result['@type'] !== 'AggregateOffer') {
+          result[property] = this.offerDefaults[property];
+        }
+      });
+      return result;
+    });
+
+    if (offers.length === 1) {
+      this.data.offers = offers[0];
+      return;
+    }
+
+    const aggregate = { "@type": "AggregateOffer" };
+    const currency = offers.map(offer => offer.priceCurrency).find(Boolean);
+    const priced = offers
+      .filter(offer => !currency || !offer.priceCurrency || offer.priceCurrency === currency)
+      .map(offer => {
+        const specification = [].concat(offer.priceSpecification || [])[0];
+        const price = offer.price !== undefined ? offer.price : specification && specification.price;
+        return { price, value: Number(price) };
+      })
+      .filter(entry => entry.price !== undefined && entry.price !== null && entry.price !== '' && !isNaN(entry.value));
+
+    if (priced.length > 0) {
+      const sorted = [...priced].sort((a, b) => a.value - b.value);
+      aggregate.lowPrice = sorted[0].price;
+      aggregate.highPrice = sorted[sorted.length - 1].price;
+    }
+    if (currency) aggregate.priceCurrency = currency;
+    aggregate.offerCount = offers.length;
+    aggregate.offers = offers;
+    this.data.offers = aggregate;
   }
 
   /**
@@ -380,6 +772,19 @@ export class ProductBuilder extends BaseProfileBuilder {
     return this;
   }
 
+  /**
+   * Set product reviews, replacing any added before
+   * @param {Array} reviews - Review objects
+   * @returns {ProductBuilder} This builder for chaining
+   */
+  reviews(reviews) {
+    if (Array.isArray(reviews)) {
+      this.data.review = [];
+      reviews.forEach(review => this.addReview(review));
+    }
+    return this;
+  }
+
   /**
    * Set product weight
    * @param {number} value - Weight value
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview ProductGroupBuilder class for creating ProductGroup structured data objects
+ *
+ * This module provides a specialized builder for products sold in variants
+ * (sizes, colors, materials). A product group has a `productGroupID`, lists the
+ * dimensions its variants differ in with `variesBy` and holds the variants in
+ * `hasVariant`, each a full Product with its own SKU, GTIN and offer.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * // T-shirt sold in sizes and colors
+ * const { ProductGroupBuilder } = require('./productgroup-builder');
+ * const { ProductBuilder } = require('./product-builder');
+ *
+ * const variant = (size, color, sku) => new ProductBuilder()
+ *   .name(`Organic T-Shirt - ${size}, ${color}`)
+ *   .sku(sku)
+ *   .size(size)
+ *   .color(color)
+ *   .offers('24.00', 'USD', 'InStock');
+ *
+ * const group = new ProductGroupBuilder()
+ *   .name('Organic T-Shirt')
+ *   .productGroupID('TEE')
+ *   .variesBy('size', 'color')
+ *   .addVariant(variant('S', 'Navy', 'TEE-S-NAVY'))
+ *   .addVariant(variant('M', 'Navy', 'TEE-M-NAVY'))
+ *   .build();
+ */
+
+const { BaseProfileBuilder } = require('./base-builder');
+const { ProductBuilder } = require('./product-builder');
+
+/**
+ * Product properties Google accepts as `variesBy` dimensions
+ *
+ * @constant {string[]} VARIANT_DIMENSIONS
+ */
+const VARIANT_DIMENSIONS = ['color', 'size', 'material', 'pattern', 'suggestedAge', 'suggestedGender'];
+
+/**
+ * Get the property name of a `variesBy` value ('https://schema.org/size' → 'size')
+ * @private
+ */
+function getDimensionName(value) {
+  const name = String(value).trim().replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, '');
+  return VARIANT_DIMENSIONS.find(dimension => dimension.toLowerCase() === name.toLowerCase()) || name;
+}
+
+/**
+ * Check whether a variant has a value for a property
+ * @private
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * ProductGroupBuilder class for creating ProductGroup structured data objects
+ *
+ * Composes ProductBuilder instances (or plain Product objects) into a
+ * ProductGroup and checks that the variants differ in exactly the `variesBy`
+ * dimensions.
+ *
+ * @class ProductGroupBuilder
+ * @extends BaseProfileBuilder
+ * @example
+ * const group = new ProductGroupBuilder()
+ *   .name('Laptop Sleeve')
+ *   .productGroupID('SLEEVE')
+ *   .variesBy('size')
+ *   .addVariant({ "@type": "Product", "name": "Laptop Sleeve 13\"", "sku": "SLEEVE-13", "size": "13\"", "offers": { "@type": "Offer", "price": "29.00", "priceCurrency": "USD" } })
+ *   .addVariant({ "@type": "Product", "name": "Laptop Sleeve 15\"", "sku": "SLEEVE-15", "size": "15\"", "offers": { "@type": "Offer", "price": "34.00", "priceCurrency": "USD" } })
+ *   .build();
+ */
+class ProductGroupBuilder extends BaseProfileBuilder {
+  /**
+   * Create a new ProductGroupBuilder instance
+   *
+   * @param {string} [mode='strict-seo'] - The output mode
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(mode = 'strict-seo', sanitizeInputs = true) {
+    super('ProductGroup', 'business', mode, sanitizeInputs);
+    this.variants = [];
+  }
+
+  /**
+   * Set the identifier shared by all variants (the parent SKU)
+   *
+   * Variants without `inProductGroupWithID` get this value.
+   *
+   * @param {string} productGroupID - Product group identifier
+   * @returns {ProductGroupBuilder} This builder for chaining
+   */
+  productGroupID(productGroupID) {
+    if (productGroupID !== null && productGroupID !== undefined && productGroupID !== '') {
+      this.data.productGroupID = this.sanitizeInputs ? this.sanitizer.sanitizeString(productGroupID) : String(productGroupID);
+      this.updateVariants();
+    }
+    return this;
+  }
+
+  /**
+   * Set the dimensions the variants differ in
+   *
+   * Property names such as 'size' or 'color' are emitted as Schema.org IRIs
+   * ('https://schema.org/size').
+   *
+   * @param {...(string|string[])} dimensions - Dimension names or IRIs
+   * @returns {ProductGroupBuilder} This builder for chaining
+   *
+   * @example
+   * group.variesBy('size', 'color');
+   * group.variesBy(['https://schema.org/material']);
+   */
+  variesBy(...dimensions) {
+    const values = dimensions.flat().filter(value => typeof value === 'string' && value.trim());
+    if (values.length > 0) {
+      this.data.variesBy = values.map(value => {
+        const name = getDimensionName(value);
+        return VARIANT_DIMENSIONS.includes(name) ? `https://schema.org/${name}` : value.trim();
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Add a variant
+   *
+   * Mode properties and `@context` are left out of the variant node, so a
+   * ProductBuilder in any mode can be used.
+   *
+   * @param {ProductBuilder|Object} variant - ProductBuilder instance or Product object
+   * @returns {ProductGroupBuilder} This builder for chaining
+   */
+  addVariant(variant) {
+    const node = this.createVariantNode(variant);
+    if (node) {
+      this.variants.push(node);
+      this.updateVariants();
+    }
+    return this;
+  }
+
+  /**
+   * Set all variants, replacing any added before
+   * @param {Array<ProductBuilder|Object>} variants - ProductBuilder instances or Product objects
+   * @returns {ProductGroupBuilder} This builder for chaining
+   */
+  hasVariant(variants) {
+    if (Array.isArray(variants)) {
+      this.variants = [];
+      variants.forEach(variant => this.addVariant(variant));
+      this.updateVariants();
+    }
+    return this;
+  }
+
+  /**
+   * Set the brand shared by the variants
+   * @param {OrganizationBuilder|string|Object} brand - Brand name, Brand object or OrganizationBuilder
+   * @param {string} [logoUrl] - Brand logo URL
+   * @param {string} [brandUrl] - Brand website URL
+   * @returns {ProductGroupBuilder} This builder for chaining
+   */
+  brand(brand, logoUrl = null, brandUrl = null) {
+    return ProductBuilder.prototype.brand.call(this, brand, logoUrl, brandUrl);
+  }
+
+  /**
+   * Set the product category
+   * @param {string} category - Product category
+   * @returns {ProductGroupBuilder} This builder for chaining
+   */
+  category(category) {
+    return ProductBuilder.prototype.category.call(this, category);
+  }
+
+  /**
+   * Set the aggregate rating of the group
+   * @param {Object|number} rating - AggregateRating object or rating value
+   * @param {number} [ratingValue] - Rating value (if rating is not an object)
+   * @param {number} [reviewCount] - Number of reviews (if rating is not an object)
+   * @returns {ProductGroupBuilder} This builder for chaining
+   */
+  aggregateRating(rating, ratingValue = null, reviewCount = null) {
+    return ProductBuilder.prototype.aggregateRating.call(this, rating, ratingValue, reviewCount);
+  }
+
+  /**
+   * Check that the variants differ in exactly the `variesBy` dimensions
+   *
+   * Reports variants without a value for a dimension, variants repeating
+   * another variant's combination of values or SKU, dimensions that are listed
+   * but never vary, and variant properties that vary without being listed.
+   *
+   * @returns {Array<{field: string, message: string, variant?: number}>} Issues found (empty when consistent)
+   */
+  checkVariants() {
+    const issues = [];
+    const variants = this.data.hasVariant || [];
+    const dimensions = [].concat(this.data.variesBy || []).map(getDimensionName);
+    if (variants.length === 0) {
+      return issues;
+    }
+
+    const label = index => {
+      const name = variants[index].sku || variants[index].name;
+      return name ? `${index} (${name})` : String(index);
+    };
+    const combinations = new Map();
+    const skus = new Map();
+    variants.forEach((variant, index) => {
+      const missing = dimensions.filter(dimension => !hasValue(variant[dimension]));
+      missing.forEach(dimension => {
+        issues.push({
+          field: dimension,
+          variant: index,
+          message: `Variant ${label(index)} has no value for the variesBy dimension '${dimension}'`
+        });
+      });
+
+      if (missing.length === 0 && dimensions.length > 0) {
+        const key = JSON.stringify(dimensions.map(dimension => variant[dimension]));
+        if (combinations.has(key)) {
+          issues.push({
+            field: 'hasVariant',
+            variant: index,
+            message: `Variant ${label(index)} repeats the ${dimensions.join('/')} values of variant ${label(combinations.get(key))}`
+          });
+        } else {
+          combinations.set(key, index);
+        }
+      }
+
+      if (hasValue(variant.sku)) {
+        if (skus.has(variant.sku)) {
+          issues.push({ field: 'sku', variant: index, message: `Variants ${skus.get(variant.sku)} and ${index} share the SKU '${variant.sku}'` });
+        } else {
+          skus.set(variant.sku, index);
+        }
+      }
+    });
+
+    if (variants.length > 1) {
+      VARIANT_DIMENSIONS.forEach(dimension => {
+        const values = new Set(variants.map(variant => JSON.stringify(hasValue(variant[dimension]) ? variant[dimension] : null)));
+        if (dimensions.includes(dimension) && values.size === 1 && !values.has('null')) {
+          issues.push({ field: 'variesBy', message: `All variants share the same '${dimension}', so it should not be listed in variesBy` });
+        } else if (!dimensions.includes(dimension) && values.size > 1) {
+          issues.push({ field: 'variesBy', message: `Variants differ in '${dimension}', which is not listed in variesBy` });
+        }
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Validate current state, including the variant checks
+   * @returns {Object} Detailed validation results (see BaseProfileBuilder#validateInline)
+   */
+  validateInline() {
+    const validation = super.validateInline();
+    this.checkVariants().forEach(issue => {
+      validation.errors.push({
+        field: issue.field,
+        message: issue.message,
+        action: 'Make the variants differ in exactly the variesBy dimensions',
+        severity: 'error'
+      });
+    });
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Create a variant node from a builder or object
+   * @private
+   */
+  createVariantNode(variant) {
+    let node = null;
+    if (variant instanceof BaseProfileBuilder) {
+      node = variant.getNode();
+    } else if (variant && typeof variant === 'object') {
+      const { '@context': context, ...rest } = variant;
+      node = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData({ "@type": "Product", ...rest }, 'Product') : { "@type": "Product", ...rest };
+    }
+    return node;
+  }
+
+  /**
+   * Rebuild the variant list from loaded hasVariant nodes
+   * @private
+   */
+  restoreState() {
+    this.variants = [].concat(this.data.hasVariant || [])
+      .filter(node => node && typeof node === 'object')
+      .map(node => ({ ...node }));
+  }
+
+  /**
+   * Write the variants to the data
+   * @private
+   */
+  updateVariants() {
+    if (this.variants.length === 0) {
+      delete this.data.hasVariant;
+      return;
+    }
+    this.data.hasVariant = this.variants.map(node => {
+      if (this.data.productGroupID && !node.inProductGroupWithID) {
+        return { ...node, inProductGroupWithID: this.data.productGroupID };
+      }
+      return { ...node };
+    });
+  }
+}
+
+module.exports = {
+  ProductGroupBuilder,
+  VARIANT_DIMENSIONS
+};
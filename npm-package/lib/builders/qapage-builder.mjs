@@ -59,6 +59,7 @@
  */
 
 import { BaseProfileBuilder, MODES } from './base-builder.mjs';
+import { parseFaq, cleanAnswerHtml } from '../faq-import.mjs';
 
 /**
  * QAPageBuilder class for creating QAPage structured data objects
@@ -216,7 +217,7 @@ export class QAPageBuilder extends BaseProfileBuilder {
       if (answerObj.dateCreated) {
         answerObj.dateCreated = this.sanitizer.sanitizeDate(answerObj.dateCreated);
       }
-      if (answerObj.upvoteCount !== null) {
+      if (answerObj.upvoteCount !== undefined) {
         answerObj.upvoteCount = this.sanitizer.sanitizeNumber(answerObj.upvoteCount, { min: 0 });
       }
     }
@@ -297,6 +298,152 @@ export class QAPageBuilder extends BaseProfileBuilder {
 
     return this;
   }
+
+  /**
+   * Import the question and its answers from Markdown, HTML or a CSV table
+   *
+   * The source is read with parseFaq(); its first question becomes the page's
+   * question and its answer blocks (separated by horizontal rules, or one per
+   * CSV row) become suggested answers. Answers keep the HTML Google allows,
+   * which addAnswer() would strip. CSV `author`, `date`, `upvotes` and
+   * `accepted` columns fill in each answer, and the question and answers get
+   * `@id`s made of the page URL and the question's anchor.
+   *
+   * What happened is stored in `importReport`: `applied` holds the question's
+   * anchor, `unknown` the CSV columns that were ignored, `rejected` the
+   * questions left out (a QAPage holds one) and `warnings` the answers whose
+   * markup was removed.
+   *
+   * @param {string|Array} source - Markdown, HTML or CSV text, or an array of row objects
+   * @param {Object} [options={}] - parseFaq() options (`format`, `level`), plus:
+   * @param {string} [options.baseUrl] - URL the `@id`s start with; defaults to the page url
+   * @param {number} [options.acceptedAnswer] - Index of the accepted answer
+   * @returns {QAPageBuilder} This builder for chaining
+   *
+   * @example
+   * const qaPage = new QAPageBuilder()
+   *   .url('https://example.com/questions/42')
+   *   .importQuestion('## Why does my build fail?\n\nClear the cache.\n\n---\n\nUpdate Node.', { acceptedAnswer: 1 });
+   */
+  importQuestion(source, options = {}) {
+    const { questions, issues, unknown } = parseFaq(source, options);
+    const report = { applied: [], unknown, rejected: [], warnings: [] };
+    this.importReport = report;
+    issues
+      .filter(issue => !unknown.includes(issue.field))
+      .forEach(({ field, message, severity }) => (severity === 'error' ? report.rejected : report.warnings).push({ field, message }));
+
+    const [entry, ...others] = questions;
+    others.forEach(other => {
+      report.rejected.push({ field: `questions[${other.index}]`, message: `A QAPage holds one question; "${other.question}" is left out` });
+    });
+    if (!entry) {
+      return this;
+    }
+
+    const id = `${String(options.baseUrl || this.data.url || '').split('#')[0]}#${entry.anchor}`;
+    this.setQuestion(entry.question);
+    this.data.mainEntity['@id'] = id;
+    this.data.mainEntity.text = this.data.mainEntity.name;
+    entry.answers.forEach((answer, index) => {
+      const isAccepted = Boolean(answer.accepted) || index === options.acceptedAnswer;
+      this.addAnswer(answer.text, answer.author, answer.dateCreated, answer.upvoteCount === undefined ? null : answer.upvoteCount, isAccepted);
+
+      // addAnswer() strips all markup; put the allowed answer HTML back
+      const suggested = this.data.mainEntity.suggestedAnswer;
+      const added = isAccepted ? this.data.mainEntity.acceptedAnswer : suggested[suggested.length - 1];
+      added['@id'] = `${id}-answer-${index + 1}`;
+      added.text = this.sanitizeInputs ? cleanAnswerHtml(this.sanitizer.sanitizeString(answer.text, { allowHtml: true })).html : answer.text;
+    });
+    if (this.data.mainEntity.suggestedAnswer.length === 0) {
+      delete this.data.mainEntity.suggestedAnswer;
+    }
+    this.data.mainEntity.answerCount = entry.answers.length;
+    report.applied.push(entry.anchor);
+    return this;
+  }
+
+  /**
+   * Set author information
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or object
+   * @param {string} [url] - Author URL (if author is string)
+   * @returns {QAPageBuilder} This builder for chaining
+   */
+  author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
+    if (typeof author === 'string') {
+      const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
+      const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+      this.data.author = url ? {
+        "@type": "Person",
+        "name": sanitizedName,
+        "url": sanitizedUrl
+      } : sanitizedName;
+    } else if (author && typeof author === 'object') {
+      if (this.sanitizeInputs) {
+        this.data.author = this.sanitizer.sanitizeStructuredData(author, 'Person');
+      } else {
+        this.data.author = author;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set publisher information
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or object
+   * @param {string} [url] - Publisher URL (if publisher is string)
+   * @param {string} [logoUrl] - Publisher logo URL (if publisher is string)
+   * @returns {QAPageBuilder} This builder for chaining
+   */
+  publisher(publisher, url = null, logoUrl = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
+    if (typeof publisher === 'string') {
+      const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
+      const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+      const sanitizedLogoUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(logoUrl) : logoUrl;
+      
+      this.data.publisher = {
+        "@type": "Organization",
+        "name": sanitizedName
+      };
+      
+      if (url) this.data.publisher.url = sanitizedUrl;
+      if (logoUrl) {
+        this.data.publisher.logo = {
+          "@type": "ImageObject",
+          "url": sanitizedLogoUrl
+        };
+      }
+    } else if (publisher && typeof publisher === 'object') {
+      if (this.sanitizeInputs) {
+        this.data.publisher = this.sanitizer.sanitizeStructuredData(publisher, 'Organization');
+      } else {
+        this.data.publisher = publisher;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set breadcrumb navigation
+   * @param {BreadcrumbListBuilder|Object} breadcrumb - BreadcrumbListBuilder or BreadcrumbList object
+   * @returns {QAPageBuilder} This builder for chaining
+   */
+  breadcrumb(breadcrumb) {
+    if (breadcrumb instanceof BaseProfileBuilder) {
+      this.data.breadcrumb = breadcrumb.getNode();
+    } else if (breadcrumb && typeof breadcrumb === 'object') {
+      this.data.breadcrumb = this.sanitizeInputs
+        ? this.sanitizer.sanitizeStructuredData(breadcrumb, 'BreadcrumbList')
+        : breadcrumb;
+    }
+    return this;
+  }
 }
 
 export default QAPageBuilder; 
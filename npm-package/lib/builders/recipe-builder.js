@@ -85,6 +85,176 @@
  */
 
 const { BaseProfileBuilder, MODES } = require('./base-builder');
+const { addDurations, normalizeDuration } = require('../datetime');
+
+/**
+ * Units recognized at the start of an ingredient line, by the names and
+ * abbreviations they are written with
+ * @private
+ */
+const INGREDIENT_UNITS = {
+  cup: ['cup', 'cups'],
+  tablespoon: ['tablespoon', 'tablespoons', 'tbsp', 'tbs', 'tbl'],
+  teaspoon: ['teaspoon', 'teaspoons', 'tsp'],
+  'fluid ounce': ['fluid ounce', 'fluid ounces', 'fl oz', 'fl. oz'],
+  ounce: ['ounce', 'ounces', 'oz'],
+  pound: ['pound', 'pounds', 'lb', 'lbs'],
+  gram: ['gram', 'grams', 'g'],
+  kilogram: ['kilogram', 'kilograms', 'kg'],
+  milligram: ['milligram', 'milligrams', 'mg'],
+  liter: ['liter', 'liters', 'litre', 'litres', 'l'],
+  milliliter: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'ml'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans'],
+  package: ['package', 'packages', 'pkg'],
+  slice: ['slice', 'slices'],
+  stick: ['stick', 'sticks']
+};
+
+/**
+ * Units NutritionInformation values are written in, by property
+ *
+ * Values are normalized to '<number> <unit>' ("270 calories", "12 g");
+ * servingSize is free text.
+ *
+ * @constant {Object<string, string>} NUTRITION_UNITS
+ */
+const NUTRITION_UNITS = {
+  calories: 'calories',
+  fatContent: 'g',
+  saturatedFatContent: 'g',
+  transFatContent: 'g',
+  unsaturatedFatContent: 'g',
+  carbohydrateContent: 'g',
+  sugarContent: 'g',
+  fiberContent: 'g',
+  proteinContent: 'g',
+  cholesterolContent: 'mg',
+  sodiumContent: 'mg'
+};
+
+/**
+ * Unit spellings accepted for each nutrition unit
+ * @private
+ */
+const NUTRITION_UNIT_ALIASES = {
+  calories: ['calories', 'calorie', 'cal', 'kcal'],
+  g: ['g', 'gram', 'grams'],
+  mg: ['mg', 'milligram', 'milligrams']
+};
+
+/**
+ * Unicode fraction characters and the fractions they stand for
+ * @private
+ */
+const VULGAR_FRACTIONS = {
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅕': '1/5', '⅖': '2/5',
+  '⅗': '3/5', '⅘': '4/5', '⅙': '1/6', '⅚': '5/6', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+/**
+ * A quantity, or range of quantities, at the start of an ingredient line
+ * @private
+ */
+const QUANTITY = '\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?';
+const QUANTITY_PATTERN = new RegExp(`^(${QUANTITY})(?:\\s*(?:-|–|to)\\s*(${QUANTITY}))?\\s*(.*)$`, 'i');
+
+/**
+ * Turn '1 1/2', '3/4' or '2.5' into a number
+ * @private
+ */
+function toNumber(quantity) {
+  const value = quantity.split(/\s+/).reduce((total, part) => {
+    const [numerator, denominator] = part.split('/').map(Number);
+    return total + (denominator ? numerator / denominator : numerator);
+  }, 0);
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Parse an ingredient line into its quantity, unit, item and note
+ *
+ * Quantities may be whole numbers, decimals, fractions ('1 1/2', '½') or
+ * ranges ('2-3', '2 to 3'); the unit is the canonical name of a known unit
+ * ('tbsp' → 'tablespoon'). Text after the first comma and in parentheses is
+ * the note.
+ *
+ * @param {string} line - Ingredient line, such as '2 cups all-purpose flour, sifted'
+ * @returns {Object|null} `{ text, quantity, maxQuantity, unit, amount, item, note }` (missing parts are null), or null for empty input
+ *
+ * @example
+ * parseIngredient('1 ½ tbsp olive oil (extra virgin)');
+ * // { text: '1 ½ tbsp olive oil (extra virgin)', quantity: 1.5, maxQuantity: null,
+ * //   unit: 'tablespoon', amount: '1 1/2 tbsp', item: 'olive oil', note: 'extra virgin' }
+ */
+function parseIngredient(line) {
+  if (typeof line !== 'string' || !line.trim()) {
+    return null;
+  }
+  const text = line.trim().replace(/\s+/g, ' ');
+  const result = { text, quantity: null, maxQuantity: null, unit: null, amount: null, item: null, note: null };
+
+  const notes = [];
+  let rest = text
+    .replace(/(\d)?\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (match, whole, fraction) => `${whole ? `${whole} ` : ' '}${VULGAR_FRACTIONS[fraction]}`)
+    .replace(/\s*\(([^)]*)\)/g, (match, note) => {
+      if (note.trim()) notes.push(note.trim());
+      return '';
+    })
+    .trim();
+  const comma = rest.indexOf(',');
+  if (comma !== -1) {
+    notes.push(rest.slice(comma + 1).trim());
+    rest = rest.slice(0, comma).trim();
+  }
+
+  const quantity = rest.match(QUANTITY_PATTERN);
+  if (quantity) {
+    result.quantity = toNumber(quantity[1]);
+    result.maxQuantity = quantity[2] ? toNumber(quantity[2]) : null;
+    result.amount = rest.slice(0, rest.length - quantity[3].length).trim();
+    rest = quantity[3];
+
+    const lower = rest.toLowerCase();
+    Object.entries(INGREDIENT_UNITS).some(([unit, names]) => {
+      const name = names.find(candidate => new RegExp(`^${candidate.replace('.', '\\.')}\\.?(?![a-z])`).test(lower));
+      if (name) {
+        result.unit = unit;
+        result.amount = `${result.amount} ${rest.slice(0, name.length)}`;
+        rest = rest.slice(name.length).replace(/^\.?\s*(?:of\s+)?/i, '');
+      }
+      return Boolean(name);
+    });
+  }
+
+  result.item = rest.trim() || null;
+  result.note = notes.filter(Boolean).join(', ') || null;
+  return result;
+}
+
+/**
+ * Normalize a nutrition value to '<number> <unit>', or null if its unit does not fit the property
+ * @private
+ */
+function normalizeNutritionValue(property, value) {
+  const unit = NUTRITION_UNITS[property];
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? `${value} ${unit}` : null;
+  }
+  const match = typeof value === 'string' && value.trim().replace(/(\d),(\d{3})\b/g, '$1$2').match(/^(\d+(?:\.\d+)?)\s*([a-z]+)?(?:\s+[a-z ]+)?$/i);
+  if (!match) {
+    return null;
+  }
+  if (match[2] && !NUTRITION_UNIT_ALIASES[unit].includes(match[2].toLowerCase())) {
+    return null;
+  }
+  return `${Number(match[1])} ${unit}`;
+}
 
 /**
  * RecipeBuilder class for creating Recipe structured data objects
@@ -130,15 +300,19 @@ class RecipeBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('Recipe', 'content', mode, sanitizeInputs);
+    this.hasExplicitTotalTime = false;
   }
 
   /**
    * Set author
-   * @param {string|Object} author - Author name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {RecipeBuilder} This builder for chaining
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -187,46 +361,73 @@ class RecipeBuilder extends BaseProfileBuilder {
 
   /**
    * Set preparation time
-   * @param {string} time - ISO 8601 duration (e.g., 'PT15M' for 15 minutes)
+   *
+   * Accepts ISO 8601 ('PT15M') or human input ('15 min', { minutes: 15 },
+   * 900 seconds). Unless totalTime() is called, totalTime is kept at
+   * prepTime + cookTime.
+   *
+   * @param {string|number|Object} time - Preparation time
    * @returns {RecipeBuilder} This builder for chaining
    */
   prepTime(time) {
-    if (this.sanitizeInputs) {
-      this.data.prepTime = this.sanitizer.sanitizeString(time);
-    } else {
-      this.data.prepTime = time;
-    }
+    this.setDuration('prepTime', time);
+    this.updateTotalTime();
     return this;
   }
 
   /**
    * Set cooking time
-   * @param {string} time - ISO 8601 duration (e.g., 'PT30M' for 30 minutes)
+   * @param {string|number|Object} time - Cooking time (e.g., 'PT30M', '30 minutes', { minutes: 30 })
    * @returns {RecipeBuilder} This builder for chaining
    */
   cookTime(time) {
-    if (this.sanitizeInputs) {
-      this.data.cookTime = this.sanitizer.sanitizeString(time);
-    } else {
-      this.data.cookTime = time;
-    }
+    this.setDuration('cookTime', time);
+    this.updateTotalTime();
     return this;
   }
 
   /**
    * Set total time
-   * @param {string} time - ISO 8601 duration (e.g., 'PT45M' for 45 minutes)
+   *
+   * Overrides the total computed from prepTime and cookTime. A total shorter
+   * than its parts is reported by validateInline().
+   *
+   * @param {string|number|Object} time - Total time (e.g., 'PT45M', '45 min', { minutes: 45 })
    * @returns {RecipeBuilder} This builder for chaining
    */
   totalTime(time) {
-    if (this.sanitizeInputs) {
-      this.data.totalTime = this.sanitizer.sanitizeString(time);
-    } else {
-      this.data.totalTime = time;
+    this.setDuration('totalTime', time);
+    if (normalizeDuration(time)) {
+      this.hasExplicitTotalTime = true;
     }
     return this;
   }
 
+  /**
+   * Treat a loaded totalTime as explicit unless it equals prepTime + cookTime
+   * @private
+   */
+  restoreState() {
+    const parts = ['prepTime', 'cookTime'].filter(part => this.data[part] !== undefined).map(part => this.data[part]);
+    const total = parts.length > 0 ? addDurations(...parts) : null;
+    this.hasExplicitTotalTime = this.data.totalTime !== undefined && normalizeDuration(this.data.totalTime) !== total;
+  }
+
+  /**
+   * Keep the computed totalTime at prepTime + cookTime
+   * @private
+   */
+  updateTotalTime() {
+    if (this.hasExplicitTotalTime) {
+      return;
+    }
+    const parts = ['prepTime', 'cookTime'].filter(part => this.data[part] !== undefined).map(part => this.data[part]);
+    const total = parts.length > 0 ? addDurations(...parts) : null;
+    if (total) {
+      this.data.totalTime = total;
+    }
+  }
+
   /**
    * Set recipe yield
    * @param {string|number} recipeYield - Number of servings or yield description
@@ -271,18 +472,64 @@ class RecipeBuilder extends BaseProfileBuilder {
 
   /**
    * Set nutrition information
-   * @param {Object} nutrition - Nutrition object
+   *
+   * Numbers get the unit of their property and strings are normalized to
+   * '<number> <unit>' ("270 kcal" → "270 calories", "12g" → "12 g"); values
+   * with a unit that does not fit the property are ignored. See
+   * {@link NUTRITION_UNITS}.
+   *
+   * @param {Object} nutrition - NutritionInformation properties, such as `{ calories: 270, fatContent: '12g' }`
    * @returns {RecipeBuilder} This builder for chaining
+   *
+   * @example
+   * recipe.nutrition({ calories: 270, fatContent: '12g', sodiumContent: '410 mg', servingSize: '1 slice' });
+   * // { "@type": "NutritionInformation", "calories": "270 calories", "fatContent": "12 g", "sodiumContent": "410 mg", "servingSize": "1 slice" }
    */
   nutrition(nutrition) {
-    if (this.sanitizeInputs) {
-      this.data.nutrition = this.sanitizer.sanitizeStructuredData(nutrition, 'NutritionInformation');
-    } else {
+    if (!nutrition || typeof nutrition !== 'object' || Array.isArray(nutrition)) {
+      return this;
+    }
+    if (!this.sanitizeInputs) {
       this.data.nutrition = nutrition;
+      return this;
     }
+
+    const { '@type': type, ...values } = nutrition;
+    const node = this.sanitizer.sanitizeStructuredData({ "@type": "NutritionInformation", ...values }, 'NutritionInformation');
+    Object.keys(NUTRITION_UNITS).forEach(property => {
+      if (node[property] !== undefined) {
+        const value = normalizeNutritionValue(property, nutrition[property]);
+        if (value) {
+          node[property] = value;
+        } else {
+          delete node[property];
+        }
+      }
+    });
+    this.data.nutrition = node;
     return this;
   }
 
+  /**
+   * Check nutrition values for units that do not fit their property
+   *
+   * Finds values set without sanitization or loaded with from().
+   *
+   * @returns {Array<{field: string, message: string}>} Problems found
+   */
+  checkNutrition() {
+    const nutrition = this.data.nutrition;
+    if (!nutrition || typeof nutrition !== 'object') {
+      return [];
+    }
+    return Object.keys(NUTRITION_UNITS)
+      .filter(property => nutrition[property] !== undefined && !normalizeNutritionValue(property, nutrition[property]))
+      .map(property => ({
+        field: `nutrition.${property}`,
+        message: `${property} "${nutrition[property]}" should be a number followed by "${NUTRITION_UNITS[property]}", such as "${property === 'calories' ? 270 : 12} ${NUTRITION_UNITS[property]}"`
+      }));
+  }
+
   /**
    * Set keywords
    * @param {string|Array} keywords - Keywords string or array
@@ -322,93 +569,251 @@ class RecipeBuilder extends BaseProfileBuilder {
 
   /**
    * Set ingredients
-   * @param {Array} ingredients - Array of ingredient strings
+   *
+   * Replaces the ingredients. See {@link RecipeBuilder#addIngredient}.
+   *
+   * @param {Array<string|Object>} ingredients - Ingredient lines or Ingredient objects
    * @returns {RecipeBuilder} This builder for chaining
    */
   ingredients(ingredients) {
     if (Array.isArray(ingredients)) {
-      if (this.sanitizeInputs) {
-        this.data.ingredients = ingredients.map(ingredient => this.sanitizer.sanitizeString(ingredient));
-      } else {
-        this.data.ingredients = ingredients;
-      }
+      delete this.data.ingredients;
+      delete this.data.recipeIngredient;
+      ingredients.forEach(ingredient => this.addIngredient(ingredient));
     }
     return this;
   }
 
+  /**
+   * Set ingredients (alias of {@link RecipeBuilder#ingredients})
+   * @param {Array<string|Object>} ingredients - Ingredient lines or Ingredient objects
+   * @returns {RecipeBuilder} This builder for chaining
+   */
+  recipeIngredient(ingredients) {
+    return this.ingredients(ingredients);
+  }
+
   /**
    * Set recipe instructions
-   * @param {Array} instructions - Array of instruction objects or strings
+   *
+   * Replaces the instructions. Items are steps (text or HowToStep objects)
+   * or HowToSection objects whose `itemListElement` (or `steps`) holds the
+   * section's steps. See {@link RecipeBuilder#addInstruction}.
+   *
+   * @param {Array<string|Object>} instructions - Steps and sections
    * @returns {RecipeBuilder} This builder for chaining
    */
   recipeInstructions(instructions) {
-    if (Array.isArray(instructions)) {
-      if (this.sanitizeInputs) {
-        this.data.recipeInstructions = instructions.map(instruction => {
-          if (typeof instruction === 'string') {
-            return {
-              "@type": "HowToStep",
-              "text": this.sanitizer.sanitizeString(instruction)
-            };
-          } else {
-            return this.sanitizer.sanitizeStructuredData(instruction, 'HowToStep');
-          }
-        });
+    if (!Array.isArray(instructions)) {
+      return this;
+    }
+    if (!this.sanitizeInputs) {
+      this.data.recipeInstructions = instructions;
+      return this;
+    }
+    delete this.data.recipeInstructions;
+    instructions.forEach(instruction => {
+      if (instruction && instruction['@type'] === 'HowToSection') {
+        this.addSection(instruction.name, instruction.itemListElement || instruction.steps || [], instruction);
       } else {
-        this.data.recipeInstructions = instructions;
+        this.addInstruction(instruction);
       }
-    }
+    });
     return this;
   }
 
   /**
    * Add a single ingredient
-   * @param {string} ingredient - Ingredient name
+   *
+   * An ingredient line is kept as text in `recipeIngredient` and parsed (see
+   * {@link parseIngredient}) into an Ingredient in `ingredients`. An
+   * Ingredient object is added to `ingredients`, with its amount and name as
+   * the text.
+   *
+   * @param {string|Object} ingredient - Ingredient line or Ingredient object
    * @returns {RecipeBuilder} This builder for chaining
+   *
+   * @example
+   * recipe.addIngredient('2 cups all-purpose flour, sifted');
+   * // recipeIngredient: ['2 cups all-purpose flour, sifted']
+   * // ingredients: [{ "@type": "Ingredient", "name": "all-purpose flour", "amount": "2 cups",
+   * //                 "quantity": 2, "unit": "cup", "note": "sifted" }]
    */
   addIngredient(ingredient) {
-    if (!this.data.ingredients) {
-      this.data.ingredients = [];
+    const node = this.createIngredient(ingredient);
+    if (node) {
+      this.data.ingredients = [...(this.data.ingredients || []), node.ingredient];
+      this.data.recipeIngredient = [...(this.data.recipeIngredient || []), node.text];
     }
-    
-    const sanitizedIngredient = this.sanitizeInputs ? this.sanitizer.sanitizeString(ingredient) : ingredient;
-    this.data.ingredients.push(sanitizedIngredient);
     return this;
   }
 
   /**
    * Add a single instruction
-   * @param {string|Object} instruction - Instruction text or HowToStep object
+   *
+   * Steps get a `url` anchor ('#step-3', or the recipe URL with that anchor)
+   * unless they have one, numbered across all sections.
+   *
+   * @param {string|Object} instruction - Instruction text or HowToStep object (`text`, `name`, `image`, `url`)
    * @param {string} [name] - Step name (if instruction is string)
    * @returns {RecipeBuilder} This builder for chaining
    */
   addInstruction(instruction, name = null) {
-    if (!this.data.recipeInstructions) {
-      this.data.recipeInstructions = [];
+    const step = this.createStep(instruction, name);
+    if (step) {
+      this.data.recipeInstructions = [...(this.data.recipeInstructions || []), step];
+      this.updateStepAnchors();
     }
+    return this;
+  }
 
-    if (typeof instruction === 'string') {
-      const stepObj = {
-        "@type": "HowToStep",
-        "text": instruction
-      };
-      if (name) stepObj.name = name;
-      
-      if (this.sanitizeInputs) {
-        stepObj.text = this.sanitizer.sanitizeString(stepObj.text);
-        if (stepObj.name) stepObj.name = this.sanitizer.sanitizeString(stepObj.name);
+  /**
+   * Add a group of steps, such as 'Make the crust'
+   *
+   * @param {string} name - Section name
+   * @param {Array<string|Object>} steps - Instruction texts or HowToStep objects
+   * @param {Object} [properties={}] - Other HowToSection properties, such as `image`
+   * @returns {RecipeBuilder} This builder for chaining
+   *
+   * @example
+   * recipe
+   *   .addSection('Make the crust', ['Mix flour and butter', { text: 'Chill the dough', image: 'https://example.com/dough.jpg' }])
+   *   .addSection('Make the filling', ['Slice the apples', 'Toss with sugar']);
+   */
+  addSection(name, steps, properties = {}) {
+    const title = typeof name === 'string' && this.sanitizeInputs ? this.sanitizer.sanitizeString(name) : name;
+    const items = (Array.isArray(steps) ? steps : []).map(step => this.createStep(step)).filter(Boolean);
+    if (typeof title !== 'string' || !title.trim() || items.length === 0) {
+      return this;
+    }
+
+    const { '@type': type, itemListElement, steps: ignored, ...rest } = properties && typeof properties === 'object' ? properties : {};
+    const extra = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(rest, 'HowToSection') : rest;
+    const section = { "@type": "HowToSection", ...extra, "name": title, "itemListElement": items };
+    this.data.recipeInstructions = [...(this.data.recipeInstructions || []), section];
+    this.updateStepAnchors();
+    return this;
+  }
+
+  /**
+   * Set the recipe URL, moving step anchors to it
+   * @param {string} url - URL
+   * @returns {RecipeBuilder} This builder for chaining
+   */
+  url(url) {
+    const previousUrl = this.data.url;
+    super.url(url);
+    this.updateStepAnchors(previousUrl);
+    return this;
+  }
+
+  /**
+   * Validate the builder, including the nutrition units
+   * @returns {Object} Validation results (see BaseProfileBuilder#validateInline)
+   */
+  validateInline() {
+    const validation = super.validateInline();
+    this.checkNutrition().forEach(issue => {
+      validation.warnings.push({
+        field: issue.field,
+        message: issue.message,
+        action: 'Give the value as a number with its unit',
+        severity: 'warning'
+      });
+    });
+    return validation;
+  }
+
+  /**
+   * Create the Ingredient and text of an ingredient
+   * @private
+   */
+  createIngredient(ingredient) {
+    if (typeof ingredient === 'string') {
+      const text = this.sanitizeInputs ? this.sanitizer.sanitizeString(ingredient) : ingredient.trim();
+      const parsed = parseIngredient(text);
+      if (!parsed) {
+        return null;
       }
-      
-      this.data.recipeInstructions.push(stepObj);
-    } else if (instruction && typeof instruction === 'object') {
-      if (this.sanitizeInputs) {
-        this.data.recipeInstructions.push(this.sanitizer.sanitizeStructuredData(instruction, 'HowToStep'));
-      } else {
-        this.data.recipeInstructions.push(instruction);
+      const node = { "@type": "Ingredient", "name": parsed.item || parsed.text };
+      if (parsed.amount) node.amount = parsed.amount;
+      if (parsed.quantity !== null) node.quantity = parsed.quantity;
+      if (parsed.maxQuantity !== null) node.maxQuantity = parsed.maxQuantity;
+      if (parsed.unit) node.unit = parsed.unit;
+      if (parsed.note) node.note = parsed.note;
+      return { ingredient: node, text: parsed.text };
+    }
+
+    if (ingredient && typeof ingredient === 'object' && !Array.isArray(ingredient) && typeof ingredient.name === 'string') {
+      const node = { "@type": "Ingredient", ...ingredient };
+      const sanitized = this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, 'Ingredient') : node;
+      if (!sanitized.name) {
+        return null;
       }
+      return { ingredient: sanitized, text: [sanitized.amount, sanitized.name].filter(Boolean).join(' ') };
     }
-    return this;
+    return null;
+  }
+
+  /**
+   * Create a HowToStep from text or an object
+   * @private
+   */
+  createStep(instruction, name = null) {
+    let step = null;
+    if (typeof instruction === 'string') {
+      step = { "@type": "HowToStep", "text": instruction };
+      if (name) step.name = name;
+    } else if (instruction && typeof instruction === 'object' && !Array.isArray(instruction)) {
+      step = { "@type": "HowToStep", ...instruction };
+    }
+    if (!step || !this.sanitizeInputs) {
+      return step;
+    }
+
+    const { image, ...rest } = step;
+    step = this.sanitizer.sanitizeStructuredData(rest, 'HowToStep');
+    if (typeof step.text !== 'string' || !step.text.trim()) {
+      return null;
+    }
+    if (typeof image === 'string') {
+      const imageUrl = this.sanitizer.sanitizeUrl(image);
+      if (imageUrl) step.image = imageUrl;
+    } else if (image && typeof image === 'object') {
+      step.image = this.sanitizer.sanitizeStructuredData(image, 'ImageObject');
+    }
+    return step;
+  }
+
+  /**
+   * Number the `#step-N` anchors of all steps, in sections too
+   *
+   * Steps without a URL, or whose URL is a step anchor of this recipe, get
+   * the anchor of their place in the recipe.
+   * @private
+   */
+  updateStepAnchors(previousUrl = this.data.url) {
+    if (!Array.isArray(this.data.recipeInstructions)) {
+      return;
+    }
+    const base = typeof this.data.url === 'string' ? this.data.url.replace(/#.*$/, '') : '';
+    const bases = new Set(['', base, typeof previousUrl === 'string' ? previousUrl.replace(/#.*$/, '') : '']);
+    const steps = this.data.recipeInstructions.flatMap(item => (
+      item && item['@type'] === 'HowToSection' && Array.isArray(item.itemListElement) ? item.itemListElement : [item]
+    ));
+
+    steps.filter(step => step && typeof step === 'object').forEach((step, index) => {
+      const anchor = typeof step.url === 'string' ? step.url.match(/^(.*)#step-\d+$/) : null;
+      if (step.url === undefined || (anchor && bases.has(anchor[1]))) {
+        step.url = `${base}#step-${index + 1}`;
+      }
+    });
   }
 }
 
-module.exports = { RecipeBuilder };
+module.exports = {
+  RecipeBuilder,
+  NUTRITION_UNITS,
+  parseIngredient
+};
+
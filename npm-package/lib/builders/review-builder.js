@@ -99,6 +99,10 @@ class ReviewBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('Review', 'business', mode, sanitizeInputs);
+    this.objectArguments = {
+      reviewRating: ['ratingValue', 'bestRating', 'worstRating'],
+      aggregateRating: ['ratingValue', 'ratingCount', 'reviewCount', 'bestRating', 'worstRating']
+    };
   }
 
   /**
@@ -123,11 +127,14 @@ class ReviewBuilder extends BaseProfileBuilder {
 
   /**
    * Set author
-   * @param {string|Object} author - Author name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {ReviewBuilder} This builder for chaining
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -235,11 +242,14 @@ class ReviewBuilder extends BaseProfileBuilder {
 
   /**
    * Set publisher
-   * @param {string|Object} publisher - Publisher name or Organization object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
    * @param {string} [url] - Publisher URL (if publisher is string)
    * @returns {ReviewBuilder} This builder for chaining
    */
   publisher(publisher, url = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
     if (typeof publisher === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -99,6 +99,9 @@ class SoftwareApplicationBuilder extends BaseProfileBuilder {
    */
   constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
     super('Softwareapplication', 'technology', mode, sanitizeInputs);
+    this.objectArguments = {
+      aggregateRating: ['ratingValue', 'reviewCount', 'bestRating', 'worstRating']
+    };
   }
 
   /**
@@ -379,11 +382,14 @@ class SoftwareApplicationBuilder extends BaseProfileBuilder {
 
   /**
    * Set author
-   * @param {string|Object} author - Author name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {SoftwareApplicationBuilder} This builder for chaining
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -402,6 +408,34 @@ class SoftwareApplicationBuilder extends BaseProfileBuilder {
     return this;
   }
 
+  /**
+   * Set publisher
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
+   * @param {string} [url] - Publisher URL (if publisher is string)
+   * @returns {SoftwareApplicationBuilder} This builder for chaining
+   */
+  publisher(publisher, url = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
+    if (typeof publisher === 'string') {
+      const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
+      const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+      this.data.publisher = {
+        "@type": "Organization",
+        "name": sanitizedName
+      };
+      if (sanitizedUrl) this.data.publisher.url = sanitizedUrl;
+    } else if (publisher && typeof publisher === 'object') {
+      if (this.sanitizeInputs) {
+        this.data.publisher = this.sanitizer.sanitizeStructuredData(publisher, publisher['@type'] || 'Organization');
+      } else {
+        this.data.publisher = publisher;
+      }
+    }
+    return this;
+  }
+
   /**
    * Set offers (extended)
    * @param {number|Object} price - Price or Offer object
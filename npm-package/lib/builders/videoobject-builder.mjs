@@ -108,18 +108,13 @@ export class VideoObjectBuilder extends BaseProfileBuilder {
 
   /**
    * Set upload date
-   * @param {string|Date} date - Upload date
+   * @param {string|Date|number} date - Upload date
+   * @param {string} [timeZone] - IANA time zone that decides the calendar day of a Date
    * @returns {VideoObjectBuilder} This builder for chaining
    */
-  uploadDate(date) {
-    if (this.sanitizeInputs) {
-      const sanitizedDate = this.sanitizer.sanitizeDate(date);
-      // For VideoObject, we need date format (YYYY-MM-DD), not date-time
-      this.data.uploadDate = sanitizedDate.split('T')[0];
-    } else {
-      this.data.uploadDate = date instanceof Date ? date.toISOString().split('T')[0] : date;
-    }
-    return this;
+  uploadDate(date, timeZone = null) {
+    // For VideoObject, we need date format (YYYY-MM-DD), not date-time
+    return this.setDateTime('uploadDate', date, { timeZone, dateOnly: true });
   }
 
   /**
@@ -152,16 +147,11 @@ export class VideoObjectBuilder extends BaseProfileBuilder {
 
   /**
    * Set duration
-   * @param {string} duration - ISO 8601 duration (e.g., 'PT5M30S' for 5 minutes 30 seconds)
+   * @param {string|number|Object} duration - Duration (e.g., 'PT5M30S', '5m 30s', 330 seconds)
    * @returns {VideoObjectBuilder} This builder for chaining
    */
   duration(duration) {
-    if (this.sanitizeInputs) {
-      this.data.duration = this.sanitizer.sanitizeString(duration);
-    } else {
-      this.data.duration = duration;
-    }
-    return this;
+    return this.setDuration('duration', duration);
   }
 
   /**
@@ -208,11 +198,14 @@ export class VideoObjectBuilder extends BaseProfileBuilder {
 
   /**
    * Set author
-   * @param {string|Object} author - Author name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} author - Author name or Person object
    * @param {string} [url] - Author URL (if author is string)
    * @returns {VideoObjectBuilder} This builder for chaining
    */
   author(author, url = null) {
+    if (this.setAgent('author', author)) {
+      return this;
+    }
     if (typeof author === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(author) : author;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -234,11 +227,14 @@ export class VideoObjectBuilder extends BaseProfileBuilder {
 
   /**
    * Set creator
-   * @param {string|Object} creator - Creator name or Person object
+   * @param {PersonBuilder|OrganizationBuilder|string|Object} creator - Creator name or Person object
    * @param {string} [url] - Creator URL (if creator is string)
    * @returns {VideoObjectBuilder} This builder for chaining
    */
   creator(creator, url = null) {
+    if (this.setAgent('creator', creator)) {
+      return this;
+    }
     if (typeof creator === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(creator) : creator;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
@@ -260,11 +256,14 @@ export class VideoObjectBuilder extends BaseProfileBuilder {
 
   /**
    * Set publisher
-   * @param {string|Object} publisher - Publisher name or Organization object
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name or Organization object
    * @param {string} [url] - Publisher URL (if publisher is string)
    * @returns {VideoObjectBuilder} This builder for chaining
    */
   publisher(publisher, url = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
     if (typeof publisher === 'string') {
       const sanitizedName = this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher;
       const sanitizedUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
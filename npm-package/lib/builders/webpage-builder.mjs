@@ -0,0 +1,229 @@
+/**
+ * @fileoverview WebPageBuilder class for creating WebPage structured data objects
+ *
+ * This module provides a specialized builder for describing a single page:
+ * its breadcrumb trail, the entity the page is about (`mainEntity`) and the
+ * website it belongs to (`isPartOf`). Other builders can be passed in for
+ * each of these and are nested without their profile properties.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * import { WebPageBuilder } from './webpage-builder.mjs';
+ * import { BreadcrumbListBuilder } from './breadcrumblist-builder.mjs';
+ *
+ * const page = new WebPageBuilder()
+ *   .name('Trail Runner X')
+ *   .url('https://example.com/shoes/trail-runner-x')
+ *   .breadcrumb(new BreadcrumbListBuilder()
+ *     .addItem('Home', 'https://example.com/')
+ *     .addItem('Shoes', '/shoes')
+ *     .addItem('Trail Runner X'))
+ *   .mainEntity(productBuilder)
+ *   .isPartOf({ "@id": "https://example.com/#website" })
+ *   .build();
+ */
+
+import { BaseProfileBuilder, MODES } from './base-builder.mjs';
+import { EntityBuilder } from './entity-builder.mjs';
+
+/**
+ * WebPageBuilder class for creating WebPage structured data objects
+ *
+ * @class WebPageBuilder
+ * @extends BaseProfileBuilder
+ * @example
+ * const page = new WebPageBuilder()
+ *   .name('About us')
+ *   .url('https://example.com/about')
+ *   .inLanguage('en')
+ *   .dateModified('2024-06-01')
+ *   .build();
+ */
+export class WebPageBuilder extends BaseProfileBuilder {
+  /**
+   * Create a new WebPageBuilder instance
+   *
+   * @param {string} [mode='strict-seo'] - The output mode
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(mode = MODES.STRICT_SEO, sanitizeInputs = true) {
+    super('Webpage', 'content', mode, sanitizeInputs);
+  }
+
+  /**
+   * Set the breadcrumb trail leading to the page
+   * @param {BreadcrumbListBuilder|Object|string} breadcrumb - BreadcrumbListBuilder, BreadcrumbList object, or the `@id` of one
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  breadcrumb(breadcrumb) {
+    const node = this.createNode(breadcrumb, 'BreadcrumbList');
+    if (node) {
+      this.data.breadcrumb = node;
+    }
+    return this;
+  }
+
+  /**
+   * Set the entity the page is about, such as an Article or Product
+   * @param {BaseProfileBuilder|Object|Array} entity - Profile builder, JSON-LD node, or an array of them
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  mainEntity(entity) {
+    const nodes = [].concat(entity).map(item => this.createNode(item, 'Thing')).filter(Boolean);
+    if (nodes.length > 0) {
+      this.data.mainEntity = nodes.length === 1 ? nodes[0] : nodes;
+    }
+    return this;
+  }
+
+  /**
+   * Set the website the page belongs to
+   * @param {BaseProfileBuilder|Object|string} website - WebSiteBuilder, WebSite object, or the `@id` of one
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  isPartOf(website) {
+    const node = this.createNode(website, 'WebSite');
+    if (node) {
+      this.data.isPartOf = node;
+    }
+    return this;
+  }
+
+  /**
+   * Set the subject of the page
+   * @param {string|Object} about - Subject name or Thing object
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  about(about) {
+    if (typeof about === 'string' && about.trim()) {
+      this.data.about = this.sanitizeInputs ? this.sanitizer.sanitizeString(about) : about;
+    } else {
+      const node = this.createNode(about, 'Thing');
+      if (node) {
+        this.data.about = node;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set the publication date
+   * @param {string|Date|number} date - Publication date
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  datePublished(date) {
+    return this.setDateTime('datePublished', date);
+  }
+
+  /**
+   * Set the modification date
+   * @param {string|Date|number} date - Last modification date
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  dateModified(date) {
+    return this.setDateTime('dateModified', date);
+  }
+
+  /**
+   * Set the date the content was last reviewed
+   * @param {string|Date|number} date - Review date
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  lastReviewed(date) {
+    return this.setDateTime('lastReviewed', date);
+  }
+
+  /**
+   * Set the language of the page
+   * @param {string} language - Language code (e.g., 'en', 'es')
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  inLanguage(language) {
+    if (this.sanitizeInputs) {
+      const sanitized = this.sanitizer.sanitizeLanguageCode(language);
+      if (sanitized) {
+        this.data.inLanguage = sanitized;
+      }
+    } else if (language) {
+      this.data.inLanguage = language;
+    }
+    return this;
+  }
+
+  /**
+   * Set the main image of the page
+   * @param {string|Object} image - Image URL or ImageObject
+   * @returns {WebPageBuilder} This builder for chaining
+   */
+  primaryImageOfPage(image) {
+    if (typeof image === 'string') {
+      const url = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(image) : image;
+      if (url) {
+        this.data.primaryImageOfPage = {
+          "@type": "ImageObject",
+          "url": url
+        };
+      }
+    } else {
+      const node = this.createNode(image, 'ImageObject');
+      if (node) {
+        this.data.primaryImageOfPage = node;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set the parts of the page suited to text-to-speech
+   * @param {string[]|Object} speakable - CSS selectors, or a SpeakableSpecification object
+   * @returns {WebPageBuilder} This builder for chaining
+   *
+   * @example
+   * page.speakable(['.headline', '.summary']);
+   */
+  speakable(speakable) {
+    if (Array.isArray(speakable)) {
+      const selectors = speakable.filter(selector => typeof selector === 'string' && selector.trim());
+      if (selectors.length > 0) {
+        this.data.speakable = {
+          "@type": "SpeakableSpecification",
+          "cssSelector": selectors
+        };
+      }
+    } else {
+      const node = this.createNode(speakable, 'SpeakableSpecification');
+      if (node) {
+        this.data.speakable = node;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Create a nested node from a builder, a JSON-LD object or an `@id`
+   * @private
+   */
+  createNode(value, type) {
+    if (value instanceof BaseProfileBuilder || value instanceof EntityBuilder) {
+      return value.getNode();
+    }
+    if (typeof value === 'string' && value.trim()) {
+      const id = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(value.trim()) : value.trim();
+      return id ? { "@id": id } : null;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const { '@context': context, ...rest } = value;
+      if (Object.keys(rest).length === 1 && typeof rest['@id'] === 'string') {
+        return rest;
+      }
+      const node = { "@type": type, ...rest };
+      return this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(node, node['@type']) : node;
+    }
+    return null;
+  }
+}
+
+export default WebPageBuilder;
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview WebSiteBuilder class for creating WebSite structured data objects
+ *
+ * This module provides a specialized builder for describing a website as a
+ * whole: its name, alternate names, publisher and the site search it offers.
+ * The site search is a `potentialAction` SearchAction whose `query-input`
+ * names the placeholder of the search URL template.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { WebSiteBuilder } = require('./website-builder');
+ *
+ * const website = new WebSiteBuilder()
+ *   .name('Example Store')
+ *   .url('https://example.com/')
+ *   .searchAction('https://example.com/search?q={search_term_string}')
+ *   .build();
+ * // potentialAction: {
+ * //   "@type": "SearchAction",
+ * //   "target": { "@type": "EntryPoint", "urlTemplate": "https://example.com/search?q={search_term_string}" },
+ * //   "query-input": "required name=search_term_string"
+ * // }
+ */
+
+const { BaseProfileBuilder } = require('./base-builder');
+
+/**
+ * Matches the `{name}` placeholders of a URL template
+ * @private
+ */
+const PLACEHOLDER_PATTERN = /\{([A-Za-z0-9_]+)\}/g;
+
+/**
+ * Get the placeholder names of a URL template
+ * @private
+ */
+function getPlaceholders(urlTemplate) {
+  return typeof urlTemplate === 'string'
+    ? Array.from(urlTemplate.matchAll(PLACEHOLDER_PATTERN), match => match[1])
+    : [];
+}
+
+/**
+ * Get the URL template of a SearchAction target (a string or an EntryPoint)
+ * @private
+ */
+function getUrlTemplate(target) {
+  if (typeof target === 'string') {
+    return target;
+  }
+  return target && typeof target === 'object' ? target.urlTemplate : undefined;
+}
+
+/**
+ * Get the placeholder name a `query-input` text or PropertyValueSpecification refers to ('required name=q' → 'q')
+ * @private
+ */
+function getQueryInputName(queryInput) {
+  if (queryInput && typeof queryInput === 'object') {
+    return typeof queryInput.valueName === 'string' ? queryInput.valueName : null;
+  }
+  const match = typeof queryInput === 'string' ? queryInput.match(/(?:^|\s)name=([A-Za-z0-9_]+)/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * WebSiteBuilder class for creating WebSite structured data objects
+ *
+ * @class WebSiteBuilder
+ * @extends BaseProfileBuilder
+ * @example
+ * const website = new WebSiteBuilder()
+ *   .name('Example Store')
+ *   .alternateName(['Example', 'example.com'])
+ *   .url('https://example.com/')
+ *   .publisher('Example Inc.', 'https://example.com/', 'https://example.com/logo.png')
+ *   .searchAction('https://example.com/search/{query}', { required: false })
+ *   .build();
+ */
+class WebSiteBuilder extends BaseProfileBuilder {
+  /**
+   * Create a new WebSiteBuilder instance
+   *
+   * @param {string} [mode='strict-seo'] - The output mode
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   */
+  constructor(mode = 'strict-seo', sanitizeInputs = true) {
+    super('Website', 'content', mode, sanitizeInputs);
+  }
+
+  /**
+   * Set other names the site is known by
+   * @param {string|string[]} alternateName - Alternate name or names
+   * @returns {WebSiteBuilder} This builder for chaining
+   */
+  alternateName(alternateName) {
+    const names = [].concat(alternateName)
+      .filter(name => typeof name === 'string' && name.trim())
+      .map(name => (this.sanitizeInputs ? this.sanitizer.sanitizeString(name) : name))
+      .filter(Boolean);
+    if (names.length > 0) {
+      this.data.alternateName = names.length === 1 ? names[0] : names;
+    }
+    return this;
+  }
+
+  /**
+   * Set the language of the site
+   * @param {string} language - Language code (e.g., 'en', 'es')
+   * @returns {WebSiteBuilder} This builder for chaining
+   */
+  inLanguage(language) {
+    if (this.sanitizeInputs) {
+      const sanitized = this.sanitizer.sanitizeLanguageCode(language);
+      if (sanitized) {
+        this.data.inLanguage = sanitized;
+      }
+    } else if (language) {
+      this.data.inLanguage = language;
+    }
+    return this;
+  }
+
+  /**
+   * Set the publisher
+   * @param {OrganizationBuilder|PersonBuilder|string|Object} publisher - Publisher name, Organization object or builder
+   * @param {string} [url] - Publisher URL (if publisher is a string)
+   * @param {string} [logoUrl] - Publisher logo URL (if publisher is a string)
+   * @returns {WebSiteBuilder} This builder for chaining
+   */
+  publisher(publisher, url = null, logoUrl = null) {
+    if (this.setAgent('publisher', publisher)) {
+      return this;
+    }
+    if (typeof publisher === 'string' && publisher.trim()) {
+      this.data.publisher = {
+        "@type": "Organization",
+        "name": this.sanitizeInputs ? this.sanitizer.sanitizeString(publisher) : publisher
+      };
+      const publisherUrl = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(url) : url;
+      if (publisherUrl) this.data.publisher.url = publisherUrl;
+      const logo = this.sanitizeInputs ? this.sanitizer.sanitizeUrl(logoUrl) : logoUrl;
+      if (logo) {
+        this.data.publisher.logo = {
+          "@type": "ImageObject",
+          "url": logo
+        };
+      }
+    } else if (publisher && typeof publisher === 'object') {
+      this.data.publisher = this.sanitizeInputs
+        ? this.sanitizer.sanitizeStructuredData(publisher, publisher['@type'] || 'Organization')
+        : publisher;
+    }
+    return this;
+  }
+
+  /**
+   * Add the site search as a SearchAction
+   *
+   * The URL template holds a `{placeholder}` for the search terms; the
+   * `query-input` is derived from it. A SearchAction added before is
+   * replaced, other actions are kept. Templates without a placeholder are
+   * ignored.
+   *
+   * @param {string} urlTemplate - Search URL with a placeholder, e.g. 'https://example.com/search?q={search_term_string}'
+   * @param {Object} [options={}] - SearchAction options
+   * @param {boolean} [options.required=true] - Whether the search terms are required
+   * @param {string} [options.queryName] - Placeholder holding the search terms, when the template has several
+   * @returns {WebSiteBuilder} This builder for chaining
+   */
+  searchAction(urlTemplate, options = {}) {
+    const { required = true, queryName = null } = options;
+    const placeholders = getPlaceholders(urlTemplate);
+    const name = queryName === null ? placeholders[0] : queryName;
+    if (!placeholders.includes(name)) {
+      return this;
+    }
+
+    const template = this.sanitizeInputs ? this.sanitizeUrlTemplate(urlTemplate) : urlTemplate;
+    if (!template) {
+      return this;
+    }
+
+    const action = {
+      "@type": "SearchAction",
+      "target": {
+        "@type": "EntryPoint",
+        "urlTemplate": template
+      },
+      "query-input": `${required ? 'required ' : ''}name=${name}`
+    };
+    const others = [].concat(this.data.potentialAction || [])
+      .filter(existing => existing && existing['@type'] !== 'SearchAction');
+    this.data.potentialAction = others.length === 0 ? action : [action, ...others];
+    return this;
+  }
+
+  /**
+   * Set the actions the site offers, replacing any set before
+   * @param {Object|Object[]} action - Action object or objects, such as a SearchAction
+   * @returns {WebSiteBuilder} This builder for chaining
+   */
+  potentialAction(action) {
+    const actions = [].concat(action)
+      .filter(item => item && typeof item === 'object' && !Array.isArray(item) && item['@type'])
+      .map(item => (this.sanitizeInputs ? this.sanitizer.sanitizeStructuredData(item, item['@type']) : item));
+    if (actions.length > 0) {
+      this.data.potentialAction = actions.length === 1 ? actions[0] : actions;
+    }
+    return this;
+  }
+
+  /**
+   * Check that each SearchAction's `query-input` names a placeholder of its URL template
+   * @returns {Array<{field: string, message: string}>} Issues found, empty when consistent
+   */
+  checkSearchActions() {
+    const issues = [];
+    [].concat(this.data.potentialAction || [])
+      .filter(action => action && action['@type'] === 'SearchAction')
+      .forEach(action => {
+        const placeholders = getPlaceholders(getUrlTemplate(action.target));
+        const name = getQueryInputName(action['query-input']);
+        if (placeholders.length === 0) {
+          issues.push({ field: 'potentialAction', message: 'SearchAction target has no {placeholder} for the search terms' });
+        } else if (!name) {
+          issues.push({ field: 'potentialAction', message: `SearchAction query-input is missing; expected "required name=${placeholders[0]}"` });
+        } else if (!placeholders.includes(name)) {
+          issues.push({ field: 'potentialAction', message: `SearchAction query-input names "${name}", but the target has {${placeholders.join('}, {')}}` });
+        }
+      });
+    return issues;
+  }
+
+  /**
+   * Validate current state, including the SearchAction templates
+   * @returns {Object} Validation results (see BaseProfileBuilder#validateInline)
+   */
+  validateInline() {
+    const validation = super.validateInline();
+    this.checkSearchActions().forEach(issue => {
+      validation.errors.push({
+        field: issue.field,
+        message: issue.message,
+        action: 'Use the same placeholder in the target URL template and the query-input',
+        severity: 'error'
+      });
+    });
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Sanitize a URL template, keeping its placeholders unencoded
+   * @private
+   */
+  sanitizeUrlTemplate(urlTemplate) {
+    const sanitized = this.sanitizer.sanitizeUrl(urlTemplate);
+    return sanitized ? sanitized.replace(/%7B([A-Za-z0-9_]+)%7D/g, '{$1}') : null;
+  }
+}
+
+module.exports = {
+  WebSiteBuilder
+};
@@ -0,0 +1,668 @@
+/**
+ * @fileoverview Command line interface for @llmprofiles/core
+ *
+ * Implements the `llmprofiles` command so that structured data can be
+ * validated and generated in CI without writing a script:
+ *
+ * ```
+ * llmprofiles validate <files|globs...> [--profile <type>] [--format text|json|junit|sarif]
+ * llmprofiles build <type> --from <data.json|-> [--mode <mode>]
+ * llmprofiles list [--format json]
+ * llmprofiles fields <type> [--format json]
+ * llmprofiles example <type> [--mode <mode>]
+ * llmprofiles precompile --output <validators.js> [--mode <mode>...] [--profile <type>...]
+ * ```
+ *
+ * `validate` accepts JSON / JSON-LD documents, JSONL files (one document per
+ * line) and HTML pages. Every command returns one of {@link EXIT_CODES}.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { run } = require('./cli');
+ * process.exitCode = run(['validate', 'public/**\/*.html', '--format', 'sarif']);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ProfileValidator, SCHEMA_SOURCES, generateStandaloneValidators } = require('./validator');
+const { HtmlExtractor, findJsonErrorOffset } = require('./html-extractor');
+const { createLocator } = require('./html-parser');
+const { getAllFieldsMetadata } = require('./field-metadata');
+const { resolveProfileType, getSchemaTypeName } = require('./profile-types');
+const { MODES, getAvailableModes } = require('./modes');
+const { REPORT_FORMATS, formatReport } = require('./reporters');
+const { version } = require('../package.json');
+
+/**
+ * Process exit codes
+ *
+ * @constant {Object} EXIT_CODES
+ * @property {number} SUCCESS - Command succeeded and all data is valid
+ * @property {number} VALIDATION_FAILED - Some data is invalid or could not be parsed
+ * @property {number} USAGE_ERROR - Bad arguments, unknown profile or no input files
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  VALIDATION_FAILED: 1,
+  USAGE_ERROR: 2
+};
+
+/**
+ * File extensions picked up when a directory is validated
+ * @private
+ */
+const FILE_TYPES = {
+  '.json': 'json',
+  '.jsonld': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+/**
+ * Directories never descended into when expanding globs
+ * @private
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+const HELP = `Usage: llmprofiles <command> [options]
+
+Commands:
+  validate <files...>      Validate JSON, JSON-LD, JSONL and HTML files (globs allowed)
+  build <type>             Build structured data from a JSON file of field values
+  list                     List available profiles
+  fields <type>            Show required, recommended and optional fields of a profile
+  example <type>           Print a minimal example for a profile
+  precompile               Write standalone validator code for build-time precompilation
+
+Validate options:
+  -p, --profile <type>     Validate every document against this profile instead of detecting it
+  -f, --format <format>    Report format: text, json, junit, sarif (default: text)
+  -o, --output <file>      Write the report to a file
+  -m, --mode <mode>        Expected output mode (HTML pages are checked for its rel="profile" link)
+      --schema-source <s>  Schema source: index or page (default: index)
+      --shapes             Also evaluate the profile's SHACL shapes
+      --no-sanitize        Validate the input as is
+      --verbose            List warnings in text output
+
+Build and example options:
+      --from <file>        JSON object of field values ("-" reads stdin)
+  -m, --mode <mode>        Output mode: ${Object.values(MODES).join(', ')} or a registered custom mode (default: strict-seo)
+  -o, --output <file>      Write the result to a file
+
+Precompile options:
+  -o, --output <file>      Module to write (required)
+  -m, --mode <mode>        Compile for a mode (repeatable; default: the schemas as published)
+  -p, --profile <type>     Only include this profile (repeatable; default: all profiles)
+
+Other options:
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Exit codes: 0 success, 1 validation failed, 2 usage error`;
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [io] - Streams and working directory (defaults to the current process)
+ * @param {{write: function(string): *}} [io.stdout] - Output stream
+ * @param {{write: function(string): *}} [io.stderr] - Error stream
+ * @param {string} [io.cwd] - Directory that relative paths and globs are resolved against
+ * @returns {number} Exit code (see {@link EXIT_CODES})
+ *
+ * @example
+ * const code = run(['validate', 'data/*.json', '--format', 'junit', '--output', 'report.xml']);
+ */
+function run(argv, io = {}) {
+  const context = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    cwd: io.cwd || process.cwd()
+  };
+  const [command, ...args] = argv;
+
+  if (!command || command === '-h' || command === '--help' || command === 'help') {
+    context.stdout.write(HELP + '\n');
+    return command ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE_ERROR;
+  }
+  if (command === '-v' || command === '--version') {
+    context.stdout.write(version + '\n');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const commands = { validate, build, list, fields, example, precompile };
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    context.stderr.write(`Unknown command: ${command}\n\n${HELP}\n`);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  try {
+    return commands[command](args, context);
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+        error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || error.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL') {
+      context.stderr.write(`Error: ${error.message}\n`);
+      return EXIT_CODES.USAGE_ERROR;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Error raised for invalid command line usage
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command arguments
+ * @private
+ */
+function parseCommandArgs(args, options) {
+  return parseArgs({
+    args,
+    options: { ...options, help: { type: 'boolean', short: 'h' } },
+    allowPositionals: true,
+    strict: true
+  });
+}
+
+/**
+ * `validate` command
+ * @private
+ */
+function validate(args, context) {
+  const { values, positionals } = parseCommandArgs(args, {
+    profile: { type: 'string', short: 'p' },
+    format: { type: 'string', short: 'f', default: REPORT_FORMATS.TEXT },
+    output: { type: 'string', short: 'o' },
+    mode: { type: 'string', short: 'm' },
+    'schema-source': { type: 'string', default: SCHEMA_SOURCES.INDEX },
+    shapes: { type: 'boolean', default: false },
+    'no-sanitize': { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false }
+  });
+  if (values.help) return printHelp(context);
+
+  if (!Object.values(REPORT_FORMATS).includes(values.format)) {
+    throw new UsageError(`Unknown format: ${values.format}. Use one of: ${Object.values(REPORT_FORMATS).join(', ')}`);
+  }
+  if (values.mode) assertMode(values.mode);
+  if (positionals.length === 0) {
+    throw new UsageError('validate needs at least one file, directory or glob');
+  }
+
+  if (!Object.values(SCHEMA_SOURCES).includes(values['schema-source'])) {
+    throw new UsageError(`Unknown schema source: ${values['schema-source']}. Use one of: ${Object.values(SCHEMA_SOURCES).join(', ')}`);
+  }
+
+  const validator = new ProfileValidator(!values['no-sanitize'], {
+    schemaSource: values['schema-source'],
+    shapes: values.shapes
+  });
+  if (values.profile && !resolveProfileType(values.profile, validator.profiles)) {
+    throw new UsageError(`Unknown profile type: ${values.profile}`);
+  }
+
+  const files = expandPatterns(positionals, context.cwd);
+  if (files.length === 0) {
+    throw new UsageError(`No files matched: ${positionals.join(' ')}`);
+  }
+
+  const extractor = new HtmlExtractor({ validator });
+  const options = { validator, extractor, profile: values.profile, mode: values.mode };
+  const cases = files.flatMap(file => validateFile(file, context.cwd, options));
+
+  writeResult(formatReport(cases, values.format, { version, cwd: context.cwd, verbose: values.verbose }), values.output, context);
+  return cases.some(c => c.status === 'failed' || c.status === 'error')
+    ? EXIT_CODES.VALIDATION_FAILED
+    : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Validate one file and return its cases
+ * @private
+ */
+function validateFile(file, cwd, options) {
+  const name = path.relative(cwd, file) || file;
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return [errorCase(name, 'file', error.message)];
+  }
+
+  const type = FILE_TYPES[path.extname(file).toLowerCase()] || 'json';
+  if (type === 'html') {
+    return validateHtmlSource(name, source, options);
+  }
+  if (type === 'jsonl') {
+    return source.split(/\r?\n/).flatMap((text, i) =>
+      text.trim() ? validateJsonSource(name, text, options, i + 1) : []
+    );
+  }
+  return validateJsonSource(name, source, options, 1);
+}
+
+/**
+ * Validate a JSON document starting at the given line of a file
+ * @private
+ */
+function validateJsonSource(file, text, options, firstLine) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    const { line, column } = createLocator(text)(findJsonErrorOffset(text));
+    return [errorCase(file, 'document', error.message, firstLine + line - 1, column)];
+  }
+
+  const location = { line: firstLine, column: 1 };
+  if (options.profile) {
+    const documents = Array.isArray(data) ? data : [data];
+    return documents.map((document, i) => toCase(file, Array.isArray(data) ? `[${i}]` : '$', location,
+      { profileType: options.profile, ...options.validator.validate(document, options.profile) }));
+  }
+
+  const report = options.validator.validateDocument(data);
+  if (report.nodes.length === 0) {
+    return [{ file, name: '$', ...location, profileType: null, status: 'failed', errors: report.errors.map(message => ({ ruleId: 'unknown-profile', message })), warnings: [] }];
+  }
+  return report.nodes.map(node => toCase(file, node.path, location, node));
+}
+
+/**
+ * Validate the structured data of an HTML page
+ * @private
+ */
+function validateHtmlSource(file, html, options) {
+  const report = options.extractor.validate(html, { mode: options.mode });
+  const cases = report.errors.map(error => errorCase(file, error.source, error.message, error.line, error.column));
+
+  report.entities.forEach(entity => {
+    const location = { line: entity.line, column: entity.column };
+    if (options.profile) {
+      cases.push(toCase(file, `${entity.source}[${entity.index}]`, location,
+        { profileType: options.profile, ...options.validator.validate(entity.data, options.profile) }));
+      return;
+    }
+    entity.validation.nodes.forEach(node => {
+      cases.push(toCase(file, `${entity.source}[${entity.index}] ${node.path}`, location, node));
+    });
+  });
+
+  if (cases.length === 0) {
+    cases.push({ file, name: 'page', line: null, column: null, profileType: null, status: 'skipped', errors: [], warnings: [] });
+  }
+  report.warnings.forEach(warning => {
+    cases[0].warnings.push({ ruleId: 'rel-profile', message: warning.message });
+  });
+  return cases;
+}
+
+/**
+ * Convert a validation result to a case
+ * @private
+ */
+function toCase(file, name, location, result) {
+  if (!result.profileType) {
+    return { file, name, ...location, profileType: null, status: 'skipped', errors: [], warnings: [] };
+  }
+
+  return {
+    file,
+    name,
+    ...location,
+    profileType: result.profileType,
+    status: result.valid ? 'passed' : 'failed',
+    errors: result.errors.map(error => typeof error === 'string'
+      ? { ruleId: 'unknown-profile', message: error }
+      : {
+        ruleId: error.constraint ? 'shape-violation' : 'schema-violation',
+        message: error.message,
+        field: error.field || undefined,
+        path: error.path || undefined
+      }),
+    warnings: (result.warnings || []).map(warning => ({
+      ruleId: 'recommended-field',
+      message: warning.message,
+      field: warning.field
+    }))
+  };
+}
+
+/**
+ * Create a case for input that could not be read or parsed
+ * @private
+ */
+function errorCase(file, name, message, line = null, column = null) {
+  return {
+    file,
+    name,
+    line,
+    column,
+    profileType: null,
+    status: 'error',
+    errors: [{ ruleId: 'parse-error', message, line: line || undefined, column: column || undefined }],
+    warnings: []
+  };
+}
+
+/**
+ * `build` command
+ * @private
+ */
+function build(args, context) {
+  const { values, positionals } = parseCommandArgs(args, {
+    from: { type: 'string' },
+    mode: { type: 'string', short: 'm', default: MODES.STRICT_SEO },
+    output: { type: 'string', short: 'o' },
+    'no-sanitize': { type: 'boolean', default: false }
+  });
+  if (values.help) return printHelp(context);
+
+  const type = requireType(positionals, 'build');
+  assertMode(values.mode);
+  if (!values.from) {
+    throw new UsageError('build needs --from <file> (use "-" to read stdin)');
+  }
+
+  const data = readJsonInput(values.from, context.cwd);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new UsageError('--from must contain a JSON object of field values');
+  }
+
+  const { createBuilder } = require('../index');
+  const builder = createBuilder(type, { mode: values.mode, sanitize: !values['no-sanitize'] });
+  Object.keys(data).forEach(field => {
+    if (field !== '@context' && field !== '@type') {
+      builder.addProperty(field, data[field]);
+    }
+  });
+
+  const validation = builder.validateInline();
+  if (!validation.valid) {
+    context.stderr.write(`Missing required fields: ${validation.errors.map(e => e.field).join(', ')}\n`);
+    return EXIT_CODES.VALIDATION_FAILED;
+  }
+
+  writeResult(JSON.stringify(builder.build(null, { validate: false }), null, 2) + '\n', values.output, context);
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * `list` command
+ * @private
+ */
+function list(args, context) {
+  const { values } = parseCommandArgs(args, {
+    format: { type: 'string', short: 'f', default: REPORT_FORMATS.TEXT }
+  });
+  if (values.help) return printHelp(context);
+
+  const profiles = require('../profiles/index.json');
+  const rows = Object.keys(profiles).map(key => ({
+    type: key,
+    schemaType: getSchemaTypeName(key, profiles),
+    category: profiles[key].category,
+    profileUrl: profiles[key].profileUrl
+  }));
+
+  if (values.format === REPORT_FORMATS.JSON) {
+    context.stdout.write(JSON.stringify(rows, null, 2) + '\n');
+  } else {
+    const width = Math.max(...rows.map(row => row.type.length));
+    const schemaWidth = Math.max(...rows.map(row => row.schemaType.length));
+    rows.forEach(row => {
+      context.stdout.write(`${row.type.padEnd(width)}  ${row.schemaType.padEnd(schemaWidth)}  ${row.category}\n`);
+    });
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * `fields` command
+ * @private
+ */
+function fields(args, context) {
+  const { values, positionals } = parseCommandArgs(args, {
+    format: { type: 'string', short: 'f', default: REPORT_FORMATS.TEXT }
+  });
+  if (values.help) return printHelp(context);
+
+  const type = requireType(positionals, 'fields');
+  const metadata = getAllFieldsMetadata(type);
+
+  if (values.format === REPORT_FORMATS.JSON) {
+    context.stdout.write(JSON.stringify(metadata, null, 2) + '\n');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  ['required', 'recommended', 'optional'].forEach(importance => {
+    context.stdout.write(`${importance[0].toUpperCase()}${importance.slice(1)}:\n`);
+    metadata[importance].forEach(field => {
+      const flags = [field.googleRichResults && 'google', field.llmOptimized && 'llm'].filter(Boolean);
+      const suffix = flags.length > 0 ? ` [${flags.join(', ')}]` : '';
+      context.stdout.write(`  ${field.name} (${field.type})${suffix} - ${field.description}\n`);
+    });
+  });
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * `example` command
+ * @private
+ */
+function example(args, context) {
+  const { values, positionals } = parseCommandArgs(args, {
+    mode: { type: 'string', short: 'm', default: MODES.STRICT_SEO }
+  });
+  if (values.help) return printHelp(context);
+
+  const type = requireType(positionals, 'example');
+  assertMode(values.mode);
+  const { createMinimalExample } = require('../index');
+  context.stdout.write(JSON.stringify(createMinimalExample(type, values.mode), null, 2) + '\n');
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * `precompile` command
+ * @private
+ */
+function precompile(args, context) {
+  const { values, positionals } = parseCommandArgs(args, {
+    output: { type: 'string', short: 'o' },
+    mode: { type: 'string', short: 'm', multiple: true },
+    profile: { type: 'string', short: 'p', multiple: true }
+  });
+  if (values.help) return printHelp(context);
+
+  if (positionals.length > 0) {
+    throw new UsageError(`Unexpected argument: ${positionals[0]}`);
+  }
+  if (!values.output) {
+    throw new UsageError('precompile needs --output <file>');
+  }
+  (values.mode || []).forEach(assertMode);
+  (values.profile || []).forEach(type => requireType([type], 'precompile'));
+
+  const code = generateStandaloneValidators({ modes: values.mode, profiles: values.profile });
+  writeResult(code, values.output, context);
+  context.stderr.write(`Wrote ${values.output}\n`);
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Print the help text
+ * @private
+ */
+function printHelp(context) {
+  context.stdout.write(HELP + '\n');
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Get the single profile type positional of a command
+ * @private
+ */
+function requireType(positionals, command) {
+  if (positionals.length !== 1) {
+    throw new UsageError(`${command} needs exactly one profile type`);
+  }
+  if (!resolveProfileType(positionals[0])) {
+    throw new UsageError(`Unknown profile type: ${positionals[0]}. Run "llmprofiles list" to see available profiles`);
+  }
+  return positionals[0];
+}
+
+/**
+ * Reject output modes that are neither built in nor registered
+ * @private
+ */
+function assertMode(mode) {
+  const modes = getAvailableModes();
+  if (!modes.includes(mode)) {
+    throw new UsageError(`Invalid mode: ${mode}. Valid modes are: ${modes.join(', ')}`);
+  }
+}
+
+/**
+ * Read a JSON file, or stdin for "-"
+ * @private
+ */
+function readJsonInput(source, cwd) {
+  let text;
+  try {
+    text = source === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(path.resolve(cwd, source), 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${source}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const { line, column } = createLocator(text)(findJsonErrorOffset(text));
+    throw new UsageError(`${source}:${line}:${column}: ${error.message}`);
+  }
+}
+
+/**
+ * Write output to a file or stdout
+ * @private
+ */
+function writeResult(text, output, context) {
+  if (output) {
+    fs.writeFileSync(path.resolve(context.cwd, output), text);
+  } else {
+    context.stdout.write(text);
+  }
+}
+
+/**
+ * Expand file, directory and glob arguments to a sorted list of files
+ * @private
+ */
+function expandPatterns(patterns, cwd) {
+  const files = new Set();
+
+  patterns.forEach(pattern => {
+    if (!/[*?{[]/.test(pattern)) {
+      const target = path.resolve(cwd, pattern);
+      if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+        walk(target).filter(file => FILE_TYPES[path.extname(file).toLowerCase()]).forEach(file => files.add(file));
+      } else {
+        // Missing files are reported as read errors
+        files.add(target);
+      }
+      return;
+    }
+
+    const normalized = pattern.split(path.sep).join('/');
+    const segments = normalized.split('/');
+    const baseSegments = [];
+    while (segments.length > 1 && !/[*?{[]/.test(segments[0])) {
+      baseSegments.push(segments.shift());
+    }
+    const base = path.resolve(cwd, baseSegments.join('/') || '.');
+    const matcher = globToRegExp(segments.join('/'));
+    if (!fs.existsSync(base)) return;
+
+    walk(base).forEach(file => {
+      if (matcher.test(path.relative(base, file).split(path.sep).join('/'))) {
+        files.add(file);
+      }
+    });
+  });
+
+  return [...files].sort();
+}
+
+/**
+ * List the files below a directory
+ * @private
+ */
+function walk(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return IGNORED_DIRECTORIES.has(entry.name) ? [] : walk(full);
+    }
+    return entry.isFile() ? [full] : [];
+  });
+}
+
+/**
+ * Convert a glob (`*`, `**`, `?`, `[...]`, `{a,b}`) to a regular expression
+ * @private
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 1);
+      if (close === -1) {
+        pattern += '\\[';
+      } else {
+        pattern += `[${glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      braces++;
+      pattern += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      pattern += ')';
+    } else if (char === ',' && braces > 0) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+module.exports = {
+  EXIT_CODES,
+  run
+};
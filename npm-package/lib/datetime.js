@@ -0,0 +1,411 @@
+/**
+ * @fileoverview ISO 8601 duration and date helpers
+ *
+ * Builders take durations (`prepTime`, `totalTime`, `duration`,
+ * `timeRequired`) and dates (`startDate`, `uploadDate`) in whatever form the
+ * caller has at hand and emit canonical ISO 8601 values:
+ *
+ * - Durations: ISO strings (`'PT90M'`), human strings (`'1h 30m'`,
+ *   `'1 hour 30 minutes'`), seconds (`5400`) or objects (`{ minutes: 90 }`)
+ *   all become `'PT1H30M'`.
+ * - Dates: ISO strings are kept as written, so a local time or UTC offset
+ *   survives; `Date` objects and timestamps become UTC, or local time with
+ *   its offset when a time zone is given.
+ *
+ * {@link checkTiming} reports values that contradict each other, such as a
+ * `totalTime` shorter than `prepTime + cookTime` or an `endDate` before the
+ * `startDate`.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { normalizeDuration, addDurations, normalizeDateTime } = require('./datetime');
+ * normalizeDuration('1h 30m');                 // 'PT1H30M'
+ * normalizeDuration({ minutes: 15 });          // 'PT15M'
+ * addDurations('PT15M', '1 hour');             // 'PT1H15M'
+ * normalizeDateTime(new Date('2024-06-15T07:00:00Z'), { timeZone: 'Europe/Paris' });
+ * // '2024-06-15T09:00:00+02:00'
+ */
+
+/**
+ * Seconds per duration unit
+ * @private
+ */
+const UNIT_SECONDS = {
+  weeks: 604800,
+  days: 86400,
+  hours: 3600,
+  minutes: 60,
+  seconds: 1
+};
+
+/**
+ * Unit spellings accepted in human-readable durations
+ * @private
+ */
+const UNIT_NAMES = {
+  w: 'weeks', wk: 'weeks', wks: 'weeks', week: 'weeks', weeks: 'weeks',
+  d: 'days', day: 'days', days: 'days',
+  h: 'hours', hr: 'hours', hrs: 'hours', hour: 'hours', hours: 'hours',
+  m: 'minutes', min: 'minutes', mins: 'minutes', minute: 'minutes', minutes: 'minutes',
+  s: 'seconds', sec: 'seconds', secs: 'seconds', second: 'seconds', seconds: 'seconds'
+};
+
+const ISO_DURATION = /^P(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i;
+const HUMAN_DURATION_PART = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*(?:,|and)?\s*/gi;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Duration properties and the durations they are made of
+ *
+ * @constant {Object<string, string[]>} DURATION_TOTALS
+ */
+const DURATION_TOTALS = {
+  totalTime: ['prepTime', 'cookTime', 'performTime']
+};
+
+/**
+ * Date properties that must not come before another property
+ *
+ * @constant {Array<{start: string, end: string}>} DATE_RANGES
+ */
+const DATE_RANGES = [
+  { start: 'startDate', end: 'endDate' },
+  { start: 'validFrom', end: 'validThrough' },
+  { start: 'datePublished', end: 'dateModified' }
+];
+
+/**
+ * Parse a duration into seconds
+ *
+ * Calendar units (years and months) have no fixed length and are rejected.
+ *
+ * @param {string|number|Object} input - ISO 8601 duration ('PT1H30M'), human
+ *   string ('1h 30m', '90 minutes'), seconds (5400) or an object with
+ *   `weeks`, `days`, `hours`, `minutes` and `seconds`
+ * @returns {number|null} Duration in seconds, or null if the input is not a duration
+ *
+ * @example
+ * parseDuration('PT1H30M');          // 5400
+ * parseDuration('1 hr 5 min');       // 3900
+ * parseDuration({ minutes: 15 });    // 900
+ * parseDuration('P1M');              // null (months vary in length)
+ */
+function parseDuration(input) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) && input >= 0 ? input : null;
+  }
+
+  if (input && typeof input === 'object' && !Array.isArray(input)) {
+    const entries = Object.entries(input);
+    if (entries.length === 0) {
+      return null;
+    }
+    let seconds = 0;
+    for (const [unit, amount] of entries) {
+      const name = UNIT_NAMES[unit.toLowerCase()];
+      if (!name || typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+        return null;
+      }
+      seconds += amount * UNIT_SECONDS[name];
+    }
+    return seconds;
+  }
+
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const text = input.trim();
+  if (text === '') {
+    return null;
+  }
+  if (/^\d+(?:\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  const iso = text.match(ISO_DURATION);
+  if (iso) {
+    if (iso.slice(1).every(part => part === undefined) || /T$/i.test(text)) {
+      return null;
+    }
+    const amounts = iso.slice(1).map(part => (part === undefined ? 0 : Number(part.replace(',', '.'))));
+    const [weeks, days, hours, minutes, seconds] = amounts;
+    return weeks * UNIT_SECONDS.weeks + days * UNIT_SECONDS.days +
+      hours * UNIT_SECONDS.hours + minutes * UNIT_SECONDS.minutes + seconds;
+  }
+
+  let seconds = 0;
+  let consumed = 0;
+  HUMAN_DURATION_PART.lastIndex = 0;
+  let match;
+  while ((match = HUMAN_DURATION_PART.exec(text)) !== null) {
+    const name = UNIT_NAMES[match[2].toLowerCase()];
+    if (match.index !== consumed || !name) {
+      return null;
+    }
+    seconds += Number(match[1]) * UNIT_SECONDS[name];
+    consumed = HUMAN_DURATION_PART.lastIndex;
+  }
+  return consumed > 0 && consumed === text.length ? seconds : null;
+}
+
+/**
+ * Format seconds as a canonical ISO 8601 duration
+ *
+ * Hours are not folded into days, matching how recipes and videos are
+ * usually described ('PT26H' rather than 'P1DT2H').
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string|null} ISO 8601 duration, or null for negative or non-numeric input
+ *
+ * @example
+ * formatDuration(5400); // 'PT1H30M'
+ * formatDuration(0);    // 'PT0S'
+ */
+function formatDuration(seconds) {
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  const rounded = Math.round(seconds * 1000) / 1000;
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded - hours * 3600) / 60);
+  const rest = Math.round((rounded - hours * 3600 - minutes * 60) * 1000) / 1000;
+
+  let duration = 'PT';
+  if (hours > 0) duration += `${hours}H`;
+  if (minutes > 0) duration += `${minutes}M`;
+  if (rest > 0 || duration === 'PT') duration += `${rest}S`;
+  return duration;
+}
+
+/**
+ * Normalize any accepted duration input to a canonical ISO 8601 duration
+ *
+ * @param {string|number|Object} input - Duration (see {@link parseDuration})
+ * @returns {string|null} Canonical duration, or null if the input is not a duration
+ *
+ * @example
+ * normalizeDuration('90 min'); // 'PT1H30M'
+ * normalizeDuration('PT105M'); // 'PT1H45M'
+ */
+function normalizeDuration(input) {
+  const seconds = parseDuration(input);
+  return seconds === null ? null : formatDuration(seconds);
+}
+
+/**
+ * Add durations together
+ *
+ * @param {...(string|number|Object)} inputs - Durations (see {@link parseDuration})
+ * @returns {string|null} Canonical sum, or null if any input is not a duration
+ *
+ * @example
+ * addDurations('PT15M', { minutes: 30 }); // 'PT45M'
+ */
+function addDurations(...inputs) {
+  let total = 0;
+  for (const input of inputs) {
+    const seconds = parseDuration(input);
+    if (seconds === null) {
+      return null;
+    }
+    total += seconds;
+  }
+  return inputs.length > 0 ? formatDuration(total) : null;
+}
+
+/**
+ * Format a date as local time with its UTC offset in a time zone
+ * @private
+ */
+function formatInTimeZone(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const local = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second));
+  const offsetMinutes = Math.round((local - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+/**
+ * Normalize a date or date-time to ISO 8601
+ *
+ * ISO strings are validated and kept as written, so calendar dates, local
+ * times and UTC offsets are not shifted. Other strings, `Date` objects and
+ * timestamps are converted to UTC, or to local time with its offset when
+ * `timeZone` is given; strings without a time of day then stay calendar dates. Dates before 1900 or more than 100 years ahead are
+ * rejected, as in {@link InputSanitizer#sanitizeDate}.
+ *
+ * @param {string|Date|number} input - Date, ISO string or timestamp in milliseconds
+ * @param {Object} [options={}] - Normalization options
+ * @param {string} [options.timeZone] - IANA time zone for `Date` objects and timestamps (e.g. 'Europe/Paris')
+ * @param {boolean} [options.dateOnly=false] - Emit a calendar date ('2024-06-15')
+ * @returns {string|null} ISO 8601 date or date-time, or null if the input is not a valid date
+ *
+ * @example
+ * normalizeDateTime('2024-06-15T09:00:00+02:00'); // kept as written
+ * normalizeDateTime(new Date('2024-06-15T07:00:00Z'), { timeZone: 'America/New_York' });
+ * // '2024-06-15T03:00:00-04:00'
+ */
+function normalizeDateTime(input, options = {}) {
+  const { timeZone = null, dateOnly = false } = options;
+  let date;
+  let text = null;
+
+  if (input instanceof Date) {
+    date = new Date(input.getTime());
+  } else if (typeof input === 'number') {
+    date = new Date(input);
+  } else if (typeof input === 'string' && input.trim() !== '') {
+    const trimmed = input.trim();
+    // Date rolls impossible days over ('2024-02-30' becomes March 1st), so check the calendar first
+    if (!isCalendarDate(trimmed)) {
+      return null;
+    }
+    date = new Date(trimmed);
+    if (ISO_DATE.test(trimmed)) {
+      text = trimmed;
+    }
+  } else {
+    return null;
+  }
+
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  const maxDate = new Date(new Date().getFullYear() + 100, 11, 31);
+  if (date < new Date(1900, 0, 1) || date > maxDate) {
+    return null;
+  }
+
+  let result;
+  if (text !== null) {
+    result = text;
+  } else if (timeZone) {
+    try {
+      result = formatInTimeZone(date, timeZone);
+    } catch (error) {
+      // Unknown time zone
+      return null;
+    }
+    // A string without a time of day ('10 March 2024') is a calendar date, parsed as local midnight
+    if (typeof input === 'string' && !/\d:\d{2}/.test(input)) {
+      result = [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+        .join('-');
+    }
+  } else {
+    result = date.toISOString();
+  }
+  return dateOnly ? result.slice(0, 10) : result;
+}
+
+/**
+ * Check that the calendar date a string starts with exists
+ * @private
+ */
+function isCalendarDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (!match) {
+    return true;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Find timing values that contradict each other
+ *
+ * Checks a node and the entities nested in it: totals shorter than the
+ * durations they are made of (see {@link DURATION_TOTALS}) and ranges that
+ * end before they start (see {@link DATE_RANGES}).
+ *
+ * @param {Object} data - Structured data node
+ * @returns {Array<{field: string, message: string}>} Issues found, with dotted field paths
+ *
+ * @example
+ * checkTiming({ prepTime: 'PT20M', cookTime: 'PT30M', totalTime: 'PT40M' });
+ * // [{ field: 'totalTime', message: 'totalTime (PT40M) is shorter than prepTime + cookTime (PT50M)' }]
+ */
+function checkTiming(data) {
+  const issues = [];
+  const seen = new Set();
+
+  const visit = (node, path, depth) => {
+    if (!node || typeof node !== 'object' || seen.has(node) || depth > 10) {
+      return;
+    }
+    seen.add(node);
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, `${path}[${index}]`, depth + 1));
+      return;
+    }
+
+    const field = name => (path ? `${path}.${name}` : name);
+    Object.keys(DURATION_TOTALS).forEach(total => {
+      const parts = DURATION_TOTALS[total].filter(part => node[part] !== undefined);
+      const totalSeconds = parseDuration(node[total]);
+      const partSeconds = parts.map(part => parseDuration(node[part]));
+      if (totalSeconds === null || parts.length === 0 || partSeconds.includes(null)) {
+        return;
+      }
+      const sum = partSeconds.reduce((acc, seconds) => acc + seconds, 0);
+      if (totalSeconds < sum) {
+        issues.push({
+          field: field(total),
+          message: `${total} (${node[total]}) is shorter than ${parts.join(' + ')} (${formatDuration(sum)})`
+        });
+      }
+    });
+
+    DATE_RANGES.forEach(({ start, end }) => {
+      if (typeof node[start] !== 'string' || typeof node[end] !== 'string') {
+        return;
+      }
+      const startTime = Date.parse(node[start]);
+      const endTime = Date.parse(node[end]);
+      if (!isNaN(startTime) && !isNaN(endTime) && endTime < startTime) {
+        issues.push({
+          field: field(end),
+          message: `${end} (${node[end]}) is before ${start} (${node[start]})`
+        });
+      }
+    });
+
+    Object.keys(node).forEach(key => {
+      if (node[key] && typeof node[key] === 'object') {
+        visit(node[key], field(key), depth + 1);
+      }
+    });
+  };
+
+  visit(data, '', 0);
+  return issues;
+}
+
+module.exports = {
+  DURATION_TOTALS,
+  DATE_RANGES,
+  parseDuration,
+  formatDuration,
+  normalizeDuration,
+  addDurations,
+  normalizeDateTime,
+  checkTiming
+};
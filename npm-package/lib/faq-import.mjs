@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Read FAQ content from Markdown, HTML and CSV sources
+ *
+ * Support teams rarely keep FAQs as JavaScript values. {@link parseFaq} reads
+ * the formats they do keep them in and returns questions ready for
+ * FAQPageBuilder and QAPageBuilder:
+ *
+ * - Markdown: each `## Question` heading starts a question and the blocks
+ *   below it are the answer. Paragraphs, lists, deeper headings, links,
+ *   emphasis and inline HTML are converted.
+ * - HTML: each `<details>` block is a question, its `<summary>` the question
+ *   text and the rest the answer.
+ * - CSV or an array of records: one row per question, with `question` and
+ *   `answer` columns (see {@link FAQ_COLUMNS}). Answer cells are Markdown.
+ *
+ * Answers keep the HTML Google allows in FAQ and Q&A answers
+ * ({@link ANSWER_HTML_TAGS}); other markup is removed and reported. Every
+ * question gets a stable anchor from its text so `@id`s survive reordering.
+ * Answer blocks separated by a horizontal rule (`---` or `<hr>`) are separate
+ * answers, and so are rows that leave the question cell empty.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * import { parseFaq } from './faq-import.mjs';
+ * const { questions, issues } = parseFaq('## Do you ship abroad?\n\nYes, to **50** countries.');
+ * // questions[0]: { question: 'Do you ship abroad?', anchor: 'do-you-ship-abroad',
+ * //                 answers: [{ text: '<p>Yes, to <strong>50</strong> countries.</p>' }], ... }
+ */
+
+import { parseHtml, findAll, textContent } from './html-parser.mjs';
+import { parseCsv, slugify } from './text-utils.mjs';
+
+/**
+ * Elements Google allows in the text of FAQ and Q&A answers
+ * @type {string[]}
+ */
+export const ANSWER_HTML_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'ol', 'ul', 'li', 'a', 'p', 'div', 'b', 'strong', 'i', 'em'];
+
+/**
+ * CSV columns parseFaq() recognizes, by lowercase name without punctuation,
+ * with the field each one holds
+ * @type {Object<string, string>}
+ */
+export const FAQ_COLUMNS = {
+  question: 'question',
+  q: 'question',
+  answer: 'answer',
+  a: 'answer',
+  id: 'anchor',
+  anchor: 'anchor',
+  slug: 'anchor',
+  author: 'author',
+  date: 'dateCreated',
+  datecreated: 'dateCreated',
+  upvotes: 'upvoteCount',
+  upvotecount: 'upvoteCount',
+  votes: 'upvoteCount',
+  accepted: 'accepted'
+};
+
+/**
+ * Removed elements whose content is dropped too rather than kept as text
+ * @private
+ */
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed',
+  'img', 'picture', 'video', 'audio', 'svg', 'canvas', 'form', 'input', 'button', 'select', 'textarea'
+]);
+
+/**
+ * Inline elements; other removed elements are kept apart from their neighbours with a space
+ * @private
+ */
+const INLINE_ELEMENTS = new Set(['span', 'code', 'kbd', 'samp', 'var', 'u', 's', 'small', 'mark', 'sub', 'sup', 'abbr', 'cite', 'q', 'time', 'font']);
+
+const BLOCK_TAG = new RegExp(`\\s*(</?(?:${ANSWER_HTML_TAGS.filter(tag => !['a', 'b', 'strong', 'i', 'em'].includes(tag)).join('|')})>)\\s*`, 'g');
+const HTML_BLOCK = /^\s*<(?!(?:a|b|strong|i|em|span|code|br|img)[\s/>])[a-z/!]/i;
+const LINK_PROTOCOL = /^(?:https?:|mailto:|tel:|[^:]*$)/i;
+const CELL_TRUE = /^(?:1|true|yes|y|x|accepted)$/i;
+
+/**
+ * Turn a question into the anchor of its `@id` ('Do you ship abroad?' → 'do-you-ship-abroad')
+ *
+ * Anchors are cut at a word boundary after 80 characters.
+ *
+ * @param {string} question - Question text
+ * @returns {string} Anchor, empty when the question has no letters or digits
+ */
+export function questionAnchor(question) {
+  const slug = slugify(question || '');
+  if (slug.length <= 80) {
+    return slug;
+  }
+  const cut = slug.slice(0, 81);
+  return cut.slice(0, cut.lastIndexOf('-') > 40 ? cut.lastIndexOf('-') : 80).replace(/-+$/, '');
+}
+
+/**
+ * Keep only the markup Google allows in answers
+ *
+ * Allowed elements lose their attributes, except `href` on links with an
+ * http(s), mailto, tel or relative URL; links with other URLs are unwrapped.
+ * Other elements are unwrapped, or dropped with their content when they are
+ * scripts, media or form controls. Elements left empty are dropped.
+ *
+ * @param {string} html - Answer HTML
+ * @returns {{html: string, removed: string[]}} Cleaned HTML and the names of the removed elements
+ *
+ * @example
+ * cleanAnswerHtml('<p>See <a href="/returns" class="x">returns</a><img src="a.png"></p>');
+ * // { html: '<p>See <a href="/returns">returns</a></p>', removed: ['img'] }
+ */
+export function cleanAnswerHtml(html) {
+  const removed = new Set();
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const serialize = (node) => {
+    if (node.type === 'text') {
+      return escape(node.value);
+    }
+    const content = () => node.children.map(serialize).join('');
+    if (!ANSWER_HTML_TAGS.includes(node.name)) {
+      removed.add(node.name);
+      if (DROPPED_ELEMENTS.has(node.name)) {
+        return '';
+      }
+      return INLINE_ELEMENTS.has(node.name) ? content() : ` ${content()} `;
+    }
+    if (node.name === 'br') {
+      return '<br>';
+    }
+    if (node.name === 'a') {
+      const href = (node.attributes.href || '').trim();
+      if (!LINK_PROTOCOL.test(href)) {
+        removed.add('a');
+        return content();
+      }
+      return href ? `<a href="${escape(href).replace(/"/g, '&quot;')}">${content()}</a>` : content();
+    }
+    // Elements left empty, such as a paragraph that only held an image, are dropped
+    const inner = content();
+    return inner.trim() === '' ? inner : `<${node.name}>${inner}</${node.name}>`;
+  };
+
+  const cleaned = parseHtml(html).children.map(serialize).join('')
+    .replace(/\s+/g, ' ')
+    .replace(BLOCK_TAG, '$1')
+    .trim();
+  return { html: cleaned, removed: [...removed].sort() };
+}
+
+/**
+ * Convert Markdown inline syntax to HTML
+ * @private
+ */
+function inlineMarkdown(text) {
+  const codes = [];
+  // Code spans wait behind private-use markers so the rules below leave them alone
+  return text
+    .replace(/`([^`]+)`/g, (match, code) => `\uE000${codes.push(code) - 1}\uE000`)
+    .replace(/&(?![a-z]+;|#\d+;|#x[0-9a-f]+;)/gi, '&amp;')
+    .replace(/<(?![a-z/!])/gi, '&lt;')
+    .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/g, '<img src="$2" alt="$1">')
+    .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/g, '<a href="$2">$1</a>')
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, '<a href="$1">$1</a>')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/ {2,}\n|\\\n/g, '<br>')
+    .replace(/\uE000(\d+)\uE000/g, (match, index) => `<code>${codes[index].replace(/&/g, '&amp;').replace(/</g, '&lt;')}</code>`);
+}
+
+/**
+ * Convert Markdown blocks (paragraphs, lists, headings, rules, fenced code, HTML) to HTML
+ * @private
+ */
+function markdownToHtml(lines) {
+  const html = [];
+  const listItem = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+  const isBlockStart = line => /^\s*(#{1,6}\s|```|~~~)/.test(line) || HTML_BLOCK.test(line) || listItem.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const heading = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    const item = listItem.exec(line);
+
+    if (line.trim() === '') {
+      i++;
+    } else if (/^\s*(```|~~~)/.test(line)) {
+      const fence = line.trim().slice(0, 3);
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) {
+        code.push(lines[i]);
+      }
+      i++;
+      html.push(`<pre><code>${code.join('\n').replace(/&/g, '&amp;').replace(/</g, '&lt;')}</code></pre>`);
+    } else if (heading) {
+      html.push(`<h${heading[1].length}>${inlineMarkdown(heading[2])}</h${heading[1].length}>`);
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+    } else if (item) {
+      const indent = item[1].length;
+      const tag = /\d/.test(item[2]) ? 'ol' : 'ul';
+      const items = [];
+      while (i < lines.length) {
+        const current = lines[i];
+        const next = listItem.exec(current);
+        const last = items[items.length - 1];
+        if (current.trim() === '') {
+          // A blank line ends the list unless an item or indented text follows
+          const following = listItem.exec(lines[i + 1] || '');
+          if (following ? following[1].length < indent : !/^\s+\S/.test(lines[i + 1] || '')) break;
+        } else if (next && next[1].length <= indent) {
+          if (next[1].length < indent || (/\d/.test(next[2]) ? 'ol' : 'ul') !== tag) break;
+          items.push({ text: [next[3]], nested: [] });
+        } else if (next || last.nested.length > 0) {
+          last.nested.push(current.slice(Math.min(indent + 2, current.search(/\S/))));
+        } else if (!/^\s/.test(current) && isBlockStart(current)) {
+          break;
+        } else {
+          last.text.push(current.trim());
+        }
+        i++;
+      }
+      const rendered = items.map(entry => `<li>${inlineMarkdown(entry.text.join('\n'))}${markdownToHtml(entry.nested)}</li>`);
+      html.push(`<${tag}>${rendered.join('')}</${tag}>`);
+    } else if (HTML_BLOCK.test(line)) {
+      const block = [];
+      for (; i < lines.length && lines[i].trim() !== ''; i++) {
+        block.push(lines[i]);
+      }
+      html.push(block.join('\n'));
+    } else {
+      const paragraph = [line.trim()];
+      for (i++; i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i]); i++) {
+        paragraph.push(lines[i].replace(/^\s+/, ''));
+      }
+      html.push(`<p>${inlineMarkdown(paragraph.join('\n'))}</p>`);
+    }
+  }
+  return html.join('\n');
+}
+
+/**
+ * Read `## Question` sections from Markdown
+ * @private
+ */
+function readMarkdown(text, level) {
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+  let entry = null;
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      fence = fence ? null : line.trim().slice(0, 3);
+    }
+    const heading = fence ? null : /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading && heading[1].length <= level) {
+      entry = heading[1].length === level ? { question: heading[2], answers: [], body: [], line: index + 1 } : null;
+      if (entry) entries.push(entry);
+    } else if (entry) {
+      entry.body.push(line);
+    }
+  });
+
+  return entries.map(({ question, body, line }) => ({
+    question: textContent(parseHtml(inlineMarkdown(question))),
+    answers: splitAnswers(markdownToHtml(body)).map(answer => ({ text: answer })),
+    line
+  }));
+}
+
+/**
+ * Read `<details>`/`<summary>` blocks from HTML
+ * @private
+ */
+function readHtml(html) {
+  const document = parseHtml(html);
+  const blocks = findAll(document, element => element.name === 'details');
+  return blocks
+    .filter(block => !blocks.some(other => other !== block && other.start < block.start && other.end >= block.end))
+    .map(block => {
+      const line = document.locate(block.start).line;
+      const summary = block.children.find(child => child.name === 'summary');
+      if (!summary) {
+        return { question: '', answers: [], line, problem: '<details> block without a <summary>' };
+      }
+      const source = html.slice(summary.end, block.end).replace(/<\/details\s*>$/i, '');
+      return {
+        question: textContent(summary),
+        anchor: block.attributes.id || summary.attributes.id,
+        answers: splitAnswers(source).map(answer => ({ text: answer })),
+        line
+      };
+    });
+}
+
+/**
+ * Read question rows from a CSV string or an array of records
+ * @private
+ */
+function readRows(rows, unknown) {
+  const entries = [];
+  rows.forEach((row, index) => {
+    const record = {};
+    Object.keys(row || {}).forEach(name => {
+      const field = FAQ_COLUMNS[name.toLowerCase().replace(/[^a-z]/g, '')];
+      const value = row[name] === null || row[name] === undefined ? '' : String(row[name]).trim();
+      if (!field) {
+        if (!unknown.includes(name)) unknown.push(name);
+      } else if (value !== '') {
+        record[field] = value;
+      }
+    });
+
+    const answer = { text: record.answer ? markdownToHtml(record.answer.split(/\r?\n/)) : '' };
+    if (record.author) answer.author = record.author;
+    if (record.dateCreated) answer.dateCreated = record.dateCreated;
+    if (record.upvoteCount && /^\d+$/.test(record.upvoteCount)) answer.upvoteCount = Number(record.upvoteCount);
+    if (record.accepted && CELL_TRUE.test(record.accepted)) answer.accepted = true;
+
+    const previous = entries[entries.length - 1];
+    if (previous && (!record.question || record.question === previous.question) && !record.anchor) {
+      if (answer.text) previous.answers.push(answer);
+      return;
+    }
+    entries.push({ question: record.question || '', anchor: record.anchor, answers: answer.text ? [answer] : [], line: index + 2 });
+  });
+  return entries;
+}
+
+/**
+ * Split answer HTML into separate answers at horizontal rules
+ * @private
+ */
+function splitAnswers(html) {
+  return html.split(/<hr\b[^>]*>/i).map(part => part.trim()).filter(part => part !== '');
+}
+
+/**
+ * Normalize a question for duplicate detection
+ * @private
+ */
+function questionKey(question) {
+  return question.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Choose the source format when none is given
+ * @private
+ */
+function detectFormat(text) {
+  if (/<details[\s>]/i.test(text) || /^<(!doctype|html|body|div|section)[\s>]/i.test(text)) {
+    return 'html';
+  }
+  const header = text.split(/\r?\n/, 1)[0];
+  const columns = header.split(/[,;\t]/).map(name => FAQ_COLUMNS[name.toLowerCase().replace(/[^a-z]/g, '')]);
+  return columns.includes('question') && columns.includes('answer') ? 'csv' : 'markdown';
+}
+
+/**
+ * Parse FAQ content from Markdown, HTML or CSV
+ *
+ * Questions without an answer, `<details>` blocks without a `<summary>` and
+ * repeated questions are left out and reported as errors; removed answer
+ * markup and unknown CSV columns are reported as warnings. Issue fields
+ * point at the question's position in the source (`questions[2]`) and
+ * messages give its line or row.
+ *
+ * @param {string|Object[]} source - Markdown, HTML or CSV text, or an array of row objects
+ * @param {Object} [options={}] - Parse options
+ * @param {string} [options.format] - 'markdown', 'html' or 'csv'; detected when omitted
+ * @param {number} [options.level=2] - Markdown heading level of the questions; shallower headings end a question
+ * @returns {{format: string, questions: Object[], issues: Object[], unknown: string[]}} Questions as
+ *   `{ question, anchor, answers: [{ text, author, dateCreated, upvoteCount, accepted }], index, line }`,
+ *   issues as `{ field, message, severity }` and the CSV columns that were not recognized
+ *
+ * @example
+ * parseFaq('<details id="returns"><summary>Can I return items?</summary><p>Within 30 days.</p></details>');
+ * // { format: 'html', questions: [{ question: 'Can I return items?', anchor: 'returns', ... }], issues: [], unknown: [] }
+ */
+export function parseFaq(source, options = {}) {
+  const { level = 2 } = options;
+  const issues = [];
+  const unknown = [];
+  const text = typeof source === 'string' ? source.replace(/^\uFEFF/, '').trim() : '';
+  const format = Array.isArray(source) ? 'csv' : (options.format || detectFormat(text)).toLowerCase();
+
+  let entries;
+  if (format === 'html') {
+    entries = readHtml(text);
+  } else if (format === 'csv') {
+    entries = readRows(Array.isArray(source) ? source : parseCsv(text), unknown);
+    unknown.forEach(name => issues.push({ field: name, message: `Unknown column "${name}" is ignored`, severity: 'warning' }));
+  } else if (format === 'markdown' || format === 'md') {
+    entries = readMarkdown(text, level);
+  } else {
+    throw new Error(`Unknown FAQ format: ${options.format}`);
+  }
+
+  const where = entry => (format === 'csv' ? `row ${entry.line}` : `line ${entry.line}`);
+  const seen = new Map();
+  const anchors = new Set();
+  const questions = [];
+
+  entries.forEach((entry, index) => {
+    const field = `questions[${index}]`;
+    const question = entry.question.replace(/\s+/g, ' ').trim();
+    if (question === '') {
+      issues.push({ field, message: `${entry.problem || 'Question without text'} at ${where(entry)}`, severity: 'error' });
+      return;
+    }
+    const key = questionKey(question);
+    if (seen.has(key)) {
+      issues.push({ field, message: `Duplicate question "${question}" at ${where(entry)}, same as questions[${seen.get(key)}]`, severity: 'error' });
+      return;
+    }
+    seen.set(key, index);
+
+    const answers = [];
+    entry.answers.forEach(answer => {
+      const { html, removed } = cleanAnswerHtml(answer.text);
+      if (removed.length > 0) {
+        issues.push({ field, message: `Markup not allowed in answers is removed from "${question}": ${removed.map(name => `<${name}>`).join(', ')}`, severity: 'warning' });
+      }
+      if (textContent(parseHtml(html)) !== '') {
+        answers.push({ ...answer, text: html });
+      }
+    });
+    if (answers.length === 0) {
+      issues.push({ field, message: `Question "${question}" at ${where(entry)} has no answer`, severity: 'error' });
+      return;
+    }
+
+    const base = questionAnchor(entry.anchor || '') || questionAnchor(question) || 'question';
+    let anchor = base;
+    for (let n = 2; anchors.has(anchor); n++) {
+      anchor = `${base}-${n}`;
+    }
+    anchors.add(anchor);
+    questions.push({ question, anchor, answers, index, line: entry.line });
+  });
+
+  return { format: format === 'md' ? 'markdown' : format, questions, issues, unknown };
+}
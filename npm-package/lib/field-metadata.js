@@ -31,6 +31,7 @@
  */
 
 const profiles = require('../profiles/index.json');
+const { resolveProfileType } = require('./profile-types');
 
 /**
  * Field importance level constants
@@ -98,7 +99,7 @@ const FIELD_CATEGORY = {
  * @returns {Object|null} Field metadata or null if not found
  */
 function getFieldMetadata(profileType, fieldName) {
-  const profile = profiles[profileType];
+  const profile = profiles[resolveProfileType(profileType)];
   if (!profile) return null;
 
   // Check required fields
@@ -158,7 +159,7 @@ function getFieldMetadata(profileType, fieldName) {
  * @returns {Object} Object with field metadata organized by importance
  */
 function getAllFieldsMetadata(profileType) {
-  const profile = profiles[profileType];
+  const profile = profiles[resolveProfileType(profileType)];
   if (!profile) return { required: [], recommended: [], optional: [] };
 
   const result = {
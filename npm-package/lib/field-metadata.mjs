@@ -6,6 +6,7 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { resolveProfileType } from './profile-types.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -39,7 +40,7 @@ const FIELD_CATEGORY = {
  * @returns {Object|null} Field metadata or null if not found
  */
 function getFieldMetadata(profileType, fieldName) {
-  const profile = profiles[profileType];
+  const profile = profiles[resolveProfileType(profileType)];
   if (!profile) return null;
 
   // Check required fields
@@ -99,7 +100,7 @@ function getFieldMetadata(profileType, fieldName) {
  * @returns {Object} Object with field metadata organized by importance
  */
 function getAllFieldsMetadata(profileType) {
-  const profile = profiles[profileType];
+  const profile = profiles[resolveProfileType(profileType)];
   if (!profile) return { required: [], recommended: [], optional: [] };
 
   const result = {
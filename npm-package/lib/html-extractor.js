@@ -0,0 +1,514 @@
+/**
+ * @fileoverview Structured data extraction from HTML pages
+ *
+ * This module pulls every structured data entity out of a rendered HTML page
+ * and normalizes it to JSON-LD so it can be handed to the profile validator:
+ * - `<script type="application/ld+json">` blocks (parse errors are reported
+ *   with line and column positions in the page)
+ * - Microdata (`itemscope`, `itemtype`, `itemprop`, `itemid`)
+ * - RDFa Lite (`vocab`, `typeof`, `property`, `resource`, `prefix`)
+ *
+ * It also reports `<link rel="profile">` tags and whether they match the
+ * value produced by `ModeConfig.getRelProfileValue()`.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { defaultHtmlExtractor } = require('./html-extractor');
+ * const report = defaultHtmlExtractor.validate(html);
+ * report.entities.forEach(entity => {
+ *   console.log(entity.source, entity.line, entity.validation.valid);
+ * });
+ * report.errors.forEach(e => console.log(`${e.line}:${e.column} ${e.message}`));
+ */
+
+const fs = require('fs');
+const { parseHtml, findAll, textContent, tokenList } = require('./html-parser');
+const { ProfileValidator } = require('./validator');
+const { MODES, ModeConfig } = require('./modes');
+
+/**
+ * Schema.org namespace used when normalizing types and properties
+ * @private
+ */
+const SCHEMA_ORG = 'https://schema.org/';
+
+/**
+ * Structured data sources recognized by the extractor
+ *
+ * @constant {Object} EXTRACTION_SOURCES
+ * @property {string} JSON_LD - `<script type="application/ld+json">` blocks
+ * @property {string} MICRODATA - Microdata items
+ * @property {string} RDFA - RDFa Lite resources
+ */
+const EXTRACTION_SOURCES = {
+  JSON_LD: 'json-ld',
+  MICRODATA: 'microdata',
+  RDFA: 'rdfa'
+};
+
+/**
+ * Attribute holding the value of an element, by element name (Microdata and RDFa)
+ * @private
+ */
+const VALUE_ATTRIBUTES = {
+  meta: 'content',
+  audio: 'src', embed: 'src', iframe: 'src', img: 'src', source: 'src', track: 'src', video: 'src',
+  a: 'href', area: 'href', link: 'href',
+  object: 'data',
+  data: 'value', meter: 'value',
+  time: 'datetime'
+};
+
+/**
+ * Extracts structured data from HTML and validates it against profiles
+ *
+ * @class HtmlExtractor
+ * @example
+ * const extractor = new HtmlExtractor();
+ * const { entities, errors, profileLinks } = extractor.extract(html);
+ */
+class HtmlExtractor {
+  /**
+   * Create a new HtmlExtractor instance
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {ProfileValidator} [options.validator] - Validator used by validate() (defaults to a sanitizing ProfileValidator)
+   */
+  constructor(options = {}) {
+    this.validator = options.validator || null;
+  }
+
+  /**
+   * Extract all structured data from an HTML string
+   *
+   * @param {string} html - HTML source
+   * @returns {Object} Extraction result with `entities` (each with `source`, `data`,
+   *   `line`, `column`), JSON-LD `errors` and `profileLinks`
+   */
+  extract(html) {
+    const document = parseHtml(html);
+    const errors = [];
+    const entities = [
+      ...this.extractJsonLd(document, errors),
+      ...this.extractMicrodata(document),
+      ...this.extractRdfa(document)
+    ].sort((a, b) => a.offset - b.offset);
+
+    return {
+      entities: entities.map(({ offset, ...entity }, index) => ({ index, ...entity })),
+      errors,
+      profileLinks: this.extractProfileLinks(document)
+    };
+  }
+
+  /**
+   * Extract all structured data from a local HTML file
+   * @param {string} filePath - Path to the HTML file
+   * @returns {Object} Extraction result (see {@link HtmlExtractor#extract}) with `file`
+   */
+  extractFile(filePath) {
+    return { file: filePath, ...this.extract(fs.readFileSync(filePath, 'utf8')) };
+  }
+
+  /**
+   * Extract structured data from HTML and validate every entity
+   *
+   * Each entity is validated with {@link ProfileValidator#validateDocument}, so
+   * `@graph` blocks and arrays are reported node by node.
+   *
+   * @param {string} html - HTML source
+   * @param {Object} [options] - Validation options
+   * @param {string} [options.mode] - Expected output mode; a missing `<link rel="profile">`
+   *   is reported as a warning when the mode requires one
+   * @param {boolean} [options.sanitize=true] - Whether to sanitize entities before validation
+   * @returns {Object} Report with `valid`, `entities` (with `validation`), `errors`,
+   *   `warnings`, `profileLinks` and `summary`
+   */
+  validate(html, options = {}) {
+    return this.validateExtraction(this.extract(html), options);
+  }
+
+  /**
+   * Extract structured data from a local HTML file and validate every entity
+   * @param {string} filePath - Path to the HTML file
+   * @param {Object} [options] - Validation options (see {@link HtmlExtractor#validate})
+   * @returns {Object} Validation report with `file`
+   */
+  validateFile(filePath, options = {}) {
+    return { file: filePath, ...this.validateExtraction(this.extract(fs.readFileSync(filePath, 'utf8')), options) };
+  }
+
+  /**
+   * Validate the entities of an extraction result
+   * @private
+   */
+  validateExtraction(extraction, options) {
+    const validator = this.validator || new ProfileValidator(options.sanitize !== false);
+    const entities = extraction.entities.map(entity => ({
+      ...entity,
+      validation: validator.validateDocument(entity.data)
+    }));
+
+    const warnings = [];
+    const expected = options.mode ? new ModeConfig(options.mode).getRelProfileValue() : null;
+    if (expected && !extraction.profileLinks.some(link => link.matches)) {
+      warnings.push({
+        message: `Missing <link rel="profile" href="${expected}"> required by mode '${options.mode}'`,
+        line: null,
+        column: null
+      });
+    }
+
+    const nodes = entities.flatMap(entity => entity.validation.nodes);
+    const summary = {
+      entities: entities.length,
+      bySource: Object.values(EXTRACTION_SOURCES).reduce((counts, source) => {
+        counts[source] = entities.filter(entity => entity.source === source).length;
+        return counts;
+      }, {}),
+      parseErrors: extraction.errors.length,
+      nodes: nodes.length,
+      validated: nodes.filter(node => node.profileType).length,
+      valid: nodes.filter(node => node.valid === true).length,
+      invalid: nodes.filter(node => node.valid === false).length,
+      unmatched: nodes.filter(node => !node.profileType).length
+    };
+
+    return {
+      valid: summary.parseErrors === 0 && summary.validated > 0 && summary.invalid === 0,
+      entities,
+      errors: extraction.errors,
+      warnings,
+      profileLinks: extraction.profileLinks,
+      summary
+    };
+  }
+
+  /**
+   * Extract `<script type="application/ld+json">` blocks
+   * @private
+   */
+  extractJsonLd(document, errors) {
+    const scripts = findAll(document, el =>
+      el.name === 'script' && /^application\/ld\+json\b/i.test((el.attributes.type || '').trim())
+    );
+
+    const entities = [];
+    scripts.forEach(script => {
+      const text = script.rawText || '';
+      const { line, column } = document.locate(script.start);
+
+      if (!text.trim()) {
+        errors.push({ source: EXTRACTION_SOURCES.JSON_LD, message: 'Empty JSON-LD script block', line, column });
+        return;
+      }
+
+      try {
+        entities.push({
+          source: EXTRACTION_SOURCES.JSON_LD,
+          data: JSON.parse(text),
+          line,
+          column,
+          offset: script.start
+        });
+      } catch (error) {
+        const position = findJsonErrorOffset(text);
+        errors.push({
+          source: EXTRACTION_SOURCES.JSON_LD,
+          message: error.message,
+          ...document.locate(script.contentStart + position)
+        });
+      }
+    });
+    return entities;
+  }
+
+  /**
+   * Extract top-level Microdata items
+   * @private
+   */
+  extractMicrodata(document) {
+    const items = findAll(document, el => 'itemscope' in el.attributes && !('itemprop' in el.attributes));
+    return items.map(element => ({
+      source: EXTRACTION_SOURCES.MICRODATA,
+      data: { '@context': 'https://schema.org', ...this.readMicrodataItem(element, new Set()) },
+      ...document.locate(element.start),
+      offset: element.start
+    }));
+  }
+
+  /**
+   * Convert a Microdata item element to a JSON-LD node
+   * @private
+   */
+  readMicrodataItem(element, visited) {
+    visited.add(element);
+    const node = {};
+    const types = tokenList(element.attributes.itemtype).map(compactIri);
+    if (types.length > 0) node['@type'] = types.length === 1 ? types[0] : types;
+    if (element.attributes.itemid) node['@id'] = element.attributes.itemid;
+
+    const visit = (parent) => {
+      parent.children.forEach(child => {
+        if (child.type !== 'element') return;
+        const names = tokenList(child.attributes.itemprop);
+        const isItem = 'itemscope' in child.attributes;
+
+        if (names.length > 0) {
+          const value = isItem
+            ? (visited.has(child) ? {} : this.readMicrodataItem(child, visited))
+            : readElementValue(child);
+          names.forEach(name => addValue(node, compactIri(name), value));
+        }
+        if (!isItem) visit(child);
+      });
+    };
+    visit(element);
+    return node;
+  }
+
+  /**
+   * Extract top-level RDFa Lite resources
+   * @private
+   */
+  extractRdfa(document) {
+    const entities = [];
+
+    const visit = (element, context) => {
+      element.children.forEach(child => {
+        if (child.type !== 'element') return;
+        const attrs = child.attributes;
+        const childContext = {
+          vocab: attrs.vocab !== undefined ? attrs.vocab : context.vocab,
+          prefixes: attrs.prefix ? { ...context.prefixes, ...parsePrefixes(attrs.prefix) } : context.prefixes,
+          subject: context.subject
+        };
+        const properties = tokenList(attrs.property).map(term => expandTerm(term, childContext));
+
+        if ('typeof' in attrs) {
+          const nested = properties.length > 0 && context.subject;
+          // Properties are added to the node while its children are visited
+          const node = nested ? {} : { '@context': 'https://schema.org' };
+          const types = tokenList(attrs.typeof).map(term => compactIri(expandTerm(term, childContext)));
+          if (types.length > 0) node['@type'] = types.length === 1 ? types[0] : types;
+          if (attrs.resource) node['@id'] = attrs.resource;
+
+          if (nested) {
+            properties.forEach(property => addValue(context.subject, compactIri(property), node));
+          } else {
+            entities.push({
+              source: EXTRACTION_SOURCES.RDFA,
+              data: node,
+              ...document.locate(child.start),
+              offset: child.start
+            });
+          }
+          visit(child, { ...childContext, subject: node });
+          return;
+        }
+
+        if (properties.length > 0 && context.subject) {
+          const value = attrs.content !== undefined
+            ? attrs.content
+            : (attrs.resource || readElementValue(child));
+          properties.forEach(property => addValue(context.subject, compactIri(property), value));
+        }
+        visit(child, childContext);
+      });
+    };
+
+    visit(document, { vocab: null, prefixes: {}, subject: null });
+    return entities;
+  }
+
+  /**
+   * Extract `<link rel="profile">` tags
+   * @private
+   */
+  extractProfileLinks(document) {
+    const expected = new Set(
+      Object.values(MODES)
+        .map(mode => new ModeConfig(mode).getRelProfileValue())
+        .filter(Boolean)
+        .map(normalizeUrl)
+    );
+
+    return findAll(document, el =>
+      (el.name === 'link' || el.name === 'a') && tokenList((el.attributes.rel || '').toLowerCase()).includes('profile')
+    ).map(el => ({
+      href: el.attributes.href || null,
+      matches: expected.has(normalizeUrl(el.attributes.href)),
+      ...document.locate(el.start)
+    }));
+  }
+}
+
+/**
+ * Find the offset of the first JSON syntax error
+ *
+ * `JSON.parse` only reports a position for some errors, so the text is
+ * scanned with a minimal recursive-descent parser instead.
+ *
+ * @param {string} text - Invalid JSON text
+ * @returns {number} Offset of the first unexpected character (or the end of input)
+ */
+function findJsonErrorOffset(text) {
+  let i = 0;
+  const fail = () => { throw i; };
+  const skip = () => { while (i < text.length && /[ \t\n\r\ufeff]/.test(text[i])) i++; };
+  const expect = (char) => { if (text[i] !== char) fail(); i++; };
+
+  const parseString = () => {
+    expect('"');
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') {
+        i++;
+        if (text[i] === 'u') {
+          if (!/^[0-9a-f]{4}$/i.test(text.slice(i + 1, i + 5))) fail();
+          i += 4;
+        } else if (!'"\\/bfnrt'.includes(text[i]) || i >= text.length) {
+          fail();
+        }
+      } else if (text.charCodeAt(i) < 0x20) {
+        fail();
+      }
+      i++;
+    }
+    expect('"');
+  };
+
+  const parseValue = () => {
+    skip();
+    const char = text[i];
+    if (char === '{') {
+      i++;
+      skip();
+      if (text[i] === '}') { i++; return; }
+      for (;;) {
+        skip();
+        parseString();
+        skip();
+        expect(':');
+        parseValue();
+        skip();
+        if (text[i] === ',') { i++; continue; }
+        expect('}');
+        return;
+      }
+    }
+    if (char === '[') {
+      i++;
+      skip();
+      if (text[i] === ']') { i++; return; }
+      for (;;) {
+        parseValue();
+        skip();
+        if (text[i] === ',') { i++; continue; }
+        expect(']');
+        return;
+      }
+    }
+    if (char === '"') return parseString();
+    const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(i, i + 64));
+    if (!literal) fail();
+    i += literal[0].length;
+  };
+
+  try {
+    parseValue();
+    skip();
+    if (i < text.length) fail();
+  } catch (offset) {
+    return typeof offset === 'number' ? Math.min(offset, text.length) : 0;
+  }
+  return text.length;
+}
+
+/**
+ * Read the value of a non-item Microdata or RDFa property element
+ * @private
+ */
+function readElementValue(element) {
+  const attribute = VALUE_ATTRIBUTES[element.name];
+  if (attribute && element.attributes[attribute] !== undefined) {
+    return element.attributes[attribute];
+  }
+  if (element.attributes.content !== undefined) {
+    return element.attributes.content;
+  }
+  return textContent(element);
+}
+
+/**
+ * Add a property value, turning repeated properties into arrays
+ * @private
+ */
+function addValue(node, property, value) {
+  if (node[property] === undefined) {
+    node[property] = value;
+  } else if (Array.isArray(node[property])) {
+    node[property].push(value);
+  } else {
+    node[property] = [node[property], value];
+  }
+}
+
+/**
+ * Parse an RDFa `prefix` attribute
+ * @private
+ */
+function parsePrefixes(value) {
+  const prefixes = {};
+  const pattern = /([\w-]+):\s+(\S+)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    prefixes[match[1]] = match[2];
+  }
+  return prefixes;
+}
+
+/**
+ * Expand an RDFa term, compact IRI or absolute IRI
+ * @private
+ */
+function expandTerm(term, context) {
+  if (/^[a-z][\w+.-]*:\/\//i.test(term)) return term;
+  const colon = term.indexOf(':');
+  if (colon > 0) {
+    const prefix = term.slice(0, colon);
+    if (context.prefixes[prefix]) return context.prefixes[prefix] + term.slice(colon + 1);
+    if (prefix === 'schema') return SCHEMA_ORG + term.slice(colon + 1);
+    return term;
+  }
+  return context.vocab ? context.vocab + term : term;
+}
+
+/**
+ * Compact Schema.org IRIs to bare terms
+ * @private
+ */
+function compactIri(iri) {
+  const match = /^https?:\/\/schema\.org\/(.+)$/i.exec(iri);
+  return match ? match[1] : iri;
+}
+
+/**
+ * Normalize a URL for comparison
+ * @private
+ */
+function normalizeUrl(url) {
+  return typeof url === 'string' ? url.trim().replace(/\/+$/, '') : url;
+}
+
+// Create default extractor instance
+const defaultHtmlExtractor = new HtmlExtractor();
+
+module.exports = {
+  HtmlExtractor,
+  defaultHtmlExtractor,
+  EXTRACTION_SOURCES,
+  findJsonErrorOffset
+};
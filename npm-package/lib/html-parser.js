@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Lenient HTML parser with source positions
+ *
+ * This module turns an HTML string into a lightweight element tree. It is not
+ * a full HTML5 tree builder: it understands tags, attributes, comments, raw
+ * text elements (`<script>`, `<style>`, ...), void elements, character
+ * references and the most common implied end tags (`<li>`, `<p>`, `<td>`, ...).
+ * That is enough to find structured data in rendered pages, and every node
+ * keeps its offset so results can point back at a line and column.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { parseHtml, findAll, textContent } = require('./html-parser');
+ * const document = parseHtml('<ul><li>One<li>Two</ul>');
+ * findAll(document, el => el.name === 'li').map(textContent); // ['One', 'Two']
+ */
+
+/**
+ * Elements that never have children
+ * @private
+ */
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Elements whose content is raw text rather than markup
+ * @private
+ */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'template']);
+
+/**
+ * Open elements that are implicitly closed when the given element starts
+ * @private
+ */
+const IMPLIED_END_TAGS = {
+  li: ['li'],
+  p: ['p'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option']
+};
+
+/**
+ * Named character references understood by the parser
+ * @private
+ */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…',
+  mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', euro: '€', pound: '£', yen: '¥'
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with character references
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  if (typeof text !== 'string' || !text.includes('&')) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Create a function that maps string offsets to 1-based line and column numbers
+ * @param {string} source - Source text
+ * @returns {function(number): {line: number, column: number}} Offset resolver
+ */
+function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Parse an HTML string into an element tree
+ *
+ * Every element is `{ type: 'element', name, attributes, children, parent, start, end }`
+ * and every text node is `{ type: 'text', value, parent, start }`. Raw text
+ * elements keep their unparsed content in `rawText` with its offset in
+ * `contentStart`. The returned document root also has a `locate(offset)`
+ * method returning `{ line, column }`.
+ *
+ * @param {string} html - HTML source
+ * @returns {Object} Document root element
+ */
+function parseHtml(html) {
+  const source = String(html || '');
+  const document = { type: 'document', name: '#document', attributes: {}, children: [], parent: null, start: 0, end: source.length };
+  document.locate = createLocator(source);
+
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+  const lower = source.toLowerCase();
+  let i = 0;
+
+  const appendText = (start, end) => {
+    if (end <= start) return;
+    current().children.push({ type: 'text', value: decodeEntities(source.slice(start, end)), parent: current(), start });
+  };
+
+  while (i < source.length) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      appendText(i, source.length);
+      break;
+    }
+    appendText(i, lt);
+    i = lt;
+
+    if (source.startsWith('<!--', i)) {
+      const close = source.indexOf('-->', i + 4);
+      i = close === -1 ? source.length : close + 3;
+      continue;
+    }
+
+    if (source[i + 1] === '!' || source[i + 1] === '?') {
+      const close = source.indexOf('>', i);
+      i = close === -1 ? source.length : close + 1;
+      continue;
+    }
+
+    if (source[i + 1] === '/') {
+      const match = /^<\/([a-zA-Z][\w:-]*)[^>]*>?/.exec(source.slice(i, i + 256));
+      if (!match) {
+        appendText(i, i + 2);
+        i += 2;
+        continue;
+      }
+      const name = match[1].toLowerCase();
+      const index = stack.map(el => el.name).lastIndexOf(name);
+      if (index > 0) {
+        while (stack.length > index) {
+          stack.pop().end = i + match[0].length;
+        }
+      }
+      i += match[0].length;
+      continue;
+    }
+
+    const nameMatch = /^<([a-zA-Z][\w:-]*)/.exec(source.slice(i, i + 256));
+    if (!nameMatch) {
+      appendText(i, i + 1);
+      i += 1;
+      continue;
+    }
+
+    const name = nameMatch[1].toLowerCase();
+    const element = { type: 'element', name, attributes: {}, children: [], parent: null, start: i, end: null };
+    i += nameMatch[0].length;
+
+    // Attributes
+    let selfClosing = false;
+    while (i < source.length) {
+      while (i < source.length && /\s/.test(source[i])) i++;
+      if (source[i] === '>') { i++; break; }
+      if (source.startsWith('/>', i)) { selfClosing = true; i += 2; break; }
+      if (source[i] === '/') { i++; continue; }
+
+      const attrMatch = /^[^\s/>=]+/.exec(source.slice(i, i + 256));
+      if (!attrMatch) { i++; continue; }
+      const attrName = attrMatch[0].toLowerCase();
+      i += attrMatch[0].length;
+      while (i < source.length && /\s/.test(source[i])) i++;
+
+      let value = '';
+      if (source[i] === '=') {
+        i++;
+        while (i < source.length && /\s/.test(source[i])) i++;
+        const quote = source[i];
+        if (quote === '"' || quote === "'") {
+          const close = source.indexOf(quote, i + 1);
+          const end = close === -1 ? source.length : close;
+          value = source.slice(i + 1, end);
+          i = end + 1;
+        } else {
+          const unquoted = /^[^\s>]*/.exec(source.slice(i, i + 2048))[0];
+          value = unquoted;
+          i += unquoted.length;
+        }
+      }
+      if (!(attrName in element.attributes)) {
+        element.attributes[attrName] = decodeEntities(value);
+      }
+    }
+
+    // Close elements whose end tag may be omitted
+    const implied = IMPLIED_END_TAGS[name];
+    if (implied && implied.includes(current().name)) {
+      stack.pop().end = element.start;
+    }
+
+    element.parent = current();
+    current().children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const close = lower.indexOf(`</${name}`, i);
+      const end = close === -1 ? source.length : close;
+      element.rawText = source.slice(i, end);
+      element.contentStart = i;
+      if (name !== 'script' && name !== 'style') {
+        element.children.push({ type: 'text', value: decodeEntities(element.rawText), parent: element, start: i });
+      }
+      const closeEnd = close === -1 ? source.length : source.indexOf('>', close);
+      i = closeEnd === -1 ? source.length : closeEnd + 1;
+      element.end = i;
+      continue;
+    }
+
+    if (VOID_ELEMENTS.has(name) || selfClosing) {
+      element.end = i;
+    } else {
+      stack.push(element);
+    }
+  }
+
+  while (stack.length > 1) {
+    stack.pop().end = source.length;
+  }
+  return document;
+}
+
+/**
+ * Find all elements matching a predicate, in document order
+ * @param {Object} root - Element or document to search
+ * @param {function(Object): boolean} predicate - Element test
+ * @returns {Object[]} Matching elements
+ */
+function findAll(root, predicate) {
+  const result = [];
+  const visit = (node) => {
+    node.children.forEach(child => {
+      if (child.type !== 'element') return;
+      if (predicate(child)) result.push(child);
+      visit(child);
+    });
+  };
+  visit(root);
+  return result;
+}
+
+/**
+ * Get the whitespace-normalized text content of an element
+ * @param {Object} element - Element
+ * @returns {string} Text content
+ */
+function textContent(element) {
+  const parts = [];
+  const visit = (node) => {
+    if (node.type === 'text') {
+      parts.push(node.value);
+    } else if (node.children && node.name !== 'script' && node.name !== 'style') {
+      node.children.forEach(visit);
+    }
+  };
+  visit(element);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a space-separated attribute value into tokens
+ * @param {string} value - Attribute value
+ * @returns {string[]} Tokens
+ */
+function tokenList(value) {
+  return typeof value === 'string' ? value.trim().split(/\s+/).filter(Boolean) : [];
+}
+
+module.exports = {
+  VOID_ELEMENTS,
+  parseHtml,
+  findAll,
+  textContent,
+  tokenList,
+  decodeEntities,
+  createLocator
+};
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Lightweight JSON-LD expansion and compaction
+ *
+ * This module implements the subset of the JSON-LD algorithms needed to
+ * evaluate profile shapes offline: it expands the Schema.org-style documents
+ * produced by the builders (string, array and object `@context`s, prefixes,
+ * `@vocab`, `@graph`, `@id` references) into full IRIs, and compacts IRIs back
+ * to the short names used in validation results. Remote contexts other than
+ * Schema.org are never fetched; they are reported as warnings instead.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * import { expand, compactIri } from './jsonld.mjs';
+ * const { nodes } = expand({ "@context": "https://schema.org", "@type": "Product", "name": "Phone" });
+ * console.log(nodes[0]['@type']); // ['https://schema.org/Product']
+ * console.log(compactIri('https://schema.org/name')); // 'name'
+ */
+
+/**
+ * Well-known namespace IRIs
+ *
+ * @constant {Object} NAMESPACES
+ */
+const NAMESPACES = {
+  schema: 'https://schema.org/',
+  sh: 'http://www.w3.org/ns/shacl#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  skos: 'http://www.w3.org/2004/02/skos/core#'
+};
+
+/**
+ * Remote contexts that resolve to the Schema.org vocabulary
+ * @private
+ */
+const SCHEMA_ORG_CONTEXT_PATTERN = /^https?:\/\/schema\.org\/?(docs\/jsonldcontext\.json(ld)?)?$/i;
+
+/**
+ * Remote contexts that are known and add no term definitions
+ * @private
+ */
+const IGNORED_CONTEXTS = ['https://llmprofiles.org/contexts/llm.jsonld'];
+
+/**
+ * Create an empty active context
+ * @returns {Object} Active context
+ */
+function createContext() {
+  return { vocab: null, prefixes: {}, terms: {}, warnings: [] };
+}
+
+/**
+ * Merge a local `@context` value into an active context
+ * @param {Object} active - Active context
+ * @param {string|Object|Array} local - Local context definition
+ * @returns {Object} New active context
+ */
+function processContext(active, local) {
+  const result = {
+    vocab: active.vocab,
+    prefixes: { ...active.prefixes },
+    terms: { ...active.terms },
+    warnings: active.warnings
+  };
+
+  toArray(local).forEach(ctx => {
+    if (ctx === null) {
+      result.vocab = null;
+      result.prefixes = {};
+      result.terms = {};
+    } else if (typeof ctx === 'string') {
+      if (SCHEMA_ORG_CONTEXT_PATTERN.test(ctx)) {
+        result.vocab = NAMESPACES.schema;
+        result.prefixes.schema = NAMESPACES.schema;
+      } else if (!IGNORED_CONTEXTS.includes(ctx)) {
+        result.warnings.push(`Remote context not resolved: ${ctx}`);
+      }
+    } else if (ctx && typeof ctx === 'object') {
+      Object.keys(ctx).forEach(key => {
+        const definition = ctx[key];
+        if (key === '@vocab') {
+          result.vocab = normalizeIri(expandIri(definition, result, false));
+        } else if (key.startsWith('@')) {
+          return;
+        } else if (typeof definition === 'string') {
+          const iri = expandIri(definition, result, false);
+          if (/[:/#?]$/.test(iri)) {
+            result.prefixes[key] = normalizeIri(iri);
+          } else {
+            result.terms[key] = { id: normalizeIri(iri) };
+          }
+        } else if (definition && typeof definition === 'object') {
+          result.terms[key] = {
+            id: definition['@id'] ? normalizeIri(expandIri(definition['@id'], result, false)) : null,
+            type: definition['@type'] || null
+          };
+        }
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Expand a compact IRI, term or relative value to an absolute IRI
+ * @param {string} value - Value to expand
+ * @param {Object} context - Active context
+ * @param {boolean} [vocab=true] - Whether to resolve bare terms against `@vocab`
+ * @returns {string|null} Absolute IRI, keyword, or null if the value cannot be expanded
+ */
+function expandIri(value, context, vocab = true) {
+  if (typeof value !== 'string') return null;
+  if (value.startsWith('@')) return value;
+
+  if (vocab && context.terms[value] && context.terms[value].id) {
+    return context.terms[value].id;
+  }
+
+  const colon = value.indexOf(':');
+  if (colon > 0) {
+    const prefix = value.slice(0, colon);
+    const suffix = value.slice(colon + 1);
+    if (suffix.startsWith('//')) {
+      return normalizeIri(value);
+    }
+    if (context.prefixes[prefix]) {
+      return context.prefixes[prefix] + suffix;
+    }
+    if (NAMESPACES[prefix]) {
+      return NAMESPACES[prefix] + suffix;
+    }
+    return value;
+  }
+
+  if (vocab && context.vocab) {
+    return context.vocab + value;
+  }
+  return vocab ? null : value;
+}
+
+/**
+ * Normalize Schema.org IRIs to the https namespace
+ * @param {string} iri - IRI to normalize
+ * @returns {string} Normalized IRI
+ */
+function normalizeIri(iri) {
+  if (typeof iri !== 'string') return iri;
+  return iri.replace(/^http:\/\/schema\.org\//, NAMESPACES.schema).replace(/^https?:\/\/schema\.org$/, NAMESPACES.schema);
+}
+
+/**
+ * Compact an absolute IRI for display
+ *
+ * Schema.org IRIs become bare terms (`name`), other known namespaces become
+ * prefixed names (`sh:minCount`) and unknown IRIs are returned unchanged.
+ *
+ * @param {string} iri - IRI to compact
+ * @returns {string} Compact form
+ */
+function compactIri(iri) {
+  if (typeof iri !== 'string') return iri;
+  const normalized = normalizeIri(iri);
+  if (normalized.startsWith(NAMESPACES.schema)) {
+    return normalized.slice(NAMESPACES.schema.length);
+  }
+  for (const [prefix, namespace] of Object.entries(NAMESPACES)) {
+    if (normalized.startsWith(namespace)) {
+      return `${prefix}:${normalized.slice(namespace.length)}`;
+    }
+  }
+  return iri;
+}
+
+/**
+ * Expand a JSON-LD document
+ *
+ * Returns the expanded top-level nodes, an index of every node object by
+ * `@id`, and the original JSON path of every node so that results can point
+ * back into the submitted document.
+ *
+ * @param {Object|Array} document - JSON-LD document
+ * @param {Object} [baseContext] - Active context to start from
+ * @returns {{nodes: Object[], index: Map<string, Object>, paths: WeakMap<Object, string>, warnings: string[]}}
+ */
+function expand(document, baseContext = createContext()) {
+  const index = new Map();
+  const paths = new WeakMap();
+  const warnings = baseContext.warnings;
+
+  const expandValue = (value, context, path, termType) => {
+    if (Array.isArray(value)) {
+      return value.flatMap((item, i) => expandValue(item, context, `${path}[${i}]`, termType));
+    }
+    if (value === null || value === undefined) {
+      return [];
+    }
+    if (typeof value !== 'object') {
+      if (termType === '@id' && typeof value === 'string') {
+        return [{ '@id': expandIri(value, context, false) }];
+      }
+      return [{ '@value': value }];
+    }
+    if (value['@value'] !== undefined) {
+      return [{ ...value }];
+    }
+    if (value['@list'] !== undefined) {
+      return expandValue(value['@list'], context, `${path}['@list']`, termType);
+    }
+    return [expandNode(value, context, path)];
+  };
+
+  const expandNode = (node, context, path) => {
+    const active = node['@context'] !== undefined ? processContext(context, node['@context']) : context;
+    const expanded = {};
+    paths.set(expanded, path || '$');
+
+    Object.keys(node).forEach(key => {
+      const value = node[key];
+      const childPath = path ? `${path}.${key}` : key;
+
+      if (key === '@context') return;
+      if (key === '@id') {
+        expanded['@id'] = expandIri(String(value), active, false);
+        return;
+      }
+      if (key === '@type') {
+        expanded['@type'] = toArray(value).map(type => normalizeIri(expandIri(type, active, true) || type));
+        return;
+      }
+      if (key === '@graph') {
+        expanded['@graph'] = expandValue(value, active, childPath);
+        return;
+      }
+
+      const property = expandIri(key, active, true);
+      if (!property || property.startsWith('@')) return;
+
+      const termType = active.terms[key] ? active.terms[key].type : null;
+      const values = expandValue(value, active, childPath, termType);
+      expanded[normalizeIri(property)] = (expanded[normalizeIri(property)] || []).concat(values);
+    });
+
+    if (expanded['@id'] && Object.keys(expanded).length > 1) {
+      index.set(expanded['@id'], expanded);
+    }
+    return expanded;
+  };
+
+  const nodes = expandValue(document, baseContext, '').flatMap(node =>
+    node['@graph'] && !node['@type'] ? node['@graph'] : [node]
+  );
+
+  return { nodes, index, paths, warnings };
+}
+
+/**
+ * Collect every node object in an expanded document, depth first
+ * @param {Object[]} nodes - Expanded nodes
+ * @returns {Object[]} All node objects (excluding value objects)
+ */
+function collectNodes(nodes) {
+  const result = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object' || node['@value'] !== undefined) return;
+    result.push(node);
+    Object.keys(node).forEach(key => {
+      if (key !== '@id' && key !== '@type' && Array.isArray(node[key])) {
+        node[key].forEach(visit);
+      }
+    });
+  };
+  nodes.forEach(visit);
+  return result;
+}
+
+/**
+ * Wrap a value in an array
+ * @private
+ */
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export {
+  NAMESPACES,
+  createContext,
+  processContext,
+  expandIri,
+  normalizeIri,
+  compactIri,
+  expand,
+  collectNodes
+};
+
+// Default export for CommonJS compatibility
+export default {
+  NAMESPACES,
+  createContext,
+  processContext,
+  expandIri,
+  normalizeIri,
+  compactIri,
+  expand,
+  collectNodes
+};
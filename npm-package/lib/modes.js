@@ -27,6 +27,11 @@
  * const config = new ModeConfig(MODES.STANDARDS_HEADER);
  * const relProfile = config.getRelProfileValue();
  * const linkHeader = config.getLinkHeaderValue();
+ * 
+ * @example
+ * // Register a custom mode that keeps the data's own identifier
+ * const { registerMode } = require('./modes');
+ * registerMode('seo-no-identifier', { extends: MODES.STRICT_SEO, useIdentifier: false });
  */
 
 /**
@@ -59,6 +64,167 @@ const MODES = {
   STANDARDS_HEADER: 'standards-header'
 };
 
+/**
+ * Configuration of the built-in modes
+ * 
+ * @constant {Object<string, Object>} BUILT_IN_MODE_CONFIGS
+ * @private
+ */
+const BUILT_IN_MODE_CONFIGS = {
+  [MODES.STRICT_SEO]: {
+    useAdditionalType: true,
+    useSchemaVersion: true,
+    useAdditionalProperty: true,
+    useIdentifier: true,
+    useConformsTo: false,
+    includeProfileMetadata: false
+  },
+  [MODES.SPLIT_CHANNELS]: {
+    useAdditionalType: true,
+    useSchemaVersion: true,
+    useAdditionalProperty: true,
+    useIdentifier: true,
+    useConformsTo: false,
+    includeProfileMetadata: true,
+    separateLLMBlock: true
+  },
+  [MODES.STANDARDS_HEADER]: {
+    useAdditionalType: true,
+    useSchemaVersion: true,
+    useAdditionalProperty: true,
+    useIdentifier: true,
+    useConformsTo: false,
+    includeProfileMetadata: true,
+    includeRelProfile: true
+  }
+};
+
+/**
+ * Flags a mode configuration can set
+ * 
+ * @constant {Object<string, string>} MODE_FLAGS
+ * @property {string} useAdditionalType - Emit the profile URL as `additionalType`
+ * @property {string} useSchemaVersion - Emit the profile URL as `schemaVersion`
+ * @property {string} useAdditionalProperty - Emit a `profile` PropertyValue in `additionalProperty`
+ * @property {string} useIdentifier - Emit the profile URL as `identifier`
+ * @property {string} useConformsTo - Emit the profile URL as `conformsTo`
+ * @property {string} includeProfileMetadata - Include profile metadata in the output
+ * @property {string} separateLLMBlock - Build separate SEO and LLM blocks
+ * @property {string} includeRelProfile - Advertise the profile with rel="profile" and a Link header
+ * @property {string} includeLLMProfileTriples - Add the profile properties to the LLM block (defaults to true)
+ */
+const MODE_FLAGS = {
+  useAdditionalType: 'Emit the profile URL as additionalType',
+  useSchemaVersion: 'Emit the profile URL as schemaVersion',
+  useAdditionalProperty: 'Emit a profile PropertyValue in additionalProperty',
+  useIdentifier: 'Emit the profile URL as identifier',
+  useConformsTo: 'Emit the profile URL as conformsTo',
+  includeProfileMetadata: 'Include profile metadata in the output',
+  separateLLMBlock: 'Build separate SEO and LLM blocks',
+  includeRelProfile: 'Advertise the profile with rel="profile" and a Link header',
+  includeLLMProfileTriples: 'Add the profile properties to the LLM block'
+};
+
+/**
+ * Custom modes registered with {@link registerMode}
+ * @private
+ */
+const customModes = new Map();
+
+/**
+ * How often each custom mode name has been registered or unregistered
+ * @private
+ */
+const modeRevisions = new Map();
+
+/**
+ * Register a custom output mode
+ * 
+ * The new mode starts from the configuration of the mode it extends
+ * (`strict-seo` by default) and overrides the given flags. Builders,
+ * validators and the CLI accept the mode name wherever a mode is expected.
+ * 
+ * @param {string} name - Mode name (must not clash with an existing mode)
+ * @param {Object} [config={}] - Flags from {@link MODE_FLAGS}
+ * @param {string} [config.extends=MODES.STRICT_SEO] - Mode whose configuration is the starting point
+ * @returns {string} The registered mode name
+ * @throws {Error} When the name is taken or the configuration has unknown or non-boolean flags
+ * 
+ * @example
+ * // conformsTo instead of additionalType, and an LLM block without the profile triples
+ * registerMode('conforms-split', {
+ *   extends: MODES.SPLIT_CHANNELS,
+ *   useAdditionalType: false,
+ *   useConformsTo: true,
+ *   includeLLMProfileTriples: false
+ * });
+ * const product = new ProductBuilder('conforms-split');
+ */
+function registerMode(name, config = {}) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Mode name must be a non-empty string');
+  }
+  if (BUILT_IN_MODE_CONFIGS[name] || customModes.has(name)) {
+    throw new Error(`Mode already registered: ${name}`);
+  }
+
+  const { extends: base = MODES.STRICT_SEO, ...flags } = config;
+  const baseConfig = new ModeConfig(base).getConfig();
+  Object.keys(flags).forEach(flag => {
+    if (!MODE_FLAGS[flag]) {
+      throw new Error(`Unknown mode flag: ${flag}. Valid flags are: ${Object.keys(MODE_FLAGS).join(', ')}`);
+    }
+    if (typeof flags[flag] !== 'boolean') {
+      throw new Error(`Mode flag ${flag} must be a boolean`);
+    }
+  });
+
+  customModes.set(name, Object.freeze({ ...baseConfig, ...flags }));
+  modeRevisions.set(name, getModeRevision(name) + 1);
+  return name;
+}
+
+/**
+ * Remove a custom mode registered with {@link registerMode}
+ * 
+ * @param {string} name - Mode name
+ * @returns {boolean} True if the mode was registered
+ * @throws {Error} When the name is a built-in mode
+ */
+function unregisterMode(name) {
+  if (BUILT_IN_MODE_CONFIGS[name]) {
+    throw new Error(`Built-in modes cannot be unregistered: ${name}`);
+  }
+  const removed = customModes.delete(name);
+  if (removed) {
+    modeRevisions.set(name, getModeRevision(name) + 1);
+  }
+  return removed;
+}
+
+/**
+ * Get the revision of a mode, which changes whenever the mode is registered or unregistered
+ *
+ * Caches of anything derived from a mode's configuration, such as compiled
+ * validators, compare revisions so that a mode registered again under the
+ * same name with other flags is not served from a stale entry.
+ *
+ * @param {string} name - Mode name
+ * @returns {number} Revision (0 for built-in and never registered modes)
+ */
+function getModeRevision(name) {
+  return modeRevisions.get(name) || 0;
+}
+
+/**
+ * Get the names of all built-in and custom modes
+ * 
+ * @returns {string[]} Mode names
+ */
+function getAvailableModes() {
+  return [...Object.values(MODES), ...customModes.keys()];
+}
+
 /**
  * Mode configuration class for managing output strategies
  * 
@@ -88,7 +254,7 @@ class ModeConfig {
   /**
    * Create a new ModeConfig instance
    * 
-   * @param {string} [mode=MODES.STRICT_SEO] - The output mode to configure
+   * @param {string} [mode=MODES.STRICT_SEO] - The output mode to configure (built-in or registered)
    * @throws {Error} When mode is not one of the valid modes
    * 
    * @example
@@ -112,8 +278,8 @@ class ModeConfig {
    * Validate the selected mode
    */
   validateMode() {
-    if (!Object.values(MODES).includes(this.mode)) {
-      throw new Error(`Invalid mode: ${this.mode}. Valid modes are: ${Object.values(MODES).join(', ')}`);
+    if (!getAvailableModes().includes(this.mode)) {
+      throw new Error(`Invalid mode: ${this.mode}. Valid modes are: ${getAvailableModes().join(', ')}`);
     }
   }
 
@@ -121,42 +287,7 @@ class ModeConfig {
    * Get mode-specific configuration
    */
   getConfig() {
-    switch (this.mode) {
-      case MODES.STRICT_SEO:
-        return {
-          useAdditionalType: true,
-          useSchemaVersion: true,
-          useAdditionalProperty: true,
-          useIdentifier: true,
-          useConformsTo: false,
-          includeProfileMetadata: false
-        };
-      
-      case MODES.SPLIT_CHANNELS:
-        return {
-          useAdditionalType: true,
-          useSchemaVersion: true,
-          useAdditionalProperty: true,
-          useIdentifier: true,
-          useConformsTo: false,
-          includeProfileMetadata: true,
-          separateLLMBlock: true
-        };
-      
-      case MODES.STANDARDS_HEADER:
-        return {
-          useAdditionalType: true,
-          useSchemaVersion: true,
-          useAdditionalProperty: true,
-          useIdentifier: true,
-          useConformsTo: false,
-          includeProfileMetadata: true,
-          includeRelProfile: true
-        };
-      
-      default:
-        return this.getConfig(MODES.STRICT_SEO);
-    }
+    return { ...(BUILT_IN_MODE_CONFIGS[this.mode] || customModes.get(this.mode)) };
   }
 
   /**
@@ -187,6 +318,13 @@ class ModeConfig {
     return this.getConfig().useIdentifier;
   }
 
+  /**
+   * Check if mode uses conformsTo
+   */
+  usesConformsTo() {
+    return this.getConfig().useConformsTo;
+  }
+
   /**
    * Check if mode includes profile metadata
    */
@@ -201,6 +339,13 @@ class ModeConfig {
     return this.getConfig().separateLLMBlock;
   }
 
+  /**
+   * Check if the LLM block carries the profile properties
+   */
+  includesLLMProfileTriples() {
+    return this.getConfig().includeLLMProfileTriples !== false;
+  }
+
   /**
    * Check if mode includes rel profile
    */
@@ -227,6 +372,11 @@ class ModeConfig {
 
 module.exports = {
   MODES,
-  ModeConfig
+  MODE_FLAGS,
+  ModeConfig,
+  registerMode,
+  unregisterMode,
+  getAvailableModes,
+  getModeRevision
 };
 
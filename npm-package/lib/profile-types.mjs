@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Profile type resolution
+ *
+ * Profile definitions in `profiles/index.json` are keyed by the names used in
+ * the profile repository (`Jobposting`, `Faqpage`, `ProductOffer`), which do
+ * not always match the Schema.org `@type` the builders emit (`JobPosting`,
+ * `FAQPage`, `Product`). This module maps every accepted spelling of a
+ * profile to its canonical key so the rest of the package can look profiles
+ * up in one place.
+ *
+ * Accepted inputs (all case-insensitive, ignoring `-`, `_` and whitespace):
+ * - Profile keys: `Jobposting`, `ProductOffer`
+ * - Schema.org type names and IRIs: `JobPosting`, `https://schema.org/FAQPage`
+ * - Profile slugs: `product-offer`, `softwareapplication`
+ * - Aliases: `Product`, `Job`, `FAQ`
+ * - Profile URLs: `https://llmprofiles.org/profiles/business/product-offer/v1/index.jsonld`
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * import { resolveProfileType } from './profile-types.mjs';
+ * resolveProfileType('JobPosting');    // 'Jobposting'
+ * resolveProfileType('product-offer'); // 'ProductOffer'
+ * resolveProfileType('Unknown');       // null
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const profiles = JSON.parse(readFileSync(join(__dirname, '../profiles/index.json'), 'utf8'));
+
+/**
+ * Alternative names that resolve to a profile key
+ *
+ * @constant {Object<string, string>} PROFILE_ALIASES
+ */
+const PROFILE_ALIASES = {
+  Product: 'ProductOffer',
+  Job: 'Jobposting',
+  FAQ: 'Faqpage',
+  QA: 'Qapage',
+  Video: 'Videoobject',
+  Software: 'Softwareapplication'
+};
+
+/**
+ * Schema.org subtypes of the types the builders emit, so markup typed as a
+ * `NewsArticle` or a `Restaurant` still loads into the matching builder
+ *
+ * @constant {Object<string, string[]>} SCHEMA_SUBTYPES
+ */
+const SCHEMA_SUBTYPES = {
+  Article: [
+    'NewsArticle', 'AnalysisNewsArticle', 'AskPublicNewsArticle', 'BackgroundNewsArticle', 'OpinionNewsArticle',
+    'ReportageNewsArticle', 'ReviewNewsArticle', 'BlogPosting', 'LiveBlogPosting', 'SocialMediaPosting',
+    'DiscussionForumPosting', 'TechArticle', 'APIReference', 'ScholarlyArticle', 'MedicalScholarlyArticle',
+    'Report', 'SatiricalArticle', 'AdvertiserContentArticle'
+  ],
+  LocalBusiness: [
+    'AnimalShelter', 'AutomotiveBusiness', 'AutoRepair', 'AutoDealer', 'ChildCare', 'DryCleaningOrLaundry',
+    'EmergencyService', 'EmploymentAgency', 'EntertainmentBusiness', 'FinancialService', 'BankOrCreditUnion',
+    'FoodEstablishment', 'Bakery', 'BarOrPub', 'CafeOrCoffeeShop', 'FastFoodRestaurant', 'Restaurant',
+    'GovernmentOffice', 'HealthAndBeautyBusiness', 'HairSalon', 'HomeAndConstructionBusiness', 'InternetCafe',
+    'LegalService', 'Library', 'LodgingBusiness', 'Hotel', 'MedicalBusiness', 'Dentist', 'Pharmacy', 'Physician',
+    'ProfessionalService', 'RealEstateAgent', 'SelfStorage', 'ShoppingCenter', 'SportsActivityLocation',
+    'Store', 'BookStore', 'ClothingStore', 'ElectronicsStore', 'GroceryStore', 'HardwareStore', 'TouristInformationCenter',
+    'TravelAgency'
+  ],
+  Product: ['IndividualProduct', 'ProductModel', 'SomeProducts', 'Vehicle', 'Car', 'DietarySupplement', 'Drug'],
+  Review: ['CriticReview', 'EmployerReview', 'UserReview', 'MediaReview', 'ClaimReview', 'Recommendation'],
+  Dataset: ['DataFeed'],
+  Event: [
+    'BusinessEvent', 'ChildrensEvent', 'ComedyEvent', 'CourseInstance', 'DanceEvent', 'DeliveryEvent',
+    'EducationEvent', 'ExhibitionEvent', 'Festival', 'FoodEvent', 'Hackathon', 'LiteraryEvent', 'MusicEvent',
+    'PublicationEvent', 'SaleEvent', 'ScreeningEvent', 'SocialEvent', 'SportsEvent', 'TheaterEvent', 'VisualArtsEvent'
+  ],
+  WebPage: [
+    'AboutPage', 'CheckoutPage', 'CollectionPage', 'ContactPage', 'ItemPage', 'MedicalWebPage', 'ProfilePage',
+    'RealEstateListing', 'SearchResultsPage'
+  ],
+  SoftwareApplication: ['MobileApplication', 'WebApplication', 'VideoGame']
+};
+
+/**
+ * Lookup tables built per profile set
+ * @private
+ */
+const lookupCache = new WeakMap();
+
+/**
+ * Normalize a profile name for comparison
+ * @param {string} value - Profile name
+ * @returns {string} Lower-cased name without separators
+ */
+function normalizeProfileName(value) {
+  return String(value || '').replace(/[-_\s]/g, '').toLowerCase();
+}
+
+/**
+ * Build the normalized name → profile key table for a profile set
+ * @private
+ */
+function getLookup(profileSet) {
+  if (lookupCache.has(profileSet)) {
+    return lookupCache.get(profileSet);
+  }
+
+  const lookup = new Map();
+  const add = (name, key) => {
+    const normalized = normalizeProfileName(name);
+    if (normalized && !lookup.has(normalized)) {
+      lookup.set(normalized, key);
+    }
+  };
+
+  // Exact profile keys take precedence over every derived name
+  Object.keys(profileSet).forEach(key => add(key, key));
+  Object.keys(profileSet).forEach(key => {
+    const profile = profileSet[key];
+    if (profile.schemaType) add(getLocalName(profile.schemaType), key);
+    const slug = getProfileSlug(profile.profileUrl);
+    if (slug) add(slug, key);
+  });
+  Object.keys(PROFILE_ALIASES).forEach(alias => {
+    if (profileSet[PROFILE_ALIASES[alias]]) add(alias, PROFILE_ALIASES[alias]);
+  });
+
+  lookupCache.set(profileSet, lookup);
+  return lookup;
+}
+
+/**
+ * Get the last path segment of an IRI
+ * @private
+ */
+function getLocalName(iri) {
+  return String(iri).replace(/[/#]+$/, '').split(/[/#]/).pop();
+}
+
+/**
+ * Extract the profile slug from a profile URL
+ * @private
+ */
+function getProfileSlug(url) {
+  const match = /\/profiles\/[^/]+\/([^/]+)(?:\/|$)/.exec(String(url || ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve any accepted spelling of a profile to its key in `profiles/index.json`
+ *
+ * @param {string} profileType - Profile key, Schema.org type name or IRI, slug, alias or profile URL
+ * @param {Object<string, Object>} [profileSet] - Profile definitions to resolve against (defaults to the bundled profiles)
+ * @returns {string|null} Canonical profile key or null if the input matches no profile
+ *
+ * @example
+ * resolveProfileType('FAQPage');                    // 'Faqpage'
+ * resolveProfileType('https://schema.org/HowTo');   // 'Howto'
+ * resolveProfileType('Product');                    // 'ProductOffer'
+ */
+function resolveProfileType(profileType, profileSet = profiles) {
+  if (typeof profileType !== 'string' || !profileType.trim()) return null;
+  const input = profileType.trim();
+  if (Object.prototype.hasOwnProperty.call(profileSet, input)) return input;
+
+  const lookup = getLookup(profileSet);
+
+  if (/^https?:\/\//i.test(input)) {
+    const slug = getProfileSlug(input);
+    if (slug && lookup.has(normalizeProfileName(slug))) {
+      return lookup.get(normalizeProfileName(slug));
+    }
+    return lookup.get(normalizeProfileName(getLocalName(input))) || null;
+  }
+
+  return lookup.get(normalizeProfileName(input)) || null;
+}
+
+/**
+ * Get the Schema.org type name a profile describes
+ * @param {string} profileType - Any accepted spelling of a profile
+ * @param {Object<string, Object>} [profileSet] - Profile definitions (defaults to the bundled profiles)
+ * @returns {string|null} Schema.org type name (e.g., 'JobPosting') or null if not found
+ */
+function getSchemaTypeName(profileType, profileSet = profiles) {
+  const key = resolveProfileType(profileType, profileSet);
+  if (!key) return null;
+  return profileSet[key].schemaType ? getLocalName(profileSet[key].schemaType) : key;
+}
+
+/**
+ * Properties that may carry a profile URL, in order of precedence
+ * @private
+ */
+const PROFILE_URL_PROPERTIES = ['additionalType', 'schemaVersion', 'conformsTo'];
+
+/**
+ * Pattern matching llmprofiles.org profile URLs
+ * @private
+ */
+const PROFILE_URL_PATTERN = /^https?:\/\/llmprofiles\.org\/profiles\//i;
+
+/**
+ * Detect the profile a JSON-LD node declares or matches
+ *
+ * Explicit profile URLs win over the node type: `additionalType` and
+ * `schemaVersion` values pointing at llmprofiles.org are checked first, then an
+ * `additionalProperty` named `profile`, and finally each `@type` in order.
+ *
+ * @param {Object} node - JSON-LD node object
+ * @param {Object<string, Object>} [profileSet] - Profile definitions (defaults to the bundled profiles)
+ * @returns {{profileType: string, detectedBy: string}|null} Detected profile key and the property it came from, or null
+ *
+ * @example
+ * detectProfileType({ "@type": "Article", "headline": "Hello" });
+ * // { profileType: 'Article', detectedBy: '@type' }
+ *
+ * detectProfileType({ "@type": "Thing", "additionalType": "https://llmprofiles.org/profiles/content/book/v1/index.jsonld" });
+ * // { profileType: 'Book', detectedBy: 'additionalType' }
+ */
+function detectProfileType(node, profileSet = profiles) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return null;
+
+  for (const property of PROFILE_URL_PROPERTIES) {
+    for (const value of toArray(node[property])) {
+      if (typeof value === 'string' && PROFILE_URL_PATTERN.test(value)) {
+        const profileType = resolveProfileType(value, profileSet);
+        if (profileType) return { profileType, detectedBy: property };
+      }
+    }
+  }
+
+  for (const property of toArray(node.additionalProperty)) {
+    if (property && property.name === 'profile' && typeof property.value === 'string') {
+      const profileType = resolveProfileType(property.value, profileSet);
+      if (profileType) return { profileType, detectedBy: 'additionalProperty' };
+    }
+  }
+
+  for (const type of toArray(node['@type'])) {
+    if (typeof type !== 'string') continue;
+    // Accept compact IRIs such as `schema:Article`
+    const name = /^[a-z][\w-]*:(?!\/\/)/i.test(type) ? type.slice(type.indexOf(':') + 1) : type;
+    const profileType = resolveProfileType(name, profileSet);
+    if (profileType) return { profileType, detectedBy: '@type' };
+  }
+
+  return null;
+}
+
+/**
+ * Wrap a value in an array
+ * @private
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export {
+  PROFILE_ALIASES,
+  SCHEMA_SUBTYPES,
+  normalizeProfileName,
+  resolveProfileType,
+  getSchemaTypeName,
+  detectProfileType
+};
+
+// Default export for CommonJS compatibility
+export default {
+  PROFILE_ALIASES,
+  SCHEMA_SUBTYPES,
+  normalizeProfileName,
+  resolveProfileType,
+  getSchemaTypeName,
+  detectProfileType
+};
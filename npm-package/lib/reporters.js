@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Output formats for validation runs
+ *
+ * Reporters turn the list of validation cases produced by the `llmprofiles`
+ * CLI into text for humans or into machine-readable JSON, JUnit XML and SARIF
+ * 2.1.0 so CI systems can gate on and annotate the results.
+ *
+ * A case is one validated document or graph node:
+ * `{ file, name, line, column, profileType, status, errors, warnings }` where
+ * `status` is `passed`, `failed`, `skipped` (no matching profile) or `error`
+ * (the input could not be read or parsed), and every issue is
+ * `{ ruleId, message, field?, path?, line?, column? }`.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { formatReport } = require('./reporters');
+ * process.stdout.write(formatReport(cases, 'sarif', { version: '2.0.5' }));
+ */
+
+const path = require('path');
+
+/**
+ * Supported report formats
+ *
+ * @constant {Object} REPORT_FORMATS
+ */
+const REPORT_FORMATS = {
+  TEXT: 'text',
+  JSON: 'json',
+  JUNIT: 'junit',
+  SARIF: 'sarif'
+};
+
+/**
+ * Rules that issues can be reported under
+ *
+ * @constant {Object<string, string>} REPORT_RULES
+ */
+const REPORT_RULES = {
+  'parse-error': 'Input could not be read or parsed',
+  'unknown-profile': 'Data does not match a known profile',
+  'schema-violation': 'Data violates the profile schema',
+  'shape-violation': 'Data violates the profile SHACL shapes',
+  'recommended-field': 'Recommended field is missing',
+  'rel-profile': 'Page is missing the rel="profile" link required by the mode'
+};
+
+/**
+ * Summarize validation cases
+ * @param {Object[]} cases - Validation cases
+ * @returns {{files: number, total: number, passed: number, failed: number, errors: number, skipped: number, warnings: number}}
+ */
+function summarize(cases) {
+  return {
+    files: new Set(cases.map(c => c.file)).size,
+    total: cases.length,
+    passed: cases.filter(c => c.status === 'passed').length,
+    failed: cases.filter(c => c.status === 'failed').length,
+    errors: cases.filter(c => c.status === 'error').length,
+    skipped: cases.filter(c => c.status === 'skipped').length,
+    warnings: cases.reduce((sum, c) => sum + c.warnings.length, 0)
+  };
+}
+
+/**
+ * Format validation cases
+ * @param {Object[]} cases - Validation cases
+ * @param {string} [format='text'] - One of {@link REPORT_FORMATS}
+ * @param {Object} [options] - Reporter options
+ * @param {string} [options.version] - Tool version (SARIF)
+ * @param {string} [options.cwd] - Directory that file URIs are made relative to (SARIF)
+ * @param {boolean} [options.verbose] - Include warnings in text output
+ * @returns {string} Formatted report
+ */
+function formatReport(cases, format = REPORT_FORMATS.TEXT, options = {}) {
+  switch (format) {
+    case REPORT_FORMATS.JSON:
+      return JSON.stringify({ summary: summarize(cases), results: cases }, null, 2) + '\n';
+    case REPORT_FORMATS.JUNIT:
+      return formatJUnit(cases);
+    case REPORT_FORMATS.SARIF:
+      return JSON.stringify(formatSarif(cases, options), null, 2) + '\n';
+    case REPORT_FORMATS.TEXT:
+      return formatText(cases, options);
+    default:
+      throw new Error(`Unknown report format: ${format}. Use one of: ${Object.values(REPORT_FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * Human-readable report
+ * @private
+ */
+function formatText(cases, options) {
+  const symbols = { passed: '✅', failed: '❌', error: '❌', skipped: '⏭️ ' };
+  const lines = [];
+
+  cases.forEach(c => {
+    const location = c.line ? `:${c.line}:${c.column}` : '';
+    const profile = c.profileType ? ` (${c.profileType})` : '';
+    lines.push(`${symbols[c.status]} ${c.file}${location} ${c.name}${profile}`);
+    c.errors.forEach(issue => lines.push(`    ${formatIssue(issue)}`));
+    if (options.verbose) {
+      c.warnings.forEach(issue => lines.push(`    ⚠️  ${formatIssue(issue)}`));
+    } else if (c.warnings.length > 0) {
+      lines.push(`    ⚠️  ${c.warnings.length} warning(s)`);
+    }
+  });
+
+  const summary = summarize(cases);
+  lines.push('');
+  lines.push(`Files: ${summary.files}, checked: ${summary.total}, passed: ${summary.passed}, ` +
+    `failed: ${summary.failed}, errors: ${summary.errors}, skipped: ${summary.skipped}, warnings: ${summary.warnings}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a single issue for text output
+ * @private
+ */
+function formatIssue(issue) {
+  const location = issue.line ? `${issue.line}:${issue.column} ` : '';
+  const field = issue.field ? `${issue.field}: ` : '';
+  return `${location}${field}${issue.message}`;
+}
+
+/**
+ * JUnit XML report (one test suite per file, one test case per checked node)
+ * @private
+ */
+function formatJUnit(cases) {
+  const summary = summarize(cases);
+  const files = [...new Set(cases.map(c => c.file))];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="llmprofiles" tests="${summary.total}" failures="${summary.failed}" errors="${summary.errors}" skipped="${summary.skipped}">`
+  ];
+
+  files.forEach(file => {
+    const fileCases = cases.filter(c => c.file === file);
+    const fileSummary = summarize(fileCases);
+    lines.push(`  <testsuite name="${escapeXml(file)}" tests="${fileSummary.total}" failures="${fileSummary.failed}" errors="${fileSummary.errors}" skipped="${fileSummary.skipped}">`);
+
+    fileCases.forEach(c => {
+      const name = c.profileType ? `${c.name} (${c.profileType})` : c.name;
+      const open = `    <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}"`;
+      const details = c.errors.map(formatIssue).join('\n');
+      const firstMessage = c.errors.length > 0 ? c.errors[0].message : '';
+
+      if (c.status === 'failed') {
+        lines.push(`${open}>`);
+        lines.push(`      <failure message="${escapeXml(firstMessage)}" type="${escapeXml(c.errors[0] ? c.errors[0].ruleId : 'schema-violation')}">${escapeXml(details)}</failure>`);
+      } else if (c.status === 'error') {
+        lines.push(`${open}>`);
+        lines.push(`      <error message="${escapeXml(firstMessage)}" type="parse-error">${escapeXml(details)}</error>`);
+      } else if (c.status === 'skipped') {
+        lines.push(`${open}>`);
+        lines.push('      <skipped message="No matching profile"/>');
+      } else if (c.warnings.length > 0) {
+        lines.push(`${open}>`);
+      } else {
+        lines.push(`${open}/>`);
+        return;
+      }
+
+      if (c.warnings.length > 0) {
+        lines.push(`      <system-out>${escapeXml(c.warnings.map(formatIssue).join('\n'))}</system-out>`);
+      }
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * SARIF 2.1.0 log
+ * @private
+ */
+function formatSarif(cases, options) {
+  const cwd = options.cwd || process.cwd();
+  const levels = { 'recommended-field': 'note', 'rel-profile': 'warning' };
+  const results = [];
+
+  cases.forEach(c => {
+    const uri = toUri(path.relative(cwd, path.resolve(cwd, c.file)));
+    const issues = [
+      ...c.errors.map(issue => ({ issue, level: levels[issue.ruleId] || 'error' })),
+      ...c.warnings.map(issue => ({ issue, level: levels[issue.ruleId] || 'warning' }))
+    ];
+
+    issues.forEach(({ issue, level }) => {
+      const line = issue.line || c.line;
+      const column = issue.column || c.column;
+      const location = { physicalLocation: { artifactLocation: { uri } } };
+      if (line) {
+        location.physicalLocation.region = { startLine: line, startColumn: column || 1 };
+      }
+      if (c.name) {
+        location.logicalLocations = [{ fullyQualifiedName: issue.path ? `${c.name}${issue.path}` : c.name }];
+      }
+
+      results.push({
+        ruleId: issue.ruleId,
+        level,
+        message: { text: issue.field ? `${issue.field}: ${issue.message}` : issue.message },
+        locations: [location],
+        properties: c.profileType ? { profileType: c.profileType } : undefined
+      });
+    });
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'llmprofiles',
+          version: options.version,
+          informationUri: 'https://llmprofiles.org',
+          rules: Object.keys(REPORT_RULES).map(id => ({ id, shortDescription: { text: REPORT_RULES[id] } }))
+        }
+      },
+      results
+    }]
+  };
+}
+
+/**
+ * Convert a relative file path to a SARIF URI
+ * @private
+ */
+function toUri(filePath) {
+  return filePath.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @private
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // XML 1.0 allows no control characters other than tab, line feed and carriage return
+    .replace(/[^\t\n\r\u0020-\uffff]/g, '');
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  REPORT_RULES,
+  summarize,
+  formatReport
+};
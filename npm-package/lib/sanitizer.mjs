@@ -3,6 +3,16 @@
  * ES Module version
  */
 
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { defaultSchemaRegistry } from './schema-loader.mjs';
+import { resolveProfileType, getSchemaTypeName, detectProfileType } from './profile-types.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const profiles = JSON.parse(readFileSync(join(__dirname, '../profiles/index.json'), 'utf8'));
+
 /**
  * Sanitization configuration options
  */
@@ -14,6 +24,7 @@ const SANITIZATION_CONFIG = {
   MAX_PHONE_LENGTH: 50,
   MAX_SKU_LENGTH: 100,
   MAX_LANGUAGE_CODE_LENGTH: 10,
+  MAX_DEPTH: 32,
   
   // Allowed characters for different field types
   ALLOWED_URL_PROTOCOLS: ['http:', 'https:', 'mailto:', 'tel:'],
@@ -37,12 +48,121 @@ const SANITIZATION_CONFIG = {
   }
 };
 
+/**
+ * How values with a JSON Schema format are sanitized
+ * @private
+ */
+const FORMAT_KINDS = {
+  'uri': 'url',
+  'uri-reference': 'reference',
+  'iri': 'url',
+  'iri-reference': 'reference',
+  'date': 'date',
+  'date-time': 'datetime',
+  'email': 'email'
+};
+
+/**
+ * How well-known properties are sanitized where no schema describes them
+ * @private
+ */
+const FIELD_KINDS = {
+  url: 'reference',
+  mainEntityOfPage: 'url',
+  sameAs: 'reference',
+  image: 'reference',
+  logo: 'reference',
+  contentUrl: 'reference',
+  embedUrl: 'reference',
+  thumbnailUrl: 'reference',
+  downloadUrl: 'reference',
+  installUrl: 'reference',
+  hasMap: 'reference',
+  codeRepository: 'reference',
+  inLanguage: 'language',
+  telephone: 'phone',
+  faxNumber: 'phone',
+  email: 'email',
+  sku: 'sku',
+  datePublished: 'temporal',
+  dateModified: 'temporal',
+  dateCreated: 'temporal',
+  datePosted: 'temporal',
+  validThrough: 'temporal',
+  validFrom: 'temporal',
+  priceValidUntil: 'temporal',
+  uploadDate: 'temporal',
+  startDate: 'temporal',
+  endDate: 'temporal',
+  wordCount: 'number',
+  price: 'number',
+  lowPrice: 'number',
+  highPrice: 'number',
+  latitude: 'number',
+  longitude: 'number'
+};
+
+/**
+ * Bounds applied to numeric properties
+ * @private
+ */
+const NUMBER_BOUNDS = {
+  wordCount: { min: 0, max: 1000000 },
+  price: { min: 0, decimals: 2 },
+  lowPrice: { min: 0, decimals: 2 },
+  highPrice: { min: 0, decimals: 2 },
+  latitude: { min: -90, max: 90 },
+  longitude: { min: -180, max: 180 }
+};
+
+/**
+ * Flatten a JSON Schema (including allOf/anyOf/oneOf branches) into what the
+ * sanitizer needs: allowed types, string format, const/enum values and the
+ * schemas of object properties and array items
+ * @private
+ */
+function describeSchema(schema, descriptor = { types: new Set(), format: null, values: [], properties: new Map(), items: [] }) {
+  if (!schema || typeof schema !== 'object') {
+    return descriptor;
+  }
+
+  const types = [].concat(schema.type || []);
+  types.forEach(type => descriptor.types.add(type));
+  if (schema.format && !descriptor.format && (types.length === 0 || types.includes('string'))) {
+    descriptor.format = schema.format;
+  }
+  if (schema.const !== undefined) {
+    descriptor.values.push(schema.const);
+  }
+  if (Array.isArray(schema.enum)) {
+    descriptor.values.push(...schema.enum);
+  }
+  if (schema.properties) {
+    Object.keys(schema.properties).forEach(key => {
+      if (!descriptor.properties.has(key)) {
+        descriptor.properties.set(key, []);
+      }
+      descriptor.properties.get(key).push(schema.properties[key]);
+    });
+  }
+  if (schema.items) {
+    descriptor.items.push(...[].concat(schema.items));
+  }
+
+  ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+    (schema[keyword] || []).forEach(branch => describeSchema(branch, descriptor));
+  });
+  return descriptor;
+}
+
 /**
  * Input sanitization class
  */
 export class InputSanitizer {
   constructor(config = {}) {
     this.config = { ...SANITIZATION_CONFIG, ...config };
+    this.schemaRegistry = defaultSchemaRegistry;
+    this.profileSchemas = new Map();
   }
 
   /**
@@ -329,7 +449,7 @@ export class InputSanitizer {
   }
 
   /**
-   * Sanitize structured data object
+   * Sanitize structured data object, including nested entities, arrays and `@graph` nodes
    * @param {Object} data - Structured data object to sanitize
    * @param {string} type - Expected type of the object
    * @returns {Object} Sanitized structured data object
@@ -339,55 +459,259 @@ export class InputSanitizer {
       return null;
     }
 
-    const sanitized = { ...data };
-
-    // Sanitize common string properties
-    const stringProperties = ['name', 'description', 'url', 'email', 'telephone'];
-    stringProperties.forEach(prop => {
-      if (sanitized[prop] && typeof sanitized[prop] === 'string') {
-        if (prop === 'url') {
-          sanitized[prop] = this.sanitizeUrl(sanitized[prop]);
-        } else if (prop === 'email') {
-          sanitized[prop] = this.sanitizeEmail(sanitized[prop]);
-        } else if (prop === 'telephone') {
-          sanitized[prop] = this.sanitizePhone(sanitized[prop]);
-        } else {
-          sanitized[prop] = this.sanitizeString(sanitized[prop]);
+    const sanitized = this.sanitizeStructuredDataWithLog(data, type).data;
+
+    // Ensure @type is set
+    if (!Array.isArray(sanitized) && !sanitized['@type']) {
+      sanitized['@type'] = type;
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Sanitize structured data and log every change by path
+   * @param {Object|Array} data - Data to sanitize, including `@graph` documents
+   * @param {string} [profileType] - Profile type of the root node (detected per node when omitted)
+   * @returns {{data: Object|Array, log: Array<Object>}} Sanitized data and its change log
+   */
+  sanitizeStructuredDataWithLog(data, profileType) {
+    const log = [];
+    if (!data || typeof data !== 'object') {
+      return { data: {}, log };
+    }
+
+    const context = { log, seen: new WeakSet(), profileType };
+    const sanitized = this.sanitizeValue(data, '$', null, null, context, 0);
+    return { data: sanitized, log };
+  }
+
+  /**
+   * Sanitize any JSON value at a path
+   * @private
+   */
+  sanitizeValue(value, path, field, schema, context, depth) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      const descriptor = describeSchema(schema);
+      const itemSchema = descriptor.items.length > 0 ? { allOf: descriptor.items } : schema;
+      const sanitized = [];
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const before = context.log.length;
+        const result = this.sanitizeValue(item, itemPath, field, itemSchema, context, depth);
+        if (result === null || result === '') {
+          // Replace the item's own entry with a single removal
+          context.log.splice(before);
+          const kind = typeof item === 'object' ? 'entity' : this.getValueKind(field, item, describeSchema(itemSchema));
+          context.log.push({ path: itemPath, field, kind, action: 'removed', original: item, value: undefined });
+          return;
         }
+        sanitized.push(result);
+      });
+      return sanitized;
+    }
+
+    if (typeof value === 'object') {
+      return this.sanitizeEntity(value, path, field, schema, context, depth);
+    }
+
+    const kind = this.getValueKind(field, value, describeSchema(schema));
+    const sanitized = this.sanitizeByKind(kind, value, field);
+    if (!Object.is(sanitized, value)) {
+      context.log.push({ path, field, kind, action: sanitized === null ? 'rejected' : 'modified', original: value, value: sanitized });
+    }
+    return sanitized;
+  }
+
+  /**
+   * Sanitize a node object and everything nested in it
+   * @private
+   */
+  sanitizeEntity(node, path, field, schema, context, depth) {
+    if (depth >= this.config.MAX_DEPTH || context.seen.has(node)) {
+      const reason = depth >= this.config.MAX_DEPTH ? 'depth' : 'cycle';
+      context.log.push({ path, field, kind: reason, action: 'rejected', original: node, value: null });
+      return null;
+    }
+    context.seen.add(node);
+
+    let descriptor = describeSchema(schema);
+    if (descriptor.properties.size === 0) {
+      // Root and graph nodes use the requested profile, other entities only their own @type
+      const profileType = depth === 0 ? context.profileType : null;
+      descriptor = describeSchema(this.getEntitySchema(node, profileType));
+    }
+
+    const sanitized = {};
+    Object.keys(node).forEach(key => {
+      const value = node[key];
+      const keyPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+
+      if (key === '@graph' && Array.isArray(value)) {
+        sanitized[key] = value.map((item, index) => {
+          // Graph nodes are top-level nodes in their own right
+          return this.sanitizeValue(item, `${keyPath}[${index}]`, key, null, { ...context, profileType: null }, 0);
+        }).filter(item => item !== null);
+        return;
       }
+
+      if (key.startsWith('@') && key !== '@id') {
+        sanitized[key] = value;
+        return;
+      }
+
+      const propertySchemas = descriptor.properties.get(key);
+      const propertySchema = propertySchemas ? { allOf: propertySchemas } : null;
+      sanitized[key] = this.sanitizeValue(value, keyPath, key, propertySchema, context, depth + 1);
     });
 
-    // Sanitize nested objects
-    if (sanitized.address && typeof sanitized.address === 'object') {
-      sanitized.address = this.sanitizeStructuredData(sanitized.address, 'PostalAddress');
-    }
+    context.seen.delete(node);
+    return sanitized;
+  }
 
-    if (sanitized.geo && typeof sanitized.geo === 'object') {
-      sanitized.geo = this.sanitizeStructuredData(sanitized.geo, 'GeoCoordinates');
+  /**
+   * Get the combined page and field schema of the profile describing a node
+   * @private
+   */
+  getEntitySchema(node, profileType) {
+    const detected = profileType ? null : detectProfileType(node);
+    const profileKey = detected ? detected.profileType : resolveProfileType(profileType);
+    if (!profileKey) {
+      return null;
     }
 
-    if (sanitized.logo && typeof sanitized.logo === 'object') {
-      sanitized.logo = this.sanitizeStructuredData(sanitized.logo, 'ImageObject');
+    // A node that declares a different type than the profile describes is not that profile
+    const types = [].concat(node['@type'] || []).map(type => String(type).replace(/^.*[:/#]/, ''));
+    if (types.length > 0 && !types.includes(getSchemaTypeName(profileKey))) {
+      return null;
     }
 
-    if (sanitized.image && typeof sanitized.image === 'object') {
-      sanitized.image = this.sanitizeStructuredData(sanitized.image, 'ImageObject');
+    if (!this.profileSchemas.has(profileKey)) {
+      const profile = profiles[profileKey];
+      const fields = { ...profile.required, ...profile.recommended, ...profile.optional };
+      let pageSchema = null;
+      try {
+        pageSchema = this.schemaRegistry.load(profile);
+      } catch (error) {
+        // Field definitions alone still describe the profile
+      }
+      const schemas = [pageSchema, { type: 'object', properties: fields }].filter(Boolean);
+      this.profileSchemas.set(profileKey, { allOf: schemas });
     }
+    return this.profileSchemas.get(profileKey);
+  }
 
-    // Ensure @type is set
-    if (!sanitized['@type']) {
-      sanitized['@type'] = type;
+  /**
+   * Decide how a value should be sanitized
+   * @private
+   */
+  getValueKind(field, value, descriptor) {
+    if (descriptor.values.some(allowed => allowed === value)) {
+      return 'preserve';
+    }
+    if (field === '@id') {
+      return 'reference';
+    }
+    if (FORMAT_KINDS[descriptor.format]) {
+      return FORMAT_KINDS[descriptor.format];
+    }
+    if (descriptor.types.size > 0 && [...descriptor.types].every(type => type === 'number' || type === 'integer')) {
+      return 'number';
     }
+    // Names only decide what the schema leaves open, so a `price` the schema types as text stays
+    // text, and a text `price` stays text where the schema allows either
+    const numeric = descriptor.types.has('number') || descriptor.types.has('integer');
+    const keepsText = typeof value === 'string' && descriptor.types.has('string');
+    if (FIELD_KINDS[field] && (FIELD_KINDS[field] !== 'number' || (numeric && !keepsText) || descriptor.types.size === 0)) {
+      return FIELD_KINDS[field];
+    }
+    if (typeof value !== 'string') {
+      return 'preserve';
+    }
+    return /^https?:\/\//i.test(value.trim()) ? 'reference' : 'text';
+  }
 
-    return sanitized;
+  /**
+   * Sanitize a scalar value as the given kind
+   * @private
+   */
+  sanitizeByKind(kind, value, field) {
+    if (kind === 'preserve') {
+      return value;
+    }
+    if (kind === 'number') {
+      if (typeof value !== 'number' && (typeof value !== 'string' || value.trim() === '')) {
+        return null;
+      }
+      return this.sanitizeNumber(value, NUMBER_BOUNDS[field] || {});
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return value;
+    }
+
+    const text = String(value);
+    switch (kind) {
+      case 'url':
+        return this.sanitizeUrl(text);
+      case 'reference':
+        return this.sanitizeReference(text);
+      case 'email':
+        return this.sanitizeEmail(text);
+      case 'phone':
+        return this.sanitizePhone(text);
+      case 'language':
+        return this.sanitizeLanguageCode(text);
+      case 'sku':
+        return this.sanitizeSku(text);
+      case 'date':
+      case 'datetime':
+      case 'temporal': {
+        const iso = this.sanitizeDate(text);
+        if (iso === null || kind === 'datetime') {
+          return iso;
+        }
+        // Keep calendar dates as written instead of shifting them to UTC
+        const calendarDate = text.trim().match(/^\d{4}-\d{2}-\d{2}/);
+        if (kind === 'date') {
+          return calendarDate ? calendarDate[0] : iso.slice(0, 10);
+        }
+        return calendarDate && calendarDate[0] === text.trim() ? calendarDate[0] : iso;
+      }
+      default:
+        return typeof value === 'string' ? this.sanitizeString(text) : value;
+    }
   }
 
+  /**
+   * Sanitize an IRI reference such as an `@id`, image URL or `#fragment`
+   * @param {string} reference - Absolute or relative IRI
+   * @returns {string|null} Sanitized reference or null if invalid
+   */
+  sanitizeReference(reference) {
+    if (!reference || typeof reference !== 'string') {
+      return null;
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(reference.trim())) {
+      return this.sanitizeUrl(reference);
+    }
+
+    let sanitized = reference.trim().substring(0, this.config.MAX_URL_LENGTH);
+    sanitized = this.removeScriptTags(sanitized);
+    sanitized = this.removeHtmlTags(sanitized);
+    sanitized = this.removeJavaScriptProtocols(sanitized);
+    return /\s/.test(sanitized) || sanitized === '' ? null : sanitized;
+  }
   /**
    * Escape HTML characters
    * @private
    */
   escapeHtml(str) {
-    return str.replace(/[<>&"']/g, (char) => this.config.DANGEROUS_CHARS[char] || char);
+    // Entities that are already escaped are left alone so sanitizing twice is a no-op
+    return str.replace(/[<>"']|&(?!(?:amp|lt|gt|quot|#x27|#\d+|#x[0-9a-f]+);)/gi, (char) => this.config.DANGEROUS_CHARS[char] || char);
   }
 }
 
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Page schema loading and compilation
+ *
+ * This module loads the full `page.schema.json` files shipped with the package
+ * (one per profile, mirrored from `profiles/<category>/<type>/v1/`) and compiles
+ * them with a JSON Schema draft 2020-12 validator. Unlike the flattened
+ * definitions in `profiles/index.json`, page schemas keep every nested
+ * constraint, such as `brand` requiring `@type: Brand`.
+ *
+ * `$ref`s that point at other llmprofiles.org schemas are resolved against the
+ * local copies, so validation never needs network access.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * // Compile the page schema for a profile
+ * const { defaultSchemaRegistry } = require('./schema-loader');
+ * const profile = require('../profiles/index.json').ProductOffer;
+ * const validate = defaultSchemaRegistry.getValidator(profile);
+ * const valid = validate(productData);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+/**
+ * Base URL under which all profile resources are published
+ * @constant {string}
+ */
+const PROFILE_BASE_URL = 'https://llmprofiles.org/';
+
+/**
+ * Registry of page schemas backed by the files shipped in `profiles/`
+ *
+ * @class PageSchemaRegistry
+ * @example
+ * const registry = new PageSchemaRegistry();
+ * const schema = registry.load(profiles.Article);
+ * console.log(schema.title); // 'Article On-Page JSON-LD'
+ */
+class PageSchemaRegistry {
+  /**
+   * Create a new PageSchemaRegistry instance
+   *
+   * @param {string} [baseDir] - Directory that mirrors llmprofiles.org (defaults to the package root)
+   */
+  constructor(baseDir = path.join(__dirname, '..')) {
+    this.baseDir = baseDir;
+    this.ajv = new Ajv2020({
+      allErrors: true,
+      verbose: true,
+      strict: false
+    });
+    addFormats(this.ajv);
+    this.schemas = new Map();
+    this.validators = new Map();
+  }
+
+  /**
+   * Get the page schema URL for a profile definition
+   * @param {Object} profile - Profile definition from `profiles/index.json`
+   * @returns {string|null} Page schema URL or null if the profile has no profile URL
+   */
+  getSchemaUrl(profile) {
+    if (!profile || !profile.profileUrl) return null;
+    return profile.profileUrl.replace(/index\.jsonld$/, 'page.schema.json');
+  }
+
+  /**
+   * Map an llmprofiles.org URL to the local file that mirrors it
+   * @param {string} url - Schema URL
+   * @returns {string|null} Absolute file path or null for URLs outside llmprofiles.org
+   */
+  getLocalPath(url) {
+    if (typeof url !== 'string' || !url.startsWith(PROFILE_BASE_URL)) return null;
+    const relativePath = url.slice(PROFILE_BASE_URL.length).split('#')[0];
+    const filePath = path.resolve(this.baseDir, relativePath);
+
+    // Never read outside the package directory
+    if (!filePath.startsWith(path.resolve(this.baseDir) + path.sep)) return null;
+    return filePath;
+  }
+
+  /**
+   * Check whether a page schema is available for a profile
+   * @param {Object} profile - Profile definition
+   * @returns {boolean} True if the page schema file exists locally
+   */
+  hasSchema(profile) {
+    const filePath = this.getLocalPath(this.getSchemaUrl(profile));
+    return !!filePath && fs.existsSync(filePath);
+  }
+
+  /**
+   * Load the page schema for a profile
+   * @param {Object} profile - Profile definition
+   * @returns {Object|null} Parsed page schema or null if not available
+   */
+  load(profile) {
+    const url = this.getSchemaUrl(profile);
+    return url ? this.loadUrl(url) : null;
+  }
+
+  /**
+   * Load a schema by URL, registering it and every schema it references
+   * @param {string} url - Schema URL
+   * @returns {Object|null} Parsed schema or null if not available locally
+   */
+  loadUrl(url) {
+    const id = url.split('#')[0];
+    if (this.schemas.has(id)) {
+      return this.schemas.get(id);
+    }
+
+    const filePath = this.getLocalPath(id);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.schemas.set(id, schema);
+    this.ajv.addSchema(schema, schema.$id ? undefined : id);
+
+    this.collectRefs(schema).forEach(ref => {
+      const refUrl = new URL(ref, schema.$id || id).href.split('#')[0];
+      if (refUrl !== id && !this.loadUrl(refUrl)) {
+        throw new Error(`Unresolved $ref '${ref}' in ${id}`);
+      }
+    });
+
+    return schema;
+  }
+
+  /**
+   * Collect all non-local `$ref` values in a schema
+   * @private
+   */
+  collectRefs(schema, refs = new Set()) {
+    if (Array.isArray(schema)) {
+      schema.forEach(item => this.collectRefs(item, refs));
+    } else if (schema && typeof schema === 'object') {
+      Object.keys(schema).forEach(key => {
+        if (key === '$ref' && typeof schema[key] === 'string') {
+          if (!schema[key].startsWith('#')) refs.add(schema[key]);
+        } else {
+          this.collectRefs(schema[key], refs);
+        }
+      });
+    }
+    return refs;
+  }
+
+  /**
+   * Get a compiled validator for a profile's page schema
+   * @param {Object} profile - Profile definition
+   * @returns {Function|null} AJV validate function or null if no page schema is available
+   */
+  getValidator(profile) {
+    const url = this.getSchemaUrl(profile);
+    if (!url) return null;
+    if (this.validators.has(url)) {
+      return this.validators.get(url);
+    }
+
+    const schema = this.load(profile);
+    if (!schema) return null;
+
+    const validate = this.ajv.getSchema(schema.$id || url);
+    this.validators.set(url, validate);
+    return validate;
+  }
+}
+
+// Create default registry instance
+const defaultSchemaRegistry = new PageSchemaRegistry();
+
+module.exports = {
+  PageSchemaRegistry,
+  defaultSchemaRegistry,
+  PROFILE_BASE_URL
+};
@@ -0,0 +1,471 @@
+/**
+ * @fileoverview SHACL shape validation for profile data
+ *
+ * Every profile's `index.jsonld` publishes an `sh:shapesGraph` describing its
+ * semantic contract (`sh:targetClass`, `sh:property` with `sh:path`,
+ * `sh:minCount`, `sh:node`, ...). This module evaluates those shapes against
+ * submitted JSON-LD with a pure-JS implementation of the SHACL core
+ * constraints, after expanding the data with the lightweight JSON-LD expander.
+ *
+ * Violations are reported in the same result format as
+ * `ProfileValidator.validate`, so they can be merged with schema errors.
+ *
+ * Supported constraints: `sh:minCount`, `sh:maxCount`, `sh:node`, `sh:class`,
+ * `sh:datatype`, `sh:nodeKind`, `sh:in`, `sh:hasValue`, `sh:pattern`,
+ * `sh:minLength`, `sh:maxLength`, `sh:minInclusive`, `sh:maxInclusive`,
+ * `sh:minExclusive` and `sh:maxExclusive`. Property paths may be a single
+ * predicate or a sequence of predicates.
+ *
+ * Profiles use `sh:node` with a class IRI (e.g. `schema:Offer`); when no shape
+ * with that IRI exists in the shapes graph, the reference is evaluated as an
+ * `sh:class` constraint.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { ShaclValidator } = require('./shacl');
+ * const validator = new ShaclValidator();
+ * const result = validator.validate(productData, 'ProductOffer');
+ * if (!result.valid) console.log(result.errors);
+ */
+
+const fs = require('fs');
+const { defaultSchemaRegistry } = require('./schema-loader');
+const { resolveProfileType } = require('./profile-types');
+const {
+  NAMESPACES,
+  createContext,
+  processContext,
+  expandIri,
+  normalizeIri,
+  compactIri,
+  expand,
+  collectNodes
+} = require('./jsonld');
+
+const SH = NAMESPACES.sh;
+const XSD = NAMESPACES.xsd;
+const SCHEMA = NAMESPACES.schema;
+
+/**
+ * Schema.org subclass relations needed by the profile shapes, so that a
+ * subtype such as AggregateOffer satisfies `sh:node schema:Offer`
+ * @private
+ */
+const SUPERCLASSES = {
+  [`${SCHEMA}AggregateOffer`]: `${SCHEMA}Offer`
+};
+
+/**
+ * Numeric range constraints and their comparison functions
+ * @private
+ */
+const RANGE_CONSTRAINTS = {
+  minInclusive: (value, limit) => value >= limit,
+  maxInclusive: (value, limit) => value <= limit,
+  minExclusive: (value, limit) => value > limit,
+  maxExclusive: (value, limit) => value < limit
+};
+
+/**
+ * SHACL core validator driven by each profile's `sh:shapesGraph`
+ *
+ * @class ShaclValidator
+ * @example
+ * const validator = new ShaclValidator();
+ * const shapes = validator.getShapes(profiles.Article);
+ * console.log(shapes[0].targetClass); // ['https://schema.org/Article']
+ */
+class ShaclValidator {
+  /**
+   * Create a new ShaclValidator instance
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.profiles] - Profile definitions (defaults to profiles/index.json)
+   * @param {PageSchemaRegistry} [options.schemaRegistry] - Registry used to locate local profile files
+   */
+  constructor(options = {}) {
+    this.profiles = options.profiles || require('../profiles/index.json');
+    this.schemaRegistry = options.schemaRegistry || defaultSchemaRegistry;
+    this.shapeCache = new Map();
+  }
+
+  /**
+   * Validate JSON-LD data against a profile's shapes
+   *
+   * @param {Object|Array} data - JSON-LD data to validate
+   * @param {string} profileType - Profile type to validate against (e.g., 'ProductOffer')
+   * @returns {Object} Validation result with `valid`, `errors`, `warnings` and `conforms`
+   */
+  validate(data, profileType) {
+    const profile = this.profiles[resolveProfileType(profileType, this.profiles)];
+    if (!profile) {
+      return {
+        valid: false,
+        errors: [`Unknown profile type: ${profileType}`],
+        warnings: []
+      };
+    }
+
+    const shapes = this.getShapes(profile);
+    if (!shapes) {
+      return {
+        valid: true,
+        errors: [],
+        warnings: [{
+          field: '',
+          message: `No SHACL shapes available for profile ${profileType}`,
+          severity: 'warning'
+        }],
+        conforms: true
+      };
+    }
+
+    return this.validateShapes(data, shapes);
+  }
+
+  /**
+   * Validate JSON-LD data against already parsed shapes
+   *
+   * @param {Object|Array} data - JSON-LD data to validate
+   * @param {Object[]} shapes - Shapes from getShapes()/parseShapesGraph()
+   * @returns {Object} Validation result
+   */
+  validateShapes(data, shapes) {
+    const { nodes, index, paths, warnings: expansionWarnings } = expand(data);
+    const allNodes = collectNodes(nodes);
+    const shapesById = new Map(shapes.filter(s => s.id).map(s => [s.id, s]));
+    const errors = [];
+    const warnings = expansionWarnings.map(message => ({ field: '', message, severity: 'warning' }));
+    const context = { index, paths, shapesById, errors };
+
+    shapes.filter(shape => shape.targetClass.length > 0).forEach(shape => {
+      const focusNodes = allNodes.filter(node => this.hasClass(node, shape.targetClass, index));
+      if (focusNodes.length === 0) {
+        warnings.push({
+          field: '@type',
+          message: `No ${shape.targetClass.map(compactIri).join(', ')} node found to validate`,
+          severity: 'warning'
+        });
+      }
+      focusNodes.forEach(node => this.validateNode(node, shape, context, new Set()));
+    });
+
+    return {
+      valid: errors.length === 0,
+      conforms: errors.length === 0,
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * Get the parsed shapes for a profile
+   *
+   * @param {Object} profile - Profile definition
+   * @returns {Object[]|null} Parsed shapes or null if the profile has no shapes graph
+   */
+  getShapes(profile) {
+    const url = profile && profile.profileUrl;
+    if (!url) return null;
+    if (this.shapeCache.has(url)) {
+      return this.shapeCache.get(url);
+    }
+
+    const filePath = this.schemaRegistry.getLocalPath(url);
+    let shapes = null;
+    if (filePath && fs.existsSync(filePath)) {
+      shapes = this.parseShapesGraph(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    this.shapeCache.set(url, shapes);
+    return shapes;
+  }
+
+  /**
+   * Parse the `sh:shapesGraph` of a profile document into plain shape objects
+   *
+   * @param {Object} profileDocument - Parsed index.jsonld profile document
+   * @returns {Object[]|null} Parsed shapes or null if there is no shapes graph
+   */
+  parseShapesGraph(profileDocument) {
+    const context = processContext(createContext(), profileDocument['@context'] || {});
+    const graphKey = Object.keys(profileDocument).find(key => expandIri(key, context) === `${SH}shapesGraph`);
+    if (!graphKey) return null;
+
+    const graph = profileDocument[graphKey];
+    const shapeNodes = toArray(graph['@graph'] || graph);
+    return shapeNodes.map(node => this.parseShape(node, context));
+  }
+
+  /**
+   * Parse a node or property shape
+   * @private
+   */
+  parseShape(node, context) {
+    const shape = {
+      id: node['@id'] ? expandIri(node['@id'], context, false) : null,
+      targetClass: [],
+      properties: [],
+      constraints: {}
+    };
+
+    Object.keys(node).forEach(key => {
+      const iri = expandIri(key, context);
+      if (!iri || !iri.startsWith(SH)) return;
+      const name = iri.slice(SH.length);
+      const value = node[key];
+
+      if (name === 'targetClass') {
+        shape.targetClass = toArray(value).map(v => this.shapeIri(v, context));
+      } else if (name === 'property') {
+        shape.properties = toArray(value).map(v => this.parseShape(v, context));
+      } else if (name === 'path') {
+        shape.path = toArray(value['@list'] || value).map(v => this.shapeIri(v, context));
+      } else {
+        shape.constraints[name] = this.parseConstraintValue(name, value, context);
+      }
+    });
+
+    return shape;
+  }
+
+  /**
+   * Parse the value of a constraint parameter
+   * @private
+   */
+  parseConstraintValue(name, value, context) {
+    if (['node', 'class', 'datatype', 'nodeKind'].includes(name)) {
+      return this.shapeIri(value, context);
+    }
+    if (name === 'in') {
+      return toArray(value['@list'] || value).map(v => this.literalValue(v, context));
+    }
+    return this.literalValue(value, context);
+  }
+
+  /**
+   * Resolve a shape reference to an IRI
+   * @private
+   */
+  shapeIri(value, context) {
+    const raw = value && typeof value === 'object' ? value['@id'] : value;
+    return normalizeIri(expandIri(String(raw), context, false));
+  }
+
+  /**
+   * Resolve a literal shape parameter
+   * @private
+   */
+  literalValue(value, context) {
+    if (value && typeof value === 'object') {
+      if (value['@value'] !== undefined) return value['@value'];
+      if (value['@id'] !== undefined) return this.shapeIri(value, context);
+    }
+    return value;
+  }
+
+  /**
+   * Validate a focus node against a node shape
+   * @private
+   */
+  validateNode(node, shape, context, visiting) {
+    const key = `${shape.id || ''}|${context.paths.get(node)}`;
+    if (visiting.has(key)) return;
+    visiting.add(key);
+
+    this.checkConstraints(node, [node], shape, shape, context, null, visiting);
+    shape.properties.forEach(propertyShape => {
+      const values = this.getPathValues(node, propertyShape.path || [], context.index);
+      this.checkConstraints(node, values, propertyShape, shape, context, propertyShape.path, visiting);
+    });
+  }
+
+  /**
+   * Evaluate the constraint parameters of a shape on a set of value nodes
+   * @private
+   */
+  checkConstraints(focusNode, values, shape, sourceShape, context, path, visiting) {
+    const report = (constraint, message, value) => {
+      const field = (path || []).map(compactIri).join('.');
+      const focusPath = context.paths.get(focusNode) || '$';
+      context.errors.push({
+        field,
+        message,
+        value,
+        path: field ? `${focusPath === '$' ? '' : focusPath + '.'}${field}` : focusPath,
+        severity: 'error',
+        constraint: `sh:${constraint}`,
+        focusNode: focusNode['@id'] || focusPath,
+        sourceShape: sourceShape.id || (sourceShape.targetClass || []).map(compactIri).join(', ') || null
+      });
+    };
+    const label = (path || []).map(compactIri).join('.') || 'node';
+    const c = shape.constraints;
+
+    if (c.minCount !== undefined && values.length < Number(c.minCount)) {
+      report('minCount', `Property '${label}' must have at least ${c.minCount} value(s), found ${values.length}`);
+    }
+    if (c.maxCount !== undefined && values.length > Number(c.maxCount)) {
+      report('maxCount', `Property '${label}' must have at most ${c.maxCount} value(s), found ${values.length}`);
+    }
+
+    values.forEach(value => {
+      const literal = value['@value'];
+      const resolved = value['@id'] && context.index.has(value['@id']) ? context.index.get(value['@id']) : value;
+
+      if (c.node) {
+        const nodeShape = context.shapesById.get(c.node);
+        if (nodeShape) {
+          const before = context.errors.length;
+          if (literal !== undefined) {
+            report('node', `Value of '${label}' must be a node conforming to ${compactIri(c.node)}`, literal);
+          } else {
+            this.validateNode(resolved, nodeShape, context, visiting);
+          }
+          if (context.errors.length > before && literal === undefined) {
+            report('node', `Value of '${label}' does not conform to ${compactIri(c.node)}`);
+          }
+        } else if (!this.hasClass(resolved, [c.node], context.index)) {
+          report('node', `Value of '${label}' must be a node of type ${compactIri(c.node)}`, literal !== undefined ? literal : this.describe(resolved));
+        }
+      }
+      if (c.class && !this.hasClass(resolved, [c.class], context.index)) {
+        report('class', `Value of '${label}' must be an instance of ${compactIri(c.class)}`, literal !== undefined ? literal : this.describe(resolved));
+      }
+      if (c.datatype && !this.matchesDatatype(value, c.datatype)) {
+        report('datatype', `Value of '${label}' must have datatype ${compactIri(c.datatype)}`, literal);
+      }
+      if (c.nodeKind && !this.matchesNodeKind(value, c.nodeKind)) {
+        report('nodeKind', `Value of '${label}' must be of node kind ${compactIri(c.nodeKind)}`, literal);
+      }
+      if (c.in && !c.in.some(allowed => allowed === literal || allowed === value['@id'])) {
+        report('in', `Value of '${label}' must be one of: ${c.in.map(compactIri).join(', ')}`, literal);
+      }
+      if (literal !== undefined && typeof literal !== 'object') {
+        const text = String(literal);
+        if (c.pattern !== undefined && !new RegExp(c.pattern, c.flags || '').test(text)) {
+          report('pattern', `Value of '${label}' does not match pattern ${c.pattern}`, literal);
+        }
+        if (c.minLength !== undefined && text.length < Number(c.minLength)) {
+          report('minLength', `Value of '${label}' must be at least ${c.minLength} characters`, literal);
+        }
+        if (c.maxLength !== undefined && text.length > Number(c.maxLength)) {
+          report('maxLength', `Value of '${label}' must be at most ${c.maxLength} characters`, literal);
+        }
+        Object.keys(RANGE_CONSTRAINTS).forEach(name => {
+          if (c[name] !== undefined && !RANGE_CONSTRAINTS[name](Number(literal), Number(c[name]))) {
+            report(name, `Value of '${label}' violates sh:${name} ${c[name]}`, literal);
+          }
+        });
+      }
+    });
+
+    if (c.hasValue !== undefined && !values.some(v => v['@value'] === c.hasValue || v['@id'] === c.hasValue)) {
+      report('hasValue', `Property '${label}' must include the value ${compactIri(c.hasValue)}`);
+    }
+  }
+
+  /**
+   * Follow a predicate or sequence path from a node
+   * @private
+   */
+  getPathValues(node, path, index) {
+    return path.reduce((current, predicate) => current.flatMap(value => {
+      const target = value['@id'] && index.has(value['@id']) ? index.get(value['@id']) : value;
+      return target && target[predicate] ? target[predicate] : [];
+    }), [node]);
+  }
+
+  /**
+   * Check whether a node has one of the given classes
+   * @private
+   */
+  hasClass(node, classes, index) {
+    if (!node || node['@value'] !== undefined) return false;
+    const target = node['@id'] && !node['@type'] && index.has(node['@id']) ? index.get(node['@id']) : node;
+    return (target['@type'] || []).some(type => {
+      for (let current = type; current; current = SUPERCLASSES[current]) {
+        if (classes.includes(current)) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Check a literal against an XSD datatype
+   * @private
+   */
+  matchesDatatype(value, datatype) {
+    const literal = value['@value'];
+    if (literal === undefined) return false;
+    if (value['@type']) return normalizeIri(value['@type']) === datatype;
+
+    switch (datatype) {
+      case `${XSD}string`:
+        return typeof literal === 'string';
+      case `${XSD}boolean`:
+        return typeof literal === 'boolean';
+      case `${XSD}integer`:
+        return Number.isInteger(literal);
+      case `${XSD}decimal`:
+      case `${XSD}double`:
+      case `${XSD}float`:
+        return typeof literal === 'number';
+      case `${XSD}date`:
+        return typeof literal === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(literal);
+      case `${XSD}dateTime`:
+        return typeof literal === 'string' && !isNaN(Date.parse(literal)) && /T/.test(literal);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check a value against an sh:nodeKind
+   * @private
+   */
+  matchesNodeKind(value, nodeKind) {
+    const isLiteral = value['@value'] !== undefined;
+    const isIri = !isLiteral && typeof value['@id'] === 'string' && !value['@id'].startsWith('_:');
+    const isBlank = !isLiteral && !isIri;
+    const kinds = {
+      IRI: isIri,
+      BlankNode: isBlank,
+      Literal: isLiteral,
+      BlankNodeOrIRI: isBlank || isIri,
+      BlankNodeOrLiteral: isBlank || isLiteral,
+      IRIOrLiteral: isIri || isLiteral
+    };
+    return kinds[nodeKind.slice(SH.length)] !== false;
+  }
+
+  /**
+   * Describe a node for error output
+   * @private
+   */
+  describe(node) {
+    if (!node) return null;
+    if (node['@id'] && !node['@type']) return { '@id': node['@id'] };
+    return { '@type': (node['@type'] || []).map(compactIri) };
+  }
+}
+
+/**
+ * Wrap a value in an array
+ * @private
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Create default validator instance
+const defaultShaclValidator = new ShaclValidator();
+
+module.exports = {
+  ShaclValidator,
+  defaultShaclValidator
+};
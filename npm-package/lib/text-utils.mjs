@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Text helpers shared by the builders and importers
+ *
+ * {@link slugify} makes the `@id` fragments of graph nodes and chain branches
+ * and the anchors of imported FAQ questions; {@link parseCsv} reads the branch
+ * tables and FAQ sheets.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * import { slugify, parseCsv } from './text-utils.mjs';
+ * slugify('Crème Brûlée Café');         // 'creme-brulee-cafe'
+ * parseCsv('name;city\nMain;Berlin');  // [{ name: 'Main', city: 'Berlin' }]
+ */
+
+/**
+ * Turn a name into an `@id` fragment or anchor ('Main St #12' → 'main-st-12')
+ * @param {string} value - Text to turn into a fragment
+ * @returns {string} Lowercase ASCII words joined by hyphens
+ */
+export function slugify(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Parse CSV text with a header row into records
+ *
+ * Fields may be quoted, with doubled quotes inside; the delimiter (comma,
+ * semicolon or tab) is the one the header row uses most. Empty cells are
+ * left out of the records.
+ * @param {string} text - CSV text
+ * @returns {Object<string, string>[]} One record per row, keyed by header name
+ */
+export function parseCsv(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t'].reduce((best, candidate) =>
+    (header.split(candidate).length > header.split(best).length ? candidate : best), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  const [names = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  return records.map(cells => {
+    const record = {};
+    names.forEach((name, index) => {
+      const value = (cells[index] || '').trim();
+      if (name.trim() !== '' && value !== '') {
+        record[name.trim()] = value;
+      }
+    });
+    return record;
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Cache of compiled profile validators
+ *
+ * Compiling a JSON Schema with AJV is far more expensive than running the
+ * compiled function, so validators are compiled once per profile and mode
+ * and shared by every {@link ProfileValidator} that uses the same cache.
+ *
+ * Validators can also be precompiled to standalone code at build time (see
+ * `generateStandaloneValidators()` in `validator.js` and the `llmprofiles
+ * precompile` command) and loaded into a cache, so no schema is compiled at
+ * runtime at all.
+ *
+ * @version 2.0.5-alpha.0
+ * @author HAMI
+ * @license MIT
+ *
+ * @example
+ * const { defaultValidatorCache } = require('./validator-cache');
+ * defaultValidatorCache.loadPrecompiled('./build/validators.js');
+ * console.log(defaultValidatorCache.getStats()); // { size, hits, misses, compiled, precompiled }
+ */
+
+const path = require('path');
+
+/**
+ * Mode segment of cache keys for schemas that are not specialized to a mode
+ * @private
+ */
+const DEFAULT_MODE_KEY = 'profile';
+
+/**
+ * Cache of compiled validate functions keyed by profile and mode
+ *
+ * @class ValidatorCache
+ * @example
+ * const cache = new ValidatorCache();
+ * const validate = cache.get(ValidatorCache.getKey('Article', 'strict-seo'), () => ajv.compile(schema));
+ */
+class ValidatorCache {
+  /**
+   * Create a new ValidatorCache instance
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {Object|string} [options.precompiled] - Standalone validators module (or its path) to load
+   */
+  constructor(options = {}) {
+    this.validators = new Map();
+    this.revisions = new Map();
+    this.precompiled = new Map();
+    this.stats = { hits: 0, misses: 0, compiled: 0, precompiled: 0 };
+
+    if (options.precompiled) {
+      this.loadPrecompiled(options.precompiled);
+    }
+  }
+
+  /**
+   * Get the cache key for a profile and mode
+   * @param {string} profileType - Profile key (e.g., 'Article')
+   * @param {string} [mode] - Output mode the schema is specialized to
+   * @returns {string} Cache key (e.g., 'Article:strict-seo')
+   */
+  static getKey(profileType, mode) {
+    return `${profileType}:${mode || DEFAULT_MODE_KEY}`;
+  }
+
+  /**
+   * Get the export name used for a cache key in standalone validator modules
+   * @param {string} key - Cache key
+   * @returns {string} JavaScript identifier (e.g., 'Article_strict_seo')
+   */
+  static getExportName(key) {
+    return key.replace(/[^A-Za-z0-9_$]/g, '_');
+  }
+
+  /**
+   * Get a validator, compiling and caching it on first use
+   *
+   * Precompiled validators are preferred over compiling the schema. A cached
+   * validator of another revision (see `getModeRevision()` in `modes.js`) is
+   * compiled again.
+   *
+   * @param {string} key - Cache key (see {@link ValidatorCache.getKey})
+   * @param {function(): Function} compile - Compiles the validator on a cache miss
+   * @param {number} [revision=0] - Revision of the mode the validator is compiled for
+   * @returns {Function} AJV validate function
+   */
+  get(key, compile, revision = 0) {
+    if (this.validators.has(key) && this.revisions.get(key) === revision) {
+      this.stats.hits++;
+      return this.validators.get(key);
+    }
+
+    this.stats.misses++;
+    let validate = this.precompiled.get(ValidatorCache.getExportName(key));
+    if (validate) {
+      this.stats.precompiled++;
+    } else {
+      validate = compile();
+      this.stats.compiled++;
+    }
+    this.validators.set(key, validate);
+    this.revisions.set(key, revision);
+    return validate;
+  }
+
+  /**
+   * Check whether a validator is cached
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the validator has been compiled or loaded
+   */
+  has(key) {
+    return this.validators.has(key);
+  }
+
+  /**
+   * Load standalone validators generated at build time
+   *
+   * Cached entries for the same keys are replaced. Precompiled code reflects
+   * the profiles at generation time, so regenerate it when upgrading.
+   *
+   * @param {Object|string} source - Standalone validators module or path to it
+   * @returns {number} Number of validators loaded
+   *
+   * @example
+   * cache.loadPrecompiled(require('./build/validators.js'));
+   */
+  loadPrecompiled(source) {
+    const module = typeof source === 'string' ? require(path.resolve(source)) : source;
+    let count = 0;
+    Object.keys(module).forEach(name => {
+      if (typeof module[name] !== 'function') return;
+      this.precompiled.set(name, module[name]);
+      count++;
+    });
+
+    // Drop validators compiled before the precompiled ones were available
+    [...this.validators.keys()].forEach(key => {
+      if (this.precompiled.has(ValidatorCache.getExportName(key))) {
+        this.validators.delete(key);
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Remove all cached validators (precompiled modules stay loaded)
+   */
+  clear() {
+    this.validators.clear();
+    this.revisions.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {{size: number, hits: number, misses: number, compiled: number, precompiled: number}} Cache statistics
+   */
+  getStats() {
+    return { size: this.validators.size, ...this.stats };
+  }
+}
+
+// Create default cache instance
+const defaultValidatorCache = new ValidatorCache();
+
+module.exports = {
+  ValidatorCache,
+  defaultValidatorCache
+};
@@ -24,11 +24,24 @@
  * // Get validation statistics
  * const stats = validator.getValidationStats(dataset, 'JobPosting');
  * console.log('Average compliance:', stats.averageGoogleCompliance);
+ * 
+ * @example
+ * // Stream a JSONL catalogue with bounded memory
+ * for await (const result of validator.validateStream(fs.createReadStream('products.jsonl'), 'Product')) {
+ *   if (!result.valid) console.log(result.line, result.errors);
+ * }
  */
 
+const fs = require('fs');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const standaloneCode = require('ajv/dist/standalone').default;
 const { defaultSanitizer } = require('./sanitizer');
+const { defaultSchemaRegistry } = require('./schema-loader');
+const { ShaclValidator } = require('./shacl');
+const { ValidatorCache, defaultValidatorCache } = require('./validator-cache');
+const { ModeConfig, getModeRevision } = require('./modes');
+const { resolveProfileType, detectProfileType } = require('./profile-types');
 const { 
   getFieldMetadata, 
   getAllFieldsMetadata, 
@@ -36,6 +49,29 @@ const {
   FIELD_IMPORTANCE 
 } = require('./field-metadata');
 
+/**
+ * Schema sources the validator can check data against
+ *
+ * @constant {Object} SCHEMA_SOURCES
+ * @property {string} INDEX - Flattened field definitions from `profiles/index.json` (default)
+ * @property {string} PAGE - Full `page.schema.json` files with nested constraints and resolved `$ref`s
+ */
+const SCHEMA_SOURCES = {
+  INDEX: 'index',
+  PAGE: 'page'
+};
+
+/**
+ * Profile fields that carry the mode-specific profile reference, by the ModeConfig flag that emits them
+ * @private
+ */
+const MODE_FIELDS = {
+  additionalType: 'useAdditionalType',
+  schemaVersion: 'useSchemaVersion',
+  identifier: 'useIdentifier',
+  additionalProperty: 'useAdditionalProperty'
+};
+
 /**
  * Profile validation class with enhanced error reporting and compliance checking
  * 
@@ -53,6 +89,18 @@ const {
  * const validator = new ProfileValidator(false);
  * 
  * @example
+ * // Validate nested objects against the full page schemas
+ * const validator = new ProfileValidator(true, { schemaSource: SCHEMA_SOURCES.PAGE });
+ * 
+ * @example
+ * // Also enforce the SHACL shapes published in the profile's index.jsonld
+ * const validator = new ProfileValidator(true, { shapes: true });
+ * 
+ * @example
+ * // Only require the profile reference fields that the mode emits
+ * const validator = new ProfileValidator(true, { mode: MODES.STRICT_SEO });
+ * 
+ * @example
  * // Validate data and get detailed results
  * const result = validator.validate(articleData, 'Article');
  * if (!result.valid) {
@@ -66,11 +114,21 @@ class ProfileValidator {
    * 
    * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data for security
    * @param {Object} [options] - Additional configuration options
-   * @param {boolean} [options.allErrors=true] - Whether to collect all validation errors
-   * @param {boolean} [options.verbose=true] - Whether to include verbose error information
-   * @param {boolean} [options.strict=false] - Whether to use strict JSON Schema validation
+   * @param {string} [options.schemaSource='index'] - Schema source to validate against
+   *   - 'index': Flattened field definitions from profiles/index.json
+   *   - 'page': Full page.schema.json files, so nested objects fail the same way they do in CI
+   * @param {PageSchemaRegistry} [options.schemaRegistry] - Registry used to load page schemas
+   * @param {boolean} [options.shapes=false] - Whether to also evaluate the profile's SHACL shapes
+   * @param {string} [options.mode] - Output mode the data was built for; profile reference fields
+   *   (`additionalType`, `schemaVersion`, `identifier`, `additionalProperty`) the mode does not
+   *   emit are not required. By default every field the profile requires is checked.
+   * @param {ValidatorCache|false} [options.cache] - Cache for compiled validators, shared across
+   *   instances (defaults to `defaultValidatorCache`); `false` compiles a fresh validator per call
+   * @param {Object|string} [options.precompiled] - Standalone validators module (or its path)
+   *   generated by {@link generateStandaloneValidators}, loaded into the cache
+   * @throws {Error} When schemaSource is not one of SCHEMA_SOURCES or mode is invalid
    */
-  constructor(sanitizeInputs = true) {
+  constructor(sanitizeInputs = true, options = {}) {
     this.ajv = new Ajv({
       allErrors: true,
       verbose: true,
@@ -80,6 +138,22 @@ class ProfileValidator {
     this.profiles = require('../profiles/index.json');
     this.sanitizeInputs = sanitizeInputs;
     this.sanitizer = defaultSanitizer;
+    this.schemaSource = options.schemaSource || SCHEMA_SOURCES.INDEX;
+    this.schemaRegistry = options.schemaRegistry || defaultSchemaRegistry;
+    this.checkShapes = options.shapes === true;
+    this.shaclValidator = this.checkShapes
+      ? new ShaclValidator({ profiles: this.profiles, schemaRegistry: this.schemaRegistry })
+      : null;
+    this.mode = options.mode ? new ModeConfig(options.mode).mode : null;
+    this.cache = options.cache === false ? null : (options.cache || defaultValidatorCache);
+    if (options.precompiled) {
+      this.cache = this.cache || new ValidatorCache();
+      this.cache.loadPrecompiled(options.precompiled);
+    }
+
+    if (!Object.values(SCHEMA_SOURCES).includes(this.schemaSource)) {
+      throw new Error(`Invalid schema source: ${this.schemaSource}. Valid sources are: ${Object.values(SCHEMA_SOURCES).join(', ')}`);
+    }
   }
 
   /**
@@ -90,7 +164,8 @@ class ProfileValidator {
    * Google Rich Results compliance, LLM optimization score, and security warnings.
    * 
    * @param {Object} data - The JSON-LD data to validate
-   * @param {string} profileType - Profile type to validate against (e.g., 'Article', 'JobPosting')
+   * @param {string} profileType - Profile type to validate against (e.g., 'Article', 'JobPosting');
+   *   Schema.org type names, slugs, aliases and profile URLs are resolved with {@link resolveProfileType}
    * @returns {Object} Validation result object with the following properties:
    *   - `valid` {boolean} - Whether the data is valid according to the profile
    *   - `errors` {Array<Object>} - Array of validation errors with detailed information
@@ -98,7 +173,9 @@ class ProfileValidator {
    *   - `googleRichResults` {Object} - Google Rich Results compliance information
    *   - `llmOptimization` {Object} - LLM optimization score and missing fields
    *   - `sanitized` {Object|null} - Sanitized version of the input data (if sanitization enabled)
+   *   - `sanitizationLog` {Array<Object>|null} - Every value the sanitizer changed, rejected or removed, by path
    *   - `securityWarnings` {Array<Object>} - Security-related warnings (if any)
+   *   - `shacl` {Object} - SHACL shape conformance (only when the `shapes` option is enabled)
    * 
    * @example
    * const articleData = {
@@ -123,7 +200,8 @@ class ProfileValidator {
    * @throws {Error} When profileType is not found in available profiles
    */
   validate(data, profileType) {
-    const profile = this.profiles[profileType];
+    const profileKey = resolveProfileType(profileType, this.profiles);
+    const profile = this.profiles[profileKey];
     if (!profile) {
       return {
         valid: false,
@@ -134,20 +212,20 @@ class ProfileValidator {
 
     // Sanitize input data if enabled
     let sanitizedData = data;
+    let sanitizationLog = null;
     if (this.sanitizeInputs) {
-      sanitizedData = this.sanitizer.sanitizeStructuredData(data, profileType);
+      ({ data: sanitizedData, log: sanitizationLog } = this.sanitizer.sanitizeStructuredDataWithLog(data, profileType));
     }
 
-    // Create schema from profile definition
-    const schema = this.createSchema(profile);
-    const validate = this.ajv.compile(schema);
+    const validate = this.getSchemaValidator(profile, profileKey);
     const valid = validate(sanitizedData);
 
     const result = {
       valid,
       errors: this.formatErrors(validate.errors || [], profileType),
       warnings: this.checkRecommended(sanitizedData, profile),
-      sanitized: this.sanitizeInputs ? sanitizedData : null
+      sanitized: this.sanitizeInputs ? sanitizedData : null,
+      sanitizationLog
     };
 
     // Add Google Rich Results compliance check
@@ -161,24 +239,68 @@ class ProfileValidator {
       result.securityWarnings = this.checkSecurityIssues(data, sanitizedData);
     }
 
+    // Enforce the semantic contract published in the profile's shapes graph
+    if (this.checkShapes) {
+      const shapeResult = this.shaclValidator.validate(sanitizedData, profileType);
+      result.shacl = {
+        conforms: shapeResult.valid,
+        errors: shapeResult.errors,
+        warnings: shapeResult.warnings
+      };
+      result.errors = result.errors.concat(shapeResult.errors);
+      result.valid = result.valid && shapeResult.valid;
+    }
+
     return result;
   }
 
   /**
-   * Create JSON Schema from profile definition
+   * Get the compiled schema validator for the configured schema source
+   *
+   * Validators are cached under the profiles/index.json key, the key
+   * generateStandaloneValidators() exports them with.
    * @private
    */
-  createSchema(profile) {
+  getSchemaValidator(profile, profileKey) {
+    if (this.schemaSource === SCHEMA_SOURCES.PAGE) {
+      // Compiled page schemas are cached by the registry
+      const pageValidator = this.schemaRegistry.getValidator(profile);
+      if (pageValidator) {
+        return pageValidator;
+      }
+    }
+
+    // Create schema from profile definition
+    const compile = () => this.ajv.compile(this.createSchema(profile, this.mode));
+    if (!this.cache) {
+      return compile();
+    }
+    return this.cache.get(ValidatorCache.getKey(profileKey, this.mode), compile, getModeRevision(this.mode));
+  }
+
+  /**
+   * Create JSON Schema from profile definition
+   * @param {Object} profile - Profile definition
+   * @param {string} [mode] - Output mode whose unused profile reference fields are not required
+   * @returns {Object} JSON Schema
+   */
+  createSchema(profile, mode = null) {
     const properties = {
       ...profile.required,
       ...profile.recommended,
       ...profile.optional
     };
 
+    let required = Object.keys(profile.required);
+    if (mode) {
+      const config = new ModeConfig(mode).getConfig();
+      required = required.filter(field => !MODE_FIELDS[field] || config[MODE_FIELDS[field]]);
+    }
+
     return {
       type: 'object',
       properties,
-      required: Object.keys(profile.required),
+      required,
       additionalProperties: true
     };
   }
@@ -502,6 +624,168 @@ class ProfileValidator {
     };
   }
 
+  /**
+   * Validate a stream of JSONL records with bounded memory
+   *
+   * Reads the input chunk by chunk and yields one result per non-empty line,
+   * so only the current line is held in memory and a slow consumer applies
+   * backpressure to the stream. Lines that are not valid JSON yield a result
+   * with `valid: false` and a parse error instead of aborting the stream.
+   *
+   * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>|string} input - Readable stream,
+   *   any (async) iterable of text chunks, or a file path
+   * @param {string} [profileType] - Profile to validate every record against; when omitted each
+   *   record is validated with {@link ProfileValidator#validateDocument}
+   * @returns {AsyncGenerator<Object>} Validation results with the 1-based `line` number
+   *
+   * @example
+   * let invalid = 0;
+   * for await (const result of validator.validateStream('catalogue.jsonl', 'Product')) {
+   *   if (!result.valid) invalid++;
+   * }
+   */
+  async *validateStream(input, profileType) {
+    const source = typeof input === 'string'
+      ? fs.createReadStream(input, { encoding: 'utf8' })
+      : input;
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let line = 0;
+
+    const validateLine = (text) => {
+      line++;
+      if (!text.trim()) return null;
+
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return { line, valid: false, errors: [`Invalid JSON: ${error.message}`], warnings: [] };
+      }
+      return { line, ...(profileType ? this.validate(data, profileType) : this.validateDocument(data)) };
+    };
+
+    for await (const chunk of source) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      let newline = buffer.indexOf('\n');
+      while (newline !== -1) {
+        const result = validateLine(buffer.slice(0, newline).replace(/\r$/, ''));
+        buffer = buffer.slice(newline + 1);
+        if (result) yield result;
+        newline = buffer.indexOf('\n');
+      }
+    }
+
+    buffer += decoder.decode();
+    const result = validateLine(buffer.replace(/\r$/, ''));
+    if (result) yield result;
+  }
+
+  /**
+   * Validate every node in a JSON-LD document
+   *
+   * Walks top-level arrays and `@graph`s, detects the profile of each node
+   * (see {@link detectProfileType}) and validates it. Nodes that match no
+   * profile, such as an ImageObject next to an Article, are reported as
+   * unmatched and do not affect the document's validity. Graph nodes inherit
+   * the `@context` of the object that contains the graph.
+   *
+   * @param {Object|Array} document - JSON-LD document
+   * @returns {Object} Document report with `valid`, `summary` and per-node `nodes`
+   *
+   * @example
+   * const report = validator.validateDocument({
+   *   "@context": "https://schema.org",
+   *   "@graph": [
+   *     { "@type": "Article", "headline": "Hello" },
+   *     { "@type": "ImageObject", "contentUrl": "https://example.com/cover.png" }
+   *   ]
+   * });
+   * console.log(report.summary); // { total: 2, validated: 1, valid: 0, invalid: 1, unmatched: 1, ... }
+   * console.log(report.nodes[0].path, report.nodes[0].profileType); // '@graph[0]' 'Article'
+   */
+  validateDocument(document) {
+    if (!document || typeof document !== 'object') {
+      return {
+        valid: false,
+        errors: ['Document must be a JSON-LD object or array'],
+        summary: this.summarizeDocument([]),
+        nodes: []
+      };
+    }
+
+    const nodes = this.collectDocumentNodes(document).map(({ node, path, context }, index) => {
+      const detected = detectProfileType(node, this.profiles);
+      const report = {
+        index,
+        path,
+        '@type': node['@type'] || null,
+        '@id': node['@id'] || null,
+        profileType: detected ? detected.profileType : null,
+        detectedBy: detected ? detected.detectedBy : null
+      };
+
+      if (!detected) {
+        return { ...report, valid: null, errors: [], warnings: [] };
+      }
+
+      const data = context !== undefined && node['@context'] === undefined
+        ? { '@context': context, ...node }
+        : node;
+      return { ...report, ...this.validate(data, detected.profileType) };
+    });
+
+    const summary = this.summarizeDocument(nodes);
+    return {
+      valid: summary.validated > 0 && summary.invalid === 0,
+      errors: summary.validated === 0 ? ['No node in the document matches a known profile'] : [],
+      summary,
+      nodes
+    };
+  }
+
+  /**
+   * Collect the node objects of a document with their JSON paths
+   * @private
+   */
+  collectDocumentNodes(value, path = '$', context = undefined, nodes = []) {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => this.collectDocumentNodes(item, path === '$' ? `[${i}]` : `${path}[${i}]`, context, nodes));
+    } else if (value && typeof value === 'object') {
+      const activeContext = value['@context'] !== undefined ? value['@context'] : context;
+      if (value['@graph'] !== undefined && value['@type'] === undefined) {
+        const graphPath = path === '$' ? '@graph' : `${path}['@graph']`;
+        this.collectDocumentNodes(value['@graph'], graphPath, activeContext, nodes);
+      } else {
+        nodes.push({ node: value, path, context });
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Summarize per-node document results
+   * @private
+   */
+  summarizeDocument(nodes) {
+    const validated = nodes.filter(n => n.profileType);
+    const profiles = {};
+    validated.forEach(n => {
+      profiles[n.profileType] = (profiles[n.profileType] || 0) + 1;
+    });
+
+    return {
+      total: nodes.length,
+      validated: validated.length,
+      valid: validated.filter(n => n.valid).length,
+      invalid: validated.filter(n => !n.valid).length,
+      unmatched: nodes.length - validated.length,
+      withWarnings: validated.filter(n => n.warnings.length > 0).length,
+      errorCount: validated.reduce((sum, n) => sum + n.errors.length, 0),
+      profiles
+    };
+  }
+
   /**
    * Get validation statistics for a dataset
    * @param {Array} dataArray - Array of data objects
@@ -513,7 +797,7 @@ class ProfileValidator {
     const { summary, results } = batchResult;
 
     // Calculate field coverage statistics
-    const profile = this.profiles[profileType];
+    const profile = this.profiles[resolveProfileType(profileType, this.profiles)];
     const allFields = [
       ...Object.keys(profile.required || {}),
       ...Object.keys(profile.recommended || {}),
@@ -647,5 +931,53 @@ class ProfileValidator {
   }
 }
 
-module.exports = { ProfileValidator };
+/**
+ * Generate standalone validator code for the bundled profiles
+ *
+ * Compiles the schema of every profile for each requested mode ahead of time
+ * and returns a CommonJS module that exports one validate function per
+ * profile and mode. Write it to a file at build time and load it with the
+ * `precompiled` option or {@link ValidatorCache#loadPrecompiled} so no schema
+ * is compiled at runtime. The generated code requires `ajv-formats`.
+ *
+ * @param {Object} [options] - Generation options
+ * @param {Array<string|null>} [options.modes=[null]] - Modes to compile for (see the `mode` option of
+ *   {@link ProfileValidator}); `null` compiles the schema as published
+ * @param {string[]} [options.profiles] - Profile types to include (defaults to all profiles)
+ * @returns {string} Module source code
+ *
+ * @example
+ * fs.writeFileSync('build/validators.js', generateStandaloneValidators());
+ * const validator = new ProfileValidator(true, { precompiled: 'build/validators.js' });
+ */
+function generateStandaloneValidators(options = {}) {
+  const validator = new ProfileValidator(false, { cache: false });
+  const modes = options.modes || [null];
+  const profileTypes = (options.profiles || Object.keys(validator.profiles)).map(profileType => {
+    const key = resolveProfileType(profileType, validator.profiles);
+    if (!key) throw new Error(`Unknown profile type: ${profileType}`);
+    return key;
+  });
+
+  const ajv = new Ajv({
+    allErrors: true,
+    verbose: true,
+    strict: false,
+    code: { source: true }
+  });
+  addFormats(ajv);
+
+  const exportNames = {};
+  profileTypes.forEach(profileType => {
+    modes.forEach(mode => {
+      const key = ValidatorCache.getKey(profileType, mode);
+      ajv.addSchema(validator.createSchema(validator.profiles[profileType], mode), key);
+      exportNames[ValidatorCache.getExportName(key)] = key;
+    });
+  });
+
+  return standaloneCode(ajv, exportNames);
+}
+
+module.exports = { ProfileValidator, SCHEMA_SOURCES, generateStandaloneValidators };
 
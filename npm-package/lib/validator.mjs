@@ -5,23 +5,58 @@
 
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
+import standaloneModule from 'ajv/dist/standalone/index.js';
 import { defaultSanitizer } from './sanitizer.mjs';
+import { defaultSchemaRegistry } from './schema-loader.mjs';
+import { ShaclValidator } from './shacl.mjs';
+import { ValidatorCache, defaultValidatorCache } from './validator-cache.mjs';
+import { ModeConfig, getModeRevision } from './modes.mjs';
+import { resolveProfileType, detectProfileType } from './profile-types.mjs';
 import { 
   getFieldMetadata, 
   getAllFieldsMetadata, 
   getFieldSuggestions,
   FIELD_IMPORTANCE 
 } from './field-metadata.mjs';
-import { readFileSync } from 'fs';
+import { readFileSync, createReadStream } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const profiles = JSON.parse(readFileSync(join(__dirname, '../profiles/index.json'), 'utf8'));
+const standaloneCode = standaloneModule.default || standaloneModule;
+
+/**
+ * Schema sources the validator can check data against
+ */
+export const SCHEMA_SOURCES = {
+  INDEX: 'index',
+  PAGE: 'page'
+};
+
+/**
+ * Profile fields that carry the mode-specific profile reference, by the ModeConfig flag that emits them
+ * @private
+ */
+const MODE_FIELDS = {
+  additionalType: 'useAdditionalType',
+  schemaVersion: 'useSchemaVersion',
+  identifier: 'useIdentifier',
+  additionalProperty: 'useAdditionalProperty'
+};
 
 export class ProfileValidator {
-  constructor(sanitizeInputs = true) {
+  /**
+   * @param {boolean} [sanitizeInputs=true] - Whether to sanitize input data
+   * @param {Object} [options] - Additional configuration options
+   * @param {string} [options.schemaSource='index'] - 'index' for flattened profile definitions, 'page' for full page schemas
+   * @param {boolean} [options.shapes=false] - Whether to also evaluate the profile's SHACL shapes
+   * @param {string} [options.mode] - Output mode; profile reference fields the mode does not emit are not required
+   * @param {ValidatorCache|false} [options.cache] - Cache for compiled validators (defaults to `defaultValidatorCache`)
+   * @param {Object|string} [options.precompiled] - Standalone validators module (or its path) to load into the cache
+   */
+  constructor(sanitizeInputs = true, options = {}) {
     this.ajv = new Ajv({
       allErrors: true,
       verbose: true,
@@ -31,6 +66,22 @@ export class ProfileValidator {
     this.profiles = profiles;
     this.sanitizeInputs = sanitizeInputs;
     this.sanitizer = defaultSanitizer;
+    this.schemaSource = options.schemaSource || SCHEMA_SOURCES.INDEX;
+    this.schemaRegistry = options.schemaRegistry || defaultSchemaRegistry;
+    this.checkShapes = options.shapes === true;
+    this.shaclValidator = this.checkShapes
+      ? new ShaclValidator({ profiles: this.profiles, schemaRegistry: this.schemaRegistry })
+      : null;
+    this.mode = options.mode ? new ModeConfig(options.mode).mode : null;
+    this.cache = options.cache === false ? null : (options.cache || defaultValidatorCache);
+    if (options.precompiled) {
+      this.cache = this.cache || new ValidatorCache();
+      this.cache.loadPrecompiled(options.precompiled);
+    }
+
+    if (!Object.values(SCHEMA_SOURCES).includes(this.schemaSource)) {
+      throw new Error(`Invalid schema source: ${this.schemaSource}. Valid sources are: ${Object.values(SCHEMA_SOURCES).join(', ')}`);
+    }
   }
 
   /**
@@ -40,7 +91,8 @@ export class ProfileValidator {
    * @returns {Object} Validation result
    */
   validate(data, profileType) {
-    const profile = this.profiles[profileType];
+    const profileKey = resolveProfileType(profileType, this.profiles);
+    const profile = this.profiles[profileKey];
     if (!profile) {
       return {
         valid: false,
@@ -51,20 +103,20 @@ export class ProfileValidator {
 
     // Sanitize input data if enabled
     let sanitizedData = data;
+    let sanitizationLog = null;
     if (this.sanitizeInputs) {
-      sanitizedData = this.sanitizer.sanitizeStructuredData(data, profileType);
+      ({ data: sanitizedData, log: sanitizationLog } = this.sanitizer.sanitizeStructuredDataWithLog(data, profileType));
     }
 
-    // Create schema from profile definition
-    const schema = this.createSchema(profile);
-    const validate = this.ajv.compile(schema);
+    const validate = this.getSchemaValidator(profile, profileKey);
     const valid = validate(sanitizedData);
 
     const result = {
       valid,
       errors: this.formatErrors(validate.errors || [], profileType),
       warnings: this.checkRecommended(sanitizedData, profile),
-      sanitized: this.sanitizeInputs ? sanitizedData : null
+      sanitized: this.sanitizeInputs ? sanitizedData : null,
+      sanitizationLog
     };
 
     // Add Google Rich Results compliance check
@@ -78,24 +130,68 @@ export class ProfileValidator {
       result.securityWarnings = this.checkSecurityIssues(data, sanitizedData);
     }
 
+    // Enforce the semantic contract published in the profile's shapes graph
+    if (this.checkShapes) {
+      const shapeResult = this.shaclValidator.validate(sanitizedData, profileType);
+      result.shacl = {
+        conforms: shapeResult.valid,
+        errors: shapeResult.errors,
+        warnings: shapeResult.warnings
+      };
+      result.errors = result.errors.concat(shapeResult.errors);
+      result.valid = result.valid && shapeResult.valid;
+    }
+
     return result;
   }
 
   /**
-   * Create JSON Schema from profile definition
+   * Get the compiled schema validator for the configured schema source
+   *
+   * Validators are cached under the profiles/index.json key, the key
+   * generateStandaloneValidators() exports them with.
    * @private
    */
-  createSchema(profile) {
+  getSchemaValidator(profile, profileKey) {
+    if (this.schemaSource === SCHEMA_SOURCES.PAGE) {
+      // Compiled page schemas are cached by the registry
+      const pageValidator = this.schemaRegistry.getValidator(profile);
+      if (pageValidator) {
+        return pageValidator;
+      }
+    }
+
+    // Create schema from profile definition
+    const compile = () => this.ajv.compile(this.createSchema(profile, this.mode));
+    if (!this.cache) {
+      return compile();
+    }
+    return this.cache.get(ValidatorCache.getKey(profileKey, this.mode), compile, getModeRevision(this.mode));
+  }
+
+  /**
+   * Create JSON Schema from profile definition
+   * @param {Object} profile - Profile definition
+   * @param {string} [mode] - Output mode whose unused profile reference fields are not required
+   * @returns {Object} JSON Schema
+   */
+  createSchema(profile, mode = null) {
     const properties = {
       ...profile.required,
       ...profile.recommended,
       ...profile.optional
     };
 
+    let required = Object.keys(profile.required);
+    if (mode) {
+      const config = new ModeConfig(mode).getConfig();
+      required = required.filter(field => !MODE_FIELDS[field] || config[MODE_FIELDS[field]]);
+    }
+
     return {
       type: 'object',
       properties,
-      required: Object.keys(profile.required),
+      required,
       additionalProperties: true
     };
   }
@@ -438,6 +534,154 @@ export class ProfileValidator {
     };
   }
 
+  /**
+   * Validate a stream of JSONL records with bounded memory
+   * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>|string} input - Readable stream, iterable of text chunks, or file path
+   * @param {string} [profileType] - Profile for every record (detected per node when omitted)
+   * @returns {AsyncGenerator<Object>} Validation results with the 1-based `line` number
+   */
+  async *validateStream(input, profileType) {
+    const source = typeof input === 'string'
+      ? createReadStream(input, { encoding: 'utf8' })
+      : input;
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let line = 0;
+
+    const validateLine = (text) => {
+      line++;
+      if (!text.trim()) return null;
+
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return { line, valid: false, errors: [`Invalid JSON: ${error.message}`], warnings: [] };
+      }
+      return { line, ...(profileType ? this.validate(data, profileType) : this.validateDocument(data)) };
+    };
+
+    for await (const chunk of source) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      let newline = buffer.indexOf('\n');
+      while (newline !== -1) {
+        const result = validateLine(buffer.slice(0, newline).replace(/\r$/, ''));
+        buffer = buffer.slice(newline + 1);
+        if (result) yield result;
+        newline = buffer.indexOf('\n');
+      }
+    }
+
+    buffer += decoder.decode();
+    const result = validateLine(buffer.replace(/\r$/, ''));
+    if (result) yield result;
+  }
+
+  /**
+   * Validate every node in a JSON-LD document
+   *
+   * Walks top-level arrays and `@graph`s, detects the profile of each node
+   * (see {@link detectProfileType}) and validates it. Nodes that match no
+   * profile, such as an ImageObject next to an Article, are reported as
+   * unmatched and do not affect the document's validity. Graph nodes inherit
+   * the `@context` of the object that contains the graph.
+   *
+   * @param {Object|Array} document - JSON-LD document
+   * @returns {Object} Document report with `valid`, `summary` and per-node `nodes`
+   *
+   * @example
+   * const report = validator.validateDocument({
+   *   "@context": "https://schema.org",
+   *   "@graph": [
+   *     { "@type": "Article", "headline": "Hello" },
+   *     { "@type": "ImageObject", "contentUrl": "https://example.com/cover.png" }
+   *   ]
+   * });
+   * console.log(report.summary); // { total: 2, validated: 1, valid: 0, invalid: 1, unmatched: 1, ... }
+   * console.log(report.nodes[0].path, report.nodes[0].profileType); // '@graph[0]' 'Article'
+   */
+  validateDocument(document) {
+    if (!document || typeof document !== 'object') {
+      return {
+        valid: false,
+        errors: ['Document must be a JSON-LD object or array'],
+        summary: this.summarizeDocument([]),
+        nodes: []
+      };
+    }
+
+    const nodes = this.collectDocumentNodes(document).map(({ node, path, context }, index) => {
+      const detected = detectProfileType(node, this.profiles);
+      const report = {
+        index,
+        path,
+        '@type': node['@type'] || null,
+        '@id': node['@id'] || null,
+        profileType: detected ? detected.profileType : null,
+        detectedBy: detected ? detected.detectedBy : null
+      };
+
+      if (!detected) {
+        return { ...report, valid: null, errors: [], warnings: [] };
+      }
+
+      const data = context !== undefined && node['@context'] === undefined
+        ? { '@context': context, ...node }
+        : node;
+      return { ...report, ...this.validate(data, detected.profileType) };
+    });
+
+    const summary = this.summarizeDocument(nodes);
+    return {
+      valid: summary.validated > 0 && summary.invalid === 0,
+      errors: summary.validated === 0 ? ['No node in the document matches a known profile'] : [],
+      summary,
+      nodes
+    };
+  }
+
+  /**
+   * Collect the node objects of a document with their JSON paths
+   * @private
+   */
+  collectDocumentNodes(value, path = '$', context = undefined, nodes = []) {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => this.collectDocumentNodes(item, path === '$' ? `[${i}]` : `${path}[${i}]`, context, nodes));
+    } else if (value && typeof value === 'object') {
+      const activeContext = value['@context'] !== undefined ? value['@context'] : context;
+      if (value['@graph'] !== undefined && value['@type'] === undefined) {
+        const graphPath = path === '$' ? '@graph' : `${path}['@graph']`;
+        this.collectDocumentNodes(value['@graph'], graphPath, activeContext, nodes);
+      } else {
+        nodes.push({ node: value, path, context });
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Summarize per-node document results
+   * @private
+   */
+  summarizeDocument(nodes) {
+    const validated = nodes.filter(n => n.profileType);
+    const profiles = {};
+    validated.forEach(n => {
+      profiles[n.profileType] = (profiles[n.profileType] || 0) + 1;
+    });
+
+    return {
+      total: nodes.length,
+      validated: validated.length,
+      valid: validated.filter(n => n.valid).length,
+      invalid: validated.filter(n => !n.valid).length,
+      unmatched: nodes.length - validated.length,
+      withWarnings: validated.filter(n => n.warnings.length > 0).length,
+      errorCount: validated.reduce((sum, n) => sum + n.errors.length, 0),
+      profiles
+    };
+  }
+
   /**
    * Get validation statistics for a batch of data
    * @param {Array} dataArray - Array of data objects
@@ -454,7 +698,7 @@ export class ProfileValidator {
 
     // Calculate field coverage
     const fieldCoverage = {};
-    const profile = this.profiles[profileType];
+    const profile = this.profiles[resolveProfileType(profileType, this.profiles)];
     if (profile) {
       const allFields = [
         ...Object.keys(profile.required || {}),
@@ -508,5 +752,41 @@ export class ProfileValidator {
   }
 }
 
+/**
+ * Generate standalone validator code (a CommonJS module) for the bundled profiles
+ * @param {Object} [options] - Generation options
+ * @param {Array<string|null>} [options.modes=[null]] - Modes to compile for; `null` compiles the schema as published
+ * @param {string[]} [options.profiles] - Profile types to include (defaults to all profiles)
+ * @returns {string} Module source code
+ */
+export function generateStandaloneValidators(options = {}) {
+  const validator = new ProfileValidator(false, { cache: false });
+  const modes = options.modes || [null];
+  const profileTypes = (options.profiles || Object.keys(validator.profiles)).map(profileType => {
+    const key = resolveProfileType(profileType, validator.profiles);
+    if (!key) throw new Error(`Unknown profile type: ${profileType}`);
+    return key;
+  });
+
+  const ajv = new Ajv({
+    allErrors: true,
+    verbose: true,
+    strict: false,
+    code: { source: true }
+  });
+  addFormats(ajv);
+
+  const exportNames = {};
+  profileTypes.forEach(profileType => {
+    modes.forEach(mode => {
+      const key = ValidatorCache.getKey(profileType, mode);
+      ajv.addSchema(validator.createSchema(validator.profiles[profileType], mode), key);
+      exportNames[ValidatorCache.getExportName(key)] = key;
+    });
+  });
+
+  return standaloneCode(ajv, exportNames);
+}
+
 // Default export for CommonJS compatibility
 export default ProfileValidator;
@@ -0,0 +1,81 @@
+/**
+ * BreadcrumbList profile definition
+ * ES Module version
+ */
+
+export const breadcrumblistProfile = {
+  "type": "BreadcrumbList",
+  "category": "content",
+  "schemaType": "https://schema.org/BreadcrumbList",
+  "profileUrl": "https://llmprofiles.org/profiles/content/breadcrumblist/v1/index.jsonld",
+  "description": "An ordered trail of links from the site root to the current page, shown as breadcrumbs in search results.",
+  "required": {
+    "@type": {
+      "const": "BreadcrumbList"
+    },
+    "itemListElement": {
+      "type": "array"
+    },
+    "additionalType": {
+      "const": "https://llmprofiles.org/profiles/content/breadcrumblist/v1/index.jsonld"
+    },
+    "schemaVersion": {
+      "const": "https://llmprofiles.org/profiles/content/breadcrumblist/v1/index.jsonld"
+    },
+    "identifier": {
+      "const": "https://llmprofiles.org/profiles/content/breadcrumblist/v1/index.jsonld"
+    },
+    "additionalProperty": {
+      "type": "object",
+      "properties": {
+        "@type": {
+          "const": "PropertyValue"
+        },
+        "name": {
+          "const": "profile"
+        },
+        "value": {
+          "const": "https://llmprofiles.org/profiles/content/breadcrumblist/v1/index.jsonld"
+        }
+      },
+      "required": [
+        "@type",
+        "name",
+        "value"
+      ]
+    }
+  },
+  "recommended": {
+    "@context": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "@id": {
+      "type": "string"
+    },
+    "name": {
+      "type": "string",
+      "minLength": 1
+    },
+    "numberOfItems": {
+      "type": "integer",
+      "minimum": 1
+    }
+  },
+  "optional": {},
+  "googleRichResults": [
+    "itemListElement"
+  ],
+  "llmOptimized": [
+    "itemListElement",
+    "name"
+  ]
+};
+
+export default breadcrumblistProfile;
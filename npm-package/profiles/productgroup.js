@@ -0,0 +1,127 @@
+/**
+ * ProductGroup profile definition
+ * CommonJS version
+ */
+
+const productgroupProfile = {
+  "type": "ProductGroup",
+  "category": "business",
+  "schemaType": "https://schema.org/ProductGroup",
+  "profileUrl": "https://llmprofiles.org/profiles/business/product-group/v1/index.jsonld",
+  "description": "A group of product variants, such as sizes or colors of the same item, with shared properties and one offer per variant.",
+  "required": {
+    "@type": {
+      "const": "ProductGroup"
+    },
+    "name": {
+      "type": "string",
+      "minLength": 3
+    },
+    "productGroupID": {
+      "type": "string",
+      "minLength": 1
+    },
+    "variesBy": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "hasVariant": {
+      "type": "array"
+    },
+    "additionalType": {
+      "const": "https://llmprofiles.org/profiles/business/product-group/v1/index.jsonld"
+    },
+    "schemaVersion": {
+      "const": "https://llmprofiles.org/profiles/business/product-group/v1/index.jsonld"
+    },
+    "identifier": {
+      "const": "https://llmprofiles.org/profiles/business/product-group/v1/index.jsonld"
+    },
+    "additionalProperty": {
+      "type": "object",
+      "properties": {
+        "@type": {
+          "const": "PropertyValue"
+        },
+        "name": {
+          "const": "profile"
+        },
+        "value": {
+          "const": "https://llmprofiles.org/profiles/business/product-group/v1/index.jsonld"
+        }
+      },
+      "required": [
+        "@type",
+        "name",
+        "value"
+      ]
+    }
+  },
+  "recommended": {
+    "@context": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "description": {
+      "type": "string",
+      "minLength": 1
+    },
+    "brand": {
+      "type": "object"
+    },
+    "category": {
+      "type": "string"
+    },
+    "image": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "object"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "aggregateRating": {
+      "type": "object"
+    },
+    "review": {
+      "type": "array"
+    },
+    "url": {
+      "type": "string"
+    }
+  },
+  "optional": {},
+  "googleRichResults": [
+    "name",
+    "productGroupID",
+    "variesBy",
+    "hasVariant",
+    "image"
+  ],
+  "llmOptimized": [
+    "name",
+    "description",
+    "brand",
+    "variesBy",
+    "hasVariant"
+  ]
+};
+
+module.exports = productgroupProfile;
@@ -0,0 +1,155 @@
+/**
+ * WebPage profile definition
+ * CommonJS version
+ */
+
+const webpageProfile = {
+  "type": "WebPage",
+  "category": "content",
+  "schemaType": "https://schema.org/WebPage",
+  "profileUrl": "https://llmprofiles.org/profiles/content/webpage/v1/index.jsonld",
+  "description": "A single page of a website, tying together its breadcrumb trail, main entity and the website it belongs to.",
+  "required": {
+    "@type": {
+      "const": "WebPage"
+    },
+    "name": {
+      "type": "string",
+      "minLength": 1
+    },
+    "url": {
+      "type": "string",
+      "minLength": 1
+    },
+    "additionalType": {
+      "const": "https://llmprofiles.org/profiles/content/webpage/v1/index.jsonld"
+    },
+    "schemaVersion": {
+      "const": "https://llmprofiles.org/profiles/content/webpage/v1/index.jsonld"
+    },
+    "identifier": {
+      "const": "https://llmprofiles.org/profiles/content/webpage/v1/index.jsonld"
+    },
+    "additionalProperty": {
+      "type": "object",
+      "properties": {
+        "@type": {
+          "const": "PropertyValue"
+        },
+        "name": {
+          "const": "profile"
+        },
+        "value": {
+          "const": "https://llmprofiles.org/profiles/content/webpage/v1/index.jsonld"
+        }
+      },
+      "required": [
+        "@type",
+        "name",
+        "value"
+      ]
+    }
+  },
+  "recommended": {
+    "@context": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "@id": {
+      "type": "string"
+    },
+    "description": {
+      "type": "string",
+      "minLength": 1
+    },
+    "breadcrumb": {
+      "anyOf": [
+        {
+          "type": "object"
+        },
+        {
+          "type": "object"
+        }
+      ]
+    },
+    "mainEntity": {
+      "anyOf": [
+        {
+          "type": "object"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "isPartOf": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "object"
+        }
+      ]
+    },
+    "about": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "object"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "datePublished": {
+      "type": "string"
+    },
+    "dateModified": {
+      "type": "string"
+    },
+    "inLanguage": {
+      "type": "string"
+    },
+    "primaryImageOfPage": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "object"
+        }
+      ]
+    },
+    "speakable": {
+      "type": "object"
+    },
+    "lastReviewed": {
+      "type": "string"
+    }
+  },
+  "optional": {},
+  "googleRichResults": [
+    "name",
+    "url",
+    "breadcrumb"
+  ],
+  "llmOptimized": [
+    "name",
+    "description",
+    "breadcrumb",
+    "mainEntity",
+    "isPartOf"
+  ]
+};
+
+module.exports = webpageProfile;
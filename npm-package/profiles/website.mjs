@@ -0,0 +1,122 @@
+/**
+ * WebSite profile definition
+ * ES Module version
+ */
+
+export const websiteProfile = {
+  "type": "WebSite",
+  "category": "content",
+  "schemaType": "https://schema.org/WebSite",
+  "profileUrl": "https://llmprofiles.org/profiles/content/website/v1/index.jsonld",
+  "description": "A website as a whole, with its name, publisher and the site search it offers.",
+  "required": {
+    "@type": {
+      "const": "WebSite"
+    },
+    "name": {
+      "type": "string",
+      "minLength": 1
+    },
+    "url": {
+      "type": "string",
+      "minLength": 1
+    },
+    "additionalType": {
+      "const": "https://llmprofiles.org/profiles/content/website/v1/index.jsonld"
+    },
+    "schemaVersion": {
+      "const": "https://llmprofiles.org/profiles/content/website/v1/index.jsonld"
+    },
+    "identifier": {
+      "const": "https://llmprofiles.org/profiles/content/website/v1/index.jsonld"
+    },
+    "additionalProperty": {
+      "type": "object",
+      "properties": {
+        "@type": {
+          "const": "PropertyValue"
+        },
+        "name": {
+          "const": "profile"
+        },
+        "value": {
+          "const": "https://llmprofiles.org/profiles/content/website/v1/index.jsonld"
+        }
+      },
+      "required": [
+        "@type",
+        "name",
+        "value"
+      ]
+    }
+  },
+  "recommended": {
+    "@context": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "@id": {
+      "type": "string"
+    },
+    "alternateName": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "description": {
+      "type": "string",
+      "minLength": 1
+    },
+    "inLanguage": {
+      "type": "string"
+    },
+    "publisher": {
+      "type": "object"
+    },
+    "potentialAction": {
+      "anyOf": [
+        {
+          "type": "object"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    },
+    "sameAs": {
+      "anyOf": [
+        {
+          "type": "string"
+        },
+        {
+          "type": "array"
+        }
+      ]
+    }
+  },
+  "optional": {},
+  "googleRichResults": [
+    "name",
+    "url",
+    "potentialAction"
+  ],
+  "llmOptimized": [
+    "name",
+    "description",
+    "publisher",
+    "potentialAction"
+  ]
+};
+
+export default websiteProfile;
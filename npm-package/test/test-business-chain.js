@@ -0,0 +1,160 @@
+/**
+ * Test BusinessChainBuilder branch tables, departments and set validation
+ */
+
+const assert = require('assert');
+const {
+  BusinessChainBuilder,
+  BRANCH_COLUMNS,
+  LocalBusinessBuilder,
+  OrganizationBuilder,
+  SCHEMA_SOURCES,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing Business Chain Builder ===\n');
+
+const baseUrl = 'https://megamart.example/stores';
+const createChain = () => new BusinessChainBuilder({ baseUrl })
+  .organization(new OrganizationBuilder().name('MegaMart').url('https://megamart.example/'))
+  .template({ priceRange: '$$', openingHours: 'Mo-Su 07:00-23:00' })
+  .department('pharmacy', { '@type': 'Pharmacy', name: 'MegaMart Pharmacy', openingHours: 'Mo-Fr 09:00-19:00' })
+  .department('service-desk', { name: 'Service Desk' });
+
+// Test 1: LocalBusinessBuilder chain setters
+console.log('1. LocalBusiness setters:');
+const store = new LocalBusinessBuilder()
+  .name('Corner Store')
+  .branchCode(' 042 ')
+  .parentOrganization('Corner Group')
+  .branchOf(new OrganizationBuilder().name('Corner Group').url('https://corner.example/'))
+  .addDepartment({ '@type': 'Bakery', name: 'Bakery', telephone: '+1-555-0199' })
+  .addDepartment({ name: 'Deli' })
+  .addDepartment({ name: 'Bakery', openingHours: 'Mo-Sa 06:00-12:00' })
+  .addDepartment({ telephone: '+1-555-0100' });
+console.log(JSON.stringify(store.data.department));
+assert.strictEqual(store.data.branchCode, '042');
+assert.deepStrictEqual(store.data.parentOrganization, { "@type": "Organization", "name": "Corner Group" });
+assert.strictEqual(store.data.branchOf.url, 'https://corner.example/');
+assert.deepStrictEqual(store.data.department.map(department => department.name), ['Bakery', 'Deli']);
+assert.strictEqual(store.data.department[0]['@type'], 'LocalBusiness');
+assert.strictEqual(store.data.department[0].openingHours, 'Mo-Sa 06:00-12:00');
+assert.strictEqual(store.data.department[1]['@type'], 'LocalBusiness');
+assert.strictEqual(new LocalBusinessBuilder().addDepartment({ '@type': 'Pharmacy', name: 'Rx' }).data.department['@type'], 'Pharmacy');
+console.log('');
+
+// Test 2: CSV branch tables
+console.log('2. CSV:');
+assert.strictEqual(BRANCH_COLUMNS.zip, 'postalCode');
+const csv = [
+  'Store ID,Name,Street,City,State,ZIP,Country,Lat,Lng,Phone,Hours,departments,pharmacy.phone',
+  '101,,"1 Main St, Suite 2",Springfield,IL,62701,US,39.8017,-89.6436,+1-555-0101,Mo-Sa 08:00-22:00,pharmacy;service-desk,+1-555-0111',
+  '102,"MegaMart ""Express""",9 Oak Ave,Peoria,IL,61602,US,40.6936,-89.5890,+1-555-0102,,service-desk,'
+].join('\n');
+const chain = createChain().branches(csv);
+const [first, second] = chain.build();
+console.log(JSON.stringify(first));
+assert.strictEqual(first['@id'], `${baseUrl}#branch-101`);
+assert.strictEqual(first.name, 'MegaMart');
+assert.strictEqual(first.branchCode, '101');
+assert.strictEqual(first.priceRange, '$$');
+assert.strictEqual(first.openingHours, 'Mo-Sa 08:00-22:00');
+assert.strictEqual(second.openingHours, 'Mo-Su 07:00-23:00');
+assert.deepStrictEqual(first.address, {
+  "@type": "PostalAddress",
+  "streetAddress": "1 Main St, Suite 2",
+  "addressLocality": "Springfield",
+  "addressRegion": "IL",
+  "postalCode": "62701",
+  "addressCountry": "US"
+});
+assert.deepStrictEqual(first.geo, { "@type": "GeoCoordinates", "latitude": 39.8017, "longitude": -89.6436 });
+assert.ok(/Express/.test(second.name));
+
+// Both links point at the organization
+const link = { "@type": "Organization", "@id": `${baseUrl}#organization`, "name": "MegaMart", "url": "https://megamart.example/" };
+assert.deepStrictEqual(first.parentOrganization, link);
+assert.deepStrictEqual(first.branchOf, link);
+
+// Departments are selected per row and take dotted overrides
+assert.deepStrictEqual(first.department.map(department => department.name), ['MegaMart Pharmacy', 'Service Desk']);
+assert.strictEqual(first.department[0]['@type'], 'Pharmacy');
+assert.strictEqual(first.department[0].telephone, '+1-555-0111');
+assert.strictEqual(second.department.name, 'Service Desk');
+
+// Semicolon separated tables
+const semicolons = createChain().branches('id;city;phone\nA1;Lyon;+33 4 00 00 00 01\nA2;Nice;+33 4 00 00 00 02').getBranches();
+assert.deepStrictEqual(semicolons.map(builder => builder.data.address.addressLocality), ['Lyon', 'Nice']);
+console.log('');
+
+// Test 3: JSON branch tables
+console.log('3. JSON:');
+const json = JSON.stringify([
+  { storeNumber: 7, address: '5 Elm St, Austin, TX 78701', telephone: '+1-555-0107', departments: { pharmacy: { telephone: '+1-555-0117' } } },
+  { name: 'MegaMart Round Rock', city: 'Round Rock', phone: '+1-555-0108', departments: [] }
+]);
+const fromJson = createChain().branches(json).getBranches().map(builder => builder.data);
+assert.deepStrictEqual(fromJson[0].address, {
+  "@type": "PostalAddress",
+  "streetAddress": "5 Elm St",
+  "addressLocality": "Austin",
+  "addressRegion": "TX",
+  "postalCode": "78701",
+  "addressCountry": "US"
+});
+assert.strictEqual(fromJson[0].department.name, 'MegaMart Pharmacy');
+assert.strictEqual(fromJson[0].department.telephone, '+1-555-0117');
+assert.strictEqual(fromJson[1].department, undefined);
+assert.strictEqual(fromJson[1]['@id'], `${baseUrl}#branch-megamart-round-rock-round-rock`);
+assert.throws(() => createChain().branches('[{"id": 1'), /Cannot parse branch table/);
+
+// Branches without a code get an @id from name and city, made unique
+const unnamed = createChain().addBranch({ city: 'Austin' }).addBranch({ city: 'Austin' }).getBranches();
+assert.deepStrictEqual(unnamed.map(builder => builder.data['@id']), [
+  `${baseUrl}#branch-megamart-austin`,
+  `${baseUrl}#branch-megamart-austin-2`
+]);
+console.log('');
+
+// Test 4: Set validation
+console.log('4. Validation:');
+assert.deepStrictEqual(chain.validate(), { valid: true, branches: 2, errors: [], warnings: [] });
+
+const broken = createChain().branches([
+  { id: 'S1', street: '1 Main St', city: 'Springfield', lat: 39.8017, lng: -89.6436, phone: '+1 555 0101', floor: 2 },
+  { id: 'S2', street: '2 Main St', city: 'Springfield', lat: '39.801700', lng: '-89.643600', phone: '+1-555-0101' },
+  { id: 'S1', street: '3 Main St', city: 'Springfield', lat: 95, lng: 10, phone: '+1-555-0103' },
+  { id: 'S4', city: 'Springfield' }
+]);
+const validation = broken.validate();
+console.log(JSON.stringify(validation));
+assert.strictEqual(validation.valid, false);
+assert.strictEqual(validation.branches, 4);
+assert.deepStrictEqual(validation.errors.map(error => error.field), [
+  'branches[3].telephone',
+  'branches[2].branchCode',
+  'branches[1].geo'
+]);
+assert.ok(validation.errors.some(error => error.field === 'branches[2].branchCode' && /branches\[0\]/.test(error.message)));
+assert.ok(validation.errors.some(error => error.field === 'branches[1].geo' && /branches\[0\]/.test(error.message)));
+assert.ok(validation.warnings.some(warning => warning.field === 'branches[1].telephone' && warning.severity === 'warning'));
+assert.ok(validation.warnings.some(warning => warning.field === 'branches[0].floor' && /Unknown column/.test(warning.message)));
+assert.ok(validation.warnings.some(warning => warning.field === 'branches[2].geo' && /Invalid coordinates/.test(warning.message)));
+
+// build() refuses an invalid set unless told to warn
+assert.throws(() => broken.build(), /Invalid branches: .*Use validate\(\)/);
+const originalWarn = console.warn;
+console.warn = () => {};
+assert.strictEqual(broken.build({ throwOnError: false }).length, 4);
+console.warn = originalWarn;
+assert.strictEqual(broken.build({ validate: false }).length, 4);
+console.log('');
+
+// Test 5: Page schema
+console.log('5. Page schema validation:');
+const page = validateStructuredData(first, 'LocalBusiness', { schemaSource: SCHEMA_SOURCES.PAGE });
+console.log(`   valid: ${page.valid}`);
+assert.strictEqual(page.valid, true, JSON.stringify(page.errors));
+console.log('');
+
+console.log('=== Business Chain Tests Complete ===');
@@ -0,0 +1,163 @@
+/**
+ * Test the llmprofiles command line interface
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, EXIT_CODES } = require('../lib/cli');
+const { ArticleBuilder, MODES, registerMode, unregisterMode } = require('../index.js');
+
+console.log('=== Testing CLI ===\n');
+
+/**
+ * Run the CLI with captured output
+ */
+function cli(...argv) {
+  const out = [];
+  const err = [];
+  const code = run(argv, {
+    stdout: { write: text => out.push(text) },
+    stderr: { write: text => err.push(text) },
+    cwd: dir
+  });
+  return { code, stdout: out.join(''), stderr: err.join('') };
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmprofiles-cli-'));
+
+const article = new ArticleBuilder(MODES.STRICT_SEO, false)
+  .headline('Command line validation')
+  .author('Jane Doe')
+  .datePublished('2024-01-01T00:00:00Z')
+  .build();
+
+fs.mkdirSync(path.join(dir, 'data', 'nested'), { recursive: true });
+fs.writeFileSync(path.join(dir, 'data', 'valid.json'), JSON.stringify(article, null, 2));
+fs.writeFileSync(path.join(dir, 'data', 'nested', 'invalid.jsonld'), JSON.stringify({ "@context": "https://schema.org", "@type": "Article" }));
+fs.writeFileSync(path.join(dir, 'data', 'broken.json'), '{\n  "@type": "Article",\n  "headline": }\n');
+fs.writeFileSync(path.join(dir, 'data', 'lines.jsonl'), `${JSON.stringify(article)}\n\n{"@type":"Thing"}\n`);
+fs.writeFileSync(path.join(dir, 'page.html'), `<html><head>
+<script type="application/ld+json">${JSON.stringify(article)}</script>
+</head></html>`);
+fs.writeFileSync(path.join(dir, 'fields.json'), JSON.stringify({
+  headline: 'Built from the CLI',
+  author: 'Jane Doe',
+  datePublished: '2024-01-01T00:00:00Z'
+}));
+
+try {
+  // Test 1: Valid files exit with 0
+  console.log('1. Valid input:');
+  let result = cli('validate', 'data/valid.json', 'page.html', 'data/lines.jsonl');
+  console.log(result.stdout);
+  assert.strictEqual(result.code, EXIT_CODES.SUCCESS);
+  assert.ok(result.stdout.includes('passed: 3'));
+  assert.ok(result.stdout.includes('skipped: 1'));
+
+  // Test 2: Globs, invalid data and parse errors exit with 1
+  console.log('2. Globs and failures:');
+  result = cli('validate', 'data/**/*.{json,jsonld}', '--format', 'json');
+  const report = JSON.parse(result.stdout);
+  console.log('Summary:', report.summary);
+  assert.strictEqual(result.code, EXIT_CODES.VALIDATION_FAILED);
+  assert.deepStrictEqual(report.results.map(r => path.basename(r.file)), ['broken.json', 'invalid.jsonld', 'valid.json']);
+  assert.strictEqual(report.results[0].status, 'error');
+  assert.strictEqual(report.results[0].line, 3);
+  assert.strictEqual(report.results[0].column, 15);
+  assert.strictEqual(report.results[1].status, 'failed');
+  assert.strictEqual(report.results[1].profileType, 'Article');
+  console.log('');
+
+  // Test 3: --profile overrides detection
+  console.log('3. Explicit profile:');
+  result = cli('validate', 'data/valid.json', '--profile', 'FAQPage', '--format', 'json');
+  assert.strictEqual(result.code, EXIT_CODES.VALIDATION_FAILED);
+  assert.strictEqual(JSON.parse(result.stdout).results[0].profileType, 'FAQPage');
+  console.log('Exit code:', result.code);
+  console.log('');
+
+  // Test 4: JUnit and SARIF reports
+  console.log('4. JUnit and SARIF:');
+  result = cli('validate', 'data', '--format', 'junit', '--output', 'report.xml');
+  const junit = fs.readFileSync(path.join(dir, 'report.xml'), 'utf8');
+  console.log(junit.split('\n').slice(0, 3).join('\n'));
+  assert.strictEqual(result.stdout, '');
+  assert.ok(junit.startsWith('<?xml'));
+  assert.ok(junit.includes('tests="5" failures="1" errors="1" skipped="1"'));
+
+  result = cli('validate', 'data/nested/invalid.jsonld', 'data/broken.json', '--format', 'sarif');
+  const sarif = JSON.parse(result.stdout);
+  const results = sarif.runs[0].results;
+  console.log('SARIF results:', results.map(r => `${r.ruleId}:${r.level}`).join(', '));
+  assert.strictEqual(sarif.version, '2.1.0');
+  assert.strictEqual(results[0].locations[0].physicalLocation.artifactLocation.uri, 'data/broken.json');
+  assert.deepStrictEqual(results[0].locations[0].physicalLocation.region, { startLine: 3, startColumn: 15 });
+  assert.ok(results.some(r => r.ruleId === 'schema-violation' && r.level === 'error'));
+  assert.ok(results.some(r => r.ruleId === 'recommended-field' && r.level === 'note'));
+  console.log('');
+
+  // Test 5: build, list, fields and example
+  console.log('5. Other commands:');
+  result = cli('build', 'Article', '--from', 'fields.json', '--mode', MODES.STANDARDS_HEADER);
+  const built = JSON.parse(result.stdout);
+  assert.strictEqual(result.code, EXIT_CODES.SUCCESS);
+  assert.strictEqual(built['@type'], 'Article');
+  assert.strictEqual(built.headline, 'Built from the CLI');
+
+  fs.writeFileSync(path.join(dir, 'partial.json'), JSON.stringify({ headline: 'Only a headline' }));
+  result = cli('build', 'Article', '--from', 'partial.json');
+  console.log('Incomplete build:', result.stderr.trim());
+  assert.strictEqual(result.code, EXIT_CODES.VALIDATION_FAILED);
+
+  result = cli('list', '--format', 'json');
+  const profiles = JSON.parse(result.stdout);
+  assert.ok(profiles.some(p => p.type === 'Faqpage' && p.schemaType === 'FAQPage'));
+
+  result = cli('fields', 'JobPosting');
+  assert.strictEqual(result.code, EXIT_CODES.SUCCESS);
+  assert.ok(result.stdout.startsWith('Required:'));
+
+  result = cli('example', 'Recipe');
+  assert.strictEqual(JSON.parse(result.stdout)['@type'], 'Recipe');
+
+  // Registered custom modes are accepted like built-in ones
+  registerMode('cli-conforms', { extends: MODES.STRICT_SEO, useAdditionalType: false, useConformsTo: true });
+  try {
+    result = cli('build', 'Article', '--from', 'fields.json', '--mode', 'cli-conforms');
+    assert.strictEqual(result.code, EXIT_CODES.SUCCESS, result.stderr);
+    assert.ok(JSON.parse(result.stdout).conformsTo);
+    assert.strictEqual(cli('example', 'Recipe', '--mode', 'cli-conforms').code, EXIT_CODES.SUCCESS);
+  } finally {
+    unregisterMode('cli-conforms');
+  }
+  result = cli('build', 'Article', '--from', 'fields.json', '--mode', 'cli-conforms');
+  assert.strictEqual(result.code, EXIT_CODES.USAGE_ERROR);
+  assert.ok(result.stderr.includes('Invalid mode: cli-conforms'));
+  console.log('build, list, fields and example work');
+  console.log('');
+
+  // Test 6: Usage errors exit with 2
+  console.log('6. Usage errors:');
+  [
+    ['validate'],
+    ['validate', 'missing/*.json'],
+    ['validate', 'data', '--format', 'xml'],
+    ['validate', 'data', '--unknown'],
+    ['fields', 'Unknown'],
+    ['build', 'Article'],
+    ['build', 'Unknown', '--from', 'fields.json'],
+    ['precompile'],
+    ['frobnicate']
+  ].forEach(args => {
+    const usage = cli(...args);
+    console.log(`${args.join(' ')} -> ${usage.code}`);
+    assert.strictEqual(usage.code, EXIT_CODES.USAGE_ERROR);
+  });
+  console.log('');
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('=== CLI Tests Complete ===');
@@ -0,0 +1,112 @@
+/**
+ * Test custom output modes registered with registerMode()
+ */
+
+const assert = require('assert');
+const {
+  ArticleBuilder,
+  ProductBuilder,
+  MODES,
+  ModeConfig,
+  ProfileValidator,
+  registerMode,
+  unregisterMode,
+  getAvailableModes,
+  createMinimalExample,
+  detectProfileType
+} = require('../index.js');
+
+console.log('=== Testing Custom Modes ===\n');
+
+const profileUrl = 'https://llmprofiles.org/profiles/content/article/v1/index.jsonld';
+
+function article(mode) {
+  return new ArticleBuilder(mode, false)
+    .headline('Custom modes')
+    .author('Jane Doe')
+    .datePublished('2024-01-01T00:00:00Z');
+}
+
+// Test 1: Registration
+console.log('1. Registering modes:');
+registerMode('seo-no-identifier', { useIdentifier: false });
+registerMode('conforms-split', {
+  extends: MODES.SPLIT_CHANNELS,
+  useAdditionalType: false,
+  useConformsTo: true,
+  includeLLMProfileTriples: false
+});
+console.log('Available:', getAvailableModes().join(', '));
+assert.ok(getAvailableModes().includes('conforms-split'));
+assert.strictEqual(new ModeConfig('seo-no-identifier').usesIdentifier(), false);
+assert.strictEqual(new ModeConfig('conforms-split').separatesLLMBlock(), true);
+assert.strictEqual(new ModeConfig(MODES.STRICT_SEO).usesConformsTo(), false);
+
+assert.throws(() => registerMode(MODES.STRICT_SEO, {}), /already registered/);
+assert.throws(() => registerMode('seo-no-identifier', {}), /already registered/);
+assert.throws(() => registerMode('typo', { useIdentifer: false }), /Unknown mode flag/);
+assert.throws(() => registerMode('not-boolean', { useIdentifier: 'no' }), /must be a boolean/);
+assert.throws(() => registerMode('bad-base', { extends: 'missing' }), /Invalid mode/);
+assert.throws(() => new ModeConfig('unregistered'), /Invalid mode/);
+console.log('');
+
+// Test 2: Builders honor the flags
+console.log('2. Builder output:');
+const withoutIdentifier = new ProductBuilder('seo-no-identifier', false)
+  .name('Widget')
+  .addProperty('identifier', 'GTIN-0001')
+  .build(null, { validate: false });
+console.log('identifier:', withoutIdentifier.identifier);
+assert.strictEqual(withoutIdentifier.identifier, 'GTIN-0001');
+assert.ok(withoutIdentifier.additionalType);
+
+const split = article('conforms-split').build();
+console.log('SEO keys:', Object.keys(split.seo).join(', '));
+console.log('LLM keys:', Object.keys(split.llm).join(', '));
+assert.strictEqual(split.seo.conformsTo, profileUrl);
+assert.strictEqual(split.seo.additionalType, undefined);
+['additionalType', 'schemaVersion', 'identifier', 'conformsTo', 'additionalProperty'].forEach(key => {
+  assert.strictEqual(split.llm[key], undefined, `${key} should not be in the LLM block`);
+});
+assert.strictEqual(split.llm.headline, 'Custom modes');
+
+// The built-in split mode keeps the profile triples in the LLM block
+const builtIn = article(MODES.SPLIT_CHANNELS).build();
+assert.strictEqual(builtIn.llm.identifier, 'https://llmprofiles.org/profiles/content/article/v1');
+
+// Overriding the mode at build time swaps the mode properties
+const overridden = article(MODES.STRICT_SEO).build('seo-no-identifier');
+assert.strictEqual(overridden.identifier, undefined);
+const back = article('seo-no-identifier').build(MODES.STRICT_SEO);
+assert.strictEqual(back.identifier, profileUrl);
+console.log('');
+
+// Test 3: Examples, detection and validation
+console.log('3. Examples and validation:');
+const example = createMinimalExample('Article', 'conforms-split');
+assert.strictEqual(example.conformsTo, profileUrl);
+assert.strictEqual(example.additionalType, undefined);
+assert.strictEqual(detectProfileType({ "@type": "Thing", "conformsTo": profileUrl }).profileType, 'Article');
+
+const result = new ProfileValidator(true, { mode: 'conforms-split' }).validate(split.seo, 'Article');
+console.log('Valid in its own mode:', result.valid);
+assert.strictEqual(result.valid, true);
+assert.strictEqual(new ProfileValidator().validate(split.seo, 'Article').valid, false);
+console.log('');
+
+// Test 4: Unregistering
+console.log('4. Unregistering:');
+assert.strictEqual(unregisterMode('seo-no-identifier'), true);
+assert.strictEqual(unregisterMode('seo-no-identifier'), false);
+assert.throws(() => unregisterMode(MODES.STRICT_SEO), /cannot be unregistered/);
+assert.throws(() => new ModeConfig('seo-no-identifier'), /Invalid mode/);
+console.log('Removed seo-no-identifier');
+
+// A mode registered again under the same name is not validated with the old mode's cached validator
+unregisterMode('conforms-split');
+registerMode('conforms-split', { extends: MODES.STRICT_SEO });
+assert.strictEqual(new ProfileValidator(true, { mode: 'conforms-split' }).validate(split.seo, 'Article').valid, false);
+unregisterMode('conforms-split');
+console.log('');
+
+console.log('=== Custom Mode Tests Complete ===');
@@ -0,0 +1,149 @@
+/**
+ * Test ISO 8601 duration and date helpers and their use in builders
+ */
+
+const assert = require('assert');
+const {
+  parseDuration,
+  formatDuration,
+  normalizeDuration,
+  addDurations,
+  normalizeDateTime,
+  checkTiming,
+  RecipeBuilder,
+  HowToBuilder,
+  VideoObjectBuilder,
+  EventBuilder,
+  CourseBuilder
+} = require('../index.js');
+
+console.log('=== Testing Durations and Dates ===\n');
+
+// Test 1: Duration parsing
+console.log('1. Durations:');
+[
+  ['PT1H30M', 'PT1H30M'],
+  ['PT90M', 'PT1H30M'],
+  ['1h 30m', 'PT1H30M'],
+  ['1h30m', 'PT1H30M'],
+  ['1 hour and 30 minutes', 'PT1H30M'],
+  ['90 min', 'PT1H30M'],
+  [5400, 'PT1H30M'],
+  ['45', 'PT45S'],
+  [{ minutes: 15 }, 'PT15M'],
+  [{ hours: 1, minutes: 5 }, 'PT1H5M'],
+  ['P1DT2H', 'PT26H'],
+  ['PT1.5S', 'PT1.5S'],
+  [0, 'PT0S']
+].forEach(([input, expected]) => {
+  assert.strictEqual(normalizeDuration(input), expected, `${JSON.stringify(input)} → ${expected}`);
+});
+// Months and years have no fixed length; malformed values are rejected
+['P1M', 'P1Y', 'PT', 'P', 'abc', '1h foo', '', -1, { fortnights: 1 }, {}, null].forEach(input => {
+  assert.strictEqual(normalizeDuration(input), null, `${JSON.stringify(input)} is not a duration`);
+});
+assert.strictEqual(parseDuration('PT2H'), 7200);
+assert.strictEqual(formatDuration(3725), 'PT1H2M5S');
+assert.strictEqual(addDurations('PT15M', '1 hour', { seconds: 30 }), 'PT1H15M30S');
+assert.strictEqual(addDurations('PT15M', 'soon'), null);
+console.log('Durations normalized');
+console.log('');
+
+// Test 2: Dates and time zones
+console.log('2. Dates:');
+const instant = new Date('2024-06-15T07:00:00Z');
+assert.strictEqual(normalizeDateTime(instant), '2024-06-15T07:00:00.000Z');
+assert.strictEqual(normalizeDateTime(instant, { timeZone: 'Europe/Paris' }), '2024-06-15T09:00:00+02:00');
+assert.strictEqual(normalizeDateTime(instant, { timeZone: 'America/New_York' }), '2024-06-15T03:00:00-04:00');
+assert.strictEqual(normalizeDateTime(instant, { timeZone: 'Asia/Kolkata' }), '2024-06-15T12:30:00+05:30');
+assert.strictEqual(normalizeDateTime(instant, { timeZone: 'Mars/Olympus' }), null);
+assert.strictEqual(normalizeDateTime(instant.getTime()), '2024-06-15T07:00:00.000Z');
+// ISO strings are kept as written
+assert.strictEqual(normalizeDateTime('2024-06-15T09:00:00+02:00'), '2024-06-15T09:00:00+02:00');
+assert.strictEqual(normalizeDateTime('2024-06-15'), '2024-06-15');
+assert.strictEqual(normalizeDateTime('2024-06-15T23:30:00-05:00', { dateOnly: true }), '2024-06-15');
+assert.strictEqual(normalizeDateTime('June 15, 2024 10:00 UTC'), '2024-06-15T10:00:00.000Z');
+['2024-13-45', 'someday', '1800-01-01', '', '2024-02-30', '2024-02-31T10:00', '2023-02-29', '2024-04-31T08:00:00Z'].forEach(input => {
+  assert.strictEqual(normalizeDateTime(input), null, `${input} is not a date`);
+});
+// Leap days and month ends that exist are kept
+assert.strictEqual(normalizeDateTime('2024-02-29'), '2024-02-29');
+assert.strictEqual(normalizeDateTime('2024-04-30T08:00:00Z', { dateOnly: true }), '2024-04-30');
+// Strings without a time of day stay calendar dates in any time zone
+assert.strictEqual(normalizeDateTime('10 March 2024', { timeZone: 'America/New_York' }), '2024-03-10');
+assert.strictEqual(normalizeDateTime('March 10, 2024', { timeZone: 'Asia/Tokyo' }), '2024-03-10');
+assert.strictEqual(normalizeDateTime('10 March 2024', { timeZone: 'Mars/Olympus' }), null);
+console.log('Dates normalized');
+console.log('');
+
+// Test 3: Consistency checks
+console.log('3. checkTiming():');
+const issues = checkTiming({
+  prepTime: 'PT20M',
+  cookTime: 'PT30M',
+  totalTime: 'PT40M',
+  hasCourseInstance: [{ startDate: '2024-05-01', endDate: '2024-04-01' }]
+});
+issues.forEach(issue => console.log(`${issue.field}: ${issue.message}`));
+assert.deepStrictEqual(issues.map(i => i.field), ['totalTime', 'hasCourseInstance[0].endDate']);
+assert.deepStrictEqual(checkTiming({ prepTime: 'PT20M', cookTime: 'PT30M', totalTime: 'PT50M' }), []);
+assert.deepStrictEqual(checkTiming({ startDate: '2024-06-15T09:00:00+02:00', endDate: '2024-06-15T08:00:00Z' }), []);
+console.log('');
+
+// Test 4: Recipe times
+console.log('4. RecipeBuilder:');
+const recipe = new RecipeBuilder().name('Pie').prepTime('15 min').cookTime({ hours: 1 });
+console.log(recipe.data.prepTime, recipe.data.cookTime, recipe.data.totalTime);
+assert.strictEqual(recipe.data.prepTime, 'PT15M');
+assert.strictEqual(recipe.data.cookTime, 'PT1H');
+assert.strictEqual(recipe.data.totalTime, 'PT1H15M');
+recipe.cookTime('PT45M');
+assert.strictEqual(recipe.data.totalTime, 'PT1H');
+
+// An explicit total is kept, and flagged when shorter than its parts
+recipe.totalTime('30 minutes').prepTime('PT20M');
+assert.strictEqual(recipe.data.totalTime, 'PT30M');
+const warnings = recipe.validateInline().warnings.filter(w => w.field === 'totalTime');
+assert.strictEqual(warnings.length, 1);
+assert.ok(/shorter than prepTime \+ cookTime \(PT1H5M\)/.test(warnings[0].message));
+
+// Invalid input is ignored, or kept as given without sanitization
+assert.strictEqual(new RecipeBuilder().prepTime('a while').data.prepTime, undefined);
+assert.strictEqual(new RecipeBuilder(undefined, false).prepTime('a while').data.prepTime, 'a while');
+// Either way validateInline() reports it, until a valid value replaces it
+const bogus = new RecipeBuilder().name('Pie').prepTime('bogus');
+const unreadable = bogus.validateInline().warnings.filter(w => /is not a duration/.test(w.message));
+assert.deepStrictEqual(unreadable.map(w => [w.field, w.message]), [['prepTime', 'prepTime ("bogus") is not a duration']]);
+assert.ok(new RecipeBuilder(undefined, false).prepTime('a while').validateInline().warnings.some(w => w.message === 'prepTime ("a while") is not a duration'));
+bogus.prepTime('10 min');
+assert.ok(!bogus.validateInline().warnings.some(w => /is not a duration/.test(w.message)));
+console.log('');
+
+// Test 5: HowTo, VideoObject, Event and Course
+console.log('5. Other builders:');
+assert.strictEqual(new HowToBuilder().totalTime(5400).data.totalTime, 'PT1H30M');
+
+const video = new VideoObjectBuilder().duration('5m 30s').uploadDate(new Date('2024-06-15T23:30:00Z'), 'Asia/Tokyo');
+assert.strictEqual(video.data.duration, 'PT5M30S');
+assert.strictEqual(video.data.uploadDate, '2024-06-16');
+assert.strictEqual(new VideoObjectBuilder().uploadDate('not a date').data.uploadDate, undefined);
+
+const event = new EventBuilder()
+  .name('Summer Concert')
+  .startDate(instant, 'Europe/Paris')
+  .endDate('2024-06-15T06:00:00Z')
+  .duration({ hours: 2 });
+console.log(event.data.startDate, event.data.endDate, event.data.duration);
+assert.strictEqual(event.data.startDate, '2024-06-15T09:00:00+02:00');
+assert.strictEqual(event.data.duration, 'PT2H');
+assert.ok(event.validateInline().warnings.some(w => w.field === 'endDate' && /is before startDate/.test(w.message)));
+
+const course = new CourseBuilder()
+  .timeRequired('40 hours')
+  .addCourseInstance('Online', new Date('2024-09-01T00:00:00Z'), '2024-12-15');
+assert.strictEqual(course.data.timeRequired, 'PT40H');
+assert.strictEqual(course.data.hasCourseInstance[0].startDate, '2024-09-01T00:00:00.000Z');
+assert.strictEqual(course.data.hasCourseInstance[0].endDate, '2024-12-15');
+console.log('');
+
+console.log('=== Duration and Date Tests Complete ===');
@@ -0,0 +1,99 @@
+/**
+ * Test whole-document validation with per-node profile detection
+ */
+
+const assert = require('assert');
+const {
+  ArticleBuilder,
+  FAQPageBuilder,
+  MODES,
+  detectProfileType,
+  validateDocument
+} = require('../index.js');
+
+console.log('=== Testing Document Validation ===\n');
+
+const article = new ArticleBuilder(MODES.STRICT_SEO, false)
+  .headline('Structured data for humans and machines')
+  .author('Jane Doe')
+  .datePublished('2024-01-01T00:00:00Z')
+  .build();
+
+const faq = new FAQPageBuilder(MODES.STRICT_SEO, false)
+  .addQuestion('What is it?', 'A library.')
+  .build();
+
+// Test 1: Profile detection
+console.log('1. detectProfileType:');
+const detections = [
+  [{ "@type": "Article" }, 'Article', '@type'],
+  [{ "@type": ["Thing", "schema:FAQPage"] }, 'Faqpage', '@type'],
+  [{ "@type": "CreativeWork", "additionalType": "https://llmprofiles.org/profiles/content/book/v1/index.jsonld" }, 'Book', 'additionalType'],
+  [{ "@type": "Thing", "schemaVersion": "https://llmprofiles.org/profiles/content/howto/v1/index.jsonld" }, 'Howto', 'schemaVersion'],
+  [{ "@type": "Thing", "additionalProperty": [{ "@type": "PropertyValue", "name": "profile", "value": "https://llmprofiles.org/profiles/business/review/v1/index.jsonld" }] }, 'Review', 'additionalProperty']
+];
+detections.forEach(([node, profileType, detectedBy]) => {
+  const detected = detectProfileType(node);
+  console.log(`${JSON.stringify(node['@type'])} -> ${detected.profileType} (${detected.detectedBy})`);
+  assert.deepStrictEqual(detected, { profileType, detectedBy });
+});
+assert.strictEqual(detectProfileType({ "@type": "ItemList" }), null);
+// Standalone offers are not products
+assert.strictEqual(detectProfileType({ "@type": "Offer", "price": "10.00" }), null);
+console.log('');
+
+// Test 2: Mixed @graph document
+console.log('2. Mixed @graph document:');
+const { "@context": context, ...articleNode } = article;
+const document = {
+  "@context": context,
+  "@graph": [
+    articleNode,
+    { "@type": "ItemList", "itemListElement": [] },
+    { "@type": "Organization", "name": "News Corp" },
+    { "@type": "FAQPage", "mainEntity": [] }
+  ]
+};
+const report = validateDocument(document);
+console.log('Summary:', report.summary);
+report.nodes.forEach(n => console.log(`${n.path}: ${n.profileType || 'unmatched'} valid=${n.valid}`));
+assert.strictEqual(report.summary.total, 4);
+assert.strictEqual(report.summary.validated, 2);
+assert.strictEqual(report.summary.unmatched, 2);
+assert.strictEqual(report.nodes[0].path, '@graph[0]');
+assert.strictEqual(report.nodes[0].valid, true);
+assert.strictEqual(report.nodes[1].valid, null);
+assert.strictEqual(report.nodes[3].profileType, 'Faqpage');
+assert.strictEqual(report.nodes[3].valid, false);
+assert.strictEqual(report.valid, false);
+
+// An Offer node referenced by its product does not fail the document
+const offerReport = validateDocument({
+  "@context": "https://schema.org",
+  "@graph": [
+    { "@type": "Offer", "@id": "#offer", "price": "10.00", "priceCurrency": "USD" },
+    articleNode
+  ]
+});
+assert.strictEqual(offerReport.nodes[0].profileType, null);
+assert.strictEqual(offerReport.valid, true);
+console.log('');
+
+// Test 3: Arrays of nodes
+console.log('3. Array of nodes:');
+const arrayReport = validateDocument([article, faq]);
+arrayReport.nodes.forEach(n => console.log(`${n.path}: ${n.profileType} valid=${n.valid}`));
+assert.deepStrictEqual(arrayReport.nodes.map(n => n.path), ['[0]', '[1]']);
+assert.strictEqual(arrayReport.valid, true);
+assert.deepStrictEqual(arrayReport.summary.profiles, { Article: 1, Faqpage: 1 });
+console.log('');
+
+// Test 4: Documents without any known profile
+console.log('4. No matching profile:');
+const emptyReport = validateDocument({ "@context": "https://schema.org", "@type": "Person", "name": "Jane" });
+console.log('Valid:', emptyReport.valid, '| Errors:', emptyReport.errors);
+assert.strictEqual(emptyReport.valid, false);
+assert.strictEqual(emptyReport.summary.unmatched, 1);
+console.log('');
+
+console.log('=== Document Validation Tests Complete ===');
@@ -0,0 +1,217 @@
+/**
+ * Test the PersonBuilder and OrganizationBuilder entity builders
+ */
+
+const assert = require('assert');
+const {
+  PersonBuilder,
+  OrganizationBuilder,
+  EntityBuilder,
+  normalizeSameAs,
+  ArticleBuilder,
+  BookBuilder,
+  CourseBuilder,
+  EventBuilder,
+  JobPostingBuilder,
+  ProductBuilder,
+  DatasetBuilder,
+  SoftwareApplicationBuilder,
+  FAQPageBuilder,
+  QAPageBuilder,
+  WebSiteBuilder,
+  WebPageBuilder,
+  GraphBuilder,
+  createBuilder,
+  buildFromObject
+} = require('../index.js');
+
+console.log('=== Testing Entity Builders ===\n');
+
+// Test 1: sameAs normalization
+console.log('1. sameAs links:');
+const links = {
+  'Q42': 'https://www.wikidata.org/wiki/Q42',
+  'wikidata:q42': 'https://www.wikidata.org/wiki/Q42',
+  'http://wikidata.org/entity/Q42': 'https://www.wikidata.org/wiki/Q42',
+  '0000-0002-1825-0097': 'https://orcid.org/0000-0002-1825-0097',
+  'https://orcid.org/0000-0001-5109-3700/': 'https://orcid.org/0000-0001-5109-3700',
+  '0000-0002-1825-0098': null,
+  'https://uk.linkedin.com/in/janedoe/?trk=public_profile': 'https://www.linkedin.com/in/janedoe',
+  'https://www.linkedin.com/company/example-news/about/': 'https://www.linkedin.com/company/example-news',
+  'https://en.wikipedia.org/wiki/Douglas_Adams': 'https://en.wikipedia.org/wiki/Douglas_Adams',
+  'javascript:alert(1)': null,
+  'Jane Doe': null
+};
+Object.entries(links).forEach(([input, expected]) => {
+  console.log(`   ${input} → ${normalizeSameAs(input)}`);
+  assert.strictEqual(normalizeSameAs(input), expected, input);
+});
+
+const merged = new PersonBuilder().sameAs('Q42', 'https://www.wikidata.org/wiki/Q42').sameAs(['nope', '0000-0002-1825-0097']);
+assert.deepStrictEqual(merged.data.sameAs, ['https://www.wikidata.org/wiki/Q42', 'https://orcid.org/0000-0002-1825-0097']);
+assert.strictEqual(new PersonBuilder().sameAs('Q42').data.sameAs, 'https://www.wikidata.org/wiki/Q42');
+console.log('');
+
+// Test 2: Person
+console.log('2. PersonBuilder:');
+const publisher = new OrganizationBuilder('NewsMediaOrganization')
+  .id('https://example.com/#organization')
+  .name('Example News')
+  .url('https://example.com/')
+  .logo('https://example.com/logo.png', 600, 60)
+  .sameAs('https://www.linkedin.com/company/example-news');
+const author = new PersonBuilder()
+  .id('https://example.com/team/jane-doe#person')
+  .name('Jane Doe')
+  .givenName('Jane')
+  .familyName('Doe')
+  .jobTitle('Research Engineer')
+  .worksFor(publisher)
+  .alumniOf('Example University')
+  .sameAs('0000-0002-1825-0097')
+  .knowsAbout('JSON-LD', { name: 'Python', sameAs: 'Q28865' }, '', null)
+  .knowsAbout('JSON-LD');
+const person = author.build();
+console.log(JSON.stringify(person));
+assert.strictEqual(person['@context'], 'https://schema.org');
+assert.strictEqual(person.worksFor['@id'], 'https://example.com/#organization');
+assert.strictEqual(person.worksFor['@context'], undefined);
+assert.deepStrictEqual(person.alumniOf, { "@type": "Organization", "name": "Example University" });
+assert.deepStrictEqual(person.knowsAbout, [
+  'JSON-LD',
+  { "@type": "Thing", "name": "Python", "sameAs": "https://www.wikidata.org/wiki/Q28865" }
+]);
+assert.throws(() => new PersonBuilder().jobTitle('Editor').build(), /Missing required fields: name \(Person\)/);
+console.log('');
+
+// Test 3: Organization
+console.log('3. OrganizationBuilder:');
+const organization = new OrganizationBuilder()
+  .name('Example Inc.')
+  .legalName('Example Incorporated')
+  .logo({ url: 'https://example.com/logo.png' }, 512, 'tall')
+  .contactPoint('customer service', { telephone: '+1-555-0100', availableLanguage: ['en', 'es'] })
+  .contactPoint({ contactType: 'sales', email: 'sales@example.com' })
+  .contactPoint('billing', {})
+  .contactPoint('', { telephone: '+1-555-0101' })
+  .address({ streetAddress: '1 Main St', addressLocality: 'Springfield', addressCountry: 'US' })
+  .founder('John Smith')
+  .founder(new PersonBuilder().name('Amy Lee').sameAs('Q1'))
+  .foundingDate(1999)
+  .parentOrganization({ name: 'Example Holdings' })
+  .build();
+console.log(JSON.stringify(organization));
+assert.deepStrictEqual(organization.logo, { "@type": "ImageObject", "url": "https://example.com/logo.png", "width": 512 });
+assert.strictEqual(organization.contactPoint.length, 2);
+assert.deepStrictEqual(organization.contactPoint[0].availableLanguage, ['en', 'es']);
+assert.strictEqual(organization.contactPoint[1].email, 'sales@example.com');
+assert.strictEqual(organization.address['@type'], 'PostalAddress');
+assert.deepStrictEqual(organization.founder.map(founder => founder.name), ['John Smith', 'Amy Lee']);
+assert.strictEqual(organization.founder[1].sameAs, 'https://www.wikidata.org/wiki/Q1');
+assert.strictEqual(organization.foundingDate, '1999');
+assert.deepStrictEqual(organization.parentOrganization, { "@type": "Organization", "name": "Example Holdings" });
+assert.strictEqual(new OrganizationBuilder('not a type').data['@type'], 'Organization');
+assert.strictEqual(new OrganizationBuilder().contactPoint('support', { email: 'not an email' }).data.contactPoint, undefined);
+console.log('');
+
+// Test 4: Agent setters accept entity builders
+console.log('4. Agent setters:');
+const article = new ArticleBuilder().headline('Structured data in practice').author(author).publisher(publisher);
+assert.deepStrictEqual(article.data.author, author.getNode());
+assert.deepStrictEqual(article.data.publisher, publisher.getNode());
+assert.strictEqual(article.data.publisher.logo.width, 600);
+
+const personId = 'https://example.com/team/jane-doe#person';
+const organizationId = 'https://example.com/#organization';
+const checks = [
+  [new BookBuilder().author(author).publisher(publisher).copyrightHolder(publisher), { author: personId, publisher: organizationId, copyrightHolder: organizationId }],
+  [new CourseBuilder().provider(publisher).instructor(author), { provider: organizationId, instructor: personId }],
+  [new EventBuilder().organizer(publisher).performer(author), { organizer: organizationId, performer: personId }],
+  [new JobPostingBuilder().hiringOrganization(publisher), { hiringOrganization: organizationId }],
+  [new WebSiteBuilder().publisher(publisher), { publisher: organizationId }],
+  [new ProductBuilder().brand(publisher).manufacturer(publisher), { brand: organizationId, manufacturer: organizationId }],
+  [new DatasetBuilder().publisher(publisher), { publisher: organizationId }],
+  [new SoftwareApplicationBuilder().publisher(publisher), { publisher: organizationId }],
+  [new FAQPageBuilder().author(author).publisher(publisher), { author: personId, publisher: organizationId }],
+  [new QAPageBuilder().author(author).publisher(publisher), { author: personId, publisher: organizationId }]
+];
+checks.forEach(([builder, expected]) => {
+  Object.entries(expected).forEach(([property, id]) => {
+    assert.strictEqual(builder.data[property]['@id'], id, `${builder.constructor.name}.${property}`);
+  });
+});
+// Builder internals never end up in the output
+assert.deepStrictEqual(new ProductBuilder().brand(publisher).data.brand, publisher.getNode());
+assert.deepStrictEqual(new ProductBuilder().manufacturer('Acme', 'https://acme.example').data.manufacturer,
+  { "@type": "Organization", "name": "Acme", "url": "https://acme.example/" });
+
+// Nodes are copies, so later changes to the entity do not leak in
+author.jobTitle('Principal Engineer');
+assert.strictEqual(article.data.author.jobTitle, 'Research Engineer');
+
+// Loose values still work as before
+assert.deepStrictEqual(new ArticleBuilder().author('Jane Doe', 'https://example.com/jane').data.author,
+  { "@type": "Person", "name": "Jane Doe", "url": "https://example.com/jane" });
+const performers = new EventBuilder().performers([new PersonBuilder().name('A. Singer'), 'The Band']).data.performer;
+assert.deepStrictEqual(performers, [{ "@type": "Person", "name": "A. Singer" }, { "@type": "Person", "name": "The Band" }]);
+
+// addProperty and WebPage nest entity builders too
+assert.strictEqual(new ArticleBuilder().addProperty('copyrightHolder', publisher).data.copyrightHolder.name, 'Example News');
+assert.strictEqual(new WebPageBuilder().about(new PersonBuilder().name('Ada Lovelace')).data.about.name, 'Ada Lovelace');
+assert.ok(author instanceof EntityBuilder);
+console.log('');
+
+// Test 5: One entity per identity in a graph
+console.log('5. Graph identity:');
+const smith = id => new PersonBuilder().name('John Smith').sameAs(id);
+const graph = new GraphBuilder({ baseUrl: 'https://example.com/blog' })
+  .add(new ArticleBuilder().headline('First').author(smith('Q1')))
+  .add(new ArticleBuilder().headline('Second').author(smith('Q2')))
+  .add(new ArticleBuilder().headline('Third').author(new PersonBuilder().name('J. Smith').sameAs('Q1')))
+  .add(publisher)
+  .build({ validate: false });
+const nodes = graph['@graph'];
+console.log(JSON.stringify(nodes.map(node => node.author || node['@id'])));
+assert.deepStrictEqual(nodes.slice(0, 3).map(node => node.author['@id']), [
+  'https://example.com/blog#person-john-smith',
+  'https://example.com/blog#person-john-smith-2',
+  'https://example.com/blog#person-john-smith'
+]);
+assert.strictEqual(nodes.filter(node => node['@type'] === 'Person').length, 2);
+assert.ok(nodes.some(node => node['@id'] === 'https://example.com/#organization' && node.name === 'Example News'));
+console.log('');
+
+// Test 6: Entity builders from the factory
+console.log('6. createBuilder and buildFromObject:');
+assert.ok(createBuilder('person') instanceof PersonBuilder);
+const acme = createBuilder('Organization').name('Acme').url('https://acme.example').build();
+console.log(JSON.stringify(acme));
+assert.deepStrictEqual(acme, { "@context": "https://schema.org", "@type": "Organization", "name": "Acme", "url": "https://acme.example/" });
+assert.strictEqual(createBuilder('Organization', { sanitize: false }).name('<b>Acme</b>').data.name, '<b>Acme</b>');
+assert.deepStrictEqual(createBuilder('Organization').validateInline().errors.map(error => error.field), ['name']);
+
+const imported = buildFromObject('Organization', {
+  "@type": "Organization",
+  title: 'Acme',
+  sameAs: ['Q95', 'not a link'],
+  email: 'no email',
+  numberOfEmployees: 12
+}, { mapping: { title: 'name' } });
+assert.deepStrictEqual(imported, {
+  "@context": "https://schema.org",
+  "@type": "Organization",
+  "name": "Acme",
+  "sameAs": "https://www.wikidata.org/wiki/Q95",
+  "numberOfEmployees": 12
+});
+const importer = new PersonBuilder().fromObject({ name: 'Jane Doe', email: 'no email' });
+assert.deepStrictEqual(importer.importReport, {
+  applied: ['name'],
+  unknown: [],
+  rejected: [{ field: 'email', message: 'Invalid value for email' }]
+});
+assert.throws(() => buildFromObject('Person', { name: 'Jane Doe', email: 'no email' }, { strict: true }),
+  /^Error: Cannot import Person: email: Invalid value for email$/);
+console.log('');
+
+console.log('=== Entity Tests Complete ===');
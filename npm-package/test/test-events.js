@@ -0,0 +1,238 @@
+/**
+ * Test EventBuilder locations, schedules, sub-events and status checks, and EventSeriesBuilder
+ */
+
+const assert = require('assert');
+const {
+  EventBuilder,
+  EventSeriesBuilder,
+  EVENT_STATUSES,
+  ATTENDANCE_MODES,
+  expandSchedule,
+  SCHEMA_SOURCES,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing Events ===\n');
+
+const mode = name => `https://schema.org/${name}EventAttendanceMode`;
+
+// Test 1: Physical, virtual and hybrid locations
+console.log('1. Locations:');
+assert.strictEqual(ATTENDANCE_MODES.length, 3);
+assert.strictEqual(new EventBuilder().location('Town Hall').data.eventAttendanceMode, mode('Offline'));
+assert.strictEqual(new EventBuilder().virtualLocation('https://live.example.com/').data.eventAttendanceMode, mode('Online'));
+
+const hybrid = new EventBuilder()
+  .location('Town Hall', '123 Main St')
+  .virtualLocation('https://live.example.com/', 'Live stream');
+console.log(JSON.stringify(hybrid.data.location));
+assert.deepStrictEqual(hybrid.data.location, [
+  { "@type": "Place", "name": "Town Hall", "address": { "@type": "PostalAddress", "streetAddress": "123 Main St" } },
+  { "@type": "VirtualLocation", "url": "https://live.example.com/", "name": "Live stream" }
+]);
+assert.strictEqual(hybrid.data.eventAttendanceMode, mode('Mixed'));
+
+// Setting one kind of location keeps the other
+hybrid.location('Civic Center').virtualLocation('https://stream.example.com/');
+assert.deepStrictEqual(hybrid.data.location.map(location => location.name || location.url), ['Civic Center', 'https://stream.example.com/']);
+hybrid.virtualLocation('javascript:alert(1)');
+assert.strictEqual(hybrid.data.location[1].url, 'https://stream.example.com/');
+
+// Objects and arrays; an object with only a url is a VirtualLocation
+const listed = new EventBuilder().location([{ name: 'Arena', address: { streetAddress: '1 Arena Way' } }, { url: 'https://tv.example.com/' }, '']);
+assert.deepStrictEqual(listed.data.location.map(location => location['@type']), ['Place', 'VirtualLocation']);
+assert.strictEqual(listed.data.eventAttendanceMode, mode('Mixed'));
+
+// An explicit mode is kept, and reported when the locations contradict it
+const explicit = new EventBuilder().eventAttendanceMode('OnlineEventAttendanceMode').location('Town Hall');
+assert.strictEqual(explicit.data.eventAttendanceMode, mode('Online'));
+assert.deepStrictEqual(explicit.checkEvent().map(issue => `${issue.severity} ${issue.field}`), ['warning eventAttendanceMode']);
+console.log('');
+
+// Test 2: Schedules
+console.log('2. Schedules:');
+const event = new EventBuilder().eventSchedule({
+  repeatFrequency: 'biweekly',
+  byDay: 'Mo, https://schema.org/Wednesday, Funday',
+  byMonthDay: [0, 15],
+  startDate: new Date('2024-01-08T00:00:00Z'),
+  startTime: '7:30',
+  endTime: '25:00',
+  duration: '90 min',
+  exceptDate: ['2024-01-22', 'not a date'],
+  scheduleTimezone: 'Not/AZone',
+  repeatCount: '6'
+});
+console.log(JSON.stringify(event.data.eventSchedule));
+assert.deepStrictEqual(event.data.eventSchedule, {
+  "@type": "Schedule",
+  "repeatFrequency": "P2W",
+  "byDay": ["Monday", "Wednesday"],
+  "byMonthDay": [15],
+  "startDate": "2024-01-08T00:00:00.000Z",
+  "startTime": "07:30",
+  "duration": "PT1H30M",
+  "repeatCount": 6,
+  "exceptDate": ["2024-01-22"]
+});
+assert.strictEqual(new EventBuilder().eventSchedule({ repeatFrequency: 'sometimes' }).data.eventSchedule, undefined);
+assert.strictEqual(new EventBuilder().eventSchedule([{ repeatFrequency: 'P1D' }, { repeatFrequency: 'P1Y' }]).data.eventSchedule.length, 2);
+console.log('');
+
+// Test 3: Expanding schedules
+console.log('3. Occurrences:');
+const london = { repeatFrequency: 'P1W', byDay: ['Tuesday', 'Thursday'], startTime: '18:30', duration: 'PT1H', scheduleTimezone: 'Europe/London' };
+const weekly = expandSchedule(london, '2024-10-22', '2024-10-31');
+console.log(JSON.stringify(weekly));
+assert.deepStrictEqual(weekly, [
+  { startDate: '2024-10-22T18:30:00+01:00', endDate: '2024-10-22T19:30:00+01:00' },
+  { startDate: '2024-10-24T18:30:00+01:00', endDate: '2024-10-24T19:30:00+01:00' },
+  { startDate: '2024-10-29T18:30:00+00:00', endDate: '2024-10-29T19:30:00+00:00' },
+  { startDate: '2024-10-31T18:30:00+00:00', endDate: '2024-10-31T19:30:00+00:00' }
+]);
+const starts = (schedule, from, to, options) => expandSchedule(schedule, from, to, options).map(occurrence => occurrence.startDate);
+
+// Every other week from the first date, skipping exceptions
+assert.deepStrictEqual(starts({ repeatFrequency: 'P2W', startDate: '2024-01-02', exceptDate: '2024-01-30' }, '2024-01-01', '2024-02-29'),
+  ['2024-01-02', '2024-01-16', '2024-02-13', '2024-02-27']);
+
+// Monthly on listed days or on the first day's date (months without it are skipped)
+assert.deepStrictEqual(starts({ repeatFrequency: 'monthly', byMonthDay: [1, 15], startDate: '2024-01-01' }, '2024-02-01', '2024-03-10'),
+  ['2024-02-01', '2024-02-15', '2024-03-01']);
+assert.deepStrictEqual(starts({ repeatFrequency: 'P1M', startDate: '2024-01-31' }, '2024-01-01', '2024-05-31'), ['2024-01-31', '2024-03-31', '2024-05-31']);
+assert.deepStrictEqual(starts({ repeatFrequency: 'P3M', startDate: '2024-01-10' }, '2024-01-01', '2024-12-31'),
+  ['2024-01-10', '2024-04-10', '2024-07-10', '2024-10-10']);
+
+// Yearly, repeatCount and endDate
+assert.deepStrictEqual(starts({ repeatFrequency: 'yearly', startDate: '2020-07-04', repeatCount: 4 }, '2022-01-01', '2030-12-31'), ['2022-07-04', '2023-07-04']);
+assert.deepStrictEqual(starts({ repeatFrequency: 'daily', startDate: '2024-03-01', endDate: '2024-03-03' }, '2024-02-01', '2024-12-31'),
+  ['2024-03-01', '2024-03-02', '2024-03-03']);
+
+// Without a time zone, times take the offset of startDate; endTime before startTime ends the next day
+assert.deepStrictEqual(expandSchedule({ repeatFrequency: 'P1D', startDate: '2024-05-01T22:00:00-05:00', endTime: '02:00', repeatCount: 2 }, '2024-05-01', '2024-05-31'), [
+  { startDate: '2024-05-01T22:00:00-05:00', endDate: '2024-05-02T02:00:00-05:00' },
+  { startDate: '2024-05-02T22:00:00-05:00', endDate: '2024-05-03T02:00:00-05:00' }
+]);
+
+// Exceptions at a time, limits and invalid input
+assert.deepStrictEqual(starts({ ...london, exceptDate: '2024-10-24T17:30:00Z' }, '2024-10-22', '2024-10-25'), ['2024-10-22T18:30:00+01:00']);
+assert.strictEqual(expandSchedule({ repeatFrequency: 'P1D' }, '2024-01-01', '2024-12-31', { limit: 10 }).length, 10);
+assert.deepStrictEqual(expandSchedule({ repeatFrequency: 'P1D' }, '2024-02-01', '2024-01-01'), []);
+assert.deepStrictEqual(expandSchedule({ repeatFrequency: 'P1D' }, 'soon', '2024-01-01'), []);
+assert.deepStrictEqual(expandSchedule({ byDay: 'Monday' }, '2024-01-01', '2024-01-31'), []);
+
+// Builders merge the occurrences of all their schedules
+const twice = new EventBuilder().eventSchedule([
+  { repeatFrequency: 'P1W', byDay: 'Friday', startTime: '20:00', scheduleTimezone: 'UTC' },
+  { repeatFrequency: 'P1W', byDay: 'Tuesday', startTime: '12:00', scheduleTimezone: 'UTC' }
+]);
+assert.deepStrictEqual(twice.getOccurrences('2024-06-01', '2024-06-10').map(occurrence => occurrence.startDate),
+  ['2024-06-04T12:00:00+00:00', '2024-06-07T20:00:00+00:00']);
+console.log('');
+
+// Test 4: Series and sub-events
+console.log('4. Event series:');
+const series = new EventSeriesBuilder()
+  .name('Tuesday Yoga')
+  .startDate('2024-09-03')
+  .endDate('2024-12-17')
+  .location('Studio 5')
+  .organizer('Yoga Collective')
+  .eventSchedule({ repeatFrequency: 'weekly', byDay: 'Tu', startTime: '18:30', endTime: '19:30', exceptDate: '2024-10-29', scheduleTimezone: 'Europe/London' })
+  .addScheduledEvents('2024-10-01', '2024-10-31')
+  .addScheduledEvents('2024-10-15', '2024-11-05');
+console.log(JSON.stringify(series.data.subEvent[0]));
+assert.strictEqual(series.data['@type'], 'EventSeries');
+assert.deepStrictEqual(series.data.subEvent.map(sub => sub.startDate), [
+  '2024-10-01T18:30:00+01:00',
+  '2024-10-08T18:30:00+01:00',
+  '2024-10-15T18:30:00+01:00',
+  '2024-10-22T18:30:00+01:00',
+  '2024-11-05T18:30:00+00:00'
+]);
+assert.deepStrictEqual(series.data.subEvent[0], {
+  "@type": "Event",
+  "name": "Tuesday Yoga",
+  "location": { "@type": "Place", "name": "Studio 5" },
+  "eventAttendanceMode": mode('Offline'),
+  "organizer": { "@type": "Organization", "name": "Yoga Collective" },
+  "startDate": "2024-10-01T18:30:00+01:00",
+  "endDate": "2024-10-01T19:30:00+01:00"
+});
+assert.strictEqual(series.validateInline().valid, true);
+
+// Sub-events from builders and objects; the same start replaces, and no start is ignored
+const festival = new EventSeriesBuilder()
+  .name('Jazz Nights')
+  .startDate('2024-07-05')
+  .endDate('2024-08-30')
+  .location('Riverside Park')
+  .addSubEvent(new EventBuilder().name('Opening Night').startDate('2024-07-05T20:00:00-04:00').location('Riverside Park'))
+  .addSubEvent({ '@type': 'MusicEvent', name: 'Late Show', startDate: '2024-07-05T20:00:00-04:00', location: 'Riverside Park' })
+  .addSubEvent({ name: 'No date' })
+  .addSubEvent({ name: 'Encore', startDate: '2024-09-01T20:00:00-04:00' });
+assert.deepStrictEqual(festival.data.subEvent.map(sub => `${sub['@type']} ${sub.name}`), ['MusicEvent Late Show', 'Event Encore']);
+assert.deepStrictEqual(festival.checkEvent().map(issue => `${issue.severity} ${issue.field}`), ['warning subEvent[1].startDate']);
+assert.strictEqual(festival.subEvent([{ name: 'Finale', startDate: '2024-08-30T21:00:00-04:00' }]).data.subEvent.name, 'Finale');
+assert.deepStrictEqual(festival.checkEvent(), []);
+console.log('');
+
+// Test 5: Status transitions
+console.log('5. Status:');
+assert.ok(EVENT_STATUSES.includes('EventMovedOnline'));
+const gig = new EventBuilder()
+  .name('Album Launch')
+  .startDate('2024-06-15T19:00:00-04:00')
+  .endDate('2024-06-15T22:30:00-04:00')
+  .location('The Venue')
+  .reschedule('2024-06-22T20:00:00-04:00');
+console.log(JSON.stringify({ startDate: gig.data.startDate, endDate: gig.data.endDate, previousStartDate: gig.data.previousStartDate }));
+assert.strictEqual(gig.data.eventStatus, 'https://schema.org/EventRescheduled');
+assert.strictEqual(gig.data.previousStartDate, '2024-06-15T19:00:00-04:00');
+assert.strictEqual(gig.data.endDate, '2024-06-22T23:30:00-04:00');
+assert.deepStrictEqual(gig.checkEvent(), []);
+
+// Moved again, with a new end date
+gig.reschedule(new Date('2024-07-01T00:00:00Z'), '2024-07-01T02:00:00Z');
+assert.deepStrictEqual(gig.data.previousStartDate, ['2024-06-15T19:00:00-04:00', '2024-06-22T20:00:00-04:00']);
+assert.strictEqual(gig.data.startDate, '2024-07-01T00:00:00.000Z');
+assert.strictEqual(gig.data.endDate, '2024-07-01T02:00:00Z');
+assert.strictEqual(new EventBuilder().startDate('2024-06-15').endDate('2024-06-16').reschedule('2024-06-20').data.endDate, '2024-06-21');
+
+// Invalid transitions
+const checks = builder => builder.checkEvent().map(issue => `${issue.severity} ${issue.field}`);
+assert.deepStrictEqual(checks(new EventBuilder().startDate('2024-06-15').eventStatus('EventRescheduled')), ['error previousStartDate']);
+assert.deepStrictEqual(checks(new EventBuilder().startDate('2024-06-15T19:00:00Z').previousStartDate('2024-06-15T21:00:00+02:00').eventStatus('EventRescheduled')),
+  ['error startDate']);
+assert.deepStrictEqual(checks(new EventBuilder().previousStartDate('2024-06-15').eventStatus('EventPostponed')), ['warning previousStartDate']);
+assert.deepStrictEqual(checks(new EventBuilder().location('Hall').eventStatus('EventMovedOnline')), ['error location']);
+assert.deepStrictEqual(checks(new EventBuilder().location('Hall').virtualLocation('https://live.example.com/').eventStatus('EventMovedOnline')), []);
+assert.deepStrictEqual(checks(new EventBuilder().eventStatus('Delayed').eventAttendanceMode('InPerson')), ['error eventStatus', 'error eventAttendanceMode']);
+assert.deepStrictEqual(checks(EventBuilder.from({ "@type": "Event", "eventSchedule": { "@type": "Schedule", "byDay": "Monday" } })),
+  ['error eventSchedule.repeatFrequency']);
+
+// Loaded markup keeps an attendance mode the locations do not imply
+const loaded = EventBuilder.from({ "@type": "Event", "location": { "@type": "Place", "name": "Hall" }, "eventAttendanceMode": mode('Mixed') });
+assert.strictEqual(loaded.virtualLocation('https://live.example.com/').location('Arena').data.eventAttendanceMode, mode('Mixed'));
+const inferred = EventBuilder.from({ "@type": "Event", "location": { "@type": "Place", "name": "Hall" }, "eventAttendanceMode": mode('Offline') });
+assert.strictEqual(inferred.virtualLocation('https://live.example.com/').data.eventAttendanceMode, mode('Mixed'));
+assert.strictEqual(EventSeriesBuilder.from({ "@type": "EventSeries", "name": "Proms", "subEvent": [] }).data.name, 'Proms');
+
+const postponed = new EventBuilder().name('Summit').startDate('2024-06-15T09:00:00Z').location('Hall').eventStatus('EventRescheduled');
+assert.strictEqual(postponed.validateInline().valid, false);
+assert.throws(() => postponed.build(), /previousStartDate/);
+console.log('');
+
+// Test 6: Page schema
+console.log('6. Page schema validation:');
+[series.build(), gig.build(), hybrid.name('Hybrid Meetup').startDate('2024-06-15T19:00:00Z').build()].forEach(built => {
+  const validation = validateStructuredData(built, 'Event', { schemaSource: SCHEMA_SOURCES.PAGE });
+  console.log(`   ${built['@type']} ${built.name}: ${validation.valid}`);
+  assert.strictEqual(validation.valid, true, JSON.stringify(validation.errors));
+});
+const invalid = { ...series.build(), eventSchedule: { "@type": "Schedule", "repeatFrequency": "weekly" } };
+assert.strictEqual(validateStructuredData(invalid, 'Event', { schemaSource: SCHEMA_SOURCES.PAGE }).valid, false);
+console.log('');
+
+console.log('=== Event Tests Complete ===');
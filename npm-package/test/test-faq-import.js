@@ -0,0 +1,220 @@
+/**
+ * Test FAQ and Q&A imports from Markdown, HTML and CSV
+ */
+
+const assert = require('assert');
+const {
+  FAQPageBuilder,
+  QAPageBuilder,
+  parseFaq,
+  cleanAnswerHtml,
+  questionAnchor,
+  ANSWER_HTML_TAGS,
+  SCHEMA_SOURCES,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing FAQ Import ===\n');
+
+// Test 1: Answer markup
+console.log('1. Answer HTML:');
+assert.ok(ANSWER_HTML_TAGS.includes('a') && !ANSWER_HTML_TAGS.includes('img'));
+const cleaned = cleanAnswerHtml('<p class="lead">See <a href="/returns" target="_blank">returns</a><img src="a.png"></p>\n<table><tr><td>A</td><td>B</td></tr></table><p><a href="javascript:alert(1)">Form</a><script>alert(1)</script></p>');
+console.log(JSON.stringify(cleaned));
+assert.deepStrictEqual(cleaned, {
+  html: '<p>See <a href="/returns">returns</a></p>A B<p>Form</p>',
+  removed: ['a', 'img', 'script', 'table', 'td', 'tr']
+});
+assert.deepStrictEqual(cleanAnswerHtml('<div><h3>Sizes</h3><ol><li>S</li><li>M<br/>L</li></ol></div>'), {
+  html: '<div><h3>Sizes</h3><ol><li>S</li><li>M<br>L</li></ol></div>',
+  removed: []
+});
+assert.strictEqual(cleanAnswerHtml('<p><img src="a.png"></p>Text').html, 'Text');
+assert.strictEqual(questionAnchor('Do you ship to the EU & the UK?'), 'do-you-ship-to-the-eu-the-uk');
+assert.ok(questionAnchor('Why '.repeat(40)).length <= 80);
+console.log('');
+
+// Test 2: Markdown
+console.log('2. Markdown:');
+const markdown = `# Shipping FAQ
+
+Intro text is not a question.
+
+## Do you ship abroad?
+
+Yes, to **50** countries. See [rates](https://shop.example/rates "Rates").
+Customs fees\\
+may apply.
+
+- Europe
+- Asia
+  - Japan
+  - Korea
+
+### Tracking
+
+Use the \`tracking\` link in your email.
+
+## How long does delivery take?
+
+1. Order
+2. Wait
+
+![truck](truck.png)
+
+---
+
+Express takes a day.
+
+## Do you ship abroad??
+
+Repeated.
+
+## What about gift wrap?
+
+# Other section
+
+Not part of an answer.
+`;
+const fromMarkdown = parseFaq(markdown);
+console.log(JSON.stringify(fromMarkdown.issues));
+assert.strictEqual(fromMarkdown.format, 'markdown');
+assert.deepStrictEqual(fromMarkdown.questions.map(entry => entry.anchor), ['do-you-ship-abroad', 'how-long-does-delivery-take']);
+assert.strictEqual(fromMarkdown.questions[0].line, 5);
+assert.strictEqual(fromMarkdown.questions[0].answers[0].text,
+  '<p>Yes, to <strong>50</strong> countries. See <a href="https://shop.example/rates">rates</a>. Customs fees<br>may apply.</p>' +
+  '<ul><li>Europe</li><li>Asia<ul><li>Japan</li><li>Korea</li></ul></li></ul><h3>Tracking</h3><p>Use the tracking link in your email.</p>');
+assert.deepStrictEqual(fromMarkdown.questions[1].answers, [{ text: '<ol><li>Order</li><li>Wait</li></ol>' }, { text: '<p>Express takes a day.</p>' }]);
+assert.deepStrictEqual(fromMarkdown.issues.map(issue => [issue.field, issue.severity]), [
+  ['questions[0]', 'warning'],
+  ['questions[1]', 'warning'],
+  ['questions[2]', 'error'],
+  ['questions[3]', 'error']
+]);
+assert.ok(/<code>/.test(fromMarkdown.issues[0].message));
+assert.ok(/<img>/.test(fromMarkdown.issues[1].message));
+assert.ok(/Duplicate question .* line 31, same as questions\[0\]/.test(fromMarkdown.issues[2].message));
+assert.ok(/has no answer/.test(fromMarkdown.issues[3].message));
+assert.deepStrictEqual(parseFaq('### Deep question?\n\nAnswer.', { level: 3 }).questions.map(entry => entry.question), ['Deep question?']);
+console.log('');
+
+// Test 3: HTML
+console.log('3. HTML:');
+const html = `<h1>FAQ</h1>
+<details id="returns"><summary>Can I <b>return</b> items?</summary>
+  <p>Within 30 days.</p>
+  <details><summary>Nested</summary>Kept as answer text.</details>
+</details>
+<details><p>No summary</p></details>
+<details open><summary>Do you sell gift cards?</summary>Yes &amp; no<hr><p>Ask in store.</p></details>`;
+const fromHtml = parseFaq(html);
+console.log(JSON.stringify(fromHtml.questions));
+assert.strictEqual(fromHtml.format, 'html');
+assert.deepStrictEqual(fromHtml.questions.map(entry => [entry.question, entry.anchor, entry.line]), [
+  ['Can I return items?', 'returns', 2],
+  ['Do you sell gift cards?', 'do-you-sell-gift-cards', 7]
+]);
+assert.strictEqual(fromHtml.questions[0].answers[0].text, '<p>Within 30 days.</p>Nested Kept as answer text.');
+assert.deepStrictEqual(fromHtml.questions[1].answers.map(answer => answer.text), ['Yes &amp; no', '<p>Ask in store.</p>']);
+assert.ok(fromHtml.issues.some(issue => issue.field === 'questions[1]' && /without a <summary> at line 6/.test(issue.message)));
+console.log('');
+
+// Test 4: CSV and rows
+console.log('4. CSV:');
+const csv = [
+  'Question,Answer,Author,Upvotes,Accepted,Internal notes',
+  '"What is X?","X is **great**, really",Ann,3,,check',
+  ',"Also fast",Bob,5,yes,',
+  'What is Y?,,,,,'
+].join('\n');
+const fromCsv = parseFaq(csv);
+console.log(JSON.stringify(fromCsv));
+assert.strictEqual(fromCsv.format, 'csv');
+assert.deepStrictEqual(fromCsv.unknown, ['Internal notes']);
+assert.deepStrictEqual(fromCsv.questions[0].answers, [
+  { text: '<p>X is <strong>great</strong>, really</p>', author: 'Ann', upvoteCount: 3 },
+  { text: '<p>Also fast</p>', author: 'Bob', upvoteCount: 5, accepted: true }
+]);
+assert.ok(fromCsv.issues.some(issue => issue.field === 'questions[1]' && /row 4 has no answer/.test(issue.message)));
+
+const rows = parseFaq([{ question: 'Is it free?', answer: 'Yes.', slug: 'pricing' }, { q: 'Is it free', a: 'Still yes.' }]);
+assert.deepStrictEqual(rows.questions.map(entry => entry.anchor), ['pricing']);
+assert.ok(/Duplicate question/.test(rows.issues[0].message));
+assert.throws(() => parseFaq('x', { format: 'yaml' }), /Unknown FAQ format: yaml/);
+console.log('');
+
+// Test 5: FAQPageBuilder.importQuestions
+console.log('5. FAQPageBuilder:');
+const faq = new FAQPageBuilder()
+  .name('Shop FAQ')
+  .url('https://shop.example/faq#top')
+  .addQuestion('How long does delivery take?', 'Three days.')
+  .importQuestions(markdown);
+console.log(JSON.stringify(faq.importReport));
+assert.strictEqual(faq.data.mainEntity.length, 2);
+assert.deepStrictEqual(faq.data.mainEntity[1], {
+  "@type": "Question",
+  "@id": "https://shop.example/faq#do-you-ship-abroad",
+  "name": "Do you ship abroad?",
+  "acceptedAnswer": { "@type": "Answer", "text": fromMarkdown.questions[0].answers[0].text }
+});
+assert.deepStrictEqual(faq.importReport.applied, ['do-you-ship-abroad']);
+assert.deepStrictEqual(faq.importReport.rejected.map(item => item.field), ['questions[2]', 'questions[3]', 'questions[1]']);
+assert.ok(/already on the page/.test(faq.importReport.rejected[2].message));
+assert.strictEqual(faq.importReport.warnings.length, 2);
+
+// Imports add to earlier ones and keep @ids unique
+faq.importQuestions('<details id="do-you-ship-abroad"><summary>Do you ship to Canada?</summary>Yes.</details>');
+assert.strictEqual(faq.data.mainEntity[2]['@id'], 'https://shop.example/faq#do-you-ship-abroad-2');
+assert.strictEqual(new FAQPageBuilder().importQuestions('## Is it free?\n\nYes.', { baseUrl: 'https://shop.example/help' }).data.mainEntity[0]['@id'], 'https://shop.example/help#is-it-free');
+faq.importQuestions('question;answer;notes\nCan I pay by card?;Yes, all <span>major</span> cards.;x');
+assert.strictEqual(faq.data.mainEntity[3].acceptedAnswer.text, '<p>Yes, all major cards.</p>');
+assert.deepStrictEqual(faq.importReport.unknown, ['notes']);
+assert.deepStrictEqual(faq.importReport.warnings.map(warning => warning.field), ['questions[0]']);
+console.log('');
+
+// Test 6: QAPageBuilder.importQuestion
+console.log('6. QAPageBuilder:');
+const qa = new QAPageBuilder()
+  .name('Build fails')
+  .url('https://dev.example/questions/42')
+  .importQuestion([
+    'question,answer,author,upvotes,accepted,date',
+    'Why does my build fail?,Clear the cache.,Ann,4,,2024-01-02T10:00:00Z',
+    ',Update <b>Node</b> to 20.,Bob,9,yes,',
+    'Another question?,Left out.,,,,'
+  ].join('\n'));
+console.log(JSON.stringify(qa.data.mainEntity));
+const question = qa.data.mainEntity;
+assert.strictEqual(question['@id'], 'https://dev.example/questions/42#why-does-my-build-fail');
+assert.strictEqual(question.text, 'Why does my build fail?');
+assert.strictEqual(question.answerCount, 2);
+assert.deepStrictEqual(question.suggestedAnswer, [{
+  "@type": "Answer",
+  "text": "<p>Clear the cache.</p>",
+  "author": { "@type": "Person", "name": "Ann" },
+  "dateCreated": "2024-01-02T10:00:00.000Z",
+  "upvoteCount": 4,
+  "@id": "https://dev.example/questions/42#why-does-my-build-fail-answer-1"
+}]);
+assert.strictEqual(question.acceptedAnswer.text, '<p>Update <b>Node</b> to 20.</p>');
+assert.strictEqual(question.acceptedAnswer['@id'], 'https://dev.example/questions/42#why-does-my-build-fail-answer-2');
+assert.deepStrictEqual(qa.importReport.rejected.map(item => item.field), ['questions[1]']);
+
+const single = new QAPageBuilder().importQuestion('## Why is it slow?\n\nIndexes.\n\n---\n\nCaching.', { acceptedAnswer: 0 }).data.mainEntity;
+assert.strictEqual(single.acceptedAnswer.text, '<p>Indexes.</p>');
+assert.strictEqual(single.suggestedAnswer.length, 1);
+assert.strictEqual(new QAPageBuilder().importQuestion('## Why?\n\nBecause.', { acceptedAnswer: 0 }).data.mainEntity.suggestedAnswer, undefined);
+assert.strictEqual(new QAPageBuilder().addAnswer('No count').data.mainEntity.suggestedAnswer[0].upvoteCount, undefined);
+console.log('');
+
+// Test 7: Page schema
+console.log('7. Page schema validation:');
+const faqResult = validateStructuredData(faq.build(), 'FAQPage', { schemaSource: SCHEMA_SOURCES.PAGE });
+const qaResult = validateStructuredData(qa.build(), 'QAPage', { schemaSource: SCHEMA_SOURCES.PAGE });
+console.log(`   FAQPage valid: ${faqResult.valid}, QAPage valid: ${qaResult.valid}`);
+assert.strictEqual(faqResult.valid, true, JSON.stringify(faqResult.errors));
+assert.strictEqual(qaResult.valid, true, JSON.stringify(qaResult.errors));
+console.log('');
+
+console.log('=== FAQ Import Tests Complete ===');
@@ -0,0 +1,149 @@
+/**
+ * Test loading existing JSON-LD back into builders with Builder.from()
+ */
+
+const assert = require('assert');
+const {
+  ArticleBuilder,
+  ProductBuilder,
+  ProductGroupBuilder,
+  RecipeBuilder,
+  ReviewBuilder,
+  FAQPageBuilder,
+  GraphBuilder,
+  MODES
+} = require('../index.js');
+
+console.log('=== Testing Builder.from() ===\n');
+
+const PROFILE_PROPERTIES = ['additionalType', 'schemaVersion', 'identifier', 'additionalProperty'];
+
+function article(mode) {
+  return new ArticleBuilder(mode)
+    .headline('Launch Day')
+    .author('Jane Doe')
+    .datePublished('2024-01-01T00:00:00Z')
+    .publisher('News Corp', 'https://example.com')
+    .image('https://example.com/launch.png');
+}
+
+// Test 1: Round trip
+console.log('1. Round trip:');
+const original = article().build();
+const loaded = ArticleBuilder.from(original);
+assert.ok(loaded instanceof ArticleBuilder);
+assert.strictEqual(loaded.modeConfig.mode, MODES.STRICT_SEO);
+assert.deepStrictEqual(loaded.build(), original);
+// JSON strings, as found in script tags, work too
+assert.deepStrictEqual(ArticleBuilder.from(JSON.stringify(original)).build(), original);
+console.log('Rebuilt output matches the original');
+console.log('');
+
+// Test 2: Profile properties and other modes
+console.log('2. Profile properties:');
+const markup = {
+  "@context": "https://schema.org",
+  "@type": ["Article", "NewsArticle"],
+  "headline": "Launch Day",
+  "additionalType": ["https://llmprofiles.org/profiles/content/article/v0", "https://example.com/types/PressRelease"],
+  "schemaVersion": "https://llmprofiles.org/profiles/content/article/v1/index.jsonld",
+  "additionalProperty": [
+    { "@type": "PropertyValue", "name": "profile", "value": "https://llmprofiles.org/profiles/content/article/v1" },
+    { "@type": "PropertyValue", "name": "region", "value": "EU" }
+  ]
+};
+const data = ArticleBuilder.from(markup, { mode: MODES.SPLIT_CHANNELS }).data;
+console.log(JSON.stringify(data.additionalType), JSON.stringify(data.additionalProperty));
+// Values the page set itself are kept; the builder's own profile properties replace injected ones
+assert.deepStrictEqual(data['@type'], ['Article', 'NewsArticle']);
+assert.deepStrictEqual(data.additionalType, ['https://example.com/types/PressRelease']);
+assert.deepStrictEqual(data.additionalProperty, [{ "@type": "PropertyValue", "name": "region", "value": "EU" }]);
+assert.strictEqual(data.schemaVersion, 'https://llmprofiles.org/profiles/content/article/v1/index.jsonld');
+
+const plain = ArticleBuilder.from({ "@type": "Article", "headline": "Launch Day" }).data;
+PROFILE_PROPERTIES.forEach(key => assert.ok(plain[key], `${key} is added for the builder's mode`));
+console.log('');
+
+// Test 3: Split-channel pairs and @graph documents
+console.log('3. Split channels and graphs:');
+const split = article(MODES.SPLIT_CHANNELS).build();
+split.llm.articleSection = 'News';
+const fromSplit = ArticleBuilder.from(split);
+assert.strictEqual(fromSplit.modeConfig.mode, MODES.SPLIT_CHANNELS);
+assert.strictEqual(fromSplit.data.articleSection, 'News');
+assert.deepStrictEqual(fromSplit.build(MODES.STRICT_SEO), { ...original, articleSection: 'News' });
+
+const graph = new GraphBuilder({ baseUrl: 'https://example.com/news/launch' })
+  .add(article())
+  .add(new FAQPageBuilder().name('FAQ').addQuestion('When?', 'Now.').publisher('News Corp', 'https://example.com'))
+  .build();
+const fromGraph = ArticleBuilder.from(graph);
+assert.strictEqual(fromGraph.data['@id'], 'https://example.com/news/launch#article');
+// References to other graph nodes are resolved
+assert.strictEqual(fromGraph.data.publisher.name, 'News Corp');
+assert.strictEqual(FAQPageBuilder.from(graph).data.mainEntity.length, 1);
+console.log('');
+
+// Test 4: Editing, validation and sanitization
+console.log('4. Editing loaded markup:');
+const review = ReviewBuilder.from({
+  "@context": "https://schema.org",
+  "@type": "Review",
+  "reviewBody": "Great <script>alert(1)</script>sound",
+  "itemReviewed": { "@type": "Product", "name": "Headphones" }
+});
+assert.ok(!review.data.reviewBody.includes('<script>'));
+const validation = review.validateInline();
+assert.strictEqual(validation.valid, false);
+assert.ok(validation.errors.some(error => error.field === 'reviewRating'));
+review.reviewRating(4).author('Jane Doe');
+assert.strictEqual(review.validateInline().valid, true);
+
+const unsanitized = ReviewBuilder.from({ "@type": "Review", "reviewBody": "<b>raw</b>" }, { sanitize: false });
+assert.strictEqual(unsanitized.data.reviewBody, '<b>raw</b>');
+
+assert.throws(() => ArticleBuilder.from({ "@type": "Product", "name": "Phone" }), /No Article node found/);
+
+// Schema.org subtypes load into the builder and keep their @type
+const news = ArticleBuilder.from({ "@context": "https://schema.org", "@type": "NewsArticle", "headline": "Launch Day", "datePublished": "2024-01-01" });
+assert.strictEqual(news.data['@type'], 'NewsArticle');
+assert.strictEqual(news.build(null, { validate: false })['@type'], 'NewsArticle');
+assert.strictEqual(ArticleBuilder.from([{ "@type": "BlogPosting", "headline": "Post" }]).data['@type'], 'BlogPosting');
+assert.strictEqual(ProductBuilder.from({ "@type": "IndividualProduct", "name": "Phone #42" }).data['@type'], 'IndividualProduct');
+// The type itself wins over a subtype elsewhere in the graph
+const mixedGraph = { "@graph": [{ "@type": "BlogPosting", "headline": "Post" }, { "@type": "Article", "headline": "Main" }] };
+assert.strictEqual(ArticleBuilder.from(mixedGraph).data.headline, 'Main');
+
+// Dates keep the precision they were written with
+assert.strictEqual(news.data.datePublished, '2024-01-01');
+const dated = ArticleBuilder.from({ "@type": "Article", "headline": "Launch Day", "datePublished": "2024-01-01", "dateModified": "2024-02-01 10:30" });
+assert.strictEqual(dated.build(null, { validate: false }).datePublished, '2024-01-01');
+assert.strictEqual(dated.data.dateModified, new Date('2024-02-01 10:30').toISOString());
+assert.throws(() => ArticleBuilder.from('{ not json'), /Cannot parse JSON-LD/);
+console.log('');
+
+// Test 5: Builder state is restored
+console.log('5. Builder state:');
+const product = ProductBuilder.from(new ProductBuilder().name('Phone').addOffer(199, 'USD').addOffer(249, 'USD').build());
+product.addOffer(179, 'USD');
+assert.strictEqual(product.data.offers.offerCount, 3);
+assert.strictEqual(Number(product.data.offers.lowPrice), 179);
+
+const group = ProductGroupBuilder.from({
+  "@type": "ProductGroup",
+  "name": "Tee",
+  "productGroupID": "TEE",
+  "variesBy": ["https://schema.org/size"],
+  "hasVariant": [{ "@type": "Product", "name": "Tee - S", "size": "S", "inProductGroupWithID": "TEE" }]
+});
+group.addVariant({ "name": "Tee - M", "size": "M" });
+assert.deepStrictEqual(group.data.hasVariant.map(variant => variant.size), ['S', 'M']);
+
+// A totalTime equal to its parts stays computed; a different one is kept
+const computed = RecipeBuilder.from({ "@type": "Recipe", "name": "Pie", "prepTime": "PT10M", "cookTime": "PT20M", "totalTime": "PT30M" });
+assert.strictEqual(computed.cookTime('PT40M').data.totalTime, 'PT50M');
+const explicit = RecipeBuilder.from({ "@type": "Recipe", "name": "Pie", "prepTime": "PT10M", "cookTime": "PT20M", "totalTime": "PT45M" });
+assert.strictEqual(explicit.cookTime('PT40M').data.totalTime, 'PT45M');
+console.log('');
+
+console.log('=== Builder.from() Tests Complete ===');
@@ -0,0 +1,166 @@
+/**
+ * Test filling builders from plain objects with fromObject() and buildFromObject()
+ */
+
+const assert = require('assert');
+const {
+  createBuilder,
+  buildFromObject,
+  ArticleBuilder,
+  ReviewBuilder,
+  JobPostingBuilder,
+  LocalBusinessBuilder,
+  RecipeBuilder
+} = require('../index.js');
+
+console.log('=== Testing fromObject ===\n');
+
+// Test 1: Keys are routed to builder methods
+console.log('1. Routing to builder methods:');
+const review = createBuilder('Review').fromObject({
+  "@context": "https://schema.org",
+  "@type": "Review",
+  "reviewRating": { "@type": "Rating", "ratingValue": 4, "bestRating": 5 },
+  "author": 'Jane <b>Doe</b>',
+  "itemReviewed": 'Wireless Headphones',
+  "reviewBody": 'Great sound.',
+  "datePublished": '2024-01-15'
+});
+console.log(JSON.stringify(review.importReport));
+assert.ok(review instanceof ReviewBuilder);
+assert.deepStrictEqual(review.data.reviewRating, { "@type": "Rating", "ratingValue": 4, "bestRating": 5, "worstRating": 1 });
+assert.strictEqual(review.data.author.name, 'Jane Doe');
+assert.strictEqual(review.data.itemReviewed.name, 'Wireless Headphones');
+assert.deepStrictEqual(review.importReport.unknown, []);
+assert.deepStrictEqual(review.importReport.rejected, []);
+assert.strictEqual(review.build()['@type'], 'Review');
+
+const job = new JobPostingBuilder().fromObject({
+  "title": 'Engineer',
+  "baseSalary": 85000,
+  "salaryCurrency": 'EUR'
+});
+assert.deepStrictEqual(job.data.baseSalary, {
+  "@type": "MonetaryAmount",
+  "currency": "EUR",
+  "value": { "@type": "QuantitativeValue", "value": 85000, "unitText": "YEAR" }
+});
+assert.strictEqual(job.data.salaryCurrency, 'EUR');
+
+// Salary objects are normalized and their unit checked like scalar salaries
+const hourly = new JobPostingBuilder().fromObject({
+  "salaryCurrency": 'GBP',
+  "baseSalary": { "value": '£25.50', "unitText": 'per hour' }
+});
+assert.deepStrictEqual(hourly.data.baseSalary, {
+  "@type": "MonetaryAmount",
+  "currency": "GBP",
+  "value": { "@type": "QuantitativeValue", "value": 25.5, "unitText": "HOUR" }
+});
+const nested = new JobPostingBuilder().fromObject({
+  "baseSalary": { "currency": 'usd', "value": { "minValue": '80k', "maxValue": '60k', "unitText": 'YEAR' } },
+  "salaryCurrency": 'EUR'
+});
+assert.strictEqual(nested.data.baseSalary.currency, 'USD');
+assert.deepStrictEqual(nested.data.baseSalary.value, { "@type": "QuantitativeValue", "minValue": 60000, "maxValue": 80000, "unitText": "YEAR" });
+const badUnit = new JobPostingBuilder().fromObject({ "baseSalary": { "value": 10, "currency": 'USD', "unitText": 'per fortnight' } });
+assert.strictEqual(badUnit.data.baseSalary, undefined);
+assert.deepStrictEqual(badUnit.importReport.rejected.map(item => item.field), ['baseSalary']);
+
+// Durations and computed values are normalized as with direct calls
+const recipe = new RecipeBuilder().fromObject({ "name": 'Pie', "prepTime": '15 min', "cookTime": { hours: 1 } });
+assert.strictEqual(recipe.data.totalTime, 'PT1H15M');
+
+// Objects are unpacked for methods taking scalars
+const business = new LocalBusinessBuilder().fromObject({ "geo": { "latitude": 48.85, "longitude": 2.35 } });
+assert.deepStrictEqual(business.data.geo, { "@type": "GeoCoordinates", "latitude": 48.85, "longitude": 2.35 });
+const street = new LocalBusinessBuilder().fromObject({ "address": '1 Main St' });
+assert.deepStrictEqual(street.data.address, { "@type": "PostalAddress", "streetAddress": '1 Main St' });
+console.log('');
+
+// Test 2: Unknown and rejected keys
+console.log('2. Import report:');
+const report = createBuilder('Review').fromObject({
+  "reviewBody": 'Fine.',
+  "legacyFlag": true,
+  "toString": 'not a method call',
+  "build": 'not a method call',
+  "datePublished": 'someday',
+  "wordCount": 'many',
+  "@type": 'Product',
+  "notes": null
+}).importReport;
+console.log(JSON.stringify(report));
+assert.deepStrictEqual(report.applied, ['reviewBody']);
+assert.deepStrictEqual(report.unknown, ['legacyFlag', 'toString', 'build']);
+assert.deepStrictEqual(report.rejected.map(item => item.field), ['datePublished', 'wordCount', '@type']);
+// Rejected values are left out
+const rejected = createBuilder('Review').fromObject({ "datePublished": 'someday' });
+assert.strictEqual('datePublished' in rejected.data, false);
+console.log('');
+
+// Test 3: Mapping source fields
+console.log('3. Mapping:');
+const mapped = createBuilder('Article').fromObject({
+  "title": 'Launch Day',
+  "body": 'Today we launch.',
+  "internalId": 42,
+  "writer": { "name": 'Jane Doe', "profile": 'https://example.com/jane' },
+  "section": 'News'
+}, {
+  mapping: {
+    title: 'headline',
+    body: 'articleBody',
+    internalId: null,
+    writer: (builder, value) => builder.author(value.name, value.profile),
+    section: 'articleSection'
+  }
+});
+assert.strictEqual(mapped.data.headline, 'Launch Day');
+assert.strictEqual(mapped.data.articleBody, 'Today we launch.');
+assert.deepStrictEqual(mapped.data.author, { "@type": "Person", "name": 'Jane Doe', "url": 'https://example.com/jane' });
+assert.strictEqual(mapped.data.articleSection, 'News');
+assert.deepStrictEqual(mapped.importReport.applied, ['title', 'body', 'writer', 'section']);
+assert.deepStrictEqual(mapped.importReport.unknown, []);
+
+// The mapping can be passed directly as the second argument
+const direct = createBuilder('Article').fromObject({ "title": 'Launch Day', "src": 'News' }, { title: 'headline', src: 'articleSection' });
+assert.strictEqual(direct.data.headline, 'Launch Day');
+assert.strictEqual(direct.data.articleSection, 'News');
+assert.deepStrictEqual(direct.importReport.unknown, []);
+assert.throws(() => createBuilder('Article').fromObject({ "title": 'Launch Day', "legacyFlag": true }, { title: 'headline' }, { strict: true }),
+  /legacyFlag: unknown field/);
+
+// Errors thrown by a mapping function are reported
+const failing = createBuilder('Article').fromObject({ "x": 1 }, {
+  mapping: { x: () => { throw new Error('bad record'); } }
+});
+assert.deepStrictEqual(failing.importReport.rejected, [{ field: 'x', message: 'bad record' }]);
+console.log('');
+
+// Test 4: buildFromObject() and strict mode
+console.log('4. buildFromObject():');
+const built = buildFromObject('article', {
+  "headline": 'Launch Day',
+  "author": 'Jane Doe',
+  "datePublished": '2024-01-01',
+  "publisher": 'News Corp'
+});
+assert.strictEqual(built['@type'], 'Article');
+assert.strictEqual(built.publisher.name, 'News Corp');
+// Date-only input stays a date, Date objects become date-times
+assert.strictEqual(built.datePublished, '2024-01-01');
+const dated = new ArticleBuilder().datePublished('2024-01-01').dateModified(new Date('2024-02-01T08:00:00Z'));
+assert.strictEqual(dated.data.datePublished, '2024-01-01');
+assert.strictEqual(dated.data.dateModified, '2024-02-01T08:00:00.000Z');
+
+assert.throws(() => buildFromObject('Article', { "headline": 'Launch Day', "legacyFlag": true }, { strict: true }),
+  /Cannot import Article: legacyFlag: unknown field/);
+assert.throws(() => buildFromObject('Article', { "headline": 'Launch Day' }), /Missing required fields/);
+assert.throws(() => buildFromObject('Unknown', {}), /Unknown builder/);
+
+// Invalid records are ignored
+assert.deepStrictEqual(createBuilder('Article').fromObject(null).importReport, { applied: [], unknown: [], rejected: [] });
+console.log('');
+
+console.log('=== fromObject Tests Complete ===');
@@ -0,0 +1,140 @@
+/**
+ * Test composing builders into one @graph document with GraphBuilder
+ */
+
+const assert = require('assert');
+const {
+  GraphBuilder,
+  ArticleBuilder,
+  FAQPageBuilder,
+  ProductBuilder,
+  WebPageBuilder,
+  MODES,
+  validateDocument
+} = require('../index.js');
+
+console.log('=== Testing Graph Builder ===\n');
+
+const base = 'https://example.com/news/launch';
+
+function article(mode) {
+  return new ArticleBuilder(mode)
+    .headline('Launch Day')
+    .author('Jane Doe', 'https://example.com/jane')
+    .datePublished('2024-01-01T00:00:00Z')
+    .publisher('News Corp', 'https://example.com', 'https://example.com/logo.png');
+}
+
+function faq() {
+  return new FAQPageBuilder()
+    .name('Launch FAQ')
+    .addQuestion('When does it ship?', 'In March.')
+    .publisher('News Corp', 'https://example.com/');
+}
+
+// Test 1: Ids and the graph document
+console.log('1. Graph document:');
+const articleBuilder = article();
+const faqBuilder = faq();
+const graph = new GraphBuilder({ baseUrl: `${base}#ignored` })
+  .add(articleBuilder)
+  .add(faqBuilder, '#faq')
+  .add(new WebPageBuilder().name('Launch Day').url(base), base);
+assert.strictEqual(graph.idOf(articleBuilder), `${base}#article`);
+assert.strictEqual(graph.idOf(faqBuilder), `${base}#faq`);
+assert.deepStrictEqual(graph.ref(articleBuilder), { "@id": `${base}#article` });
+assert.strictEqual(graph.ref(new ArticleBuilder()), null);
+
+// Adding the same builder twice or invalid input changes nothing
+graph.add(articleBuilder).add(null).add({ "name": "no type" });
+assert.strictEqual(graph.entries.length, 3);
+
+const document = graph.build();
+console.log(document['@graph'].map(node => `${node['@type']} ${node['@id']}`).join('\n'));
+assert.strictEqual(document['@context'], 'https://schema.org');
+const nodes = document['@graph'];
+nodes.forEach(node => assert.strictEqual(node['@context'], undefined));
+assert.deepStrictEqual(nodes.map(node => node['@id']), [
+  `${base}#article`,
+  `${base}#faq`,
+  base,
+  `${base}#person-jane-doe`,
+  `${base}#organization-news-corp`
+]);
+console.log('');
+
+// Test 2: Shared entities become one node
+console.log('2. Shared entities:');
+const [articleNode, faqNode] = nodes;
+const publisherRef = { "@id": `${base}#organization-news-corp` };
+assert.deepStrictEqual(articleNode.publisher, publisherRef);
+assert.deepStrictEqual(faqNode.publisher, publisherRef);
+assert.deepStrictEqual(articleNode.author, { "@id": `${base}#person-jane-doe` });
+const publisher = nodes.find(node => node['@id'] === publisherRef['@id']);
+// The first occurrence wins and missing properties are merged in
+assert.strictEqual(publisher.name, 'News Corp');
+assert.ok(publisher.logo);
+assert.strictEqual(nodes.filter(node => node['@type'] === 'Organization').length, 1);
+
+// Builders are not modified
+assert.strictEqual(articleBuilder.data.publisher.name, 'News Corp');
+assert.strictEqual(articleBuilder.data['@id'], undefined);
+
+// Same name, different site: different organizations
+const other = new GraphBuilder()
+  .add(article())
+  .add(new ProductBuilder().name('Phone').offers(10, 'USD')
+    .addProperty('manufacturer', { "@type": "Organization", "name": "News Corp", "url": "https://news-corp.example" }))
+  .build();
+const organizations = other['@graph'].filter(node => node['@type'] === 'Organization').map(node => node['@id']);
+assert.deepStrictEqual(organizations, ['#organization-news-corp', '#organization-news-corp-2']);
+console.log('');
+
+// Test 3: Shared entities can point at added nodes
+console.log('3. Links between nodes:');
+const organization = { "@type": "Organization", "@id": "https://example.com/#org", "name": "News Corp", "url": "https://example.com/" };
+const linkedArticle = article();
+const linked = new GraphBuilder({ baseUrl: base }).add(organization).add(linkedArticle);
+linkedArticle.addProperty('isPartOf', linked.ref(`${base}`));
+const linkedNodes = linked.build()['@graph'];
+assert.strictEqual(linkedNodes.filter(node => node['@type'] === 'Organization').length, 1);
+assert.deepStrictEqual(linkedNodes[1].publisher, { "@id": "https://example.com/#org" });
+assert.deepStrictEqual(linkedNodes[1].isPartOf, { "@id": base });
+assert.ok(linkedNodes[0].logo, 'publisher properties are merged into the added Organization');
+console.log('');
+
+// Test 4: Modes
+console.log('4. Modes:');
+const split = new GraphBuilder().add(article(MODES.SPLIT_CHANNELS)).add(faq()).build();
+assert.ok(split.seo && split.llm);
+assert.strictEqual(split.seo['@graph'].length, 4);
+// Only split-channel nodes have an LLM block; entity ids match the SEO graph
+assert.deepStrictEqual(split.llm['@graph'].map(node => node['@id']), ['#article', '#person-jane-doe', '#organization-news-corp']);
+assert.strictEqual(split.llm['@graph'][0].additionalType, 'https://llmprofiles.org/profiles/content/article/v1');
+
+// A strict-seo publisher with a URL and a split-channel brand without one are the same entity in both graphs
+const mixed = new GraphBuilder()
+  .add(new ArticleBuilder(MODES.STRICT_SEO).headline('ACME launch').publisher('ACME', 'https://acme.example'))
+  .add(new ProductBuilder(MODES.SPLIT_CHANNELS).name('Anvil').brand({ "@type": "Organization", "name": "ACME" }))
+  .build({ validate: false });
+const mixedOrganizations = mixed.seo['@graph'].filter(node => node['@type'] === 'Organization');
+assert.deepStrictEqual(mixedOrganizations.map(node => [node['@id'], node.url]), [['#organization-acme', 'https://acme.example/']]);
+assert.deepStrictEqual(mixed.seo['@graph'][1].brand, { "@id": "#organization-acme" });
+assert.deepStrictEqual(mixed.llm['@graph'].map(node => node['@id']), ['#product', '#organization-acme']);
+assert.deepStrictEqual(mixed.llm['@graph'][0].brand, { "@id": "#organization-acme" });
+
+const strict = new GraphBuilder({ mode: MODES.STRICT_SEO }).add(article(MODES.SPLIT_CHANNELS)).build();
+assert.ok(strict['@graph'][0].additionalType);
+
+assert.throws(() => new GraphBuilder().add(new ArticleBuilder()).build(), /Missing required fields/);
+console.log('');
+
+// Test 5: The graph validates
+console.log('5. Document validation:');
+const report = validateDocument(document);
+console.log(JSON.stringify(report.summary));
+assert.strictEqual(report.valid, true);
+assert.strictEqual(report.summary.validated, 3);
+console.log('');
+
+console.log('=== Graph Builder Tests Complete ===');
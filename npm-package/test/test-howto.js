@@ -0,0 +1,162 @@
+/**
+ * Test HowToBuilder step trees, tools, supplies and output export
+ */
+
+const assert = require('assert');
+const {
+  HowToBuilder,
+  SCHEMA_SOURCES,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing HowTo Builder ===\n');
+
+// Test 1: Tools and supplies
+console.log('1. Tools and supplies:');
+const howto = new HowToBuilder()
+  .name('How to Hang a Shelf')
+  .description('Mount a wall shelf in under an hour')
+  .url('https://example.com/shelf')
+  .totalTime('45 min')
+  .difficulty('Beginner')
+  .keywords(['diy', 'shelf'])
+  .addTool('Drill', { id: 'https://example.com/shelf#drill' })
+  .addTool('Pencil')
+  .addTool('pencil', { requiredQuantity: 2 })
+  .addTool('')
+  .addSupply('Wall plugs', { requiredQuantity: { value: 4, unitText: 'pieces' } })
+  .addSupply({ name: 'Screws', requiredQuantity: '4 x 50 mm', url: 'javascript:alert(1)' });
+console.log(JSON.stringify(howto.data.tool));
+assert.deepStrictEqual(howto.data.tool, [
+  { "@type": "HowToTool", "@id": "https://example.com/shelf#drill", "name": "Drill" },
+  { "@type": "HowToTool", "name": "pencil", "requiredQuantity": 2 }
+]);
+assert.deepStrictEqual(howto.data.supply, [
+  { "@type": "HowToSupply", "name": "Wall plugs", "requiredQuantity": { "@type": "QuantitativeValue", "value": 4, "unitText": "pieces" } },
+  { "@type": "HowToSupply", "name": "Screws", "requiredQuantity": "4 x 50 mm" }
+]);
+
+// Setting the list replaces it
+assert.deepStrictEqual(new HowToBuilder().addTool('Saw').tool(['Hammer', '<b>Level</b>']).data.tool.map(tool => tool.name), ['Hammer', 'Level']);
+console.log('');
+
+// Test 2: Steps with directions, tips, tools and video clips
+console.log('2. Step tree:');
+howto
+  .addSection('Prepare the wall', [
+    {
+      name: 'Drill the holes',
+      directions: ['Mark the holes with a pencil', 'Drill 6 mm holes'],
+      tips: ['Check for pipes and cables first'],
+      tools: ['drill', 'Pencil'],
+      supplies: [{ name: 'Wall plugs', requiredQuantity: 4 }],
+      video: { url: 'https://example.com/shelf.mp4', startOffset: '0:45', endOffset: '1:30' },
+      timeRequired: '10 minutes'
+    },
+    { name: 'No text' }
+  ])
+  .addSection('Empty', [])
+  .addStep('Screw the shelf to the wall', 'Mount', null, 'https://example.com/mount.jpg')
+  .addStep({ text: 'Check it is level', video: { startOffset: 120, endOffset: 60 }, tools: [{ name: 'Spirit level', requiredQuantity: 1 }] });
+console.log(JSON.stringify(howto.data.step));
+const [section, mount, check] = howto.data.step;
+assert.strictEqual(howto.data.step.length, 3);
+assert.strictEqual(section['@type'], 'HowToSection');
+assert.strictEqual(section.itemListElement.length, 1);
+
+const drill = section.itemListElement[0];
+assert.deepStrictEqual(drill.itemListElement, [
+  { "@type": "HowToDirection", "text": "Mark the holes with a pencil" },
+  { "@type": "HowToDirection", "text": "Drill 6 mm holes" },
+  { "@type": "HowToTip", "text": "Check for pipes and cables first" }
+]);
+assert.deepStrictEqual(drill.tool[0], { "@type": "HowToTool", "@id": "https://example.com/shelf#drill", "name": "drill" });
+assert.deepStrictEqual(drill.supply, [{ "@type": "HowToSupply", "name": "Wall plugs", "requiredQuantity": 4 }]);
+assert.deepStrictEqual(drill.video, {
+  "@type": "Clip",
+  "name": "Drill the holes",
+  "url": "https://example.com/shelf.mp4",
+  "startOffset": 45,
+  "endOffset": 90
+});
+assert.strictEqual(drill.timeRequired, 'PT10M');
+assert.deepStrictEqual(mount, { "@type": "HowToStep", "name": "Mount", "text": "Screw the shelf to the wall", "image": "https://example.com/mount.jpg" });
+assert.strictEqual(check.video, undefined);
+
+// A whole list with sections
+const loaded = new HowToBuilder().step([
+  "Unpack",
+  { "@type": "HowToSection", "name": "Build", "itemListElement": [{ "@type": "HowToStep", "text": "Assemble" }] }
+]);
+assert.deepStrictEqual(loaded.data.step[0], { "@type": "HowToStep", "text": "Unpack" });
+assert.strictEqual(loaded.data.step[1].itemListElement[0].text, 'Assemble');
+console.log('');
+
+// Test 3: Steps must use declared tools and supplies
+console.log('3. Declared tools:');
+const issues = howto.checkSteps();
+console.log(JSON.stringify(issues));
+assert.deepStrictEqual(issues.map(issue => issue.field), ['step[2].tool[0]']);
+assert.ok(/Spirit level/.test(issues[0].message));
+assert.ok(howto.validateInline().warnings.some(warning => warning.field === 'step[2].tool[0]'));
+
+howto.addTool('Spirit level');
+assert.deepStrictEqual(howto.checkSteps(), []);
+
+// Matching by @id
+const byId = new HowToBuilder()
+  .addTool('Cordless drill', { id: 'https://example.com/#drill' })
+  .addStep({ text: 'Drill', tools: [{ name: 'Drill', id: 'https://example.com/#drill' }] });
+assert.deepStrictEqual(byId.checkSteps(), []);
+console.log('');
+
+// Test 4: The built how-to matches the page schema
+console.log('4. Page schema validation:');
+const built = howto.build();
+const validation = validateStructuredData(built, 'HowTo', { schemaSource: SCHEMA_SOURCES.PAGE });
+console.log(`   valid: ${validation.valid}`);
+assert.strictEqual(validation.valid, true, JSON.stringify(validation.errors));
+
+const empty = { ...built, step: [{ "@type": "HowToSection", "name": "Empty", "itemListElement": [] }] };
+assert.strictEqual(validateStructuredData(empty, 'HowTo', { schemaSource: SCHEMA_SOURCES.PAGE }).valid, false);
+console.log('');
+
+// Test 5: Output schema export
+console.log('5. Output export:');
+const output = howto.buildOutput({ extractedAt: '2026-01-15T10:00:00Z' });
+console.log(JSON.stringify(output));
+assert.deepStrictEqual(output, {
+  howto: {
+    name: 'How to Hang a Shelf',
+    description: 'Mount a wall shelf in under an hour',
+    totalTime: '45 minutes',
+    difficulty: 'Beginner',
+    tools: ['Drill', 'pencil', 'Spirit level'],
+    supplies: ['Wall plugs', 'Screws'],
+    steps: [
+      { step: 1, name: 'Drill the holes', text: 'Mark the holes with a pencil Drill 6 mm holes', time: '10 minutes' },
+      { step: 2, name: 'Mount', text: 'Screw the shelf to the wall', image: 'https://example.com/mount.jpg' },
+      { step: 3, text: 'Check it is level' }
+    ],
+    tips: ['Check for pipes and cables first'],
+    tags: ['diy', 'shelf']
+  },
+  metadata: {
+    extractedAt: '2026-01-15T10:00:00.000Z',
+    sourceUrl: 'https://example.com/shelf',
+    profileVersion: 'howto.v1'
+  }
+});
+
+// Everyday difficulty names export as the schema's levels; unknown ones are left out
+const exportedDifficulty = value => new HowToBuilder().name('Task').difficulty(value).buildOutput().howto.difficulty;
+assert.strictEqual(exportedDifficulty('Easy'), 'Beginner');
+assert.strictEqual(exportedDifficulty('medium'), 'Intermediate');
+assert.strictEqual(exportedDifficulty('Hard'), 'Advanced');
+assert.strictEqual(exportedDifficulty('Very  hard'), 'Expert');
+assert.strictEqual(exportedDifficulty('expert'), 'Expert');
+assert.strictEqual(exportedDifficulty('Tricky'), undefined);
+assert.strictEqual(new HowToBuilder().difficulty('Easy').data.difficulty, 'Easy');
+console.log('');
+
+console.log('=== HowTo Tests Complete ===');
@@ -0,0 +1,141 @@
+/**
+ * Test structured data extraction from HTML pages
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ArticleBuilder,
+  MODES,
+  HtmlExtractor,
+  EXTRACTION_SOURCES,
+  validateHtml,
+  validateHtmlFile
+} = require('../index.js');
+
+console.log('=== Testing HTML Extraction ===\n');
+
+const article = new ArticleBuilder(MODES.STANDARDS_HEADER, false)
+  .headline('Structured data in rendered pages')
+  .author('Jane Doe')
+  .datePublished('2024-01-01T00:00:00Z')
+  .build();
+
+const html = `<!DOCTYPE html>
+<html>
+<head>
+  <link rel="profile" href="https://llmprofiles.org/profiles">
+  <script type="application/ld+json">${JSON.stringify(article)}</script>
+  <script type="application/ld+json">
+  {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    "mainEntity": [ }
+  </script>
+</head>
+<body>
+  <div itemscope itemtype="https://schema.org/Product" itemid="#phone">
+    <h1 itemprop="name">Phone &amp; Case</h1>
+    <img itemprop="image" src="/phone.jpg" alt="">
+    <div itemprop="offers" itemscope itemtype="http://schema.org/Offer">
+      <meta itemprop="priceCurrency" content="USD">
+      <span itemprop="price">199.99</span>
+    </div>
+  </div>
+  <div vocab="https://schema.org/" typeof="Event" resource="#launch">
+    <span property="name">Launch Party</span>
+    <time property="startDate" datetime="2025-01-01T19:00:00Z">January 1</time>
+    <div property="location" typeof="Place">
+      <span property="name">Main Hall</span>
+    </div>
+  </div>
+</body>
+</html>`;
+
+const extractor = new HtmlExtractor();
+
+// Test 1: All sources are extracted in document order
+console.log('1. Extracted entities:');
+const extraction = extractor.extract(html);
+extraction.entities.forEach(e => console.log(`${e.source} at ${e.line}:${e.column} -> ${e.data['@type']}`));
+assert.deepStrictEqual(extraction.entities.map(e => e.source), [
+  EXTRACTION_SOURCES.JSON_LD,
+  EXTRACTION_SOURCES.MICRODATA,
+  EXTRACTION_SOURCES.RDFA
+]);
+console.log('');
+
+// Test 2: Microdata is normalized to JSON-LD
+console.log('2. Microdata:');
+const product = extraction.entities[1].data;
+console.log(JSON.stringify(product));
+assert.deepStrictEqual(product, {
+  "@context": "https://schema.org",
+  "@type": "Product",
+  "@id": "#phone",
+  "name": "Phone & Case",
+  "image": "/phone.jpg",
+  "offers": { "@type": "Offer", "priceCurrency": "USD", "price": "199.99" }
+});
+console.log('');
+
+// Test 3: RDFa Lite is normalized to JSON-LD
+console.log('3. RDFa Lite:');
+const event = extraction.entities[2].data;
+console.log(JSON.stringify(event));
+assert.deepStrictEqual(event, {
+  "@context": "https://schema.org",
+  "@type": "Event",
+  "@id": "#launch",
+  "name": "Launch Party",
+  "startDate": "2025-01-01T19:00:00Z",
+  "location": { "@type": "Place", "name": "Main Hall" }
+});
+console.log('');
+
+// Test 4: JSON-LD syntax errors point at the page position
+console.log('4. Parse errors:');
+extraction.errors.forEach(e => console.log(`${e.line}:${e.column} ${e.message}`));
+assert.strictEqual(extraction.errors.length, 1);
+assert.strictEqual(extraction.errors[0].line, 10);
+assert.strictEqual(extraction.errors[0].column, 21);
+console.log('');
+
+// Test 5: rel="profile" detection
+console.log('5. Profile links:');
+console.log(extraction.profileLinks);
+assert.strictEqual(extraction.profileLinks.length, 1);
+assert.strictEqual(extraction.profileLinks[0].matches, true);
+const missing = validateHtml('<script type="application/ld+json">{"@type":"Article"}</script>', { mode: MODES.STANDARDS_HEADER });
+console.log('Warnings without link:', missing.warnings.map(w => w.message));
+assert.strictEqual(missing.warnings.length, 1);
+console.log('');
+
+// Test 6: Every entity is validated
+console.log('6. Validation report:');
+const report = validateHtml(html, { mode: MODES.STANDARDS_HEADER });
+console.log('Summary:', report.summary);
+assert.strictEqual(report.entities[0].validation.nodes[0].profileType, 'Article');
+assert.strictEqual(report.entities[0].validation.valid, true);
+assert.strictEqual(report.entities[1].validation.nodes[0].profileType, 'ProductOffer');
+assert.strictEqual(report.summary.parseErrors, 1);
+assert.strictEqual(report.valid, false);
+assert.strictEqual(report.warnings.length, 0);
+console.log('');
+
+// Test 7: Local files
+console.log('7. Local file:');
+const file = path.join(os.tmpdir(), `llmprofiles-extract-${process.pid}.html`);
+fs.writeFileSync(file, html);
+try {
+  const fileReport = validateHtmlFile(file);
+  console.log('File:', path.basename(fileReport.file), '| Entities:', fileReport.summary.entities);
+  assert.strictEqual(fileReport.summary.entities, 3);
+} finally {
+  fs.unlinkSync(file);
+}
+console.log('');
+
+console.log('=== HTML Extraction Tests Complete ===');
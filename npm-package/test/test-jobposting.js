@@ -0,0 +1,166 @@
+/**
+ * Test JobPostingBuilder locations, remote jobs, salaries and posting checks
+ */
+
+const assert = require('assert');
+const {
+  JobPostingBuilder,
+  SALARY_UNITS,
+  parseLocation,
+  SCHEMA_SOURCES,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing JobPosting Builder ===\n');
+
+// Test 1: Location texts
+console.log('1. Location parsing:');
+const locations = {
+  'San Francisco, CA': { addressLocality: 'San Francisco', addressRegion: 'CA', addressCountry: 'US' },
+  'Austin, TX 78701': { addressLocality: 'Austin', addressRegion: 'TX', postalCode: '78701', addressCountry: 'US' },
+  'Vancouver, BC V6B 1A1': { addressLocality: 'Vancouver', addressRegion: 'BC', postalCode: 'V6B 1A1', addressCountry: 'CA' },
+  'Toronto, Ontario, ca': { addressLocality: 'Toronto', addressRegion: 'Ontario', addressCountry: 'CA' },
+  'Berlin, Germany': { addressLocality: 'Berlin', addressCountry: 'Germany' },
+  '1 Main St, Springfield, IL 62701': { streetAddress: '1 Main St', addressLocality: 'Springfield', addressRegion: 'IL', postalCode: '62701', addressCountry: 'US' },
+  'Paris': { addressLocality: 'Paris' }
+};
+Object.entries(locations).forEach(([text, expected]) => {
+  console.log(`   ${text} → ${JSON.stringify(parseLocation(text))}`);
+  assert.deepStrictEqual(parseLocation(text), expected, text);
+});
+assert.strictEqual(parseLocation(' , '), null);
+console.log('');
+
+// Test 2: Several locations and remote jobs
+console.log('2. Locations:');
+const job = new JobPostingBuilder()
+  .title('Site Reliability Engineer')
+  .description('Keep our services running.')
+  .hiringOrganization('Tech Corp')
+  .jobLocation(['San Francisco, CA', 'Berlin, Germany', '', 42])
+  .addJobLocation({ "address": { "@type": "PostalAddress", "addressLocality": "London", "addressCountry": "GB" } });
+console.log(JSON.stringify(job.data.jobLocation));
+assert.strictEqual(job.data.jobLocation.length, 3);
+assert.deepStrictEqual(job.data.jobLocation[0], {
+  "@type": "Place",
+  "address": { "@type": "PostalAddress", "addressLocality": "San Francisco", "addressRegion": "CA", "addressCountry": "US" }
+});
+assert.strictEqual(job.data.jobLocation[2]['@type'], 'Place');
+assert.strictEqual(new JobPostingBuilder().jobLocation('Austin, TX').data.jobLocation.address.addressRegion, 'TX');
+
+// The street address form keeps working
+const street = new JobPostingBuilder().jobLocation('123 Innovation Drive', 'San Francisco', 'CA', 'US').data.jobLocation;
+assert.deepStrictEqual(street.address, {
+  "streetAddress": "123 Innovation Drive",
+  "addressLocality": "San Francisco",
+  "addressRegion": "CA",
+  "addressCountry": "US"
+});
+
+// Remote jobs
+const remote = new JobPostingBuilder().jobLocation('Remote', null, null, 'US');
+assert.strictEqual(remote.data.jobLocationType, 'TELECOMMUTE');
+assert.deepStrictEqual(remote.data.applicantLocationRequirements, { "@type": "Country", "name": "US" });
+assert.strictEqual(remote.data.jobLocation, undefined);
+
+job.remote('US', ['Canada', { "@type": "State", "name": "Bavaria" }]);
+assert.deepStrictEqual(job.data.applicantLocationRequirements.map(area => area.name), ['US', 'Canada', 'Bavaria']);
+assert.strictEqual(job.data.applicantLocationRequirements[2]['@type'], 'State');
+assert.strictEqual(new JobPostingBuilder().jobLocationType('ONSITE').data.jobLocationType, undefined);
+assert.strictEqual(new JobPostingBuilder().jobLocationType('remote').data.jobLocationType, 'TELECOMMUTE');
+console.log('');
+
+// Test 3: Salaries
+console.log('3. Salaries:');
+assert.deepStrictEqual(SALARY_UNITS, ['HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR']);
+job.baseSalary('$140k - $180k', 'usd', 'annual');
+console.log(JSON.stringify(job.data.baseSalary));
+assert.deepStrictEqual(job.data.baseSalary, {
+  "@type": "MonetaryAmount",
+  "currency": "USD",
+  "value": { "@type": "QuantitativeValue", "minValue": 140000, "maxValue": 180000, "unitText": "YEAR" }
+});
+assert.deepStrictEqual(new JobPostingBuilder().baseSalary('$45.50', 'USD', 'per hour').data.baseSalary.value,
+  { "@type": "QuantitativeValue", "value": 45.5, "unitText": "HOUR" });
+assert.strictEqual(new JobPostingBuilder().baseSalary(85000, 'USD', 'fortnight').data.baseSalary, undefined);
+assert.strictEqual(new JobPostingBuilder().baseSalary(85000, '$').data.baseSalary, undefined);
+assert.deepStrictEqual(new JobPostingBuilder().salaryCurrency('EUR').baseSalary({ "value": { "minValue": '90k', "maxValue": '70k' } }).data.baseSalary, {
+  "@type": "MonetaryAmount",
+  "currency": "EUR",
+  "value": { "@type": "QuantitativeValue", "minValue": 70000, "maxValue": 90000, "unitText": "YEAR" }
+});
+
+const range = new JobPostingBuilder().salaryCurrency('eur').salaryRange('120,000', 80000, 'monthly').data.baseSalary;
+assert.deepStrictEqual(range, {
+  "@type": "MonetaryAmount",
+  "currency": "EUR",
+  "value": { "@type": "QuantitativeValue", "minValue": 80000, "maxValue": 120000, "unitText": "MONTH" }
+});
+assert.deepStrictEqual(new JobPostingBuilder().salaryRange(5000, 5000).data.baseSalary.value,
+  { "@type": "QuantitativeValue", "value": 5000, "unitText": "YEAR" });
+assert.strictEqual(new JobPostingBuilder().salaryMinValue('60k').data.baseSalary.value.minValue, 60000);
+console.log('');
+
+// Test 4: Identifier
+console.log('4. Identifier:');
+job.identifier('REQ-2041');
+assert.deepStrictEqual(job.data.identifier, { "@type": "PropertyValue", "name": "Tech Corp", "value": "REQ-2041" });
+assert.strictEqual(new JobPostingBuilder().identifier({ value: 'A1', name: 'ATS' }).data.identifier.name, 'ATS');
+console.log('');
+
+// Test 5: Posting checks
+console.log('5. Posting checks:');
+const now = new Date('2025-03-15T12:00:00Z');
+job.datePosted('2025-03-01').validThrough('2025-04-30');
+assert.deepStrictEqual(job.checkPosting(now), []);
+assert.deepStrictEqual(job.checkPosting(new Date('2025-04-30T20:00:00Z')), []);
+
+const stale = new JobPostingBuilder()
+  .title('Engineer')
+  .hiringOrganization('Tech Corp')
+  .jobLocation('Paris')
+  .applicantLocationRequirements('France')
+  .datePosted('2025-03-20')
+  .validThrough('2025-03-10');
+// baseSalary() would normalize this, so set it raw as loaded markup would
+stale.data.baseSalary = { "@type": "MonetaryAmount", "currency": "usd", "value": { "@type": "QuantitativeValue", "minValue": 9, "maxValue": 5, "unitText": "BIWEEKLY" } };
+stale.data.identifier = 'REQ-1';
+const issues = stale.checkPosting(now);
+console.log(JSON.stringify(issues));
+assert.deepStrictEqual(issues.map(issue => `${issue.severity} ${issue.field}`), [
+  'error validThrough',
+  'error validThrough',
+  'warning datePosted',
+  'warning applicantLocationRequirements',
+  'warning jobLocation.address.addressCountry',
+  'error baseSalary.value.unitText',
+  'error baseSalary.value.minValue',
+  'warning baseSalary.currency',
+  'warning identifier'
+]);
+
+// Remote jobs need applicant locations but no jobLocation
+const remoteOnly = new JobPostingBuilder().title('Support Engineer').hiringOrganization('Tech Corp').remote();
+assert.deepStrictEqual(remoteOnly.validateInline().errors.map(error => error.field), ['applicantLocationRequirements']);
+remoteOnly.remote('US');
+assert.strictEqual(remoteOnly.validateInline().valid, true);
+assert.throws(() => stale.build(), /validThrough/);
+
+// The profile identifier injected by the mode is not reported
+assert.ok(!new JobPostingBuilder().checkPosting().some(issue => issue.field === 'identifier'));
+console.log('');
+
+// Test 6: Page schema
+console.log('6. Page schema validation:');
+const page = remoteOnly.build();
+const validation = validateStructuredData(page, 'JobPosting', { schemaSource: SCHEMA_SOURCES.PAGE });
+console.log(`   remote valid: ${validation.valid}`);
+assert.strictEqual(validation.valid, true, JSON.stringify(validation.errors));
+
+const built = job.build(null, { validate: false });
+assert.strictEqual(validateStructuredData(built, 'JobPosting', { schemaSource: SCHEMA_SOURCES.PAGE }).valid, true);
+const { applicantLocationRequirements, ...unrestricted } = page;
+assert.strictEqual(validateStructuredData(unrestricted, 'JobPosting', { schemaSource: SCHEMA_SOURCES.PAGE }).valid, false);
+console.log('');
+
+console.log('=== JobPosting Tests Complete ===');
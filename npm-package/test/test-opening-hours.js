@@ -0,0 +1,131 @@
+/**
+ * Test LocalBusinessBuilder opening hours, special hours and isOpenAt
+ */
+
+const assert = require('assert');
+const {
+  LocalBusinessBuilder,
+  DAYS_OF_WEEK,
+  parseOpeningHours,
+  formatOpeningHours,
+  isOpenAt,
+  SCHEMA_SOURCES,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing Opening Hours ===\n');
+
+const weekdays = DAYS_OF_WEEK.slice(0, 5);
+
+// Test 1: Compact syntax to specifications
+console.log('1. Parsing:');
+const parsed = parseOpeningHours('Mo-Fr 09:00-12:00,13:00-17:00, Sa 10-14; Su closed');
+console.log(JSON.stringify(parsed));
+assert.deepStrictEqual(parsed, [
+  { "@type": "OpeningHoursSpecification", "dayOfWeek": weekdays, "opens": "09:00", "closes": "12:00" },
+  { "@type": "OpeningHoursSpecification", "dayOfWeek": weekdays, "opens": "13:00", "closes": "17:00" },
+  { "@type": "OpeningHoursSpecification", "dayOfWeek": ["Saturday"], "opens": "10:00", "closes": "14:00" }
+]);
+assert.deepStrictEqual(parseOpeningHours('Fr-Mo 18:00-02:00')[0].dayOfWeek, ['Monday', 'Friday', 'Saturday', 'Sunday']);
+assert.deepStrictEqual(parseOpeningHours('Mon, Wed, Fri 9:30-17:00')[0].dayOfWeek, ['Monday', 'Wednesday', 'Friday']);
+assert.deepStrictEqual(parseOpeningHours('08:00-20:00')[0].dayOfWeek, DAYS_OF_WEEK);
+assert.strictEqual(parseOpeningHours('Sa 00:00-24:00')[0].closes, '23:59');
+assert.deepStrictEqual(parseOpeningHours(['Funday 09:00-17:00', 'Mo 25:00-26:00', 'By appointment', null]), []);
+console.log('');
+
+// Test 2: Specifications to compact syntax
+console.log('2. Formatting:');
+const formatted = formatOpeningHours([
+  ...parseOpeningHours('Monday-Friday 9:00-17:00; Sat 10-14'),
+  { dayOfWeek: ['Friday', 'Saturday'], opens: '18:00', closes: '02:00' },
+  { dayOfWeek: 'https://schema.org/Sunday', opens: '10:00:00', closes: '14:00:00' },
+  { opens: '00:00', closes: '00:00', validFrom: '2024-12-25', validThrough: '2024-12-25' }
+]);
+console.log(JSON.stringify(formatted));
+assert.deepStrictEqual(formatted, ['Mo-Fr 09:00-17:00', 'Fr,Sa 18:00-02:00', 'Sa,Su 10:00-14:00']);
+assert.deepStrictEqual(formatOpeningHours(parseOpeningHours('Mo,Tu,We,Th,Fr,Sa,Su 08:00-20:00')), ['Mo-Su 08:00-20:00']);
+
+// Round trip
+const hours = 'Mo-Th 17:00-23:00, Fr,Sa 17:00-02:00, Su 12:00-15:00, Su 17:00-22:00';
+assert.deepStrictEqual(formatOpeningHours(parseOpeningHours(hours)), hours.split(', '));
+console.log('');
+
+// Test 3: Builder methods
+console.log('3. Builder:');
+const business = new LocalBusinessBuilder()
+  .name('Night Owl Bar')
+  .address('street', '12 Harbor St', 'Boston', 'MA', '02110', 'US')
+  .telephone('+1-555-010-2020')
+  .openingHoursSpecification(['Mo-Th 17:00-23:00', { dayOfWeek: 'Fr-Sa', opens: '17:00', closes: '02:00' }, { dayOfWeek: 'Funday' }])
+  .addOpeningHours('Su', '12:00', '15:00')
+  .addOpeningHours(['Sunday'], '17:00', '22:00')
+  .addOpeningHours('Sunday', 'noon', '15:00')
+  .addClosure('2024-12-25')
+  .addSpecialHours('2024-12-31', '2024-12-31', '17:00-04:00')
+  .addSpecialHours('2024-07-01', '2024-08-31', 'Fr-Sa 17:00-03:00')
+  .addSpecialHours('2024-08-31', '2024-07-01')
+  .addClosure('not a date');
+const specifications = business.data.openingHoursSpecification;
+console.log(JSON.stringify(specifications));
+assert.strictEqual(specifications.length, 7);
+assert.deepStrictEqual(specifications[1], { "@type": "OpeningHoursSpecification", "dayOfWeek": ["Friday", "Saturday"], "opens": "17:00", "closes": "02:00" });
+assert.deepStrictEqual(specifications[4], { "@type": "OpeningHoursSpecification", "opens": "00:00", "closes": "00:00", "validFrom": "2024-12-25", "validThrough": "2024-12-25" });
+assert.strictEqual(specifications[5].dayOfWeek.length, 7);
+assert.deepStrictEqual(specifications[6].dayOfWeek, ['Friday', 'Saturday']);
+
+// openingHours keeps canonical compact entries, and free text as given
+assert.deepStrictEqual(new LocalBusinessBuilder().openingHours('Mo-Fr 9-18, Sa 10-16').data.openingHours, ['Mo-Fr 09:00-18:00', 'Sa 10:00-16:00']);
+assert.strictEqual(new LocalBusinessBuilder().openingHours(['Monday-Friday 11:00-22:00']).data.openingHours, 'Mo-Fr 11:00-22:00');
+assert.strictEqual(new LocalBusinessBuilder().openingHours('By appointment').data.openingHours, 'By appointment');
+console.log('');
+
+// Test 4: Open now
+console.log('4. isOpenAt:');
+const zone = 'America/New_York';
+const checks = [
+  ['2024-06-12T22:00:00Z', true],   // Wednesday 18:00
+  ['2024-06-13T03:30:00Z', false],  // Wednesday 23:30
+  ['2024-06-15T05:30:00Z', true],   // Friday night, Saturday 01:30
+  ['2024-06-15T06:30:00Z', false],  // Saturday 02:30
+  ['2024-06-16T17:00:00Z', true],   // Sunday 13:00
+  ['2024-06-16T20:00:00Z', false],  // Sunday 16:00, between windows
+  ['2024-06-17T05:00:00Z', false],  // Sunday night does not run past midnight
+  ['2024-12-25T23:00:00Z', false],  // Wednesday 18:00, closed for the holiday
+  ['2025-01-01T08:30:00Z', true],   // New Year's Eve until 04:00
+  ['2024-07-13T06:30:00Z', true],   // Saturday 02:30 with summer hours
+  ['2024-07-14T18:00:00Z', true]    // Sunday 14:00 keeps the regular hours in summer
+];
+checks.forEach(([moment, expected]) => {
+  console.log(`   ${moment} → ${business.isOpenAt(new Date(moment), zone)}`);
+  assert.strictEqual(business.isOpenAt(new Date(moment), zone), expected, moment);
+});
+
+// The same moment in another time zone
+assert.strictEqual(business.isOpenAt('2024-06-12T22:00:00Z', 'Europe/Paris'), false);
+assert.strictEqual(business.isOpenAt('2024-06-12T22:00:00Z', 'Not/AZone'), null);
+assert.strictEqual(business.isOpenAt('yesterday', zone), null);
+assert.strictEqual(new LocalBusinessBuilder().isOpenAt(), null);
+
+// openingHours gives the regular hours when the specifications only hold overrides
+const shop = new LocalBusinessBuilder().openingHours('Mo-Fr 09:00-17:00').addClosure('2024-12-24', '2024-12-26');
+assert.strictEqual(shop.isOpenAt(new Date('2024-12-23T15:00:00Z'), zone), true);
+assert.strictEqual(shop.isOpenAt(new Date('2024-12-24T15:00:00Z'), zone), false);
+
+// The standalone helper takes strings and objects
+assert.strictEqual(isOpenAt('Mo-Fr 09:00-17:00', new Date('2024-06-14T13:30:00Z'), 'Europe/Paris'), true);
+assert.strictEqual(isOpenAt([{ dayOfWeek: 'Saturday', opens: '22:00', closes: '22:00' }], '2024-06-16T21:00:00Z', 'UTC'), true);
+assert.strictEqual(isOpenAt([], new Date()), null);
+console.log('');
+
+// Test 5: Page schema
+console.log('5. Page schema validation:');
+const built = business.openingHours('Mo-Th 17:00-23:00, Fr,Sa 17:00-02:00').build();
+const validation = validateStructuredData(built, 'LocalBusiness', { schemaSource: SCHEMA_SOURCES.PAGE });
+console.log(`   valid: ${validation.valid}`);
+assert.strictEqual(validation.valid, true, JSON.stringify(validation.errors));
+
+const invalid = { ...built, openingHoursSpecification: [{ "@type": "OpeningHoursSpecification", "opens": "9am", "closes": "17:00" }] };
+assert.strictEqual(validateStructuredData(invalid, 'LocalBusiness', { schemaSource: SCHEMA_SOURCES.PAGE }).valid, false);
+console.log('');
+
+console.log('=== Opening Hours Tests Complete ===');
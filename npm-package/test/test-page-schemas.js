@@ -0,0 +1,71 @@
+/**
+ * Test validation against the shipped page.schema.json files
+ */
+
+const assert = require('assert');
+const {
+  ProfileValidator,
+  SCHEMA_SOURCES,
+  defaultSchemaRegistry,
+  profiles,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing Page Schema Validation ===\n');
+
+const product = {
+  "@context": "https://schema.org",
+  "@type": "Product",
+  "name": "Wireless Headphones",
+  "brand": { "@type": "Brand", "name": "AudioTech" },
+  "offers": {
+    "@type": "Offer",
+    "price": "199.99",
+    "priceCurrency": "USD"
+  }
+};
+
+// Test 1: Every profile ships a page schema
+console.log('1. Page schemas available for all profiles:');
+Object.keys(profiles).forEach(type => {
+  const available = defaultSchemaRegistry.hasSchema(profiles[type]);
+  console.log(`${type}: ${available ? 'yes' : 'MISSING'}`);
+  assert.ok(available, `Missing page schema for ${type}`);
+});
+console.log('');
+
+// Test 2: Valid product passes in page mode
+console.log('2. Valid Product against page schema:');
+const pageValidator = new ProfileValidator(false, { schemaSource: SCHEMA_SOURCES.PAGE });
+const validResult = pageValidator.validate(product, 'ProductOffer');
+console.log('Valid:', validResult.valid);
+assert.strictEqual(validResult.valid, true);
+console.log('');
+
+// Test 3: Malformed offers fails in page mode but not in index mode
+console.log('3. Malformed offers object:');
+const malformed = { ...product, offers: { "@type": "Offer" }, brand: { "name": "AudioTech" } };
+const pageResult = pageValidator.validate(malformed, 'ProductOffer');
+const indexResult = new ProfileValidator(false).validate(malformed, 'ProductOffer');
+console.log('Page schema valid:', pageResult.valid);
+console.log('Page schema errors:', pageResult.errors.map(e => `${e.path}: ${e.message}`));
+console.log('Index schema valid:', indexResult.valid);
+assert.strictEqual(pageResult.valid, false);
+assert.ok(pageResult.errors.some(e => e.field === 'offers' && /price/.test(e.message)));
+assert.ok(pageResult.errors.some(e => e.field === 'brand'));
+console.log('');
+
+// Test 4: Top-level helper accepts the schema source
+console.log('4. validateStructuredData with schemaSource option:');
+const helperResult = validateStructuredData(malformed, 'ProductOffer', { schemaSource: 'page' });
+console.log('Valid:', helperResult.valid);
+assert.strictEqual(helperResult.valid, false);
+console.log('');
+
+// Test 5: Invalid schema source is rejected
+console.log('5. Invalid schema source:');
+assert.throws(() => new ProfileValidator(true, { schemaSource: 'remote' }), /Invalid schema source/);
+console.log('Throws for unknown schema source: true');
+console.log('');
+
+console.log('=== Page Schema Tests Complete ===');
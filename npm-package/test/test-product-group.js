@@ -0,0 +1,140 @@
+/**
+ * Test ProductGroup variant modelling with ProductGroupBuilder
+ */
+
+const assert = require('assert');
+const {
+  ProductGroupBuilder,
+  ProductBuilder,
+  ProfileValidator,
+  validateShapes,
+  createBuilder,
+  resolveProfileType,
+  MODES,
+  VARIANT_DIMENSIONS
+} = require('../index.js');
+
+console.log('=== Testing Product Groups ===\n');
+
+function variant(size, color, sku, mode) {
+  return new ProductBuilder(mode)
+    .name(`Organic T-Shirt - ${size}, ${color}`)
+    .sku(sku)
+    .size(size)
+    .color(color)
+    .offers('24.00', 'USD', 'InStock');
+}
+
+function group() {
+  return new ProductGroupBuilder()
+    .name('Organic T-Shirt')
+    .productGroupID('TEE')
+    .variesBy('size', 'color');
+}
+
+// Test 1: Composing builders and plain objects
+console.log('1. Composing variants:');
+const tee = group()
+  .brand('GreenWear')
+  .addVariant(variant('S', 'Navy', 'TEE-S-NAVY'))
+  .addVariant(variant('M', 'Sand', 'TEE-M-SAND', MODES.SPLIT_CHANNELS))
+  .addVariant({
+    "@context": "https://schema.org",
+    "name": "Organic T-Shirt - L, Navy",
+    "sku": "TEE-L-NAVY",
+    "size": "L",
+    "color": "Navy",
+    "inProductGroupWithID": "TEE-2024",
+    "offers": { "@type": "Offer", "price": "26.00", "priceCurrency": "USD" }
+  });
+const built = tee.build();
+console.log(JSON.stringify(built.hasVariant.map(v => v.sku)));
+assert.strictEqual(built['@type'], 'ProductGroup');
+assert.deepStrictEqual(built.variesBy, ['https://schema.org/size', 'https://schema.org/color']);
+assert.strictEqual(built.hasVariant.length, 3);
+assert.strictEqual(built.hasVariant[0]['@type'], 'Product');
+assert.strictEqual(built.hasVariant[0].inProductGroupWithID, 'TEE');
+assert.strictEqual(built.hasVariant[2]['@type'], 'Product');
+// An explicit inProductGroupWithID is kept
+assert.strictEqual(built.hasVariant[2].inProductGroupWithID, 'TEE-2024');
+// Variant nodes carry neither @context nor mode properties
+built.hasVariant.forEach(node => {
+  ['@context', 'additionalType', 'schemaVersion', 'identifier'].forEach(key => {
+    assert.strictEqual(node[key], undefined, `${key} should not be in a variant`);
+  });
+});
+assert.strictEqual(built.brand.name, 'GreenWear');
+console.log('');
+
+// Test 2: variesBy normalization
+console.log('2. variesBy values:');
+const dimensions = new ProductGroupBuilder()
+  .variesBy(['schema:Material', 'https://schema.org/suggestedAge', 'http://example.com/fit'])
+  .data.variesBy;
+console.log(dimensions.join(', '));
+assert.deepStrictEqual(dimensions, [
+  'https://schema.org/material',
+  'https://schema.org/suggestedAge',
+  'http://example.com/fit'
+]);
+assert.ok(VARIANT_DIMENSIONS.includes('pattern'));
+// Invalid input is ignored
+assert.strictEqual(new ProductGroupBuilder().variesBy('', null).data.variesBy, undefined);
+console.log('');
+
+// Test 3: Variant consistency checks
+console.log('3. checkVariants():');
+assert.deepStrictEqual(tee.checkVariants(), []);
+
+const inconsistent = group()
+  .addVariant(variant('S', 'Navy', 'TEE-S-NAVY'))
+  .addVariant(variant('S', 'Navy', 'TEE-S-NAVY'))
+  .addVariant(new ProductBuilder().name('Organic T-Shirt - M').sku('TEE-M').size('M').material('Cotton')
+    .offers('24.00', 'USD'))
+  .addVariant(new ProductBuilder().name('Organic T-Shirt - L').sku('TEE-L').size('L').color('Navy').material('Hemp')
+    .offers('24.00', 'USD'));
+const issues = inconsistent.checkVariants();
+issues.forEach(issue => console.log(`${issue.field}: ${issue.message}`));
+assert.ok(issues.some(i => i.field === 'hasVariant' && i.variant === 1 && /repeats the size\/color values of variant 0/.test(i.message)));
+assert.ok(issues.some(i => i.field === 'sku' && i.variant === 1));
+assert.ok(issues.some(i => i.field === 'color' && i.variant === 2 && /no value/.test(i.message)));
+assert.ok(issues.some(i => i.field === 'variesBy' && /'material', which is not listed/.test(i.message)));
+
+const constant = group()
+  .addVariant(variant('S', 'Navy', 'TEE-S-NAVY'))
+  .addVariant(variant('M', 'Navy', 'TEE-M-NAVY'));
+assert.deepStrictEqual(constant.checkVariants().map(i => i.message), [
+  "All variants share the same 'color', so it should not be listed in variesBy"
+]);
+
+// build() refuses inconsistent groups, validateInline() reports why
+assert.throws(() => constant.build(), /Missing required fields|color/);
+assert.strictEqual(constant.validateInline().valid, false);
+assert.ok(constant.validateInline().errors.some(e => e.field === 'variesBy'));
+console.log('');
+
+// Test 4: hasVariant() replaces the variants
+console.log('4. hasVariant():');
+const replaced = group().addVariant(variant('S', 'Navy', 'A'))
+  .hasVariant([variant('M', 'Sand', 'B'), variant('L', 'Navy', 'C')])
+  .data;
+assert.deepStrictEqual(replaced.hasVariant.map(v => v.sku), ['B', 'C']);
+assert.strictEqual(group().hasVariant([]).data.hasVariant, undefined);
+console.log('');
+
+// Test 5: Validation, shapes and the profile registry
+console.log('5. Validation and registry:');
+const result = new ProfileValidator().validate(built, 'ProductGroup');
+console.log('Page schema:', result.valid, result.errors.map(e => e.message || e).join('; '));
+assert.strictEqual(result.valid, true);
+assert.strictEqual(validateShapes(built, 'ProductGroup').valid, true);
+
+const { hasVariant, ...withoutVariants } = built;
+assert.strictEqual(new ProfileValidator().validate(withoutVariants, 'ProductGroup').valid, false);
+
+assert.strictEqual(resolveProfileType('product-group'), 'ProductGroup');
+assert.strictEqual(resolveProfileType('ProductGroup'), 'ProductGroup');
+assert.ok(createBuilder('ProductGroup') instanceof ProductGroupBuilder);
+console.log('');
+
+console.log('=== Product Group Tests Complete ===');
@@ -0,0 +1,121 @@
+/**
+ * Test multi-offer, AggregateOffer and merchant listing support in ProductBuilder
+ */
+
+const assert = require('assert');
+const { ProductBuilder, ProfileValidator, validateShapes, ITEM_AVAILABILITY, OFFER_ITEM_CONDITIONS } = require('../index.js');
+
+console.log('=== Testing Product Offers ===\n');
+
+// Test 1: Availability and condition shorthands
+console.log('1. Enumeration shorthands:');
+assert.strictEqual(ProductBuilder.normalizeAvailability('InStock'), 'https://schema.org/InStock');
+assert.strictEqual(ProductBuilder.normalizeAvailability('out of stock'), 'https://schema.org/OutOfStock');
+assert.strictEqual(ProductBuilder.normalizeAvailability('schema:PreOrder'), 'https://schema.org/PreOrder');
+assert.strictEqual(ProductBuilder.normalizeAvailability('http://schema.org/SoldOut'), 'https://schema.org/SoldOut');
+assert.strictEqual(ProductBuilder.normalizeAvailability('Whenever'), 'Whenever');
+assert.strictEqual(ProductBuilder.normalizeItemCondition('refurbished'), 'https://schema.org/RefurbishedCondition');
+assert.strictEqual(ProductBuilder.normalizeItemCondition('UsedCondition'), 'https://schema.org/UsedCondition');
+assert.ok(ITEM_AVAILABILITY.includes('BackOrder'));
+assert.strictEqual(OFFER_ITEM_CONDITIONS.length, 4);
+console.log('Shorthands normalized');
+console.log('');
+
+// Test 2: A single offer stays an Offer
+console.log('2. Single offer:');
+const single = new ProductBuilder()
+  .name('Wireless Headphones')
+  .offers(199.99, 'USD', 'InStock')
+  .build();
+console.log(JSON.stringify(single.offers));
+assert.deepStrictEqual(single.offers, {
+  "@type": "Offer",
+  "price": "199.99",
+  "priceCurrency": "USD",
+  "availability": "https://schema.org/InStock"
+});
+console.log('');
+
+// Test 3: Several offers become an AggregateOffer
+console.log('3. AggregateOffer:');
+const listing = new ProductBuilder()
+  .name('Wireless Headphones')
+  .addOffer('199.99', 'USD', 'InStock', 'New')
+  .addOffer({ "@type": "Offer", "price": "149.00", "priceCurrency": "USD", "availability": "LimitedAvailability", "itemCondition": "Refurbished" })
+  .addOffer(null, '89.00', 'EUR', 'in stock', 'used')
+  .build();
+console.log(JSON.stringify({ ...listing.offers, offers: `[${listing.offers.offers.length} offers]` }));
+assert.strictEqual(listing.offers['@type'], 'AggregateOffer');
+assert.strictEqual(listing.offers.offerCount, 3);
+assert.strictEqual(listing.offers.priceCurrency, 'USD');
+// Prices in other currencies are not compared
+assert.strictEqual(Number(listing.offers.lowPrice), 149);
+assert.strictEqual(listing.offers.highPrice, '199.99');
+assert.strictEqual(listing.offers.offers[1].itemCondition, 'https://schema.org/RefurbishedCondition');
+assert.strictEqual(listing.offers.offers[2].availability, 'https://schema.org/InStock');
+assert.strictEqual(listing.offers.offers[2].itemCondition, 'https://schema.org/UsedCondition');
+
+// offers() replaces the list
+const replaced = new ProductBuilder().name('Widget').addOffer(1, 'USD').addOffer(2, 'USD').offers(3, 'USD').build(null, { validate: false });
+assert.strictEqual(replaced.offers['@type'], 'Offer');
+assert.strictEqual(replaced.offers.price, '3');
+
+// Offer objects without a type are typed as Offer
+const untyped = new ProductBuilder().name('Widget').addOffer({ "price": 10, "priceCurrency": "USD" }).build(null, { validate: false });
+assert.strictEqual(untyped.offers['@type'], 'Offer');
+assert.strictEqual(new ProductBuilder(undefined, false).addOffer({ "price": 10, "priceCurrency": "USD" }).data.offers['@type'], 'Offer');
+console.log('');
+
+// Test 4: Merchant listing helpers
+console.log('4. Shipping, returns and price validity:');
+const merchant = new ProductBuilder()
+  .name('Wireless Headphones')
+  .addOffer('199.99', 'USD', 'InStock')
+  .shippingDetails({ rate: 0, currency: 'USD', country: 'US', handlingTime: [0, 1], transitTime: [2, 5] })
+  .hasMerchantReturnPolicy({ country: 'US', days: 30, method: 'ReturnByMail', fees: 'FreeReturn' })
+  .priceValidUntil(new Date('2030-12-31T12:00:00Z'))
+  .addOffer('179.99', 'USD', 'PreOrder')
+  .priceValidUntil('2030-06-30', 1)
+  .priceSpecification({ price: '179.99', priceCurrency: 'USD', priceType: 'https://schema.org/StrikethroughPrice' }, 1);
+const built = merchant.build();
+const [first, second] = built.offers.offers;
+console.log(JSON.stringify(first.shippingDetails));
+assert.deepStrictEqual(first.shippingDetails, {
+  "@type": "OfferShippingDetails",
+  "shippingRate": { "@type": "MonetaryAmount", "value": "0", "currency": "USD" },
+  "shippingDestination": { "@type": "DefinedRegion", "addressCountry": "US" },
+  "deliveryTime": {
+    "@type": "ShippingDeliveryTime",
+    "handlingTime": { "@type": "QuantitativeValue", "minValue": 0, "maxValue": 1, "unitCode": "DAY" },
+    "transitTime": { "@type": "QuantitativeValue", "minValue": 2, "maxValue": 5, "unitCode": "DAY" }
+  }
+});
+assert.deepStrictEqual(first.hasMerchantReturnPolicy, {
+  "@type": "MerchantReturnPolicy",
+  "applicableCountry": "US",
+  "merchantReturnDays": 30,
+  "returnMethod": "https://schema.org/ReturnByMail",
+  "returnFees": "https://schema.org/FreeReturn",
+  "returnPolicyCategory": "https://schema.org/MerchantReturnFiniteReturnWindow"
+});
+// Shared values reach offers added later; per-offer values win
+assert.deepStrictEqual(second.shippingDetails, first.shippingDetails);
+assert.strictEqual(first.priceValidUntil, '2030-12-31');
+assert.strictEqual(second.priceValidUntil, '2030-06-30');
+assert.strictEqual(second.priceSpecification['@type'], 'UnitPriceSpecification');
+assert.strictEqual(first.priceSpecification, undefined);
+console.log('');
+
+// Test 5: The output validates against the page schema
+console.log('5. Page schema validation:');
+const validator = new ProfileValidator();
+[single, listing, built].forEach(product => {
+  const result = validator.validate(product, 'ProductOffer');
+  console.log(`${product.offers['@type']}: ${result.valid}`, result.errors.map(e => e.message || e).join('; '));
+  assert.strictEqual(result.valid, true);
+  // An AggregateOffer satisfies the profile's `sh:node schema:Offer`
+  assert.strictEqual(validateShapes(product, 'ProductOffer').valid, true);
+});
+console.log('');
+
+console.log('=== Product Offer Tests Complete ===');
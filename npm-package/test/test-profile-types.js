@@ -0,0 +1,82 @@
+/**
+ * Test profile type resolution across the public API
+ */
+
+const assert = require('assert');
+const {
+  profiles,
+  resolveProfileType,
+  getProfile,
+  validateStructuredData,
+  getFieldMetadata,
+  createBuilder,
+  createMinimalExample
+} = require('../index.js');
+
+console.log('=== Testing Profile Type Resolution ===\n');
+
+// Test 1: Every accepted spelling resolves to the profile key
+console.log('1. resolveProfileType:');
+const cases = {
+  'JobPosting': 'Jobposting',
+  'jobposting': 'Jobposting',
+  'FAQPage': 'Faqpage',
+  'HowTo': 'Howto',
+  'VIDEOOBJECT': 'Videoobject',
+  'product-offer': 'ProductOffer',
+  'Product': 'ProductOffer',
+  'software_application': 'Softwareapplication',
+  'https://schema.org/LocalBusiness': 'Localbusiness',
+  'http://schema.org/QAPage': 'Qapage',
+  'https://llmprofiles.org/profiles/business/product-offer/v1/index.jsonld': 'ProductOffer',
+  'https://llmprofiles.org/profiles/content/recipe/v1/': 'Recipe'
+};
+Object.entries(cases).forEach(([input, expected]) => {
+  const resolved = resolveProfileType(input);
+  console.log(`${input} -> ${resolved}`);
+  assert.strictEqual(resolved, expected);
+});
+assert.strictEqual(resolveProfileType('NonExistentType'), null);
+assert.strictEqual(resolveProfileType(''), null);
+assert.strictEqual(resolveProfileType(undefined), null);
+console.log('');
+
+// Test 2: Profile keys still resolve to themselves
+console.log('2. Profile keys:');
+Object.keys(profiles).forEach(key => assert.strictEqual(resolveProfileType(key), key));
+console.log('All profile keys resolve to themselves: true');
+console.log('');
+
+// Test 3: Public API accepts Schema.org type names
+console.log('3. Public API with Schema.org names:');
+assert.strictEqual(getProfile('JobPosting'), profiles.Jobposting);
+assert.strictEqual(getProfile('NonExistentType'), null);
+
+const faqResult = validateStructuredData({ "@context": "https://schema.org", "@type": "FAQPage" }, 'FAQPage');
+console.log('FAQPage validation errors:', faqResult.errors.length);
+assert.ok(!faqResult.errors.some(e => /Unknown profile type/.test(e)));
+
+const metadata = getFieldMetadata('HowTo', 'name');
+console.log('HowTo name importance:', metadata && metadata.importance);
+assert.ok(metadata);
+
+assert.strictEqual(createBuilder('product-offer').constructor.name, 'ProductBuilder');
+assert.throws(() => createBuilder('NonExistentType'), /Unknown builder/);
+console.log('');
+
+// Test 4: Every profile has a builder
+console.log('4. createBuilder for every profile:');
+Object.keys(profiles).forEach(key => {
+  const builder = createBuilder(key);
+  console.log(`${key}: ${builder.constructor.name}`);
+});
+console.log('');
+
+// Test 5: Minimal examples use the Schema.org type
+console.log('5. createMinimalExample @type:');
+const example = createMinimalExample('jobposting');
+console.log('@type:', example['@type']);
+assert.strictEqual(example['@type'], 'JobPosting');
+console.log('');
+
+console.log('=== Profile Type Resolution Tests Complete ===');
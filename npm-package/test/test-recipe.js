@@ -0,0 +1,136 @@
+/**
+ * Test RecipeBuilder ingredients, instructions and nutrition
+ */
+
+const assert = require('assert');
+const {
+  RecipeBuilder,
+  parseIngredient,
+  NUTRITION_UNITS,
+  validateStructuredData
+} = require('../index.js');
+
+console.log('=== Testing Recipe Builder ===\n');
+
+// Test 1: Ingredient lines
+console.log('1. Ingredient parsing:');
+const lines = {
+  '2 cups all-purpose flour, sifted': { quantity: 2, maxQuantity: null, unit: 'cup', amount: '2 cups', item: 'all-purpose flour', note: 'sifted' },
+  '1 ½ tbsp olive oil (extra virgin)': { quantity: 1.5, maxQuantity: null, unit: 'tablespoon', amount: '1 1/2 tbsp', item: 'olive oil', note: 'extra virgin' },
+  '2-3 cloves garlic, minced': { quantity: 2, maxQuantity: 3, unit: 'clove', amount: '2-3 cloves', item: 'garlic', note: 'minced' },
+  '1/4 tsp. salt': { quantity: 0.25, maxQuantity: null, unit: 'teaspoon', amount: '1/4 tsp', item: 'salt', note: null },
+  '12g dark chocolate': { quantity: 12, maxQuantity: null, unit: 'gram', amount: '12 g', item: 'dark chocolate', note: null },
+  '1 cup of milk': { quantity: 1, maxQuantity: null, unit: 'cup', amount: '1 cup', item: 'milk', note: null },
+  '2 (14 oz) cans diced tomatoes': { quantity: 2, maxQuantity: null, unit: 'can', amount: '2 cans', item: 'diced tomatoes', note: '14 oz' },
+  '3 large eggs': { quantity: 3, maxQuantity: null, unit: null, amount: '3', item: 'large eggs', note: null },
+  'salt, to taste': { quantity: null, maxQuantity: null, unit: null, amount: null, item: 'salt', note: 'to taste' },
+  '2 garlic bulbs': { quantity: 2, maxQuantity: null, unit: null, amount: '2', item: 'garlic bulbs', note: null }
+};
+Object.entries(lines).forEach(([line, expected]) => {
+  const parsed = parseIngredient(line);
+  console.log(`   ${line} → ${JSON.stringify(parsed)}`);
+  assert.deepStrictEqual(parsed, { text: line, ...expected }, line);
+});
+assert.strictEqual(parseIngredient('  '), null);
+assert.strictEqual(parseIngredient(null), null);
+console.log('');
+
+// Test 2: Ingredients keep their text next to the parsed Ingredient
+console.log('2. Ingredients:');
+const recipe = new RecipeBuilder()
+  .name('Apple Pie')
+  .addIngredient('2 cups all-purpose flour, sifted')
+  .addIngredient({ name: 'apples', amount: '6' })
+  .addIngredient('')
+  .addIngredient(42);
+assert.deepStrictEqual(recipe.data.recipeIngredient, ['2 cups all-purpose flour, sifted', '6 apples']);
+assert.deepStrictEqual(recipe.data.ingredients[0], {
+  "@type": "Ingredient",
+  "name": "all-purpose flour",
+  "amount": "2 cups",
+  "quantity": 2,
+  "unit": "cup",
+  "note": "sifted"
+});
+assert.deepStrictEqual(recipe.data.ingredients[1], { "@type": "Ingredient", "name": "apples", "amount": "6" });
+
+// Setting the list replaces both
+const replaced = new RecipeBuilder().addIngredient('1 egg').ingredients(['1 cup sugar', '<b>2</b> cups milk']);
+assert.deepStrictEqual(replaced.data.recipeIngredient, ['1 cup sugar', '2 cups milk']);
+assert.strictEqual(replaced.data.ingredients.length, 2);
+console.log('');
+
+// Test 3: Steps, sections and anchors
+console.log('3. Instructions:');
+recipe
+  .addSection('Make the crust', ['Mix flour and butter', { text: 'Chill the dough', image: 'https://example.com/dough.jpg' }])
+  .addSection('Empty', [])
+  .addInstruction('Bake for 45 minutes', 'Bake')
+  .addInstruction({ text: 'Serve', url: 'https://example.com/serving-tips' })
+  .addInstruction({ name: 'No text' });
+console.log(JSON.stringify(recipe.data.recipeInstructions));
+const [section, bake, serve] = recipe.data.recipeInstructions;
+assert.strictEqual(recipe.data.recipeInstructions.length, 3);
+assert.strictEqual(section['@type'], 'HowToSection');
+assert.deepStrictEqual(section.itemListElement.map(step => step.url), ['#step-1', '#step-2']);
+assert.strictEqual(section.itemListElement[1].image, 'https://example.com/dough.jpg');
+assert.deepStrictEqual(bake, { "@type": "HowToStep", "text": "Bake for 45 minutes", "name": "Bake", "url": "#step-3" });
+assert.strictEqual(serve.url, 'https://example.com/serving-tips');
+
+// Anchors follow the recipe URL, also when it changes
+recipe.url('https://example.com/recipes/apple-pie');
+assert.strictEqual(bake.url, 'https://example.com/recipes/apple-pie#step-3');
+recipe.url('https://example.com/pie');
+assert.deepStrictEqual(section.itemListElement.map(step => step.url), ['https://example.com/pie#step-1', 'https://example.com/pie#step-2']);
+assert.strictEqual(serve.url, 'https://example.com/serving-tips');
+
+// A whole list with sections
+const listed = new RecipeBuilder().recipeInstructions([
+  'Preheat the oven',
+  { "@type": "HowToSection", "name": "Filling", "itemListElement": ['Slice apples', { "@type": "HowToStep", "text": "Add sugar" }] }
+]);
+assert.deepStrictEqual(listed.data.recipeInstructions[1].itemListElement.map(step => step.url), ['#step-2', '#step-3']);
+console.log('');
+
+// Test 4: Nutrition units
+console.log('4. Nutrition:');
+recipe.nutrition({
+  calories: 270,
+  fatContent: '12g',
+  carbohydrateContent: '35 grams carbohydrates',
+  sodiumContent: '1,200 mg',
+  proteinContent: '3 cups',
+  servingSize: '1 slice'
+});
+console.log(JSON.stringify(recipe.data.nutrition));
+assert.deepStrictEqual(recipe.data.nutrition, {
+  "@type": "NutritionInformation",
+  "calories": "270 calories",
+  "fatContent": "12 g",
+  "carbohydrateContent": "35 g",
+  "sodiumContent": "1200 mg",
+  "servingSize": "1 slice"
+});
+assert.deepStrictEqual(recipe.checkNutrition(), []);
+assert.strictEqual(NUTRITION_UNITS.cholesterolContent, 'mg');
+
+// Loaded values with the wrong unit are reported
+const loaded = RecipeBuilder.from({
+  "@type": "Recipe",
+  "name": "Soup",
+  "nutrition": { "@type": "NutritionInformation", "calories": "270 kcal", "fatContent": "12 cups" }
+});
+console.log(JSON.stringify(loaded.checkNutrition()));
+assert.deepStrictEqual(loaded.checkNutrition().map(issue => issue.field), ['nutrition.fatContent']);
+assert.ok(loaded.validateInline().warnings.some(warning => warning.field === 'nutrition.fatContent'));
+console.log('');
+
+// Test 5: The built recipe matches the profile
+console.log('5. Profile validation:');
+const built = recipe.build();
+const validation = validateStructuredData(built, 'Recipe');
+console.log(`   valid: ${validation.valid}`);
+assert.strictEqual(validation.valid, true, JSON.stringify(validation.errors));
+console.log('');
+
+console.log('=== Recipe Tests Complete ===');
@@ -0,0 +1,94 @@
+/**
+ * Test SHACL shape validation driven by each profile's sh:shapesGraph
+ */
+
+const assert = require('assert');
+const {
+  ShaclValidator,
+  ProfileValidator,
+  profiles,
+  validateShapes
+} = require('../index.js');
+
+console.log('=== Testing SHACL Shape Validation ===\n');
+
+// Test 1: Shapes are parsed for every profile
+console.log('1. Shapes graphs parsed from index.jsonld:');
+const validator = new ShaclValidator();
+Object.keys(profiles).forEach(type => {
+  const shapes = validator.getShapes(profiles[type]);
+  assert.ok(shapes && shapes.length > 0, `No shapes for ${type}`);
+  console.log(`${type}: ${shapes[0].targetClass.join(', ')} (${shapes[0].properties.length} property shapes)`);
+});
+console.log('');
+
+// Test 2: Conforming product
+console.log('2. Conforming Product:');
+const product = {
+  "@context": "https://schema.org",
+  "@type": "Product",
+  "name": "Wireless Headphones",
+  "offers": { "@type": "Offer", "price": "199.99", "priceCurrency": "USD" }
+};
+const conforming = validateShapes(product, 'ProductOffer');
+console.log('Conforms:', conforming.conforms);
+assert.strictEqual(conforming.valid, true);
+console.log('');
+
+// Test 3: sh:minCount and sh:node violations
+console.log('3. Violations:');
+const violating = validateShapes({ "@context": "https://schema.org", "@type": "Product", "offers": "199.99" }, 'ProductOffer');
+violating.errors.forEach(e => console.log(`${e.constraint} ${e.path}: ${e.message}`));
+assert.ok(violating.errors.some(e => e.constraint === 'sh:minCount' && e.field === 'name'));
+assert.ok(violating.errors.some(e => e.constraint === 'sh:node' && e.field === 'offers'));
+console.log('');
+
+// Test 4: @graph documents, prefixed contexts and @id references
+console.log('4. @graph with @id references:');
+const faq = {
+  "@context": { "schema": "http://schema.org/" },
+  "@graph": [
+    { "@type": "schema:FAQPage", "schema:mainEntity": [{ "@id": "#q1" }, { "@id": "#a1" }] },
+    { "@id": "#q1", "@type": "schema:Question", "schema:name": "What is it?" },
+    { "@id": "#a1", "@type": "schema:Answer", "schema:text": "A thing." }
+  ]
+};
+const faqResult = validateShapes(faq, 'Faqpage');
+faqResult.errors.forEach(e => console.log(`${e.constraint} ${e.path}: ${e.message}`));
+assert.strictEqual(faqResult.errors.length, 1);
+assert.strictEqual(faqResult.errors[0].path, '@graph[0].mainEntity');
+console.log('');
+
+// Test 5: Core constraints from a custom shapes graph
+console.log('5. Custom shapes graph:');
+const shapes = validator.parseShapesGraph({
+  "@context": { "schema": "https://schema.org/", "sh": "http://www.w3.org/ns/shacl#", "xsd": "http://www.w3.org/2001/XMLSchema#" },
+  "sh:shapesGraph": {
+    "sh:targetClass": "schema:Offer",
+    "sh:property": [
+      { "sh:path": "schema:priceCurrency", "sh:minCount": 1, "sh:maxCount": 1, "sh:pattern": "^[A-Z]{3}$" },
+      { "sh:path": "schema:price", "sh:datatype": "xsd:decimal", "sh:minInclusive": 0 },
+      { "sh:path": ["schema:seller", "schema:name"], "sh:minCount": 1 }
+    ]
+  }
+});
+const offerResult = validator.validateShapes({
+  "@context": "https://schema.org",
+  "@type": "Offer",
+  "price": -5,
+  "priceCurrency": "usd",
+  "seller": { "@type": "Organization" }
+}, shapes);
+offerResult.errors.forEach(e => console.log(`${e.constraint} ${e.path}: ${e.message}`));
+assert.deepStrictEqual(offerResult.errors.map(e => e.constraint).sort(), ['sh:minCount', 'sh:minInclusive', 'sh:pattern']);
+console.log('');
+
+// Test 6: ProfileValidator merges shape violations
+console.log('6. ProfileValidator with shapes option:');
+const merged = new ProfileValidator(false, { shapes: true }).validate({ "@context": "https://schema.org", "@type": "Product" }, 'ProductOffer');
+console.log('Valid:', merged.valid, '| SHACL conforms:', merged.shacl.conforms);
+assert.strictEqual(merged.shacl.conforms, false);
+assert.ok(merged.errors.some(e => e.constraint === 'sh:minCount'));
+console.log('');
+
+console.log('=== SHACL Tests Complete ===');
@@ -0,0 +1,177 @@
+/**
+ * Test the BreadcrumbList, WebPage and WebSite builders
+ */
+
+const assert = require('assert');
+const {
+  createBuilder,
+  resolveProfileType,
+  validateStructuredData,
+  validateShapes,
+  BreadcrumbListBuilder,
+  WebPageBuilder,
+  WebSiteBuilder,
+  ArticleBuilder,
+  FAQPageBuilder,
+  QAPageBuilder,
+  MODES
+} = require('../index.js');
+
+console.log('=== Testing Site Structure Builders ===\n');
+
+function trail() {
+  return new BreadcrumbListBuilder()
+    .addItem('Home', 'https://example.com/')
+    .addItem('Shoes', '/shoes')
+    .addItem('Trail Runner X');
+}
+
+// Test 1: Breadcrumb positions and URLs
+console.log('1. Breadcrumb trail:');
+const breadcrumb = trail().build();
+console.log(JSON.stringify(breadcrumb.itemListElement));
+assert.deepStrictEqual(breadcrumb.itemListElement, [
+  { "@type": "ListItem", "position": 1, "name": "Home", "item": "https://example.com/" },
+  { "@type": "ListItem", "position": 2, "name": "Shoes", "item": "https://example.com/shoes" },
+  { "@type": "ListItem", "position": 3, "name": "Trail Runner X" }
+]);
+
+// Items set at once are renumbered in the order given
+const replaced = trail().itemListElement([
+  ['Docs', 'https://example.com/docs'],
+  { "@type": "ListItem", "position": 7, "name": "Guides", "item": "https://example.com/docs/guides" },
+  { name: 'Setup', url: '/docs/setup' },
+  { name: '' },
+  null
+]);
+assert.deepStrictEqual(replaced.data.itemListElement.map(item => item.position), [1, 2, 3]);
+assert.strictEqual(replaced.data.itemListElement[2].item, 'https://example.com/docs/setup');
+
+// Invalid items and URLs are ignored
+const ignored = new BreadcrumbListBuilder().addItem(null).addItem('Home', 'javascript:alert(1)');
+assert.deepStrictEqual(ignored.data.itemListElement, [{ "@type": "ListItem", "position": 1, "name": "Home" }]);
+console.log('');
+
+// Test 2: Breadcrumb validation and loading
+console.log('2. Breadcrumb validation:');
+const single = new BreadcrumbListBuilder().addItem('Home', 'https://example.com/').validateInline();
+assert.strictEqual(single.valid, true);
+assert.ok(single.warnings.some(warning => /single item/.test(warning.message)));
+
+const gap = new BreadcrumbListBuilder().addItem('Home').addItem('Shoes', 'https://example.com/shoes').validateInline();
+assert.strictEqual(gap.valid, false);
+assert.ok(gap.errors.some(error => /item 1 \("Home"\) has no URL/.test(error.message)));
+
+// Loaded trails are put in position order and keep numbering
+const loaded = BreadcrumbListBuilder.from({
+  "@type": "BreadcrumbList",
+  "itemListElement": [
+    { "@type": "ListItem", "position": 2, "name": "Shoes", "item": "https://example.com/shoes" },
+    { "@type": "ListItem", "position": 1, "name": "Home", "item": "https://example.com/" }
+  ]
+});
+loaded.addItem('Boots', '/shoes/boots');
+assert.deepStrictEqual(loaded.data.itemListElement.map(item => `${item.position} ${item.name}`), ['1 Home', '2 Shoes', '3 Boots']);
+assert.strictEqual(loaded.data.itemListElement[2].item, 'https://example.com/shoes/boots');
+console.log('');
+
+// Test 3: WebPage nests other builders
+console.log('3. WebPage:');
+const article = new ArticleBuilder().headline('Trail Runner X review').author('Jane Doe');
+const page = new WebPageBuilder()
+  .name('Trail Runner X')
+  .url('https://example.com/shoes/trail-runner-x')
+  .breadcrumb(trail())
+  .mainEntity(article)
+  .isPartOf('https://example.com/#website')
+  .datePublished(new Date('2024-03-01T12:00:00Z'))
+  .dateModified('not a date')
+  .speakable(['.headline', '.summary'])
+  .primaryImageOfPage('https://example.com/images/trail-runner-x.png');
+const pageData = page.build();
+console.log(JSON.stringify(pageData.breadcrumb));
+assert.deepStrictEqual(pageData.breadcrumb, { "@type": "BreadcrumbList", "itemListElement": breadcrumb.itemListElement });
+assert.deepStrictEqual(pageData.mainEntity, { "@type": "Article", "headline": "Trail Runner X review", "author": "Jane Doe" });
+assert.deepStrictEqual(pageData.isPartOf, { "@id": "https://example.com/#website" });
+assert.strictEqual(pageData.datePublished, '2024-03-01T12:00:00.000Z');
+assert.strictEqual(pageData.dateModified, undefined);
+assert.deepStrictEqual(pageData.speakable.cssSelector, ['.headline', '.summary']);
+assert.strictEqual(validateStructuredData(pageData, 'WebPage').valid, true);
+assert.strictEqual(validateShapes(pageData, 'WebPage').valid, true);
+console.log('');
+
+// Test 4: getNode() leaves out @context and profile properties of any mode
+console.log('4. Nested nodes:');
+[MODES.STRICT_SEO, MODES.SPLIT_CHANNELS, MODES.STANDARDS_HEADER].forEach(mode => {
+  const node = new BreadcrumbListBuilder(mode).addItem('Home', 'https://example.com/').getNode();
+  assert.deepStrictEqual(Object.keys(node), ['@type', 'itemListElement'], mode);
+});
+// Values set on purpose are kept
+const custom = new BreadcrumbListBuilder().addItem('Home', 'https://example.com/')
+  .addProperty('identifier', 'trail-1').getNode();
+assert.strictEqual(custom.identifier, 'trail-1');
+
+// FAQPage and QAPage accept a breadcrumb builder too
+const faq = new FAQPageBuilder().addQuestion('Do they run small?', 'No.').breadcrumb(trail()).build();
+assert.deepStrictEqual(faq.breadcrumb, pageData.breadcrumb);
+const qa = new QAPageBuilder().breadcrumb(trail());
+assert.deepStrictEqual(qa.data.breadcrumb, pageData.breadcrumb);
+assert.strictEqual(new FAQPageBuilder().breadcrumb({ "@type": "BreadcrumbList", "itemListElement": [] }).data.breadcrumb['@type'], 'BreadcrumbList');
+console.log('');
+
+// Test 5: WebSite with a SearchAction
+console.log('5. WebSite SearchAction:');
+const site = new WebSiteBuilder()
+  .name('Example Store')
+  .alternateName(['Example', 'example.com'])
+  .url('https://example.com/')
+  .publisher('Example Inc.', 'https://example.com/')
+  .searchAction('https://example.com/search?q={search_term_string}');
+const siteData = site.build();
+console.log(JSON.stringify(siteData.potentialAction));
+assert.deepStrictEqual(siteData.potentialAction, {
+  "@type": "SearchAction",
+  "target": { "@type": "EntryPoint", "urlTemplate": "https://example.com/search?q={search_term_string}" },
+  "query-input": "required name=search_term_string"
+});
+assert.strictEqual(validateStructuredData(siteData, 'WebSite').valid, true);
+
+// Placeholders in the path stay unencoded; queryName picks one of several
+const pathSearch = new WebSiteBuilder().searchAction('https://example.com/{lang}/search/{query}', { queryName: 'query', required: false });
+assert.deepStrictEqual(pathSearch.data.potentialAction.target.urlTemplate, 'https://example.com/{lang}/search/{query}');
+assert.strictEqual(pathSearch.data.potentialAction['query-input'], 'name=query');
+
+// Other actions are kept when the SearchAction is replaced
+const order = { "@type": "OrderAction", "target": "https://example.com/order" };
+const actions = new WebSiteBuilder().potentialAction(order)
+  .searchAction('https://example.com/search?q={q}')
+  .searchAction('https://example.com/find?term={term}').data.potentialAction;
+assert.deepStrictEqual(actions.map(action => action['@type']), ['SearchAction', 'OrderAction']);
+assert.strictEqual(actions[0]['query-input'], 'required name=term');
+
+// Templates without a placeholder are ignored
+assert.strictEqual(new WebSiteBuilder().searchAction('https://example.com/search?q=').data.potentialAction, undefined);
+assert.strictEqual(new WebSiteBuilder().searchAction('https://example.com/?q={q}', { queryName: 'x' }).data.potentialAction, undefined);
+
+// A query-input that does not match the template is an error
+const mismatch = new WebSiteBuilder().name('Example').url('https://example.com/').potentialAction({
+  "@type": "SearchAction",
+  "target": "https://example.com/search?q={q}",
+  "query-input": "required name=search_term_string"
+});
+console.log(JSON.stringify(mismatch.checkSearchActions()));
+assert.strictEqual(mismatch.checkSearchActions().length, 1);
+assert.strictEqual(mismatch.validateInline().valid, false);
+assert.strictEqual(site.validateInline().valid, true);
+console.log('');
+
+// Test 6: Profile names
+console.log('6. Profile names:');
+assert.strictEqual(resolveProfileType('BreadcrumbList'), 'Breadcrumblist');
+assert.ok(createBuilder('BreadcrumbList') instanceof BreadcrumbListBuilder);
+assert.ok(createBuilder('webpage') instanceof WebPageBuilder);
+assert.ok(createBuilder('WebSite') instanceof WebSiteBuilder);
+assert.strictEqual(new WebSiteBuilder().getProfileUrl(), 'https://llmprofiles.org/profiles/content/website/v1/index.jsonld');
+console.log('');
+
+console.log('=== Site Structure Tests Complete ===');
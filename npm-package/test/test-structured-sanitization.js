@@ -0,0 +1,144 @@
+/**
+ * Test profile-aware, recursive structured data sanitization
+ */
+
+const assert = require('assert');
+const { InputSanitizer, ProfileValidator } = require('../index.js');
+
+console.log('=== Testing Structured Data Sanitization ===\n');
+
+const sanitizer = new InputSanitizer();
+
+// Test 1: Nested entities and arrays are sanitized
+console.log('1. Nested FAQ answers:');
+const faq = {
+  "@context": "https://schema.org",
+  "@type": "FAQPage",
+  "mainEntity": [
+    {
+      "@type": "Question",
+      "name": "Is it <b>safe</b>?",
+      "acceptedAnswer": {
+        "@type": "Answer",
+        "text": "<script>alert(1)</script>Yes & it's fast"
+      }
+    }
+  ],
+  "keywords": ["faq", "<i></i>"]
+};
+let { data, log } = sanitizer.sanitizeStructuredDataWithLog(faq, 'FAQPage');
+log.forEach(entry => console.log(`${entry.path}: ${entry.action} (${entry.kind})`));
+assert.strictEqual(data.mainEntity[0].name, 'Is it safe?');
+assert.strictEqual(data.mainEntity[0].acceptedAnswer.text, 'alert(1)Yes &amp; it&#x27;s fast');
+assert.deepStrictEqual(data.keywords, ['faq']);
+assert.strictEqual(data['@context'], 'https://schema.org');
+assert.ok(log.some(e => e.path === '$.mainEntity[0].acceptedAnswer.text' && e.action === 'modified' && e.kind === 'text'));
+assert.ok(log.some(e => e.path === '$.keywords[1]' && e.action === 'removed'));
+// The input is not mutated
+assert.strictEqual(faq.mainEntity[0].name, 'Is it <b>safe</b>?');
+
+// Sanitizing twice does not escape entities again
+assert.deepStrictEqual(sanitizer.sanitizeStructuredDataWithLog(data, 'FAQPage').log, []);
+console.log('');
+
+// Test 2: Field types come from the profile schemas
+console.log('2. Profile field types:');
+({ data, log } = sanitizer.sanitizeStructuredDataWithLog({
+  "@type": "Recipe",
+  "name": "Pie",
+  "datePublished": "2024-01-05T10:00:00Z",
+  "image": "javascript:alert(1)",
+  "recipeInstructions": [
+    { "@type": "HowToStep", "text": "Bake <b>it</b>", "url": "#step-1" }
+  ],
+  "review": [
+    { "@type": "Review", "author": { "@type": "Person", "name": "A<B" }, "datePublished": "2024-02-01" }
+  ]
+}, 'Recipe'));
+console.log('Changes:', log.map(e => `${e.path}=${JSON.stringify(e.value)}`).join(', '));
+// Recipe dates are calendar dates, not date-times
+assert.strictEqual(data.datePublished, '2024-01-05');
+assert.strictEqual(data.image, null);
+assert.ok(log.some(e => e.path === '$.image' && e.action === 'rejected'));
+assert.strictEqual(data.recipeInstructions[0].text, 'Bake it');
+assert.strictEqual(data.recipeInstructions[0].url, '#step-1');
+assert.strictEqual(data.review[0].author.name, 'A&lt;B');
+assert.strictEqual(data.review[0].datePublished, '2024-02-01');
+
+// Article dates are date-times
+({ data } = sanitizer.sanitizeStructuredDataWithLog({ "@type": "Article", "datePublished": "2024-01-05" }, 'Article'));
+assert.strictEqual(data.datePublished, '2024-01-05T00:00:00.000Z');
+
+// Entities only use a profile whose Schema.org type they declare, so an
+// Offer is not sanitized as a Product
+({ data } = sanitizer.sanitizeStructuredDataWithLog({
+  "@type": "Offer", "price": "19.999", "url": "https://example.com/tickets"
+}));
+assert.strictEqual(data.price, 20);
+assert.strictEqual(data.url, 'https://example.com/tickets');
+
+// A schema that types a field as text wins over the field name
+({ data } = sanitizer.sanitizeStructuredDataWithLog({
+  "@type": "Product",
+  "offers": { "@type": "Offer", "price": "19.99", "priceCurrency": "USD" }
+}, 'Product'));
+assert.strictEqual(data.offers.price, '19.99');
+
+// ... and so does a text value where the schema allows text or a number
+({ data } = sanitizer.sanitizeStructuredDataWithLog({
+  "@type": "Product",
+  "offers": [
+    { "@type": "Offer", "price": "19.999", "priceCurrency": "USD" },
+    { "@type": "Offer", "price": 19.5, "priceCurrency": "USD" }
+  ]
+}, 'Product'));
+assert.strictEqual(data.offers[0].price, '19.999');
+assert.strictEqual(data.offers[1].price, 19.5);
+
+// Profile constants are left untouched
+const profileUrl = 'https://llmprofiles.org/profiles/content/article/v1/index.jsonld';
+({ log } = sanitizer.sanitizeStructuredDataWithLog({ "@type": "Article", "additionalType": profileUrl }, 'Article'));
+assert.deepStrictEqual(log, []);
+console.log('');
+
+// Test 3: @graph nodes are sanitized with their own profile
+console.log('3. @graph documents:');
+({ data, log } = sanitizer.sanitizeStructuredDataWithLog({
+  "@context": "https://schema.org",
+  "@graph": [
+    { "@type": "Recipe", "@id": "#recipe", "name": "Soup", "datePublished": "2024-03-01T08:00:00Z" },
+    { "@type": "Article", "headline": "Soup <em>news</em>", "datePublished": "2024-03-01" }
+  ]
+}));
+log.forEach(entry => console.log(`${entry.path}: ${JSON.stringify(entry.original)} -> ${JSON.stringify(entry.value)}`));
+assert.strictEqual(data['@graph'][0]['@id'], '#recipe');
+assert.strictEqual(data['@graph'][0].datePublished, '2024-03-01');
+assert.strictEqual(data['@graph'][1].datePublished, '2024-03-01T00:00:00.000Z');
+assert.ok(log.some(e => e.path === "$['@graph'][1].headline"));
+console.log('');
+
+// Test 4: Cycles and excessive depth are cut off
+console.log('4. Cycles and depth:');
+const cyclic = { "@type": "Article", "headline": "Loop", "isPartOf": {} };
+cyclic.isPartOf.hasPart = cyclic;
+({ data, log } = sanitizer.sanitizeStructuredDataWithLog(cyclic, 'Article'));
+assert.strictEqual(data.isPartOf.hasPart, null);
+assert.ok(log.some(e => e.path === '$.isPartOf.hasPart' && e.kind === 'cycle'));
+
+let deep = { "name": "leaf" };
+for (let i = 0; i < 40; i++) deep = { "item": deep };
+({ log } = new InputSanitizer({ MAX_DEPTH: 10 }).sanitizeStructuredDataWithLog(deep));
+assert.ok(log.some(e => e.kind === 'depth' && e.action === 'rejected'));
+console.log('Cycles and deep nesting rejected');
+console.log('');
+
+// Test 5: The validator reports the log
+console.log('5. Validator integration:');
+const result = new ProfileValidator().validate(faq, 'FAQPage');
+assert.ok(Array.isArray(result.sanitizationLog));
+assert.ok(result.sanitizationLog.some(e => e.path === '$.mainEntity[0].acceptedAnswer.text'));
+assert.strictEqual(new ProfileValidator(false).validate(faq, 'FAQPage').sanitizationLog, null);
+console.log('Log entries:', result.sanitizationLog.length);
+console.log('');
+
+console.log('=== Structured Data Sanitization Tests Complete ===');
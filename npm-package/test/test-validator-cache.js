@@ -0,0 +1,131 @@
+/**
+ * Test compiled validator caching, standalone precompilation and stream validation
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  ArticleBuilder,
+  MODES,
+  ProfileValidator,
+  ValidatorCache,
+  generateStandaloneValidators,
+  validateStream
+} = require('../index.js');
+
+console.log('=== Testing Validator Cache ===\n');
+
+const article = new ArticleBuilder(MODES.STRICT_SEO, false)
+  .headline('Cached validators')
+  .author('Jane Doe')
+  .datePublished('2024-01-01T00:00:00Z')
+  .build();
+
+async function main() {
+  // Test 1: Schemas are compiled once per profile and mode
+  console.log('1. Compile once:');
+  const cache = new ValidatorCache();
+  const validator = new ProfileValidator(true, { cache });
+  const batch = validator.validateBatch(Array.from({ length: 50 }, () => article), 'Article');
+  validator.validate({ "@type": "FAQPage" }, 'FAQPage');
+  console.log('Stats:', cache.getStats());
+  assert.strictEqual(batch.summary.valid, 50);
+  assert.deepStrictEqual(cache.getStats(), { size: 2, hits: 49, misses: 2, compiled: 2, precompiled: 0 });
+
+  // Instances sharing a cache reuse its validators, and modes get their own entry
+  new ProfileValidator(true, { cache }).validate(article, 'JobPosting');
+  new ProfileValidator(true, { cache, mode: MODES.STRICT_SEO }).validate(article, 'Article');
+  assert.ok(cache.has(ValidatorCache.getKey('Article', MODES.STRICT_SEO)));
+  assert.strictEqual(cache.getStats().compiled, 4);
+
+  // Another revision of a mode compiles again
+  const compileStub = () => () => true;
+  const first = cache.get('Article:re-registered', compileStub, 1);
+  assert.strictEqual(cache.get('Article:re-registered', compileStub, 1), first);
+  assert.notStrictEqual(cache.get('Article:re-registered', compileStub, 2), first);
+
+  // Without a cache every call compiles, with identical results
+  const uncached = new ProfileValidator(true, { cache: false }).validate(article, 'Article');
+  assert.strictEqual(uncached.valid, validator.validate(article, 'Article').valid);
+  console.log('');
+
+  // Test 2: Mode-specific schemas only require the profile fields the mode emits
+  console.log('2. Mode-specific schemas:');
+  const schema = validator.createSchema(validator.profiles.Article, MODES.STRICT_SEO);
+  console.log('Required:', schema.required);
+  assert.ok(schema.required.includes('additionalType'));
+  assert.deepStrictEqual(validator.createSchema(validator.profiles.Article).required, Object.keys(validator.profiles.Article.required));
+  console.log('');
+
+  // Test 3: Standalone precompiled validators
+  console.log('3. Standalone validators:');
+  const code = generateStandaloneValidators({ profiles: ['Article', 'FAQPage'], modes: [null, MODES.STRICT_SEO] });
+  const file = path.join(__dirname, `.validators-${process.pid}.js`);
+  fs.writeFileSync(file, code);
+  try {
+    const precompiledCache = new ValidatorCache({ precompiled: file });
+    const precompiled = new ProfileValidator(true, { cache: precompiledCache });
+    const valid = precompiled.validate(article, 'Article');
+    const invalid = precompiled.validate({ "@type": "Article" }, 'Article');
+    console.log('Stats:', precompiledCache.getStats());
+    assert.strictEqual(valid.valid, true);
+    assert.strictEqual(invalid.valid, false);
+    assert.deepStrictEqual(
+      invalid.errors.map(e => e.message),
+      new ProfileValidator(true, { cache: false }).validate({ "@type": "Article" }, 'Article').errors.map(e => e.message)
+    );
+    assert.strictEqual(precompiledCache.getStats().precompiled, 1);
+    assert.strictEqual(precompiledCache.getStats().compiled, 0);
+
+    // Profiles whose index key differs from their Schema.org type are found too
+    const breadcrumbFile = path.join(__dirname, `.validators-breadcrumb-${process.pid}.js`);
+    fs.writeFileSync(breadcrumbFile, generateStandaloneValidators({ profiles: ['BreadcrumbList'] }));
+    try {
+      const breadcrumbCache = new ValidatorCache({ precompiled: breadcrumbFile });
+      new ProfileValidator(true, { cache: breadcrumbCache }).validate({ "@type": "BreadcrumbList" }, 'BreadcrumbList');
+      assert.strictEqual(breadcrumbCache.getStats().precompiled, 1);
+      assert.strictEqual(breadcrumbCache.getStats().compiled, 0);
+    } finally {
+      fs.unlinkSync(breadcrumbFile);
+    }
+
+    // Profiles missing from the module are compiled at runtime
+    precompiled.validate(article, 'Recipe');
+    assert.strictEqual(precompiledCache.getStats().compiled, 1);
+  } finally {
+    fs.unlinkSync(file);
+  }
+  assert.throws(() => generateStandaloneValidators({ profiles: ['Unknown'] }), /Unknown profile type/);
+  console.log('');
+
+  // Test 4: JSONL streams
+  console.log('4. Stream validation:');
+  const lines = [JSON.stringify(article), '', '{ not json', JSON.stringify({ "@type": "Article" })].join('\r\n');
+  // Split records across chunks to exercise line buffering
+  const chunks = [lines.slice(0, 25), lines.slice(25, 200), lines.slice(200)].map(chunk => Buffer.from(chunk));
+  const results = [];
+  for await (const result of validateStream(Readable.from(chunks), 'Article')) {
+    results.push(result);
+  }
+  console.log(results.map(r => `${r.line}:${r.valid}`).join(', '));
+  assert.deepStrictEqual(results.map(r => r.line), [1, 3, 4]);
+  assert.deepStrictEqual(results.map(r => r.valid), [true, false, false]);
+  assert.ok(results[1].errors[0].startsWith('Invalid JSON'));
+
+  // Without a profile every record is validated as a document
+  const documents = [];
+  for await (const result of validator.validateStream([`${JSON.stringify({ "@graph": [article] })}\n`])) {
+    documents.push(result);
+  }
+  assert.strictEqual(documents[0].summary.valid, 1);
+  console.log('');
+}
+
+main().then(() => {
+  console.log('=== Validator Cache Tests Complete ===');
+}).catch(error => {
+  console.error(error);
+  process.exit(1);
+});
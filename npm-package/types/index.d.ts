@@ -191,7 +191,9 @@ export interface ValidationResult {
   googleRichResults: GoogleRichResultsCheck;
   llmOptimization: LLMOptimizationCheck;
   sanitized?: any;
+  sanitizationLog?: SanitizationLogEntry[] | null;
   securityWarnings?: Array<{ field: string; message: string; severity: 'low' | 'medium' | 'high' }>;
+  shacl?: { conforms: boolean; errors: ShaclViolation[]; warnings: Array<{ field: string; message: string; severity: 'warning' }> };
 }
 
 export interface BatchValidationSummary {
@@ -208,6 +210,41 @@ export interface BatchValidationResult {
   results: Array<ValidationResult & { index: number }>;
 }
 
+export interface DetectedProfile {
+  profileType: string;
+  detectedBy: 'additionalType' | 'schemaVersion' | 'additionalProperty' | '@type';
+}
+
+export interface DocumentNodeResult extends Omit<Partial<ValidationResult>, 'valid'> {
+  index: number;
+  path: string;
+  '@type': string | string[] | null;
+  '@id': string | null;
+  profileType: string | null;
+  detectedBy: DetectedProfile['detectedBy'] | null;
+  valid: boolean | null;
+  errors: ValidationError[];
+  warnings: ValidationWarning[];
+}
+
+export interface DocumentValidationSummary {
+  total: number;
+  validated: number;
+  valid: number;
+  invalid: number;
+  unmatched: number;
+  withWarnings: number;
+  errorCount: number;
+  profiles: Record<string, number>;
+}
+
+export interface DocumentValidationResult {
+  valid: boolean;
+  errors: string[];
+  summary: DocumentValidationSummary;
+  nodes: DocumentNodeResult[];
+}
+
 export interface ValidationStats extends BatchValidationSummary {
   averageGoogleCompliance: number;
   averageLLMOptimization: number;
@@ -219,6 +256,15 @@ export interface ValidationStats extends BatchValidationSummary {
 // Builder classes
 export declare class BaseProfileBuilder {
   constructor(profileType: string, category: string, mode?: ModeType, sanitizeInputs?: boolean);
+  /**
+   * Load existing JSON-LD (a node, JSON string, array, `@graph` document or
+   * split-channel `{ seo, llm }` pair) into a new builder for editing
+   */
+  static from<T extends BaseProfileBuilder>(
+    this: new (mode?: ModeType, sanitizeInputs?: boolean) => T,
+    jsonld: object | string,
+    options?: { mode?: ModeType; sanitize?: boolean }
+  ): T;
   build(mode?: ModeType, options?: { validate?: boolean; throwOnError?: boolean }): any;
   buildUnsafe(mode?: ModeType): any;
   buildWithWarnings(mode?: ModeType): any;
@@ -227,8 +273,14 @@ export declare class BaseProfileBuilder {
   name(name: string): this;
   description(description: string): this;
   image(image: string | object): this;
+  fromObject(record: Record<string, any>, mapping?: FromObjectMapping, options?: Pick<FromObjectOptions, 'strict'>): this;
+  fromObject(record: Record<string, any>, options?: FromObjectOptions): this;
+  /** What fromObject() did with each key of the last record */
+  importReport?: ImportReport;
   getRelProfile(): string | null;
   getLinkHeader(): string | null;
+  /** Copy of the data for nesting in another node, without @context and profile properties */
+  getNode(): Record<string, any>;
 
   // Enhanced field discovery and autocomplete methods
   getFieldMetadata(fieldName: string): FieldMetadata | null;
@@ -254,10 +306,10 @@ export declare class BaseProfileBuilder {
 export declare class ArticleBuilder extends BaseProfileBuilder {
   constructor(mode?: ModeType, sanitizeInputs?: boolean);
   headline(headline: string): this;
-  author(author: string | object, url?: string): this;
+  author(author: AgentInput, url?: string): this;
   datePublished(date: string | Date): this;
   dateModified(date: string | Date): this;
-  publisher(publisher: string | object, url?: string, logoUrl?: string): this;
+  publisher(publisher: AgentInput, url?: string, logoUrl?: string, logoWidth?: number, logoHeight?: number): this;
   articleBody(body: string): this;
   keywords(keywords: string | string[]): this;
   wordCount(count: number): this;
@@ -266,49 +318,330 @@ export declare class ArticleBuilder extends BaseProfileBuilder {
 export declare class JobPostingBuilder extends BaseProfileBuilder {
   constructor(mode?: ModeType, sanitizeInputs?: boolean);
   title(title: string): this;
-  hiringOrganization(organization: string | object, url?: string): this;
-  jobLocation(location: string | object): this;
+  hiringOrganization(organization: AgentInput, url?: string, logo?: string): this;
+  /** Location texts are parsed (see parseLocation); 'Remote' makes the job remote */
+  jobLocation(location: string | object | Array<string | object>, locality?: string | null, region?: string | null, country?: string | null): this;
+  addJobLocation(location: string | object): this;
+  /** Only 'TELECOMMUTE' (or 'remote') is accepted */
+  jobLocationType(locationType: string): this;
+  /** Sets jobLocationType TELECOMMUTE and the countries applicants can live in */
+  remote(...countries: Array<string | object | Array<string | object>>): this;
+  applicantLocationRequirements(...requirements: Array<string | object | Array<string | object>>): this;
   datePosted(date: string | Date): this;
+  validThrough(date: string | Date): this;
   employmentType(type: string): this;
-  baseSalary(salary: string | number | object, currency?: string): this;
+  /** Amounts such as '$85,000', '85k' or a range '$80k - $120k'; invalid units and currencies are ignored */
+  baseSalary(salary: string | number | object, currency?: string, unit?: SalaryUnit | string, minValue?: number | string | null, maxValue?: number | string | null): this;
+  salaryCurrency(currency: string): this;
+  salaryRange(minValue: number | string, maxValue: number | string, unit?: SalaryUnit | string): this;
+  salaryMinValue(value: number | string): this;
+  salaryMaxValue(value: number | string): this;
+  /** A PropertyValue named after the hiring organization unless a name is given */
+  identifier(identifier: string | number | object, name?: string | null): this;
+  checkPosting(now?: Date): Array<{ field: string; message: string; severity: 'error' | 'warning' }>;
+}
+
+export type SalaryUnit = 'HOUR' | 'DAY' | 'WEEK' | 'MONTH' | 'YEAR';
+export declare const SALARY_UNITS: SalaryUnit[];
+
+export interface ParsedLocation {
+  streetAddress?: string;
+  addressLocality?: string;
+  addressRegion?: string;
+  postalCode?: string;
+  addressCountry?: string;
+}
+export declare function parseLocation(text: string): ParsedLocation | null;
+
+export type DayOfWeek = 'Monday' | 'Tuesday' | 'Wednesday' | 'Thursday' | 'Friday' | 'Saturday' | 'Sunday';
+export declare const DAYS_OF_WEEK: DayOfWeek[];
+
+export interface OpeningHoursSpecification {
+  '@type': 'OpeningHoursSpecification';
+  dayOfWeek?: DayOfWeek[];
+  /** 'HH:MM' */
+  opens: string;
+  /** 'HH:MM'; at or before `opens` runs past midnight */
+  closes: string;
+  validFrom?: string;
+  validThrough?: string;
 }
 
+export interface OpeningHoursSpecificationInput {
+  /** Day names, codes, ranges ('Mo-Fr') or schema.org day URLs */
+  dayOfWeek?: string | string[];
+  opens?: string;
+  closes?: string;
+  validFrom?: string | Date;
+  validThrough?: string | Date;
+}
+
+export type OpeningHoursInput = string | OpeningHoursSpecificationInput;
+
+export declare function parseOpeningHours(hours: string | string[]): OpeningHoursSpecification[];
+export declare function formatOpeningHours(specifications: OpeningHoursSpecificationInput | OpeningHoursSpecificationInput[]): string[];
+export declare function isOpenAt(hours: OpeningHoursInput | OpeningHoursInput[], date?: Date | string | number, timeZone?: string): boolean | null;
+
 export declare class LocalBusinessBuilder extends BaseProfileBuilder {
   constructor(mode?: ModeType, sanitizeInputs?: boolean);
   address(address: string | object): this;
   telephone(telephone: string): this;
   openingHours(hours: string | string[]): this;
+  openingHoursSpecification(hours: OpeningHoursInput | OpeningHoursInput[]): this;
+  addOpeningHours(days: string | string[], opens: string, closes: string): this;
+  addSpecialHours(validFrom: string | Date, validThrough?: string | Date, hours?: OpeningHoursInput | OpeningHoursInput[] | null): this;
+  addClosure(validFrom: string | Date, validThrough?: string | Date): this;
+  isOpenAt(date?: Date | string | number, timeZone?: string): boolean | null;
+  branchCode(code: string | number): this;
+  parentOrganization(organization: OrganizationBuilder | object | string): this;
+  branchOf(organization: OrganizationBuilder | object | string): this;
+  department(departments: LocalBusinessBuilder | object | Array<LocalBusinessBuilder | object>): this;
+  addDepartment(department: LocalBusinessBuilder | object): this;
   geo(latitude: number, longitude: number): this;
   priceRange(priceRange: string): this;
 }
 
+export interface ShippingDetailsShorthand {
+  rate?: string | number;
+  currency?: string;
+  country?: string | string[];
+  /** Handling time in days as [min, max] */
+  handlingTime?: [number, number];
+  /** Transit time in days as [min, max] */
+  transitTime?: [number, number];
+  doesNotShip?: boolean;
+}
+
+export interface MerchantReturnPolicyInput {
+  '@type'?: 'MerchantReturnPolicy';
+  /** Shorthand for applicableCountry */
+  country?: string | string[];
+  /** Shorthand for merchantReturnDays */
+  days?: number;
+  /** Shorthand for returnPolicyCategory */
+  category?: string;
+  /** Shorthand for returnMethod, e.g. 'ReturnByMail' */
+  method?: string;
+  /** Shorthand for returnFees, e.g. 'FreeReturn' */
+  fees?: string;
+  [key: string]: any;
+}
+
+/** Duration units accepted in duration objects */
+export interface DurationParts {
+  weeks?: number;
+  days?: number;
+  hours?: number;
+  minutes?: number;
+  seconds?: number;
+}
+
+/** An ISO 8601 duration ('PT1H30M'), human string ('1h 30m'), seconds or DurationParts */
+export type DurationInput = string | number | DurationParts;
+
+/** A Date, timestamp in milliseconds or date string */
+export type DateInput = string | Date | number;
+
+export interface DateTimeOptions {
+  /** IANA time zone for Date objects and timestamps, e.g. 'Europe/Paris' */
+  timeZone?: string | null;
+  /** Emit a calendar date ('2024-06-15') */
+  dateOnly?: boolean;
+}
+
+/**
+ * Source key to builder method or property name, to a function applying the
+ * value, or to null to skip the key
+ */
+export type FromObjectMapping = Record<string, string | ((builder: BaseProfileBuilder, value: any, record: Record<string, any>) => void) | null>;
+
+export interface FromObjectOptions {
+  /** Source key mapping, see FromObjectMapping */
+  mapping?: FromObjectMapping;
+  /** Throw when keys are unknown or rejected (default false) */
+  strict?: boolean;
+}
+
+export interface ImportReport {
+  /** Source keys that were applied */
+  applied: string[];
+  /** Source keys with no builder method or profile field */
+  unknown: string[];
+  /** Source keys whose value a builder method threw on or ignored */
+  rejected: { field: string; message: string }[];
+  /** Values that were applied with changes, such as answer markup removed by importQuestions() */
+  warnings?: { field: string; message: string }[];
+}
+
+export interface TimingIssue {
+  /** Dotted path of the offending property, e.g. 'totalTime' or 'hasCourseInstance[0].endDate' */
+  field: string;
+  message: string;
+}
+
+export declare function parseDuration(input: DurationInput): number | null;
+export declare function formatDuration(seconds: number): string | null;
+export declare function normalizeDuration(input: DurationInput): string | null;
+export declare function addDurations(...inputs: DurationInput[]): string | null;
+export declare function normalizeDateTime(input: DateInput, options?: DateTimeOptions): string | null;
+export declare function checkTiming(data: any): TimingIssue[];
+
+/** An answer read by parseFaq(); `text` holds the allowed answer HTML */
+export interface FaqAnswer {
+  text: string;
+  author?: string;
+  dateCreated?: string;
+  upvoteCount?: number;
+  accepted?: boolean;
+}
+
+export interface FaqQuestion {
+  question: string;
+  /** Anchor for the question's @id, from its text or an id/anchor column */
+  anchor: string;
+  answers: FaqAnswer[];
+  /** Position of the question in the source, as used in issue fields */
+  index: number;
+  /** Line of the Markdown heading or <details> block, or the CSV row */
+  line: number;
+}
+
+export interface FaqIssue {
+  /** 'questions[2]' or, for unknown CSV columns, the column name */
+  field: string;
+  message: string;
+  severity: 'error' | 'warning';
+}
+
+export interface FaqParseOptions {
+  format?: 'markdown' | 'md' | 'html' | 'csv';
+  /** Markdown heading level of the questions (default 2) */
+  level?: number;
+}
+
+export interface FaqParseResult {
+  format: 'markdown' | 'html' | 'csv';
+  questions: FaqQuestion[];
+  issues: FaqIssue[];
+  /** CSV columns that were not recognized */
+  unknown: string[];
+}
+
+export declare const ANSWER_HTML_TAGS: string[];
+export declare const FAQ_COLUMNS: Record<string, string>;
+export declare function parseFaq(source: string | Record<string, any>[], options?: FaqParseOptions): FaqParseResult;
+export declare function cleanAnswerHtml(html: string): { html: string; removed: string[] };
+export declare function questionAnchor(question: string): string;
+
+export declare const ITEM_AVAILABILITY: string[];
+export declare const OFFER_ITEM_CONDITIONS: string[];
+
 export declare class ProductBuilder extends BaseProfileBuilder {
   constructor(mode?: ModeType, sanitizeInputs?: boolean);
-  brand(brand: string | object): this;
-  offers(price: number | object, currency?: string, availability?: string): this;
+  static normalizeAvailability(availability: string): string;
+  static normalizeItemCondition(condition: string): string;
+  brand(brand: AgentInput, logoUrl?: string, brandUrl?: string): this;
+  manufacturer(manufacturer: AgentInput, url?: string): this;
+  offers(offer: object | null, price?: string | number, currency?: string, availability?: string): this;
+  offers(price: string | number, currency: string, availability?: string): this;
+  addOffer(offer: object | null, price?: string | number, currency?: string, availability?: string, itemCondition?: string): this;
+  addOffer(price: string | number, currency: string, availability?: string, itemCondition?: string): this;
+  shippingDetails(details: object | ShippingDetailsShorthand | Array<object | ShippingDetailsShorthand>, offerIndex?: number | null): this;
+  hasMerchantReturnPolicy(policy: MerchantReturnPolicyInput, offerIndex?: number | null): this;
+  priceSpecification(specification: object | object[], offerIndex?: number | null): this;
+  priceValidUntil(date: string | Date, offerIndex?: number | null): this;
   sku(sku: string): this;
   aggregateRating(ratingValue: number, reviewCount: number, bestRating?: number, worstRating?: number): this;
 }
 
+/** An inconsistency between a product group's variants and its variesBy */
+export interface VariantIssue {
+  field: string;
+  message: string;
+  /** Index of the variant in hasVariant, when the issue concerns one variant */
+  variant?: number;
+}
+
+export declare const VARIANT_DIMENSIONS: string[];
+
+export declare class ProductGroupBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  productGroupID(productGroupID: string): this;
+  variesBy(...dimensions: Array<string | string[]>): this;
+  addVariant(variant: ProductBuilder | object): this;
+  hasVariant(variants: Array<ProductBuilder | object>): this;
+  brand(brand: AgentInput, logoUrl?: string, brandUrl?: string): this;
+  category(category: string): this;
+  aggregateRating(rating: object | number, ratingValue?: number, reviewCount?: number): this;
+  checkVariants(): VariantIssue[];
+}
+
+export type EventStatus = 'EventScheduled' | 'EventCancelled' | 'EventPostponed' | 'EventRescheduled' | 'EventMovedOnline';
+export type EventAttendanceMode = 'OfflineEventAttendanceMode' | 'OnlineEventAttendanceMode' | 'MixedEventAttendanceMode';
+
+export declare const EVENT_STATUSES: EventStatus[];
+export declare const ATTENDANCE_MODES: EventAttendanceMode[];
+
+/** schema.org Schedule; frequencies may also be words ('weekly') and days codes ('Tu') */
+export interface ScheduleInput {
+  repeatFrequency: string;
+  byDay?: string | string[];
+  byMonthDay?: number | number[];
+  byMonth?: number | number[];
+  startDate?: DateInput;
+  endDate?: DateInput;
+  startTime?: string;
+  endTime?: string;
+  duration?: DurationInput;
+  repeatCount?: number;
+  exceptDate?: DateInput | DateInput[];
+  scheduleTimezone?: string;
+}
+
+export interface EventOccurrence {
+  startDate: string;
+  endDate?: string;
+}
+
+export declare function expandSchedule(schedule: ScheduleInput, from: string | Date, to: string | Date, options?: { limit?: number }): EventOccurrence[];
+
 export declare class EventBuilder extends BaseProfileBuilder {
   constructor(mode?: ModeType, sanitizeInputs?: boolean);
-  startDate(date: string | Date): this;
-  endDate(date: string | Date): this;
-  location(location: string | object): this;
-  organizer(organizer: string | object): this;
+  startDate(date: DateInput, timeZone?: string | null): this;
+  endDate(date: DateInput, timeZone?: string | null): this;
+  duration(duration: DurationInput): this;
+  location(location: string | object | object[], address?: string | null, latitude?: number | null, longitude?: number | null): this;
+  virtualLocation(url: string, name?: string | null): this;
+  organizer(organizer: AgentInput, url?: string | null, email?: string | null): this;
+  performer(performer: AgentInput, url?: string | null, type?: string): this;
+  performers(performers: AgentInput[]): this;
   offers(price: number | object, currency?: string, url?: string): this;
+  eventStatus(status: EventStatus | string): this;
+  eventAttendanceMode(mode: EventAttendanceMode | string): this;
+  reschedule(startDate: DateInput, endDate?: DateInput | null, timeZone?: string | null): this;
+  previousStartDate(dates: DateInput | DateInput[]): this;
+  eventSchedule(schedule: ScheduleInput | ScheduleInput[]): this;
+  getOccurrences(from: string | Date, to: string | Date, options?: { limit?: number }): EventOccurrence[];
+  subEvent(events: Array<EventBuilder | object>): this;
+  addSubEvent(event: EventBuilder | object): this;
+  addScheduledEvents(from: string | Date, to: string | Date, options?: { limit?: number }): this;
+  checkEvent(): Array<{ field: string; message: string; severity: 'error' | 'warning' }>;
+}
+
+export declare class EventSeriesBuilder extends EventBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
 }
 
 export declare class BookBuilder extends BaseProfileBuilder {
   constructor(mode?: ModeType, sanitizeInputs?: boolean);
-  author(author: string | object, url?: string): this;
+  author(author: AgentInput, url?: string): this;
   bookFormat(format: string): this;
   isbn(isbn: string): this;
   numberOfPages(pages: number): this;
   inLanguage(language: string): this;
   datePublished(date: string | Date): this;
   dateModified(date: string | Date): this;
-  publisher(publisher: string | object, url?: string): this;
+  publisher(publisher: AgentInput, url?: string): this;
   genre(genre: string): this;
   keywords(keywords: string | string[]): this;
   about(topics: string[]): this;
@@ -323,25 +656,506 @@ export declare class BookBuilder extends BaseProfileBuilder {
   illustrator(illustrator: string | object, url?: string): this;
   translator(translator: string | object, url?: string): this;
   copyrightYear(year: number): this;
-  copyrightHolder(holder: string | object, url?: string, type?: 'Person' | 'Organization'): this;
+  copyrightHolder(holder: AgentInput, url?: string, type?: 'Person' | 'Organization'): this;
   awards(awards: string): this;
   citation(citation: string): this;
 }
 
-export declare class CourseBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
-export declare class DatasetBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
-export declare class HowToBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
-export declare class RecipeBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
-export declare class VideoObjectBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
-export declare class FAQPageBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
-export declare class QAPageBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
-export declare class SoftwareApplicationBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
+export declare class CourseBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  timeRequired(time: DurationInput): this;
+  addCourseInstance(mode: string, startDate: DateInput, endDate?: DateInput | null, location?: string | object | null): this;
+}
+export declare class DatasetBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  publisher(publisher: AgentInput, url?: string): this;
+}
+export declare class HowToBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  totalTime(time: DurationInput): this;
+  /** A tool or supply with the name of an earlier one replaces it */
+  addTool(tool: string | HowToItemInput, options?: HowToItemOptions): this;
+  addSupply(supply: string | HowToItemInput, options?: HowToItemOptions): this;
+  tool(tools: Array<string | HowToItemInput>): this;
+  supply(supplies: Array<string | HowToItemInput>): this;
+  addStep(step: string | HowToStepTreeInput, name?: string | null, url?: string | null, image?: string | null, position?: number | null): this;
+  addSection(name: string, steps: Array<string | HowToStepTreeInput>, properties?: object): this;
+  step(steps: Array<string | HowToStepTreeInput | object>): this;
+  /** Steps using tools or supplies the how-to does not list */
+  checkSteps(): Array<{ field: string; message: string }>;
+  /** The how-to in the shape of profiles/content/howto/v1/output.schema.json */
+  buildOutput(options?: { extractedAt?: string | Date }): HowToOutput;
+}
+
+export type HowToQuantity = number | string | { value: number; unitText?: string };
+
+export interface HowToItemOptions {
+  requiredQuantity?: HowToQuantity;
+  /** Node identifier, copied to the steps that use the item */
+  id?: string;
+  url?: string;
+  image?: string | object;
+}
+
+export interface HowToItemInput extends HowToItemOptions {
+  name: string;
+  [key: string]: any;
+}
+
+export interface HowToStepTreeInput {
+  text?: string;
+  name?: string;
+  url?: string;
+  image?: string | object;
+  position?: number;
+  timeRequired?: DurationInput;
+  /** Become HowToDirection items in itemListElement */
+  directions?: Array<string | { text: string }>;
+  /** Become HowToTip items in itemListElement */
+  tips?: Array<string | { text: string }>;
+  tools?: Array<string | HowToItemInput>;
+  supplies?: Array<string | HowToItemInput>;
+  /** Offsets in seconds or as 'mm:ss' */
+  video?: { url?: string; name?: string; startOffset: number | string; endOffset?: number | string };
+  [key: string]: any;
+}
+
+export interface HowToOutput {
+  howto: {
+    name?: string;
+    description?: string;
+    author?: string;
+    totalTime?: string;
+    estimatedCost?: string;
+    difficulty?: 'Beginner' | 'Intermediate' | 'Advanced' | 'Expert';
+    prerequisites?: string[];
+    tools?: string[];
+    supplies?: string[];
+    steps: Array<{ step: number; name?: string; text: string; image?: string; time?: string }>;
+    tips?: string[];
+    tags?: string[];
+  };
+  metadata: {
+    extractedAt: string;
+    sourceUrl?: string;
+    profileVersion: 'howto.v1';
+  };
+}
+export declare class RecipeBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  /** Also keeps totalTime at prepTime + cookTime unless totalTime() is called */
+  prepTime(time: DurationInput): this;
+  cookTime(time: DurationInput): this;
+  totalTime(time: DurationInput): this;
+  /** Ingredient lines are kept in recipeIngredient and parsed into Ingredient objects in ingredients */
+  addIngredient(ingredient: string | IngredientInput): this;
+  ingredients(ingredients: Array<string | IngredientInput>): this;
+  recipeIngredient(ingredients: Array<string | IngredientInput>): this;
+  /** Steps get `#step-N` url anchors, numbered across sections */
+  addInstruction(instruction: string | HowToStepInput, name?: string | null): this;
+  addSection(name: string, steps: Array<string | HowToStepInput>, properties?: object): this;
+  recipeInstructions(instructions: Array<string | HowToStepInput | object>): this;
+  /** Values are normalized to '<number> <unit>'; values with the wrong unit are ignored */
+  nutrition(nutrition: NutritionInput): this;
+  checkNutrition(): Array<{ field: string; message: string }>;
+}
+
+export interface ParsedIngredient {
+  text: string;
+  quantity: number | null;
+  /** Upper end of a range such as '2-3' */
+  maxQuantity: number | null;
+  /** Canonical unit name, such as 'tablespoon' */
+  unit: string | null;
+  /** Quantity and unit as written, such as '1 1/2 tbsp' */
+  amount: string | null;
+  item: string | null;
+  note: string | null;
+}
+
+export interface IngredientInput {
+  name: string;
+  amount?: string;
+  [key: string]: any;
+}
+
+export interface HowToStepInput {
+  text: string;
+  name?: string;
+  image?: string | object;
+  url?: string;
+  [key: string]: any;
+}
+
+export type NutritionInput = Partial<Record<keyof typeof NUTRITION_UNITS, string | number>> & {
+  servingSize?: string;
+  [key: string]: any;
+};
+
+/** Units of nutrition values, by NutritionInformation property */
+export declare const NUTRITION_UNITS: {
+  calories: 'calories';
+  fatContent: 'g';
+  saturatedFatContent: 'g';
+  transFatContent: 'g';
+  unsaturatedFatContent: 'g';
+  carbohydrateContent: 'g';
+  sugarContent: 'g';
+  fiberContent: 'g';
+  proteinContent: 'g';
+  cholesterolContent: 'mg';
+  sodiumContent: 'mg';
+};
+
+/** Parse an ingredient line, such as '2 cups flour, sifted', into its parts */
+export declare function parseIngredient(line: string): ParsedIngredient | null;
+
+export declare class VideoObjectBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  uploadDate(date: DateInput, timeZone?: string | null): this;
+  duration(duration: DurationInput): this;
+}
+export declare class FAQPageBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  author(author: AgentInput, url?: string): this;
+  publisher(publisher: AgentInput, url?: string, logoUrl?: string): this;
+  breadcrumb(breadcrumb: BreadcrumbListBuilder | object): this;
+  /** Append questions read from Markdown, HTML <details> blocks or CSV; see `importReport` */
+  importQuestions(source: string | Record<string, any>[], options?: FaqParseOptions & { baseUrl?: string }): this;
+}
+export declare class QAPageBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  author(author: AgentInput, url?: string): this;
+  publisher(publisher: AgentInput, url?: string, logoUrl?: string): this;
+  breadcrumb(breadcrumb: BreadcrumbListBuilder | object): this;
+  /** Set the question and its answers from Markdown, HTML or CSV; see `importReport` */
+  importQuestion(source: string | Record<string, any>[], options?: FaqParseOptions & { baseUrl?: string; acceptedAnswer?: number }): this;
+}
+export declare class SoftwareApplicationBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  publisher(publisher: AgentInput, url?: string): this;
+}
 export declare class ReviewBuilder extends BaseProfileBuilder { constructor(mode?: ModeType, sanitizeInputs?: boolean); }
 
-export declare class ProfileValidator {
+/** A breadcrumb item: `{ name, url }`, a ListItem object or a `[name, url]` pair */
+export type BreadcrumbItemInput = { name: string; url?: string; item?: string | object } | [string, string?];
+
+export declare class BreadcrumbListBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  addItem(name: string | BreadcrumbItemInput, url?: string | null): this;
+  itemListElement(items: BreadcrumbItemInput[]): this;
+}
+
+export declare class WebPageBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  breadcrumb(breadcrumb: BreadcrumbListBuilder | object | string): this;
+  mainEntity(entity: BaseProfileBuilder | object | Array<BaseProfileBuilder | object>): this;
+  isPartOf(website: BaseProfileBuilder | object | string): this;
+  about(about: string | object): this;
+  datePublished(date: DateInput): this;
+  dateModified(date: DateInput): this;
+  lastReviewed(date: DateInput): this;
+  inLanguage(language: string): this;
+  primaryImageOfPage(image: string | object): this;
+  speakable(speakable: string[] | object): this;
+}
+
+export interface SearchActionOptions {
+  /** Whether the search terms are required (default true) */
+  required?: boolean;
+  /** Placeholder holding the search terms, when the template has several */
+  queryName?: string | null;
+}
+
+export declare class WebSiteBuilder extends BaseProfileBuilder {
+  constructor(mode?: ModeType, sanitizeInputs?: boolean);
+  alternateName(alternateName: string | string[]): this;
+  inLanguage(language: string): this;
+  publisher(publisher: AgentInput, url?: string | null, logoUrl?: string | null): this;
+  searchAction(urlTemplate: string, options?: SearchActionOptions): this;
+  potentialAction(action: object | object[]): this;
+  checkSearchActions(): Array<{ field: string; message: string }>;
+}
+
+/** Normalize a Wikidata, ORCID or LinkedIn `sameAs` link to its canonical URL; null when invalid */
+export declare function normalizeSameAs(value: string): string | null;
+
+/** Base class of PersonBuilder and OrganizationBuilder */
+export declare class EntityBuilder {
+  constructor(type: string, sanitizeInputs?: boolean);
+  data: Record<string, any>;
+  id(id: string): this;
+  name(name: string): this;
+  alternateName(alternateName: string | string[]): this;
+  description(description: string): this;
+  url(url: string): this;
+  image(image: string | object): this;
+  /** Wikidata items ('Q42'), ORCID iDs and LinkedIn URLs are normalized; duplicates are added once */
+  sameAs(...links: Array<string | string[]>): this;
+  knowsAbout(...topics: Array<string | { name: string; sameAs?: string | string[] } | object>): this;
+  address(address: string | object): this;
+  email(email: string): this;
+  telephone(telephone: string): this;
+  contactPoint(contactType: string | object, details?: { telephone?: string; email?: string; url?: string; [key: string]: any }): this;
+  addProperty(property: string, value: any): this;
+  /** Keys without a setter are set with addProperty(), so `unknown` stays empty */
+  fromObject(record: Record<string, any>, mapping?: FromObjectMapping, options?: Pick<FromObjectOptions, 'strict'>): this;
+  /** What fromObject() did with each key of the last record */
+  importReport?: ImportReport;
+  /** Only the name is required */
+  validateInline(): { valid: boolean; errors: Array<{ field: string; message: string; severity: 'error' }>; warnings: any[] };
+  /** Copy of the data for nesting in another node, without @context */
+  getNode(): Record<string, any>;
+  /** Throws when the entity has no name */
+  build(): Record<string, any>;
+}
+
+export declare class PersonBuilder extends EntityBuilder {
   constructor(sanitizeInputs?: boolean);
+  givenName(givenName: string): this;
+  familyName(familyName: string): this;
+  jobTitle(jobTitle: string): this;
+  worksFor(organization: OrganizationBuilder | object | string): this;
+  affiliation(organization: OrganizationBuilder | object | string): this;
+  alumniOf(organization: OrganizationBuilder | object | string): this;
+}
+
+export declare class OrganizationBuilder extends EntityBuilder {
+  constructor(type?: string, sanitizeInputs?: boolean);
+  legalName(legalName: string): this;
+  logo(logo: string | object, width?: number | null, height?: number | null): this;
+  founder(founder: PersonBuilder | object | string): this;
+  foundingDate(date: string | number | Date): this;
+  parentOrganization(organization: OrganizationBuilder | object | string): this;
+}
+
+/** A person or organization: a builder, a Person/Organization object or a name */
+export type AgentInput = EntityBuilder | BaseProfileBuilder | object | string;
+
+export interface GraphBuilderOptions {
+  /** URL of the page the graph describes; generated @ids are fragments of it */
+  baseUrl?: string;
+  /** Output mode for every node (defaults to each builder's own mode) */
+  mode?: ModeType | null;
+}
+
+export interface GraphDocument {
+  '@context': string | string[];
+  '@graph': any[];
+}
+
+export declare const SHARED_ENTITY_PROPERTIES: string[];
+
+export declare class GraphBuilder {
+  constructor(options?: GraphBuilderOptions);
+  add(item: BaseProfileBuilder | EntityBuilder | object, id?: string | null): this;
+  idOf(item: BaseProfileBuilder | EntityBuilder | object): string | null;
+  ref(item: BaseProfileBuilder | EntityBuilder | object | string): { '@id': string } | null;
+  build(options?: { validate?: boolean; throwOnError?: boolean }): GraphDocument | { seo: GraphDocument; llm: GraphDocument };
+}
+
+export declare const BRANCH_COLUMNS: Record<string, string>;
+
+export interface BusinessChainBuilderOptions {
+  /** URL of the store locator; generated @ids are fragments of it */
+  baseUrl?: string;
+  mode?: ModeType;
+  sanitizeInputs?: boolean;
+}
+
+export interface BranchIssue {
+  /** Prefixed with the branch, e.g. 'branches[3].telephone' */
+  field: string;
+  message: string;
+  action?: string;
+  severity: 'error' | 'warning';
+}
+
+export interface BranchValidation {
+  valid: boolean;
+  branches: number;
+  errors: BranchIssue[];
+  warnings: BranchIssue[];
+}
+
+export declare class BusinessChainBuilder {
+  constructor(options?: BusinessChainBuilderOptions);
+  organization(organization: OrganizationBuilder | object | string): this;
+  template(template: LocalBusinessBuilder | Record<string, any>): this;
+  department(key: string, properties: LocalBusinessBuilder | Record<string, any>): this;
+  /** CSV text with a header row, JSON text or an array of branch objects */
+  branches(table: string | Array<Record<string, any>>): this;
+  addBranch(branch: Record<string, any>): this;
+  getBranches(): LocalBusinessBuilder[];
+  validate(): BranchValidation;
+  build(options?: { validate?: boolean; throwOnError?: boolean }): any[];
+}
+
+export type SchemaSource = 'index' | 'page';
+
+export declare const SCHEMA_SOURCES: {
+  readonly INDEX: 'index';
+  readonly PAGE: 'page';
+};
+
+export interface ProfileValidatorOptions {
+  schemaSource?: SchemaSource;
+  schemaRegistry?: PageSchemaRegistry;
+  shapes?: boolean;
+  mode?: ModeType;
+  cache?: ValidatorCache | false;
+  precompiled?: Record<string, Function> | string;
+}
+
+export interface ValidatorCacheStats {
+  size: number;
+  hits: number;
+  misses: number;
+  compiled: number;
+  precompiled: number;
+}
+
+export declare class ValidatorCache {
+  constructor(options?: { precompiled?: Record<string, Function> | string });
+  static getKey(profileType: string, mode?: ModeType | null): string;
+  static getExportName(key: string): string;
+  get(key: string, compile: () => Function, revision?: number): Function;
+  has(key: string): boolean;
+  loadPrecompiled(source: Record<string, Function> | string): number;
+  clear(): void;
+  getStats(): ValidatorCacheStats;
+}
+
+export declare const defaultValidatorCache: ValidatorCache;
+
+export interface StandaloneValidatorOptions {
+  modes?: Array<ModeType | null>;
+  profiles?: string[];
+}
+
+export declare function generateStandaloneValidators(options?: StandaloneValidatorOptions): string;
+
+export type StreamValidationResult = (ValidationResult | DocumentValidationResult) & { line: number };
+
+export type StreamInput = AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array> | string;
+
+export interface ShaclViolation {
+  field: string;
+  message: string;
+  value?: any;
+  path: string;
+  severity: 'error';
+  constraint: string;
+  focusNode: string;
+  sourceShape: string | null;
+}
+
+export interface ShaclValidationResult {
+  valid: boolean;
+  conforms: boolean;
+  errors: ShaclViolation[];
+  warnings: Array<{ field: string; message: string; severity: 'warning' }>;
+}
+
+export declare class ShaclValidator {
+  constructor(options?: { profiles?: Record<string, ProfileDefinition>; schemaRegistry?: PageSchemaRegistry });
+  validate(data: any, profileType: string): ShaclValidationResult;
+  validateShapes(data: any, shapes: any[]): ShaclValidationResult;
+  getShapes(profile: ProfileDefinition): any[] | null;
+  parseShapesGraph(profileDocument: any): any[] | null;
+}
+
+export declare const defaultShaclValidator: ShaclValidator;
+
+// HTML extraction
+export type ExtractionSource = 'json-ld' | 'microdata' | 'rdfa';
+
+export declare const EXTRACTION_SOURCES: {
+  JSON_LD: 'json-ld';
+  MICRODATA: 'microdata';
+  RDFA: 'rdfa';
+};
+
+export interface SourcePosition {
+  line: number;
+  column: number;
+}
+
+export interface ExtractedEntity extends SourcePosition {
+  index: number;
+  source: ExtractionSource;
+  data: any;
+}
+
+export interface ExtractionError extends SourcePosition {
+  source: ExtractionSource;
+  message: string;
+}
+
+export interface ProfileLink extends SourcePosition {
+  href: string | null;
+  matches: boolean;
+}
+
+export interface ExtractionResult {
+  entities: ExtractedEntity[];
+  errors: ExtractionError[];
+  profileLinks: ProfileLink[];
+}
+
+export interface HtmlValidationOptions {
+  mode?: ModeType;
+  sanitize?: boolean;
+}
+
+export interface HtmlValidationResult {
+  valid: boolean;
+  entities: Array<ExtractedEntity & { validation: DocumentValidationResult }>;
+  errors: ExtractionError[];
+  warnings: Array<{ message: string; line: number | null; column: number | null }>;
+  profileLinks: ProfileLink[];
+  summary: {
+    entities: number;
+    bySource: Record<ExtractionSource, number>;
+    parseErrors: number;
+    nodes: number;
+    validated: number;
+    valid: number;
+    invalid: number;
+    unmatched: number;
+  };
+}
+
+export declare class HtmlExtractor {
+  constructor(options?: { validator?: ProfileValidator });
+  extract(html: string): ExtractionResult;
+  extractFile(filePath: string): ExtractionResult & { file: string };
+  validate(html: string, options?: HtmlValidationOptions): HtmlValidationResult;
+  validateFile(filePath: string, options?: HtmlValidationOptions): HtmlValidationResult & { file: string };
+}
+
+export declare const defaultHtmlExtractor: HtmlExtractor;
+export declare function validateShapes(data: any, profileType: string): ShaclValidationResult;
+
+export declare class PageSchemaRegistry {
+  constructor(baseDir?: string);
+  getSchemaUrl(profile: ProfileDefinition): string | null;
+  getLocalPath(url: string): string | null;
+  hasSchema(profile: ProfileDefinition): boolean;
+  load(profile: ProfileDefinition): any | null;
+  loadUrl(url: string): any | null;
+  getValidator(profile: ProfileDefinition): ((data: any) => boolean) | null;
+}
+
+export declare const defaultSchemaRegistry: PageSchemaRegistry;
+
+export declare class ProfileValidator {
+  constructor(sanitizeInputs?: boolean, options?: ProfileValidatorOptions);
   validate(data: any, profileType: string): ValidationResult;
   validateBatch(dataArray: any[], profileType: string): BatchValidationResult;
+  validateDocument(document: any): DocumentValidationResult;
+  validateStream(input: StreamInput, profileType?: string): AsyncGenerator<StreamValidationResult>;
+  createSchema(profile: ProfileDefinition, mode?: ModeType | null): any;
   getValidationStats(dataArray: any[], profileType: string): ValidationStats;
   
   // Enhanced field metadata methods
@@ -362,10 +1176,18 @@ export declare const CATEGORIES: {
 
 // Helper functions
 export declare function getProfile(type: string): ProfileDefinition | null;
+export declare const PROFILE_ALIASES: Record<string, string>;
+export declare const SCHEMA_SUBTYPES: Record<string, string[]>;
+export declare function resolveProfileType(profileType: string, profileSet?: Record<string, ProfileDefinition>): string | null;
+export declare function detectProfileType(node: any, profileSet?: Record<string, ProfileDefinition>): DetectedProfile | null;
+export declare function validateDocument(document: any, options?: ProfileValidatorOptions): DocumentValidationResult;
+export declare function validateStream(input: StreamInput, profileType?: string, options?: ProfileValidatorOptions): AsyncGenerator<StreamValidationResult>;
+export declare function validateHtml(html: string, options?: HtmlValidationOptions): HtmlValidationResult;
+export declare function validateHtmlFile(filePath: string, options?: HtmlValidationOptions): HtmlValidationResult & { file: string };
 export declare function listProfiles(): string[];
 export declare function getProfilesByCategory(category: string): string[];
-export declare function validateStructuredData(data: any, profileType: string): ValidationResult;
-export declare function validate(data: any, profileType: string): ValidationResult;
+export declare function validateStructuredData(data: any, profileType: string, options?: ProfileValidatorOptions): ValidationResult;
+export declare function validate(data: any, profileType: string, options?: ProfileValidatorOptions): ValidationResult;
 export declare function createMinimalExample(profileType: string, mode?: ModeType): any;
 export declare function createMinimalExampleWithMode(profileType: string, mode: ModeType): any;
 export declare function getGoogleRichResultsFields(profileType: string): string[] | null;
@@ -380,11 +1202,11 @@ export declare function getEnhancedFieldSuggestions(profileType: string, current
 export declare function getCompletionHints(profileType: string, partialField?: string): any[];
 
 // Type exports for consumers
-export type ProfileType = 'Article' | 'Book' | 'Course' | 'Dataset' | 'Event' | 'Faqpage' | 'Howto' | 'Jobposting' | 'Localbusiness' | 'ProductOffer' | 'Qapage' | 'Recipe' | 'Review' | 'Softwareapplication' | 'Videoobject';
+export type ProfileType = 'Article' | 'Book' | 'Course' | 'Dataset' | 'Event' | 'Faqpage' | 'Howto' | 'Jobposting' | 'Localbusiness' | 'ProductGroup' | 'ProductOffer' | 'Qapage' | 'Recipe' | 'Review' | 'Softwareapplication' | 'Videoobject';
 export type Category = 'business' | 'content' | 'interaction' | 'technology';
 
 // Mode exports
-export { MODES, ModeConfig, ModeType, ModeConfiguration } from './modes';
+export { MODES, MODE_FLAGS, ModeConfig, ModeType, BuiltInModeType, ModeConfiguration, CustomModeConfiguration, registerMode, unregisterMode, getAvailableModes } from './modes';
 
 // Field metadata exports
 export { 
@@ -402,13 +1224,21 @@ export declare function getHTMLRelProfile(mode: ModeType): string | null;
 export declare function getHTTPLinkHeader(mode: ModeType): string | null;
 
 // Simplified factory
+export declare function createBuilder(profileType: 'Person', options?: { sanitize?: boolean }): PersonBuilder;
+export declare function createBuilder(profileType: 'Organization', options?: { sanitize?: boolean }): OrganizationBuilder;
 export declare function createBuilder(profileType: ProfileType | string, options?: { mode?: ModeType; sanitize?: boolean }): BaseProfileBuilder;
+export declare function buildFromObject(
+  profileType: ProfileType | string,
+  record: Record<string, any>,
+  options?: FromObjectOptions & { mode?: ModeType; sanitize?: boolean; validate?: boolean; throwOnError?: boolean }
+): any;
 
 // Individual profile exports
 export { articleProfile } from './profiles/article';
 export { jobpostingProfile } from './profiles/jobposting';
 export { localbusinessProfile } from './profiles/localbusiness';
 export { productofferProfile } from './profiles/productoffer';
+export { productgroupProfile } from './profiles/productgroup';
 export { reviewProfile } from './profiles/review';
 export { bookProfile } from './profiles/book';
 export { courseProfile } from './profiles/course';
@@ -416,12 +1246,25 @@ export { datasetProfile } from './profiles/dataset';
 export { howtoProfile } from './profiles/howto';
 export { recipeProfile } from './profiles/recipe';
 export { videoobjectProfile } from './profiles/videoobject';
+export { breadcrumblistProfile } from './profiles/breadcrumblist';
+export { webpageProfile } from './profiles/webpage';
+export { websiteProfile } from './profiles/website';
 export { eventProfile } from './profiles/event';
 export { faqpageProfile } from './profiles/faqpage';
 export { qapageProfile } from './profiles/qapage';
 export { softwareapplicationProfile } from './profiles/softwareapplication';
 
 // Input sanitization
+export interface SanitizationLogEntry {
+  /** JSONPath of the value, e.g. `$.mainEntity[0].acceptedAnswer.text` */
+  path: string;
+  field: string | null;
+  kind: 'text' | 'url' | 'reference' | 'date' | 'datetime' | 'temporal' | 'number' | 'email' | 'phone' | 'language' | 'sku' | 'entity' | 'depth' | 'cycle' | 'preserve';
+  action: 'modified' | 'rejected' | 'removed';
+  original: any;
+  value: any;
+}
+
 export declare class InputSanitizer {
   constructor();
   sanitizeString(input: string): string;
@@ -431,6 +1274,8 @@ export declare class InputSanitizer {
   sanitizeDate(input: string | Date): string | null;
   sanitizeNumber(input: any, options?: { min?: number; max?: number }): number | null;
   sanitizeStructuredData(data: any, profileType: string): any;
+  sanitizeStructuredDataWithLog(data: any, profileType?: string): { data: any; log: SanitizationLogEntry[] };
+  sanitizeReference(input: string): string | null;
   sanitizeStringArray(input: string[]): string[];
   sanitizeLanguageCode(input: string): string | null;
   sanitizeSku(input: string): string | null;
@@ -3,7 +3,10 @@
  * Auto-generated from actual JavaScript implementation
  */
 
-export type ModeType = 'strict-seo' | 'split-channels' | 'standards-header';
+export type BuiltInModeType = 'strict-seo' | 'split-channels' | 'standards-header';
+
+/** Built-in mode or the name of a mode registered with `registerMode()` */
+export type ModeType = BuiltInModeType | (string & {});
 
 export interface ModeConfiguration {
   useAdditionalType: boolean;
@@ -12,8 +15,14 @@ export interface ModeConfiguration {
   useIdentifier: boolean;
   useConformsTo: boolean;
   includeProfileMetadata: boolean;
-  separateLLMBlock: boolean;
-  includeRelProfile: boolean;
+  separateLLMBlock?: boolean;
+  includeRelProfile?: boolean;
+  includeLLMProfileTriples?: boolean;
+}
+
+export interface CustomModeConfiguration extends Partial<ModeConfiguration> {
+  /** Mode whose configuration the new mode starts from (defaults to 'strict-seo') */
+  extends?: ModeType;
 }
 
 export declare class ModeConfig {
@@ -27,6 +36,7 @@ export declare class ModeConfig {
   includesProfileMetadata(): boolean;
   separatesLLMBlock(): boolean;
   includesRelProfile(): boolean;
+  includesLLMProfileTriples(): boolean;
 }
 
 export declare const MODES: {
@@ -34,3 +44,9 @@ export declare const MODES: {
   SPLIT_CHANNELS: 'split-channels';
   STANDARDS_HEADER: 'standards-header';
 };
+
+export declare const MODE_FLAGS: Record<keyof ModeConfiguration, string>;
+
+export declare function registerMode(name: string, config?: CustomModeConfiguration): string;
+export declare function unregisterMode(name: string): boolean;
+export declare function getAvailableModes(): ModeType[];
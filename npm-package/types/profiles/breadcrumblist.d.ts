@@ -0,0 +1,9 @@
+/**
+ * TypeScript definitions for BreadcrumbList profile
+ * Auto-generated from actual JavaScript implementation
+ */
+
+import { ProfileDefinition } from '../index.js';
+
+export const breadcrumblistProfile: ProfileDefinition;
+export default breadcrumblistProfile;
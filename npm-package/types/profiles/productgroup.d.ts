@@ -0,0 +1,9 @@
+/**
+ * TypeScript definitions for ProductGroup profile
+ * Auto-generated from actual JavaScript implementation
+ */
+
+import { ProfileDefinition } from '../index.js';
+
+export const productgroupProfile: ProfileDefinition;
+export default productgroupProfile;
@@ -0,0 +1,9 @@
+/**
+ * TypeScript definitions for WebPage profile
+ * Auto-generated from actual JavaScript implementation
+ */
+
+import { ProfileDefinition } from '../index.js';
+
+export const webpageProfile: ProfileDefinition;
+export default webpageProfile;
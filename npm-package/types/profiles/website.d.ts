@@ -0,0 +1,9 @@
+/**
+ * TypeScript definitions for WebSite profile
+ * Auto-generated from actual JavaScript implementation
+ */
+
+import { ProfileDefinition } from '../index.js';
+
+export const websiteProfile: ProfileDefinition;
+export default websiteProfile;
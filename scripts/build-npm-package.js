@@ -101,6 +101,7 @@ class NPMPackageBuilder {
           // Convert kebab-case to PascalCase for profile key
           const profileKey = this.toPascalCase(profileType);
           profileRegistry[profileKey] = minimal;
+          this.copyProfileResources(profilePath, category, profileType);
           
           extractedCount++;
           log(`  ✓ Extracted ${profileKey} (${category})`, 'green');
@@ -149,6 +150,21 @@ class NPMPackageBuilder {
     return minimal;
   }
 
+  copyProfileResources(profilePath, category, profileType) {
+    // Ship the full page schema and SHACL shapes so the package can validate
+    // nested constraints without network access
+    const outputDir = path.join(this.outputProfilesDir, category, profileType, 'v1');
+    const resources = ['index.jsonld', 'page.schema.json'];
+
+    resources.forEach(resource => {
+      const resourcePath = path.join(profilePath, resource);
+      if (fs.existsSync(resourcePath)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.copyFileSync(resourcePath, path.join(outputDir, resource));
+      }
+    });
+  }
+
   extractSchemaFields(pageSchema, requiredOnly = true) {
     if (!pageSchema || !pageSchema.properties) {
       return {};
@@ -206,6 +222,7 @@ class NPMPackageBuilder {
       'jobposting': ['title', 'hiringOrganization', 'jobLocation', 'datePosted', 'description'],
       'localbusiness': ['name', 'address', 'telephone', 'openingHours', 'image'],
       'product-offer': ['name', 'image', 'offers', 'aggregateRating', 'brand'],
+      'product-group': ['name', 'productGroupID', 'variesBy', 'hasVariant', 'image'],
       'event': ['name', 'startDate', 'location', 'image', 'description'],
       'faqpage': ['mainEntity'],
       'softwareapplication': ['name', 'operatingSystem', 'applicationCategory', 'aggregateRating', 'offers'],
@@ -216,7 +233,10 @@ class NPMPackageBuilder {
       'videoobject': ['name', 'description', 'thumbnailUrl', 'uploadDate'],
       'dataset': ['name', 'description', 'creator', 'distribution'],
       'howto': ['name', 'step', 'totalTime', 'tool'],
-      'qapage': ['mainEntity']
+      'qapage': ['mainEntity'],
+      'breadcrumblist': ['itemListElement'],
+      'webpage': ['name', 'url', 'breadcrumb'],
+      'website': ['name', 'url', 'potentialAction']
     };
 
     return googleFields[profileType] || [];
@@ -229,6 +249,7 @@ class NPMPackageBuilder {
       'jobposting': ['title', 'description', 'hiringOrganization', 'jobLocation', 'requirements', 'skills'],
       'localbusiness': ['name', 'description', 'address', 'telephone', 'openingHours', 'geo'],
       'product-offer': ['name', 'description', 'brand', 'offers', 'sku', 'aggregateRating'],
+      'product-group': ['name', 'description', 'brand', 'variesBy', 'hasVariant'],
       'event': ['name', 'description', 'startDate', 'endDate', 'location', 'organizer'],
       'faqpage': ['mainEntity', 'name', 'description'],
       'softwareapplication': ['name', 'description', 'applicationCategory', 'operatingSystem', 'offers'],
@@ -239,7 +260,10 @@ class NPMPackageBuilder {
       'videoobject': ['name', 'description', 'duration', 'transcript'],
       'dataset': ['name', 'description', 'variableMeasured', 'spatialCoverage'],
       'howto': ['name', 'description', 'step', 'tool', 'supply'],
-      'qapage': ['mainEntity', 'name', 'description']
+      'qapage': ['mainEntity', 'name', 'description'],
+      'breadcrumblist': ['itemListElement'],
+      'webpage': ['name', 'description', 'breadcrumb', 'mainEntity', 'isPartOf'],
+      'website': ['name', 'description', 'publisher', 'potentialAction']
     };
 
     return llmFields[profileType] || [];
@@ -57,6 +57,29 @@ const profiles = {
       'Do not use for services or intangible products.'
     ]
   },
+  'product-group': {
+    name: 'ProductGroup',
+    schemaType: 'ProductGroup',
+    description: 'The ProductGroup profile provides a standardized way to structure products sold in variants (sizes, colors, materials) for LLM-friendly processing and semantic understanding.',
+    useCases: [
+      'Apparel with sizes and colors',
+      'Electronics with storage or color options',
+      'Furniture in several materials',
+      'Merchant listings with one offer per variant'
+    ],
+    scopeNote: 'For a parent product whose variants differ only in the listed variesBy dimensions.',
+    example: 'T-shirt product page where each size and color is a variant with its own SKU, GTIN and offer.',
+    dos: [
+      'Use schema:productGroupID for the parent SKU.',
+      'List the variant dimensions with schema:variesBy.',
+      'Give every schema:hasVariant Product its own sku, gtin and offers.'
+    ],
+    donts: [
+      'Do not add variants that differ in properties not listed in schema:variesBy.',
+      'Do not repeat the same combination of variant values.',
+      'Do not use for bundles of different products.'
+    ]
+  },
   'event': {
     name: 'Event',
     schemaType: 'Event',
@@ -212,6 +235,75 @@ const profiles = {
       'Do not mix with promotional content or advertisements.',
       'Do not use for user-generated content without moderation.'
     ]
+  },
+  'breadcrumblist': {
+    name: 'BreadcrumbList',
+    schemaType: 'BreadcrumbList',
+    description: 'The BreadcrumbList profile provides a standardized way to structure the breadcrumb trail of a page for LLM-friendly processing and semantic understanding.',
+    useCases: [
+      'Category and product pages of online shops',
+      'Documentation sections and subsections',
+      'Blog archives by topic or date',
+      'Any page below the home page of a site'
+    ],
+    scopeNote: 'For the navigation trail from the site root to the current page.',
+    example: 'Docs > Profiles > FAQPage on a documentation page.',
+    dos: [
+      'Number the ListItems with schema:position from 1.',
+      'Give every ListItem a schema:name and, except for the current page, a schema:item URL.',
+      'Match the breadcrumbs shown on the page.'
+    ],
+    donts: [
+      'Do not repeat the same position twice.',
+      'Do not list pages a visitor cannot navigate to.',
+      'Do not use for lists of unrelated links.'
+    ]
+  },
+  'webpage': {
+    name: 'WebPage',
+    schemaType: 'WebPage',
+    description: 'The WebPage profile provides a standardized way to structure a single page, its breadcrumb trail and main entity for LLM-friendly processing and semantic understanding.',
+    useCases: [
+      'Article, product and FAQ pages',
+      'Linking a page to the website it belongs to',
+      'Attaching breadcrumbs to a page',
+      'Pages assembled into one @graph'
+    ],
+    scopeNote: 'For one page of a website, next to the main entity the page is about.',
+    example: 'Product page whose WebPage node links its breadcrumbs, the Product and the WebSite.',
+    dos: [
+      'Use the canonical URL of the page for schema:url.',
+      'Link the main entity with schema:mainEntity and the site with schema:isPartOf.',
+      'Attach the BreadcrumbList with schema:breadcrumb.'
+    ],
+    donts: [
+      'Do not describe more than one page in a WebPage node.',
+      'Do not use WebPage in place of a more specific main entity type.',
+      'Do not point schema:url at a redirect.'
+    ]
+  },
+  'website': {
+    name: 'WebSite',
+    schemaType: 'WebSite',
+    description: 'The WebSite profile provides a standardized way to structure a website and its site search for LLM-friendly processing and semantic understanding.',
+    useCases: [
+      'Home pages',
+      'Declaring a site search box',
+      'Naming a site and its alternate names',
+      'Shared site node in a page @graph'
+    ],
+    scopeNote: 'For a website as a whole, declared once on the home page or in a shared @graph.',
+    example: 'Documentation site home page declaring a SearchAction for its search results page.',
+    dos: [
+      'Use the home page URL for schema:url.',
+      'Name the urlTemplate placeholder in the SearchAction query-input.',
+      'Put other names of the site in schema:alternateName.'
+    ],
+    donts: [
+      'Do not declare a SearchAction without a working search page.',
+      'Do not use a different placeholder in query-input than in the urlTemplate.',
+      'Do not describe a single page with WebSite.'
+    ]
   }
 };
 
@@ -536,6 +628,7 @@ For questions about this profile:
 const PROFILE_CATEGORIES = {
   'article': 'content',
   'product-offer': 'business',
+  'product-group': 'business',
   'event': 'interaction',
   'course': 'content',
   'jobposting': 'business',
@@ -549,6 +642,9 @@ const PROFILE_CATEGORIES = {
   'videoobject': 'content',
   'faqpage': 'interaction',
   'qapage': 'interaction',
+  'breadcrumblist': 'content',
+  'webpage': 'content',
+  'website': 'content',
   'software': 'technology'
 };
 
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * API Server Test Script for llmprofiles
+ * Sends real HTTP requests to the validation and build endpoints of web/api/server.js
+ */
+
+const assert = require('assert');
+const { createApp } = require('../web/api/server');
+
+/**
+ * POST a body to the running test server
+ * @param {string} baseUrl - Server address
+ * @param {string} route - Endpoint path
+ * @param {Object|string} body - JSON body, or a raw string sent as is
+ * @returns {Promise<{status: number, body: Object}>} Status code and parsed response
+ */
+async function post(baseUrl, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function run(baseUrl) {
+  // Test 1: Build endpoint
+  console.log('1. POST /api/build:');
+  const built = await post(baseUrl, '/api/build', {
+    type: 'Article',
+    data: { "@type": "Ignored", "headline": "Structured data for LLMs", "author": "Ann", "datePublished": "2024-01-01" }
+  });
+  console.log(`   ${built.status} ${JSON.stringify(built.body.result)}`);
+  assert.strictEqual(built.status, 200);
+  assert.strictEqual(built.body.result['@type'], 'Article');
+  assert.strictEqual(built.body.result.headline, 'Structured data for LLMs');
+  assert.strictEqual(built.body.validation.valid, true);
+
+  const incomplete = await post(baseUrl, '/api/build', { type: 'Article', data: {} });
+  assert.strictEqual(incomplete.status, 422);
+  assert.ok(/^Missing required fields: /.test(incomplete.body.error));
+  assert.strictEqual(incomplete.body.validation.valid, false);
+
+  const unchecked = await post(baseUrl, '/api/build', { type: 'Article', validate: false });
+  assert.strictEqual(unchecked.status, 200);
+  assert.strictEqual(unchecked.body.validation.valid, false);
+
+  const cases = [
+    [{ data: { "headline": "No type" } }, "Request body must include a 'type'"],
+    [{ type: 'Article', data: null }, "'data' must be an object of field values"],
+    [{ type: 'Article', data: ['headline'] }, "'data' must be an object of field values"],
+    [{ type: 'Article', data: 'headline' }, "'data' must be an object of field values"]
+  ];
+  for (const [body, message] of cases) {
+    const rejected = await post(baseUrl, '/api/build', body);
+    assert.strictEqual(rejected.status, 400, JSON.stringify(body));
+    assert.strictEqual(rejected.body.error, message);
+  }
+  const unknown = await post(baseUrl, '/api/build', { type: 'NotAProfile', data: {} });
+  assert.strictEqual(unknown.status, 400);
+  assert.ok(unknown.body.error);
+  console.log('');
+
+  // Test 2: Validation endpoint
+  console.log('2. POST /api/validate:');
+  const article = built.body.result;
+  const validated = await post(baseUrl, '/api/validate', { data: article, profileType: 'Article' });
+  console.log(`   ${validated.status} valid: ${validated.body.valid}`);
+  assert.strictEqual(validated.status, 200);
+  assert.strictEqual(validated.body.valid, true, JSON.stringify(validated.body.errors));
+
+  const invalid = await post(baseUrl, '/api/validate', { data: { "@type": "Article" }, profileType: 'Article' });
+  assert.strictEqual(invalid.status, 200);
+  assert.strictEqual(invalid.body.valid, false);
+
+  // Without a profile type every node of the document is checked
+  const detected = await post(baseUrl, '/api/validate', { data: article });
+  assert.strictEqual(detected.status, 200);
+  assert.ok(Array.isArray(detected.body.nodes), JSON.stringify(detected.body));
+
+  for (const body of [{}, { data: null }, { data: 'Article' }, { profileType: 'Article' }]) {
+    const rejected = await post(baseUrl, '/api/validate', body);
+    assert.strictEqual(rejected.status, 400, JSON.stringify(body));
+    assert.strictEqual(rejected.body.error, "Request body must include a 'data' object");
+  }
+  console.log('');
+
+  // Test 3: Malformed bodies
+  console.log('3. Malformed requests:');
+  const malformed = await post(baseUrl, '/api/build', '{"type": ');
+  assert.strictEqual(malformed.status, 400);
+  assert.ok(/^Invalid JSON body: /.test(malformed.body.error));
+  const missing = await post(baseUrl, '/api/missing', {});
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.error, 'Not Found: POST /api/missing');
+  console.log('');
+}
+
+console.log('=== Testing API Server ===\n');
+
+const server = createApp().listen(0, '127.0.0.1', () => {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  run(baseUrl)
+    .then(() => console.log('=== API Server Tests Complete ==='))
+    .catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    })
+    .finally(() => server.close());
+});
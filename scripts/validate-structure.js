@@ -13,8 +13,8 @@ class StructureValidator {
     this.rootDir = process.cwd();
     this.expectedStructure = {
       profiles: {
-        content: ['article', 'book', 'course', 'dataset', 'howto', 'recipe', 'videoobject'],
-        business: ['localbusiness', 'jobposting', 'product-offer', 'review'],
+        content: ['article', 'book', 'course', 'dataset', 'howto', 'recipe', 'videoobject', 'breadcrumblist', 'webpage', 'website'],
+        business: ['localbusiness', 'jobposting', 'product-offer', 'product-group', 'review'],
         interaction: ['faqpage', 'qapage', 'event'],
         technology: ['softwareapplication']
       },
@@ -170,6 +170,35 @@ class ProfileDiscoveryAPI {
             "type": "JSONSchema",
             "contentType": "application/json"
           }
+        },
+        "validate": {
+          "path": "/api/validate",
+          "method": "POST",
+          "description": "Validate structured data against a profile (local API server only)",
+          "parameters": {
+            "data": "JSON-LD object to validate",
+            "profileType": "Profile type (e.g., Article, JobPosting); omit to detect the profile of every node in the document",
+            "sanitize": "Whether to sanitize input before validation (default: true)"
+          },
+          "response": {
+            "type": "ValidationResult | DocumentValidationResult",
+            "contentType": "application/json"
+          }
+        },
+        "build": {
+          "path": "/api/build",
+          "method": "POST",
+          "description": "Build profile-compliant JSON-LD from field values (local API server only)",
+          "parameters": {
+            "type": "Builder type (e.g., Article, Product)",
+            "data": "Object of field values",
+            "mode": "Output mode (strict-seo, split-channels, standards-header)",
+            "validate": "Reject output with missing required fields (default: true)"
+          },
+          "response": {
+            "type": "BuildResult",
+            "contentType": "application/json"
+          }
         }
       },
       "examples": {
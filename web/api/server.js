@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Profile API server - HTTP front end for discovery, validation and building
+ *
+ * Serves the same discovery documents that scripts/generate-api.js writes as
+ * static files, plus POST endpoints that run the @llmprofiles/core validator
+ * and builders so that other services can call one local API.
+ *
+ * Usage: node web/api/server.js [port]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const ProfileDiscoveryAPI = require('./discovery');
+const {
+  ProfileValidator,
+  createBuilder,
+  listProfiles,
+  MODES
+} = require('../../npm-package');
+
+const SCHEMA_FILES = ['page', 'output'];
+
+/**
+ * Create the Express application
+ * @param {Object} [options] - Server options
+ * @param {ProfileDiscoveryAPI} [options.api] - Discovery API instance
+ * @param {string} [options.jsonLimit='1mb'] - Maximum accepted request body size
+ * @returns {import('express').Express} Configured Express application
+ */
+function createApp(options = {}) {
+  const api = options.api || new ProfileDiscoveryAPI();
+  const app = express();
+
+  app.use(cors());
+  app.use(express.json({ limit: options.jsonLimit || '1mb', type: ['application/json', 'application/ld+json'] }));
+
+  // Discovery endpoints
+  app.get(['/api', '/api/discovery.json'], (req, res) => {
+    res.json(api.getAllProfiles());
+  });
+
+  app.get('/api/capabilities.json', (req, res) => {
+    res.json(api.getCapabilitiesSummary());
+  });
+
+  app.get('/api/docs.json', (req, res) => {
+    res.json(api.getAPIDocumentation());
+  });
+
+  app.get('/api/profile-:name.json', (req, res) => {
+    const name = req.params.name.toLowerCase();
+    const profile = api.getAllProfiles().profiles.find(p =>
+      p.type === name || p.name.toLowerCase() === name
+    );
+
+    if (!profile) {
+      return sendError(res, 404, `Unknown profile: ${req.params.name}`);
+    }
+    res.json(profile);
+  });
+
+  // Profile definitions and schemas
+  app.get('/profiles/:category/:type/v1/:file', (req, res) => {
+    const { category, type, file } = req.params;
+    const isProfile = file === 'index.jsonld';
+    const schemaMatch = file.match(/^(\w+)\.schema\.json$/);
+
+    if (!isProfile && !(schemaMatch && SCHEMA_FILES.includes(schemaMatch[1]))) {
+      return sendError(res, 404, `Unknown profile resource: ${file}`);
+    }
+
+    const filePath = path.join(api.profilesDir, category, type, 'v1', file);
+    if (!filePath.startsWith(api.profilesDir + path.sep) || !fs.existsSync(filePath)) {
+      return sendError(res, 404, `Profile resource not found: ${category}/${type}/v1/${file}`);
+    }
+
+    res.type(isProfile ? 'application/ld+json' : 'application/json');
+    res.send(fs.readFileSync(filePath, 'utf8'));
+  });
+
+  // Validation endpoint
+  app.post('/api/validate', (req, res) => {
+    const { data, profileType, sanitize = true } = req.body || {};
+
+    if (!data || typeof data !== 'object') {
+      return sendError(res, 400, "Request body must include a 'data' object");
+    }
+
+    // Without a profile type, detect the profile of every node in the document
+    const validator = new ProfileValidator(sanitize !== false);
+    res.json(profileType ? validator.validate(data, profileType) : validator.validateDocument(data));
+  });
+
+  // Build endpoint
+  app.post('/api/build', (req, res) => {
+    const { type, data = {}, mode = MODES.STRICT_SEO, sanitize = true, validate = true } = req.body || {};
+
+    if (!type) {
+      return sendError(res, 400, "Request body must include a 'type'");
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return sendError(res, 400, "'data' must be an object of field values");
+    }
+
+    let builder;
+    try {
+      builder = createBuilder(type, { mode, sanitize: sanitize !== false });
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+
+    Object.keys(data).forEach(field => {
+      if (field !== '@context' && field !== '@type') {
+        builder.addProperty(field, data[field]);
+      }
+    });
+
+    const validation = builder.validateInline();
+    if (validate !== false && !validation.valid) {
+      return res.status(422).json({
+        error: `Missing required fields: ${validation.errors.map(e => e.field).join(', ')}`,
+        validation
+      });
+    }
+
+    res.json({
+      result: builder.build(null, { validate: false }),
+      validation
+    });
+  });
+
+  app.get('/api/profiles', (req, res) => {
+    res.json({ profiles: listProfiles(), modes: Object.values(MODES) });
+  });
+
+  app.use((req, res) => {
+    sendError(res, 404, `Not Found: ${req.method} ${req.path}`);
+  });
+
+  // Malformed JSON bodies and other unexpected errors
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return sendError(res, 400, `Invalid JSON body: ${err.message}`);
+    }
+    if (err.type === 'entity.too.large') {
+      return sendError(res, 413, 'Request body too large');
+    }
+    sendError(res, 500, err.message);
+  });
+
+  return app;
+}
+
+/**
+ * Send a JSON error response
+ * @private
+ */
+function sendError(res, status, message) {
+  res.status(status).json({ error: message });
+}
+
+if (require.main === module) {
+  const port = process.argv[2] || process.env.PORT || 3000;
+  const server = createApp().listen(port, () => {
+    console.log(`🚀 Profile API server running at http://localhost:${port}`);
+    console.log(`📚 Endpoints listed at http://localhost:${port}/api/docs.json`);
+    console.log(`🛑 Press Ctrl+C to stop the server`);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n🛑 Shutting down API server...');
+    server.close(() => {
+      console.log('✅ API server stopped');
+      process.exit(0);
+    });
+  });
+}
+
+module.exports = { createApp };